@@ -0,0 +1,156 @@
+/**
+ * Comptes des contributeurs, sessions et clés d'API
+ *
+ * Tous les stockages exposent la même interface asynchrone :
+ *   init, countUsers, createUser, getUser, findUserByUsername, listUsers, updateUser,
+ *   createSession, getSession, deleteSession, purgeExpiredSessions,
+ *   createApiKey, getApiKeyByHash, listApiKeys, revokeApiKey, close
+ *
+ * Le pilote suit celui des livres (STORAGE_DRIVER) : table dans Postgres ou dans le fichier SQLite,
+ * fichier data/users.json (USERS_DB_PATH) avec le stockage JSON, mémoire sinon.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { MemoryUserStore } = require('./memory');
+const { JsonFileUserStore } = require('./json-file');
+const { PostgresUserStore } = require('./postgres');
+const { SqliteUserStore } = require('./sqlite');
+const passwords = require('./passwords');
+const permissions = require('./permissions');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+/**
+ * Créer le stockage des comptes correspondant à la configuration
+ */
+function createUserStore(options = {}) {
+    const env = options.env || process.env;
+    const driver = (options.driver || env.STORAGE_DRIVER || (env.POSTGRES_URL ? 'postgres' : 'json')).toLowerCase();
+
+    switch (driver) {
+        case 'postgres':
+            return new PostgresUserStore();
+        case 'sqlite':
+            return new SqliteUserStore({
+                filePath: options.filePath || env.SQLITE_PATH || path.join(DATA_DIR, 'books.sqlite')
+            });
+        case 'json':
+            return new JsonFileUserStore({
+                filePath: options.filePath || env.USERS_DB_PATH || path.join(DATA_DIR, 'users.json')
+            });
+        case 'memory':
+            return new MemoryUserStore();
+        default:
+            throw new Error(`Pilote de stockage des comptes inconnu: ${driver}`);
+    }
+}
+
+/**
+ * Créer un compte après validation de l'identifiant, du mot de passe et du rôle
+ * @returns {Promise<{valid: boolean, error?: string, conflict?: boolean, user?: object}>}
+ */
+async function createAccount(store, { username, password, displayName, role = permissions.LEGACY_ROLE }) {
+    const normalizedUsername = String(username || '').trim().toLowerCase();
+
+    const usernameValidation = passwords.validateUsername(normalizedUsername);
+    if (!usernameValidation.valid) return usernameValidation;
+
+    const passwordValidation = passwords.validatePassword(password);
+    if (!passwordValidation.valid) return passwordValidation;
+
+    const roleValidation = permissions.validateRole(role);
+    if (!roleValidation.valid) return roleValidation;
+
+    const user = {
+        id: crypto.randomUUID(),
+        username: normalizedUsername,
+        displayName: String(displayName || '').trim() || normalizedUsername,
+        role,
+        passwordHash: await passwords.hashPassword(password),
+        createdAt: new Date().toISOString()
+    };
+
+    if (!(await store.createUser(user))) {
+        return { valid: false, conflict: true, error: `L'identifiant ${normalizedUsername} est déjà utilisé` };
+    }
+    return { valid: true, user };
+}
+
+/**
+ * Informations d'un compte communicables au client (sans l'empreinte du mot de passe)
+ */
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        displayName: user.displayName,
+        role: permissions.roleOf(user),
+        scopes: permissions.scopesFor(user)
+    };
+}
+
+/**
+ * Créer une clé d'API pour un compte
+ * La clé n'est renvoyée qu'ici : seule son empreinte est enregistrée.
+ * @param {number|null} [rateLimit] - Requêtes permises par fenêtre (limite par défaut des clés si absente)
+ * @returns {Promise<{valid: boolean, error?: string, apiKey?: object, key?: string}>}
+ */
+async function createApiKey(store, { user, name, scopes, rateLimit = null }) {
+    const cleanName = String(name || '').trim();
+    if (!cleanName || cleanName.length > 100) {
+        return { valid: false, error: 'Le nom de la clé est requis (100 caractères au plus)' };
+    }
+
+    const scopesValidation = permissions.validateScopes(scopes);
+    if (!scopesValidation.valid) return scopesValidation;
+
+    // Une clé ne peut pas donner plus de droits que le rôle de son propriétaire
+    const allowed = permissions.scopesFor(user);
+    const exceeding = scopes.filter(scope => !allowed.includes(scope));
+    if (exceeding.length > 0) {
+        return { valid: false, error: `Le rôle ${permissions.roleOf(user)} de ${user.username} ne permet pas : ${exceeding.join(', ')}` };
+    }
+
+    if (rateLimit !== null && (!Number.isInteger(rateLimit) || rateLimit < 1)) {
+        return { valid: false, error: 'La limite de requêtes doit être un entier positif' };
+    }
+
+    const key = permissions.API_KEY_PREFIX + passwords.generateToken();
+    const apiKey = {
+        id: crypto.randomUUID(),
+        name: cleanName,
+        prefix: key.slice(0, permissions.API_KEY_PREFIX.length + 6),
+        keyHash: passwords.hashToken(key),
+        userId: user.id,
+        scopes: Array.from(new Set(scopes)),
+        rateLimit,
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+    };
+
+    await store.createApiKey(apiKey);
+    return { valid: true, apiKey, key };
+}
+
+/**
+ * Informations d'une clé d'API communicables (sans son empreinte)
+ */
+function publicApiKey(apiKey) {
+    const { keyHash, ...info } = apiKey;
+    return info;
+}
+
+module.exports = {
+    createUserStore,
+    createAccount,
+    publicUser,
+    createApiKey,
+    publicApiKey,
+    ...passwords,
+    ...permissions,
+    MemoryUserStore,
+    JsonFileUserStore,
+    PostgresUserStore,
+    SqliteUserStore
+};
@@ -0,0 +1,65 @@
+/**
+ * Comptes, sessions et clés d'API dans un fichier JSON (data/users.json, à ne pas versionner)
+ * Les données sont gardées en mémoire et réécrites sur disque à chaque modification
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { MemoryUserStore } = require('./memory');
+
+class JsonFileUserStore extends MemoryUserStore {
+    constructor({ filePath }) {
+        super();
+        this.driver = 'json';
+        this.filePath = filePath;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Charger le fichier (un fichier absent donne un stockage vide)
+     */
+    async init() {
+        let data = {};
+        try {
+            data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        this.users = new Map(Object.entries(data.users || {}));
+        this.sessions = new Map(Object.entries(data.sessions || {}));
+        this.apiKeys = new Map(Object.entries(data.apiKeys || {}));
+        await this.purgeExpiredSessions();
+        console.log(`👤 ${this.users.size} comptes chargés depuis ${this.filePath}`);
+    }
+
+    /**
+     * Réécrire le fichier de manière atomique ; les écritures sont mises en file pour ne jamais se chevaucher
+     */
+    persist() {
+        this.writeQueue = this.writeQueue
+            .catch(() => {})
+            .then(async () => {
+                const tmpFile = `${this.filePath}.${process.pid}.tmp`;
+                const data = {
+                    users: Object.fromEntries(this.users),
+                    sessions: Object.fromEntries(this.sessions),
+                    apiKeys: Object.fromEntries(this.apiKeys)
+                };
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                // Le fichier contient des empreintes de mots de passe : lisible par le seul propriétaire
+                await fs.writeFile(tmpFile, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+                await fs.rename(tmpFile, this.filePath);
+            });
+        return this.writeQueue;
+    }
+
+    /**
+     * Attendre la fin des écritures en cours
+     */
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+module.exports = { JsonFileUserStore };
@@ -0,0 +1,163 @@
+/**
+ * Comptes, sessions et clés d'API en mémoire
+ * Utile pour les tests et comme base du stockage en fichier JSON
+ */
+
+class MemoryUserStore {
+    constructor() {
+        this.driver = 'memory';
+        this.users = new Map(); // id -> utilisateur
+        this.sessions = new Map(); // empreinte du jeton -> session
+        this.apiKeys = new Map(); // id -> clé d'API (avec l'empreinte de la clé)
+    }
+
+    /**
+     * Initialiser le stockage
+     */
+    async init() {}
+
+    /**
+     * Persister les données (rien à faire en mémoire)
+     */
+    async persist() {}
+
+    /**
+     * Nombre de comptes
+     */
+    async countUsers() {
+        return this.users.size;
+    }
+
+    /**
+     * Créer un compte
+     * @returns {Promise<boolean>} false si l'identifiant est déjà pris
+     */
+    async createUser(user) {
+        if (await this.findUserByUsername(user.username)) return false;
+
+        this.users.set(user.id, user);
+        await this.persist();
+        return true;
+    }
+
+    /**
+     * Obtenir un compte par son identifiant interne
+     */
+    async getUser(id) {
+        return this.users.get(id) || null;
+    }
+
+    /**
+     * Obtenir un compte par son identifiant de connexion
+     */
+    async findUserByUsername(username) {
+        for (const user of this.users.values()) {
+            if (user.username === username) return user;
+        }
+        return null;
+    }
+
+    /**
+     * Lister les comptes, par identifiant de connexion
+     */
+    async listUsers() {
+        return Array.from(this.users.values()).sort((a, b) => a.username.localeCompare(b.username));
+    }
+
+    /**
+     * Remplacer un compte existant (changement de rôle...)
+     * @returns {Promise<boolean>} false si le compte n'existe pas
+     */
+    async updateUser(user) {
+        if (!this.users.has(user.id)) return false;
+
+        this.users.set(user.id, user);
+        await this.persist();
+        return true;
+    }
+
+    /**
+     * Enregistrer une session
+     */
+    async createSession(session) {
+        this.sessions.set(session.tokenHash, session);
+        await this.persist();
+    }
+
+    /**
+     * Obtenir une session par l'empreinte de son jeton
+     */
+    async getSession(tokenHash) {
+        return this.sessions.get(tokenHash) || null;
+    }
+
+    /**
+     * Supprimer une session (déconnexion)
+     */
+    async deleteSession(tokenHash) {
+        if (this.sessions.delete(tokenHash)) {
+            await this.persist();
+        }
+    }
+
+    /**
+     * Supprimer les sessions expirées
+     * @returns {Promise<number>} Nombre de sessions supprimées
+     */
+    async purgeExpiredSessions(now = new Date().toISOString()) {
+        let purged = 0;
+        for (const [tokenHash, session] of this.sessions) {
+            if (session.expiresAt <= now) {
+                this.sessions.delete(tokenHash);
+                purged++;
+            }
+        }
+        if (purged > 0) await this.persist();
+        return purged;
+    }
+
+    /**
+     * Enregistrer une clé d'API
+     */
+    async createApiKey(apiKey) {
+        this.apiKeys.set(apiKey.id, apiKey);
+        await this.persist();
+    }
+
+    /**
+     * Obtenir une clé d'API par son empreinte
+     */
+    async getApiKeyByHash(keyHash) {
+        for (const apiKey of this.apiKeys.values()) {
+            if (apiKey.keyHash === keyHash) return apiKey;
+        }
+        return null;
+    }
+
+    /**
+     * Lister les clés d'API (révoquées comprises), des plus récentes aux plus anciennes
+     */
+    async listApiKeys() {
+        return Array.from(this.apiKeys.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Révoquer une clé d'API
+     * @returns {Promise<boolean>} false si la clé n'existe pas ou est déjà révoquée
+     */
+    async revokeApiKey(id, revokedAt = new Date().toISOString()) {
+        const apiKey = this.apiKeys.get(id);
+        if (!apiKey || apiKey.revokedAt) return false;
+
+        this.apiKeys.set(id, { ...apiKey, revokedAt });
+        await this.persist();
+        return true;
+    }
+
+    /**
+     * Libérer les ressources
+     */
+    async close() {}
+}
+
+module.exports = { MemoryUserStore };
@@ -0,0 +1,83 @@
+/**
+ * Mots de passe et jetons de session
+ * Les mots de passe sont dérivés avec scrypt (sel aléatoire, paramètres conservés avec le hachage) ;
+ * les jetons ne sont stockés que sous forme d'empreinte SHA-256.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Paramètres scrypt (coût, taille de bloc, parallélisme) et longueur de la clé dérivée
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Dériver un mot de passe pour le stocker : "scrypt$N$r$p$sel$clé" (base64)
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(String(password), salt, KEY_LENGTH, SCRYPT);
+    return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Vérifier un mot de passe (comparaison en temps constant)
+ */
+async function verifyPassword(password, stored) {
+    const [algorithm, N, r, p, salt, key] = String(stored || '').split('$');
+    if (algorithm !== 'scrypt' || !key) return false;
+
+    const expected = Buffer.from(key, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Valider un identifiant : 3 à 32 caractères parmi les minuscules, chiffres, point, tiret et souligné
+ */
+function validateUsername(username) {
+    if (typeof username !== 'string' || !/^[a-z0-9._-]{3,32}$/.test(username)) {
+        return { valid: false, error: 'L\'identifiant doit contenir 3 à 32 caractères (minuscules, chiffres, . _ -)' };
+    }
+    return { valid: true };
+}
+
+/**
+ * Valider un mot de passe
+ */
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return { valid: false, error: `Le mot de passe doit contenir au moins ${MIN_PASSWORD_LENGTH} caractères` };
+    }
+    return { valid: true };
+}
+
+/**
+ * Nouveau jeton de session (à ne remettre qu'une fois au client)
+ */
+function generateToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Empreinte d'un jeton, seule forme conservée par le serveur
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    validateUsername,
+    validatePassword,
+    generateToken,
+    hashToken,
+    MIN_PASSWORD_LENGTH
+};
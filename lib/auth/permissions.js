@@ -0,0 +1,85 @@
+/**
+ * Rôles des comptes et portées (scopes) des clés d'API
+ *
+ * Chaque route d'écriture demande une portée. Un utilisateur connecté a toutes les portées de son rôle ;
+ * une clé d'API n'a que celles qu'on lui a données, dans la limite du rôle de son propriétaire.
+ */
+
+// Portées disponibles
+const SCOPES = {
+    'books:read': 'Lire le catalogue',
+    'books:write': 'Créer et modifier des livres et leurs couvertures',
+    'books:delete': 'Supprimer des livres',
+    'books:moderate': 'Accepter ou refuser les modifications proposées par les contributeurs',
+    'sync:import': 'Envoyer une synchronisation complète (ajouts, modifications et suppressions)',
+    'admin': 'Gérer les comptes et les clés d\'API'
+};
+
+// Rôles, du moins au plus privilégié, et leurs portées
+const ROLE_SCOPES = {
+    reader: ['books:read'],
+    contributor: ['books:read', 'books:write'],
+    librarian: ['books:read', 'books:write', 'books:delete', 'books:moderate', 'sync:import'],
+    admin: Object.keys(SCOPES)
+};
+
+const ROLES = Object.keys(ROLE_SCOPES);
+
+// Rôle des comptes créés avant l'introduction des rôles (ils pouvaient créer et modifier)
+const LEGACY_ROLE = 'contributor';
+
+// Préfixe des clés d'API, pour les distinguer des jetons de session
+const API_KEY_PREFIX = 'isk_';
+
+/**
+ * Valider un rôle
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateRole(role) {
+    if (!ROLES.includes(role)) {
+        return { valid: false, error: `Rôle inconnu : ${role} (attendu : ${ROLES.join(', ')})` };
+    }
+    return { valid: true };
+}
+
+/**
+ * Valider une liste de portées
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return { valid: false, error: 'Au moins une portée est requise' };
+    }
+    const unknown = scopes.filter(scope => !SCOPES[scope]);
+    if (unknown.length > 0) {
+        return { valid: false, error: `Portée inconnue : ${unknown.join(', ')} (attendu : ${Object.keys(SCOPES).join(', ')})` };
+    }
+    return { valid: true };
+}
+
+/**
+ * Rôle d'un compte
+ */
+function roleOf(user) {
+    return user.role || LEGACY_ROLE;
+}
+
+/**
+ * Portées effectives d'un utilisateur, ou d'une de ses clés d'API
+ */
+function scopesFor(user, apiKey = null) {
+    const roleScopes = ROLE_SCOPES[roleOf(user)] || [];
+    return apiKey ? apiKey.scopes.filter(scope => roleScopes.includes(scope)) : [...roleScopes];
+}
+
+module.exports = {
+    SCOPES,
+    ROLE_SCOPES,
+    ROLES,
+    LEGACY_ROLE,
+    API_KEY_PREFIX,
+    validateRole,
+    validateScopes,
+    roleOf,
+    scopesFor
+};
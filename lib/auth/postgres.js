@@ -0,0 +1,182 @@
+/**
+ * Comptes, sessions et clés d'API dans Postgres (Vercel Postgres)
+ */
+
+const { db } = require('@vercel/postgres');
+
+class PostgresUserStore {
+    constructor({ client = db } = {}) {
+        this.driver = 'postgres';
+        this.db = client;
+    }
+
+    /**
+     * Créer les tables si elles n'existent pas
+     */
+    async init() {
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS users (
+                id TEXT PRIMARY KEY,
+                username TEXT NOT NULL UNIQUE,
+                data JSONB NOT NULL
+            );
+        `);
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS user_sessions (
+                token_hash TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+                created_at TIMESTAMPTZ NOT NULL,
+                expires_at TIMESTAMPTZ NOT NULL
+            );
+        `);
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id TEXT PRIMARY KEY,
+                key_hash TEXT NOT NULL UNIQUE,
+                user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+                created_at TIMESTAMPTZ NOT NULL,
+                data JSONB NOT NULL
+            );
+        `);
+        console.log('✅ Tables "users", "user_sessions" et "api_keys" vérifiées/créées.');
+        await this.purgeExpiredSessions();
+    }
+
+    /**
+     * Nombre de comptes
+     */
+    async countUsers() {
+        const { rows } = await this.db.query('SELECT COUNT(*) AS count FROM users');
+        return parseInt(rows[0].count, 10);
+    }
+
+    /**
+     * Créer un compte
+     * @returns {Promise<boolean>} false si l'identifiant est déjà pris
+     */
+    async createUser(user) {
+        const { rowCount } = await this.db.query(
+            'INSERT INTO users (id, username, data) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+            [user.id, user.username, JSON.stringify(user)]
+        );
+        return rowCount > 0;
+    }
+
+    /**
+     * Obtenir un compte par son identifiant interne
+     */
+    async getUser(id) {
+        const { rows } = await this.db.query('SELECT data FROM users WHERE id = $1', [id]);
+        return rows.length > 0 ? rows[0].data : null;
+    }
+
+    /**
+     * Obtenir un compte par son identifiant de connexion
+     */
+    async findUserByUsername(username) {
+        const { rows } = await this.db.query('SELECT data FROM users WHERE username = $1', [username]);
+        return rows.length > 0 ? rows[0].data : null;
+    }
+
+    /**
+     * Lister les comptes, par identifiant de connexion
+     */
+    async listUsers() {
+        const { rows } = await this.db.query('SELECT data FROM users ORDER BY username');
+        return rows.map(row => row.data);
+    }
+
+    /**
+     * Remplacer un compte existant (changement de rôle...)
+     * @returns {Promise<boolean>} false si le compte n'existe pas
+     */
+    async updateUser(user) {
+        const { rowCount } = await this.db.query('UPDATE users SET data = $2 WHERE id = $1', [user.id, JSON.stringify(user)]);
+        return rowCount > 0;
+    }
+
+    /**
+     * Enregistrer une session
+     */
+    async createSession(session) {
+        await this.db.query(
+            'INSERT INTO user_sessions (token_hash, user_id, created_at, expires_at) VALUES ($1, $2, $3, $4)',
+            [session.tokenHash, session.userId, session.createdAt, session.expiresAt]
+        );
+    }
+
+    /**
+     * Obtenir une session par l'empreinte de son jeton
+     */
+    async getSession(tokenHash) {
+        const { rows } = await this.db.query('SELECT * FROM user_sessions WHERE token_hash = $1', [tokenHash]);
+        if (rows.length === 0) return null;
+        return {
+            tokenHash: rows[0].token_hash,
+            userId: rows[0].user_id,
+            createdAt: new Date(rows[0].created_at).toISOString(),
+            expiresAt: new Date(rows[0].expires_at).toISOString()
+        };
+    }
+
+    /**
+     * Supprimer une session (déconnexion)
+     */
+    async deleteSession(tokenHash) {
+        await this.db.query('DELETE FROM user_sessions WHERE token_hash = $1', [tokenHash]);
+    }
+
+    /**
+     * Supprimer les sessions expirées
+     * @returns {Promise<number>} Nombre de sessions supprimées
+     */
+    async purgeExpiredSessions(now = new Date().toISOString()) {
+        const { rowCount } = await this.db.query('DELETE FROM user_sessions WHERE expires_at <= $1', [now]);
+        return rowCount;
+    }
+
+    /**
+     * Enregistrer une clé d'API
+     */
+    async createApiKey(apiKey) {
+        await this.db.query(
+            'INSERT INTO api_keys (id, key_hash, user_id, created_at, data) VALUES ($1, $2, $3, $4, $5)',
+            [apiKey.id, apiKey.keyHash, apiKey.userId, apiKey.createdAt, JSON.stringify(apiKey)]
+        );
+    }
+
+    /**
+     * Obtenir une clé d'API par son empreinte
+     */
+    async getApiKeyByHash(keyHash) {
+        const { rows } = await this.db.query('SELECT data FROM api_keys WHERE key_hash = $1', [keyHash]);
+        return rows.length > 0 ? rows[0].data : null;
+    }
+
+    /**
+     * Lister les clés d'API (révoquées comprises), des plus récentes aux plus anciennes
+     */
+    async listApiKeys() {
+        const { rows } = await this.db.query('SELECT data FROM api_keys ORDER BY created_at DESC');
+        return rows.map(row => row.data);
+    }
+
+    /**
+     * Révoquer une clé d'API
+     * @returns {Promise<boolean>} false si la clé n'existe pas ou est déjà révoquée
+     */
+    async revokeApiKey(id, revokedAt = new Date().toISOString()) {
+        const { rowCount } = await this.db.query(`
+            UPDATE api_keys SET data = jsonb_set(data, '{revokedAt}', to_jsonb($2::text))
+            WHERE id = $1 AND data->>'revokedAt' IS NULL
+        `, [id, revokedAt]);
+        return rowCount > 0;
+    }
+
+    /**
+     * Libérer les ressources (le pool est géré par @vercel/postgres)
+     */
+    async close() {}
+}
+
+module.exports = { PostgresUserStore };
@@ -0,0 +1,185 @@
+/**
+ * Comptes, sessions et clés d'API dans le fichier SQLite des livres (better-sqlite3)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class SqliteUserStore {
+    constructor({ filePath }) {
+        this.driver = 'sqlite';
+        this.filePath = filePath;
+        this.db = null;
+    }
+
+    /**
+     * Ouvrir le fichier et créer les tables si elles n'existent pas
+     */
+    async init() {
+        // Dépendance optionnelle : chargée uniquement si ce stockage est utilisé
+        const Database = require('better-sqlite3');
+
+        if (this.filePath !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        }
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS users (
+                id TEXT PRIMARY KEY,
+                username TEXT NOT NULL UNIQUE,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS user_sessions (
+                token_hash TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                expires_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id TEXT PRIMARY KEY,
+                key_hash TEXT NOT NULL UNIQUE,
+                created_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+        `);
+        await this.purgeExpiredSessions();
+    }
+
+    /**
+     * Décoder une ligne des tables users et api_keys
+     */
+    parse(row) {
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    /**
+     * Nombre de comptes
+     */
+    async countUsers() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM users').get().count;
+    }
+
+    /**
+     * Créer un compte
+     * @returns {Promise<boolean>} false si l'identifiant est déjà pris
+     */
+    async createUser(user) {
+        const { changes } = this.db.prepare(
+            'INSERT INTO users (id, username, data) VALUES (?, ?, ?) ON CONFLICT DO NOTHING'
+        ).run(user.id, user.username, JSON.stringify(user));
+        return changes > 0;
+    }
+
+    /**
+     * Obtenir un compte par son identifiant interne
+     */
+    async getUser(id) {
+        return this.parse(this.db.prepare('SELECT data FROM users WHERE id = ?').get(id));
+    }
+
+    /**
+     * Obtenir un compte par son identifiant de connexion
+     */
+    async findUserByUsername(username) {
+        return this.parse(this.db.prepare('SELECT data FROM users WHERE username = ?').get(username));
+    }
+
+    /**
+     * Lister les comptes, par identifiant de connexion
+     */
+    async listUsers() {
+        return this.db.prepare('SELECT data FROM users ORDER BY username').all().map(row => this.parse(row));
+    }
+
+    /**
+     * Remplacer un compte existant (changement de rôle...)
+     * @returns {Promise<boolean>} false si le compte n'existe pas
+     */
+    async updateUser(user) {
+        const { changes } = this.db.prepare('UPDATE users SET data = ? WHERE id = ?').run(JSON.stringify(user), user.id);
+        return changes > 0;
+    }
+
+    /**
+     * Enregistrer une session
+     */
+    async createSession(session) {
+        this.db.prepare(`
+            INSERT INTO user_sessions (token_hash, user_id, created_at, expires_at)
+            VALUES (@tokenHash, @userId, @createdAt, @expiresAt)
+        `).run(session);
+    }
+
+    /**
+     * Obtenir une session par l'empreinte de son jeton
+     */
+    async getSession(tokenHash) {
+        const row = this.db.prepare('SELECT * FROM user_sessions WHERE token_hash = ?').get(tokenHash);
+        return row
+            ? { tokenHash: row.token_hash, userId: row.user_id, createdAt: row.created_at, expiresAt: row.expires_at }
+            : null;
+    }
+
+    /**
+     * Supprimer une session (déconnexion)
+     */
+    async deleteSession(tokenHash) {
+        this.db.prepare('DELETE FROM user_sessions WHERE token_hash = ?').run(tokenHash);
+    }
+
+    /**
+     * Supprimer les sessions expirées
+     * @returns {Promise<number>} Nombre de sessions supprimées
+     */
+    async purgeExpiredSessions(now = new Date().toISOString()) {
+        return this.db.prepare('DELETE FROM user_sessions WHERE expires_at <= ?').run(now).changes;
+    }
+
+    /**
+     * Enregistrer une clé d'API
+     */
+    async createApiKey(apiKey) {
+        this.db.prepare('INSERT INTO api_keys (id, key_hash, created_at, data) VALUES (?, ?, ?, ?)')
+            .run(apiKey.id, apiKey.keyHash, apiKey.createdAt, JSON.stringify(apiKey));
+    }
+
+    /**
+     * Obtenir une clé d'API par son empreinte
+     */
+    async getApiKeyByHash(keyHash) {
+        return this.parse(this.db.prepare('SELECT data FROM api_keys WHERE key_hash = ?').get(keyHash));
+    }
+
+    /**
+     * Lister les clés d'API (révoquées comprises), des plus récentes aux plus anciennes
+     */
+    async listApiKeys() {
+        return this.db.prepare('SELECT data FROM api_keys ORDER BY created_at DESC').all().map(row => this.parse(row));
+    }
+
+    /**
+     * Révoquer une clé d'API
+     * @returns {Promise<boolean>} false si la clé n'existe pas ou est déjà révoquée
+     */
+    async revokeApiKey(id, revokedAt = new Date().toISOString()) {
+        const { changes } = this.db.prepare(`
+            UPDATE api_keys SET data = json_set(data, '$.revokedAt', ?)
+            WHERE id = ? AND json_extract(data, '$.revokedAt') IS NULL
+        `).run(revokedAt, id);
+        return changes > 0;
+    }
+
+    /**
+     * Fermer le fichier SQLite
+     */
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = { SqliteUserStore };
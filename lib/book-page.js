@@ -0,0 +1,172 @@
+/**
+ * Page partageable d'un livre (/book/:isbn), rendue par le serveur à partir de index.html
+ *
+ * La page porte les métadonnées lues par les réseaux sociaux et les moteurs de recherche
+ * (Open Graph, Twitter, JSON-LD schema.org) et une fiche lisible sans JavaScript. La fiche stockée
+ * y est aussi jointe (#initialBook) : l'application l'affiche au chargement sans nouvelle recherche.
+ */
+
+const { isbnToolkit } = require('../public/js/isbn');
+const { toJsonLd, coverUrl } = require('./representations/jsonld');
+
+const SITE_NAME = 'ISBN Search';
+
+// Longueur maximale de la description des aperçus
+const SUMMARY_LENGTH = 200;
+
+// Les chemins de index.html sont relatifs (l'application s'ouvre aussi en fichier local) :
+// sous /book/, ils doivent rester résolus depuis la racine du site
+const BASE_TAG = '    <base href="/">';
+
+/**
+ * Échapper un texte pour l'insérer dans du HTML
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * JSON à insérer dans une balise <script> (sans fermeture de balise possible)
+ */
+function scriptJson(value) {
+    return JSON.stringify(value)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Résumé d'un livre pour les aperçus : début de la description, ou auteurs, éditeur et date
+ */
+function summaryOf(isbn, book) {
+    if (book.description) {
+        const text = book.description.replace(/\s+/g, ' ').trim();
+        if (text.length <= SUMMARY_LENGTH) return text;
+        return `${text.slice(0, SUMMARY_LENGTH).replace(/\s+\S*$/, '')}…`;
+    }
+
+    const edition = [book.publisher, book.publishedDate].filter(Boolean).join(', ');
+    return [
+        (book.authors || []).join(', '),
+        edition,
+        `ISBN ${isbnToolkit.hyphenate(isbn)}`
+    ].filter(Boolean).join(' — ');
+}
+
+/**
+ * Balises <head> de la page : titre, description, adresse canonique, Open Graph, Twitter, JSON-LD
+ */
+function headTags({ isbn, book, url, baseUrl }) {
+    const title = [book.title || `ISBN ${isbnToolkit.hyphenate(isbn)}`, (book.authors || []).join(', ')]
+        .filter(Boolean).join(' — ');
+    const description = summaryOf(isbn, book);
+    const image = coverUrl(book, baseUrl);
+
+    const meta = [
+        ['name', 'description', description],
+        ['property', 'og:type', 'book'],
+        ['property', 'og:site_name', SITE_NAME],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:url', url],
+        ['property', 'og:image', image],
+        ['property', 'og:locale', 'fr_FR'],
+        ['property', 'book:isbn', isbn],
+        ['property', 'book:release_date', book.publishedDate],
+        ...(book.categories || []).map(category => ['property', 'book:tag', category]),
+        ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ['name', 'twitter:image', image]
+    ];
+
+    return [
+        `<title>${escapeHTML(title)} | ${SITE_NAME}</title>`,
+        `<link rel="canonical" href="${escapeHTML(url)}">`,
+        ...meta
+            .filter(([, , content]) => content)
+            .map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeHTML(content)}">`),
+        `<script type="application/ld+json">${scriptJson(toJsonLd(isbn, book, { url, baseUrl }))}</script>`
+    ].map(tag => `    ${tag}`).join('\n');
+}
+
+/**
+ * Fiche lisible sans JavaScript, remplacée par celle de l'application au chargement
+ */
+function bookCard(isbn, book, baseUrl) {
+    const image = coverUrl(book, baseUrl);
+    const meta = [
+        ['Auteur(s)', (book.authors || []).join(', ')],
+        ['Éditeur', book.publisher],
+        ['Date de publication', book.publishedDate],
+        ['Nombre de pages', book.pageCount],
+        ['ISBN', isbnToolkit.hyphenate(isbn)]
+    ].filter(([, value]) => value);
+
+    return `
+            <div class="book-card">
+                <div class="book-content">
+                    <div class="book-cover">
+                        ${image ? `<img src="${escapeHTML(image)}" alt="Couverture">` : '<div class="no-cover">📚</div>'}
+                    </div>
+                    <div class="book-details">
+                        <h2>${escapeHTML(book.title || 'Titre inconnu')}</h2>
+                        <div class="book-meta">
+                            ${meta.map(([label, value]) => `<div class="meta-item">
+                                <div class="meta-label">${label}</div>
+                                <div class="meta-value">${escapeHTML(value)}</div>
+                            </div>`).join('\n                            ')}
+                            ${book.description ? `<div class="description">${escapeHTML(book.description)}</div>` : ''}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+}
+
+/**
+ * Page d'un livre
+ * @param {string} template - Contenu de index.html
+ * @param {object} page
+ * @param {string} page.isbn - ISBN-13 du livre
+ * @param {object|null} page.book - Fiche stockée, ou null si le livre est introuvable
+ * @param {string|null} [page.etag] - Version de la fiche (reprise par la base locale du navigateur)
+ * @param {string} page.url - Adresse canonique de la page
+ * @param {string} page.baseUrl - Origine du site (URL absolues des couvertures)
+ * @returns {string}
+ */
+function renderBookPage(template, { isbn, book, etag = null, url, baseUrl }) {
+    const hyphenated = isbnToolkit.hyphenate(isbn);
+
+    // Livre introuvable : l'application propose de l'ajouter, la page n'a pas à être indexée
+    const head = book
+        ? headTags({ isbn, book, url, baseUrl })
+        : [
+            `    <title>ISBN ${escapeHTML(hyphenated)} | ${SITE_NAME}</title>`,
+            '    <meta name="robots" content="noindex">'
+        ].join('\n');
+    const initial = `    <script type="application/json" id="initialBook">${scriptJson({ isbn, book, etag })}</script>`;
+
+    // Remplacements par fonction : un « $ » dans les métadonnées ne doit pas être interprété
+    return template
+        .replace(/\s*<title>[^<]*<\/title>/, () => `\n${BASE_TAG}\n${head}\n${initial}`)
+        .replace('<input type="text" id="isbnInput"', () => `<input type="text" id="isbnInput" value="${escapeHTML(hyphenated)}"`)
+        .replace('<div id="results"></div>', () => `<div id="results">${book ? bookCard(isbn, book, baseUrl) : ''}</div>`);
+}
+
+/**
+ * index.html servi tel quel sous /book/ (ISBN invalide, erreur) : seuls les chemins sont corrigés,
+ * et la page n'est pas indexée
+ * @param {string} template - Contenu de index.html
+ * @returns {string}
+ */
+function renderAppShell(template) {
+    return template.replace(/\s*<title>/, match => `\n${BASE_TAG}\n    <meta name="robots" content="noindex">${match}`);
+}
+
+module.exports = { renderBookPage, renderAppShell };
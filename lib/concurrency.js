@@ -0,0 +1,28 @@
+/**
+ * Exécution de tâches asynchrones avec un nombre limité de tâches simultanées
+ */
+
+/**
+ * Appliquer `iterator` à chaque élément, au plus `limit` à la fois
+ * @param {Array} items - Éléments à traiter
+ * @param {number} limit - Nombre maximal de tâches simultanées
+ * @param {Function} iterator - (item, index) => Promise
+ * @returns {Promise<Array>} Résultats dans l'ordre des éléments
+ */
+async function mapWithConcurrency(items, limit, iterator) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await iterator(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = { mapWithConcurrency };
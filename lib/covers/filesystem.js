@@ -0,0 +1,77 @@
+/**
+ * Stockage des couvertures sur le disque local (data/covers par défaut)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp'
+};
+
+class FileSystemCoverStore {
+    constructor({ directory }) {
+        this.driver = 'filesystem';
+        this.directory = directory;
+    }
+
+    /**
+     * Créer le dossier des couvertures
+     */
+    async init() {
+        await fs.mkdir(this.directory, { recursive: true });
+        console.log(`🖼️ Couvertures stockées dans ${this.directory}`);
+    }
+
+    /**
+     * Chemin d'un fichier (les clés sont générées par le serveur, jamais par le client)
+     */
+    resolve(key) {
+        const file = path.resolve(this.directory, key);
+        if (!file.startsWith(path.resolve(this.directory) + path.sep)) {
+            throw new Error(`Clé de couverture invalide: ${key}`);
+        }
+        return file;
+    }
+
+    /**
+     * Enregistrer un fichier (écriture atomique)
+     */
+    async put(key, body) {
+        const file = this.resolve(key);
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(tmpFile, body);
+        await fs.rename(tmpFile, file);
+    }
+
+    /**
+     * Lire un fichier, ou null s'il n'existe pas
+     */
+    async get(key) {
+        const file = this.resolve(key);
+        try {
+            const [body, stats] = await Promise.all([fs.readFile(file), fs.stat(file)]);
+            return {
+                body,
+                contentType: CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+                size: stats.size,
+                lastModified: stats.mtime
+            };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Supprimer tous les fichiers d'un livre (`prefix` désigne son dossier)
+     */
+    async deletePrefix(prefix) {
+        await fs.rm(this.resolve(prefix), { recursive: true, force: true });
+    }
+}
+
+module.exports = { FileSystemCoverStore };
@@ -0,0 +1,77 @@
+/**
+ * Validation et redimensionnement des couvertures envoyées par les utilisateurs
+ * Le format est vérifié sur le contenu du fichier (et non sur le type annoncé),
+ * puis l'image est réencodée en JPEG dans chaque taille servie.
+ */
+
+const crypto = require('crypto');
+
+const MAX_BYTES = 5 * 1024 * 1024;
+const MIN_DIMENSION = 50;
+const MAX_PIXELS = 40 * 1000 * 1000;
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+// Largeurs servies ; les images plus petites ne sont pas agrandies
+const COVER_SIZES = {
+    thumbnail: 200,
+    large: 800
+};
+
+/**
+ * Valider une image (taille, format réel et dimensions)
+ * @param {Buffer} buffer - Contenu brut du fichier
+ * @returns {Promise<{valid: boolean, error?: string, metadata?: object}>}
+ */
+async function validateCover(buffer) {
+    if (!buffer || buffer.length === 0) {
+        return { valid: false, error: 'Image de couverture manquante' };
+    }
+    if (buffer.length > MAX_BYTES) {
+        return { valid: false, error: `Image trop volumineuse (maximum ${MAX_BYTES / 1024 / 1024} Mo)` };
+    }
+
+    // Dépendance native chargée à la première couverture
+    const sharp = require('sharp');
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_PIXELS }).metadata();
+    } catch (error) {
+        return { valid: false, error: 'Fichier image illisible' };
+    }
+
+    if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+        return { valid: false, error: `Format d'image non accepté : ${metadata.format} (JPEG, PNG, WebP ou GIF)` };
+    }
+    if (metadata.width < MIN_DIMENSION || metadata.height < MIN_DIMENSION) {
+        return { valid: false, error: `Image trop petite (minimum ${MIN_DIMENSION} × ${MIN_DIMENSION} pixels)` };
+    }
+
+    return { valid: true, metadata };
+}
+
+/**
+ * Produire les différentes tailles d'une image validée
+ * @returns {Promise<{hash: string, sizes: Object<string, Buffer>}>}
+ */
+async function resizeCover(buffer) {
+    const sharp = require('sharp');
+
+    const sizes = {};
+    for (const [size, width] of Object.entries(COVER_SIZES)) {
+        sizes[size] = await sharp(buffer, { limitInputPixels: MAX_PIXELS })
+            .rotate() // Appliquer l'orientation EXIF des photos de téléphone
+            .flatten({ background: '#ffffff' })
+            .resize({ width, withoutEnlargement: true })
+            .jpeg({ quality: 82, mozjpeg: true })
+            .toBuffer();
+    }
+
+    return {
+        // Empreinte du fichier d'origine, utilisée pour invalider les caches
+        hash: crypto.createHash('sha256').update(buffer).digest('hex').substring(0, 16),
+        sizes
+    };
+}
+
+module.exports = { validateCover, resizeCover, COVER_SIZES, MAX_BYTES };
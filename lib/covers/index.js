@@ -0,0 +1,65 @@
+/**
+ * Choix du stockage des couvertures
+ *
+ * Tous les stockages exposent la même interface asynchrone :
+ *   init, put(key, body, contentType), get(key), deletePrefix(prefix)
+ *
+ * Le pilote est choisi par COVER_STORAGE (filesystem, s3, memory), filesystem par défaut.
+ *   COVER_DIR             dossier du stockage local (data/covers)
+ *   S3_BUCKET             bucket du stockage S3 (requis)
+ *   S3_REGION             région (us-east-1)
+ *   S3_ENDPOINT           point d'accès d'un service compatible S3 (MinIO, Scaleway, R2...)
+ *   S3_ACCESS_KEY_ID      identifiants (sinon ceux de l'environnement AWS)
+ *   S3_SECRET_ACCESS_KEY
+ *   S3_FORCE_PATH_STYLE   "true" pour les services qui n'acceptent pas les sous-domaines de bucket
+ *   S3_PREFIX             préfixe des clés, ex. "isbn-search/"
+ */
+
+const path = require('path');
+const { MemoryCoverStore } = require('./memory');
+const { FileSystemCoverStore } = require('./filesystem');
+const { S3CoverStore } = require('./s3');
+const { validateCover, resizeCover, COVER_SIZES, MAX_BYTES } = require('./images');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+/**
+ * Créer le stockage des couvertures correspondant à la configuration
+ */
+function createCoverStore(options = {}) {
+    const env = options.env || process.env;
+    const driver = (options.driver || env.COVER_STORAGE || 'filesystem').toLowerCase();
+
+    switch (driver) {
+        case 'filesystem':
+        case 'fs':
+            return new FileSystemCoverStore({
+                directory: options.directory || env.COVER_DIR || path.join(DATA_DIR, 'covers')
+            });
+        case 's3':
+            return new S3CoverStore({
+                bucket: env.S3_BUCKET,
+                region: env.S3_REGION,
+                endpoint: env.S3_ENDPOINT,
+                accessKeyId: env.S3_ACCESS_KEY_ID,
+                secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+                forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+                prefix: env.S3_PREFIX || ''
+            });
+        case 'memory':
+            return new MemoryCoverStore();
+        default:
+            throw new Error(`Pilote de stockage des couvertures inconnu: ${driver}`);
+    }
+}
+
+module.exports = {
+    createCoverStore,
+    validateCover,
+    resizeCover,
+    COVER_SIZES,
+    MAX_BYTES,
+    MemoryCoverStore,
+    FileSystemCoverStore,
+    S3CoverStore
+};
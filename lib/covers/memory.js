@@ -0,0 +1,41 @@
+/**
+ * Stockage des couvertures en mémoire (tests, serveur sans disque)
+ */
+
+class MemoryCoverStore {
+    constructor() {
+        this.driver = 'memory';
+        this.objects = new Map();
+    }
+
+    /**
+     * Initialiser le stockage
+     */
+    async init() {}
+
+    /**
+     * Enregistrer un fichier
+     */
+    async put(key, body, contentType) {
+        this.objects.set(key, { body, contentType, size: body.length, lastModified: new Date() });
+    }
+
+    /**
+     * Lire un fichier, ou null s'il n'existe pas
+     * @returns {Promise<{body: Buffer, contentType: string, size: number, lastModified: Date}|null>}
+     */
+    async get(key) {
+        return this.objects.get(key) || null;
+    }
+
+    /**
+     * Supprimer tous les fichiers dont la clé commence par `prefix`
+     */
+    async deletePrefix(prefix) {
+        for (const key of this.objects.keys()) {
+            if (key.startsWith(prefix)) this.objects.delete(key);
+        }
+    }
+}
+
+module.exports = { MemoryCoverStore };
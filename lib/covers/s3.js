@@ -0,0 +1,88 @@
+/**
+ * Stockage des couvertures dans un bucket compatible S3 (AWS, MinIO, Scaleway, R2...)
+ */
+
+class S3CoverStore {
+    constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) {
+        this.driver = 's3';
+        this.bucket = bucket;
+        this.prefix = prefix;
+        this.config = {
+            region: region || 'us-east-1',
+            endpoint: endpoint || undefined,
+            forcePathStyle: Boolean(forcePathStyle),
+            credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+        };
+        this.client = null;
+        this.commands = null;
+    }
+
+    /**
+     * Créer le client S3
+     */
+    async init() {
+        if (!this.bucket) {
+            throw new Error('S3_BUCKET est requis pour le stockage S3 des couvertures');
+        }
+
+        // Dépendance optionnelle : chargée uniquement si ce stockage est utilisé
+        const { S3Client, PutObjectCommand, GetObjectCommand, ListObjectsV2Command, DeleteObjectsCommand } = require('@aws-sdk/client-s3');
+        this.client = new S3Client(this.config);
+        this.commands = { PutObjectCommand, GetObjectCommand, ListObjectsV2Command, DeleteObjectsCommand };
+        console.log(`🖼️ Couvertures stockées dans le bucket S3 ${this.bucket}`);
+    }
+
+    /**
+     * Enregistrer un fichier
+     */
+    async put(key, body, contentType) {
+        await this.client.send(new this.commands.PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.prefix + key,
+            Body: body,
+            ContentType: contentType
+        }));
+    }
+
+    /**
+     * Lire un fichier, ou null s'il n'existe pas
+     */
+    async get(key) {
+        try {
+            const object = await this.client.send(new this.commands.GetObjectCommand({
+                Bucket: this.bucket,
+                Key: this.prefix + key
+            }));
+            return {
+                body: Buffer.from(await object.Body.transformToByteArray()),
+                contentType: object.ContentType,
+                size: object.ContentLength,
+                lastModified: object.LastModified
+            };
+        } catch (error) {
+            if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Supprimer tous les fichiers dont la clé commence par `prefix`
+     */
+    async deletePrefix(prefix) {
+        const listed = await this.client.send(new this.commands.ListObjectsV2Command({
+            Bucket: this.bucket,
+            Prefix: this.prefix + prefix
+        }));
+        const objects = (listed.Contents || []).map(object => ({ Key: object.Key }));
+        if (objects.length === 0) return;
+
+        await this.client.send(new this.commands.DeleteObjectsCommand({
+            Bucket: this.bucket,
+            Delete: { Objects: objects }
+        }));
+    }
+}
+
+module.exports = { S3CoverStore };
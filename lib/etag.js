@@ -0,0 +1,65 @@
+/**
+ * Versions des fiches (ETag) pour le contrôle de concurrence optimiste
+ *
+ * L'ETag d'un livre est une empreinte de son contenu : elle change à chaque écriture.
+ * Un client renvoie l'ETag de la version qu'il a modifiée dans `If-Match` ; si la fiche a changé
+ * entre-temps, l'écriture est refusée (412) au lieu d'écraser le travail d'un autre.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * JSON aux clés triées : la même fiche donne le même texte quel que soit le stockage
+ * (Postgres réordonne les clés des colonnes JSONB)
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * ETag (fort) d'un livre
+ */
+function bookETag(book) {
+    const hash = crypto.createHash('sha256').update(canonicalJson(book)).digest('base64url');
+    return `"${hash.slice(0, 27)}"`;
+}
+
+/**
+ * Valeurs d'un en-tête If-Match
+ * @returns {string[]|'*'|null} null si l'en-tête est absent
+ */
+function parseIfMatch(header) {
+    if (!header) return null;
+    if (header.trim() === '*') return '*';
+
+    // Comparaison forte : les ETags faibles (W/"...") ne correspondent jamais
+    return header.split(',').map(tag => tag.trim()).filter(tag => tag && !tag.startsWith('W/'));
+}
+
+/**
+ * La version actuelle d'un livre satisfait-elle l'en-tête If-Match ?
+ * @param {object|null} book - Fiche actuelle (null si elle n'existe pas)
+ */
+function ifMatchSatisfied(header, book) {
+    const tags = parseIfMatch(header);
+    if (tags === null) return true;
+    if (!book) return false;
+    return tags === '*' || tags.includes(bookETag(book));
+}
+
+module.exports = {
+    canonicalJson,
+    bookETag,
+    parseIfMatch,
+    ifMatchSatisfied
+};
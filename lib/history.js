@@ -0,0 +1,67 @@
+/**
+ * Historique des fiches : chaque création, modification, suppression ou restauration d'un livre
+ * ajoute une révision immuable (auteur, date, différences champ par champ et état complet après
+ * la modification, pour pouvoir y revenir).
+ */
+
+// Champs de service, qui changent à chaque écriture sans modifier le contenu de la fiche
+const IGNORED_FIELDS = ['isbn', 'createdAt', 'updatedAt', 'lastUpdated', 'createdBy', 'updatedBy', 'provenance', 'score'];
+
+/**
+ * Différences entre deux versions d'un livre
+ * @param {object|null} before - Version précédente (null pour une création)
+ * @param {object|null} after - Nouvelle version (null pour une suppression)
+ * @returns {Object<string, {from: *, to: *}>} Champs modifiés ; une valeur absente vaut null
+ */
+function diffBooks(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+
+        const from = before && before[field] !== undefined ? before[field] : null;
+        const to = after && after[field] !== undefined ? after[field] : null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Préparer une révision (le numéro `rev` est attribué par le stockage)
+ * @param {'create'|'update'|'delete'|'revert'} action
+ * @param {object} [options] - author (identifiant ou null pour le serveur), at, revertedTo,
+ *   reviewedBy (modérateur qui a accepté la suggestion)
+ * @returns {object|null} null si la modification ne change aucun champ
+ */
+function buildRevision(action, before, after, { author = null, at = new Date().toISOString(), revertedTo, reviewedBy } = {}) {
+    const changes = diffBooks(before, after);
+    if (action === 'update' && Object.keys(changes).length === 0) return null;
+
+    return {
+        action,
+        at,
+        author,
+        changes,
+        snapshot: after || null,
+        ...(revertedTo ? { revertedTo } : {}),
+        ...(reviewedBy ? { reviewedBy } : {})
+    };
+}
+
+/**
+ * Révision communicable sans l'état complet de la fiche
+ */
+function publicRevision(revision) {
+    const { snapshot, ...info } = revision;
+    return info;
+}
+
+module.exports = {
+    IGNORED_FIELDS,
+    diffBooks,
+    buildRevision,
+    publicRevision
+};
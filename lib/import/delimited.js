@@ -0,0 +1,86 @@
+/**
+ * Lecture des fichiers texte délimités (CSV, TSV)
+ * Gère les guillemets (séparateurs et retours à la ligne dans une cellule, "" pour un guillemet),
+ * le BOM et les fins de ligne Windows. Le séparateur est deviné d'après la première ligne.
+ */
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Deviner le séparateur : celui qui revient le plus souvent, hors guillemets, sur la première ligne
+ */
+function detectDelimiter(text) {
+    const counts = Object.fromEntries(DELIMITERS.map(delimiter => [delimiter, 0]));
+    let inQuotes = false;
+
+    for (const char of text) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!inQuotes && char in counts) {
+            counts[char]++;
+        }
+    }
+
+    const [best] = DELIMITERS.slice().sort((a, b) => counts[b] - counts[a]);
+    return counts[best] > 0 ? best : ',';
+}
+
+/**
+ * Découper un texte délimité en lignes de cellules
+ * @param {string} text
+ * @param {string} [delimiter] - Séparateur (deviné s'il n'est pas donné)
+ * @returns {string[][]} Lignes (les lignes vides sont ignorées)
+ */
+function parseDelimited(text, delimiter = detectDelimiter(text)) {
+    const input = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const endCell = () => {
+        row.push(cell);
+        cell = '';
+    };
+    const endRow = () => {
+        endCell();
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell.trim() === '') {
+            cell = '';
+            inQuotes = true;
+        } else if (char === delimiter) {
+            endCell();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) endRow();
+
+    return rows;
+}
+
+module.exports = {
+    DELIMITERS,
+    detectDelimiter,
+    parseDelimited
+};
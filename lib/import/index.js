@@ -0,0 +1,178 @@
+/**
+ * Import de tableaux de livres (CSV, TSV, XLSX), de notices MARC, de messages ONIX et d'exports
+ * de sites de lecture
+ *
+ * Le fichier est lu en lignes de cellules, dont la première donne les en-têtes (sauf si elle
+ * contient déjà un ISBN). Une correspondance colonnes -> champs (./mapping.js) transforme
+ * ensuite chaque ligne en livre ; le serveur en tire un rapport avant tout enregistrement.
+ */
+
+const { isbnToolkit } = require('../../public/js/isbn');
+const { parseDelimited } = require('./delimited');
+const { isZip, parseXlsx } = require('./xlsx');
+const mapping = require('./mapping');
+const readingSites = require('./reading-sites');
+const { isMarc, parseMarc } = require('../marc');
+const { isOnixFile, parseOnixFile } = require('../onix');
+
+const FORMATS = ['csv', 'tsv', 'xlsx'];
+
+/**
+ * Contenu d'un fichier envoyé en JSON : URL data: (base64) ou texte brut
+ */
+function decodeFile(file) {
+    const match = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s.exec(file);
+    if (!match) return Buffer.from(file, 'utf8');
+
+    const isBase64 = match[2].split(';').includes('base64');
+    return isBase64 ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]), 'utf8');
+}
+
+/**
+ * Texte d'un fichier : UTF-16 s'il commence par son BOM (« texte Unicode » d'Excel, export TSV
+ * de LibraryThing), UTF-8, ou Windows-1252 (CSV enregistrés par Excel) s'il n'est pas valide
+ */
+function decodeText(buffer) {
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder('utf-16le').decode(buffer);
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder('utf-16be').decode(buffer);
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        return new TextDecoder('windows-1252').decode(buffer);
+    }
+}
+
+/**
+ * Format d'un fichier d'après son contenu et son nom
+ */
+function detectFormat(buffer, filename = '') {
+    if (isZip(buffer)) return 'xlsx';
+    // Ancien format binaire d'Excel (conteneur OLE)
+    if (buffer.length > 4 && buffer.readUInt32BE(0) === 0xd0cf11e0) return 'xls';
+
+    const extension = (/\.([a-z0-9]+)$/i.exec(filename) || [])[1];
+    if (extension && ['xls', 'ods', 'numbers'].includes(extension.toLowerCase())) return extension.toLowerCase();
+    if (extension && extension.toLowerCase() === 'tsv') return 'tsv';
+    return 'csv';
+}
+
+/**
+ * Lire un tableau de livres
+ * @param {object} options
+ * @param {string} options.file - Fichier (URL data: ou texte)
+ * @param {string} [options.filename] - Nom du fichier, pour reconnaître son format
+ * @param {string} [options.delimiter] - Séparateur des fichiers texte (deviné sinon)
+ * @param {boolean} [options.header] - La première ligne contient-elle les en-têtes ? (devinée sinon)
+ * @returns {{valid: boolean, error?: string, format?: string, headers?: string[], hasHeader?: boolean,
+ *   rows?: Array<{line: number, cells: string[]}>}}
+ */
+function readTable({ file, filename, delimiter, header } = {}) {
+    if (typeof file !== 'string' || file.length === 0) {
+        return { valid: false, error: 'Fichier manquant (file : URL data: ou texte)' };
+    }
+
+    const buffer = decodeFile(file);
+    const format = detectFormat(buffer, filename);
+    if (!FORMATS.includes(format)) {
+        return { valid: false, error: `Format non pris en charge (.${format}) : enregistrez le tableau en XLSX ou en CSV` };
+    }
+
+    let cells;
+    try {
+        cells = format === 'xlsx'
+            ? parseXlsx(buffer)
+            : parseDelimited(decodeText(buffer), delimiter || (format === 'tsv' ? '\t' : undefined));
+    } catch (error) {
+        return { valid: false, error: `Fichier illisible : ${error.message}` };
+    }
+    if (cells.length === 0) {
+        return { valid: false, error: 'Le fichier ne contient aucune ligne' };
+    }
+
+    // Sans en-têtes, la première ligne contient déjà un livre (et donc un ISBN valide)
+    const hasHeader = header !== undefined
+        ? Boolean(header)
+        : !cells[0].some(cell => isbnToolkit.validate(mapping.cleanISBNCell(cell)).valid);
+
+    const width = Math.max(...cells.map(row => row.length));
+    const headers = Array.from({ length: width }, (_, i) =>
+        (hasHeader && String(cells[0][i] || '').trim()) || `Colonne ${i + 1}`);
+
+    // Numéros de ligne pour le rapport (à partir de 1, en-têtes compris, lignes vides omises)
+    const rows = cells
+        .map((row, i) => ({ line: i + 1, cells: row }))
+        .slice(hasHeader ? 1 : 0);
+
+    return { valid: true, format, headers, hasHeader, rows };
+}
+
+/**
+ * Correspondance proposée : d'après les en-têtes, ou, sans en-têtes, la colonne de l'ISBN
+ */
+function suggestMapping(table) {
+    if (table.hasHeader) return mapping.guessMapping(table.headers);
+
+    const [first] = table.rows;
+    const isbnColumn = first.cells.findIndex(cell => isbnToolkit.validate(mapping.cleanISBNCell(cell)).valid);
+    return isbnColumn >= 0 ? { isbn: isbnColumn } : {};
+}
+
+/**
+ * Lire un fichier de notices MARC (ISO 2709 ou MARCXML, MARC21 ou UNIMARC)
+ * @param {object} options
+ * @param {string} options.file - Fichier (URL data: ou texte)
+ * @returns {object|null} Voir parseMarc (../marc), ou null si le fichier ne contient pas de notices
+ */
+function readMarcFile({ file } = {}) {
+    if (typeof file !== 'string' || file.length === 0) return null;
+
+    const buffer = decodeFile(file);
+    return isMarc(buffer) ? parseMarc(buffer) : null;
+}
+
+/**
+ * Lire un message ONIX 3.0 (flux d'éditeur ou de distributeur)
+ * @param {object} options
+ * @param {string} options.file - Fichier (URL data: ou texte)
+ * @returns {object|null} Voir parseOnixFile (../onix), ou null si le fichier n'est pas un message ONIX
+ */
+function readOnixFile({ file } = {}) {
+    if (typeof file !== 'string' || file.length === 0) return null;
+
+    const buffer = decodeFile(file);
+    return isOnixFile(buffer) ? parseOnixFile(buffer) : null;
+}
+
+/**
+ * Lire l'export d'un site de lecture (Goodreads, LibraryThing, Babelio)
+ * @param {object} options
+ * @param {string} options.file - Fichier (URL data: ou texte)
+ * @param {string} [options.filename] - Nom du fichier, qui aide à reconnaître le site
+ * @param {string} [options.site] - Site d'origine (deviné sinon)
+ * @returns {object} Voir readReadingExport (./reading-sites.js)
+ */
+function readReadingFile({ file, filename, site } = {}) {
+    if (typeof file !== 'string' || file.length === 0) {
+        return { valid: false, error: 'Fichier manquant (file : URL data: ou texte)' };
+    }
+
+    const buffer = decodeFile(file);
+    if (isZip(buffer) || detectFormat(buffer, filename) === 'xls') {
+        return { valid: false, error: 'Envoyez l\'export tel que fourni par le site (CSV, TSV ou JSON)' };
+    }
+    return readingSites.readReadingExport(decodeText(buffer), { filename, site });
+}
+
+module.exports = {
+    FORMATS,
+    decodeFile,
+    decodeText,
+    detectFormat,
+    readTable,
+    suggestMapping,
+    readMarcFile,
+    readOnixFile,
+    readReadingFile,
+    ...mapping,
+    ...readingSites
+};
@@ -0,0 +1,129 @@
+/**
+ * Correspondance entre les colonnes d'un tableau et les champs d'un livre
+ *
+ * Une correspondance associe un champ à une colonne : { isbn: 0, title: 2, authors: "Auteur" }
+ * (index à partir de 0, ou nom d'en-tête). Elle est devinée d'après les en-têtes,
+ * puis confirmée ou corrigée par l'utilisateur avant l'import.
+ */
+
+const { normalizeBook } = require('../providers/schema');
+
+// Champs importables et noms de colonnes reconnus (comparés sans accents, casse ni ponctuation)
+const IMPORT_FIELDS = {
+    isbn: ['isbn', 'isbn13', 'isbn10', 'ean', 'ean13', 'codebarre', 'codebarres', 'gencod'],
+    title: ['titre', 'title', 'titredulivre', 'booktitle'],
+    subtitle: ['soustitre', 'subtitle'],
+    authors: ['auteur', 'auteurs', 'author', 'authors', 'ecrivain', 'writer'],
+    publisher: ['editeur', 'edition', 'editions', 'publisher', 'maisondedition'],
+    publishedDate: ['date', 'annee', 'anneedepublication', 'datedepublication', 'dateparution', 'parution',
+        'publicationdate', 'publisheddate', 'published', 'year', 'yearpublished'],
+    pageCount: ['pages', 'nombredepages', 'nbpages', 'nbdepages', 'pagecount', 'numberofpages'],
+    language: ['langue', 'language', 'lang'],
+    description: ['description', 'resume', 'summary', 'quatriemedecouverture'],
+    categories: ['categorie', 'categories', 'genre', 'genres', 'sujet', 'sujets', 'subjects', 'tags']
+};
+
+// Séparateurs des champs à plusieurs valeurs ("Goscinny ; Uderzo")
+const LIST_SEPARATORS = {
+    authors: /\s*(?:;|\||\s&\s)\s*/,
+    categories: /\s*[;,|]\s*/
+};
+
+/**
+ * Forme comparable d'un en-tête : sans accents, casse, espaces ni ponctuation
+ */
+function headerKey(header) {
+    return String(header || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Deviner la correspondance d'après les en-têtes
+ * @param {string[]} headers
+ * @returns {Object<string, number>} Champ -> index de colonne (champs reconnus seulement)
+ */
+function guessMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+    const keys = headers.map(headerKey);
+
+    for (const [field, names] of Object.entries(IMPORT_FIELDS)) {
+        const index = keys.findIndex((key, i) => !used.has(i) && names.includes(key));
+        if (index >= 0) {
+            mapping[field] = index;
+            used.add(index);
+        }
+    }
+    return mapping;
+}
+
+/**
+ * Valider une correspondance et la ramener à des index de colonnes
+ * @returns {{valid: boolean, error?: string, mapping?: Object<string, number>}}
+ */
+function resolveMapping(mapping, headers) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return { valid: false, error: 'La correspondance doit être un objet { champ: colonne }' };
+    }
+
+    const resolved = {};
+    for (const [field, column] of Object.entries(mapping)) {
+        if (column === null || column === undefined || column === '') continue;
+        if (!IMPORT_FIELDS[field]) {
+            return { valid: false, error: `Champ inconnu : ${field} (attendu : ${Object.keys(IMPORT_FIELDS).join(', ')})` };
+        }
+
+        const index = typeof column === 'number' ? column : headers.indexOf(String(column));
+        if (!Number.isInteger(index) || index < 0 || index >= headers.length) {
+            return { valid: false, error: `Colonne introuvable pour ${field} : ${column}` };
+        }
+        resolved[field] = index;
+    }
+
+    if (resolved.isbn === undefined) {
+        return { valid: false, error: 'Indiquez la colonne qui contient l\'ISBN' };
+    }
+    return { valid: true, mapping: resolved };
+}
+
+/**
+ * ISBN d'une cellule : formules d'export (="978...") et mentions ("ISBN : ...") retirées
+ */
+function cleanISBNCell(value) {
+    return String(value || '')
+        .replace(/^=?"?|"$/g, '')
+        .replace(/^\s*ISBN(?:-1[03])?\s*:?\s*/i, '')
+        .trim();
+}
+
+/**
+ * Convertir une ligne en livre d'après la correspondance
+ * @returns {{isbn: string, book: object}} ISBN tel que saisi et champs renseignés (schéma commun)
+ */
+function mapRow(cells, mapping) {
+    const partial = {};
+    for (const [field, index] of Object.entries(mapping)) {
+        if (field === 'isbn') continue;
+
+        const value = String(cells[index] || '').trim();
+        if (!value) continue;
+        partial[field] = LIST_SEPARATORS[field] ? value.split(LIST_SEPARATORS[field]) : value;
+    }
+
+    return {
+        isbn: cleanISBNCell(cells[mapping.isbn]),
+        book: normalizeBook(partial)
+    };
+}
+
+module.exports = {
+    IMPORT_FIELDS,
+    headerKey,
+    guessMapping,
+    resolveMapping,
+    cleanISBNCell,
+    mapRow
+};
@@ -0,0 +1,364 @@
+/**
+ * Import des exports de sites de lecture (Goodreads, LibraryThing, Babelio)
+ *
+ * Chaque ligne d'un export devient une entrée { line, isbn, book, personal } : `book` ne contient
+ * que les données bibliographiques (schéma commun), `personal` les données de lecture du membre
+ * (statut, note, dates, critique, étagères devenues étiquettes), qui restent dans sa base locale.
+ */
+
+const { isbnToolkit } = require('../../public/js/isbn');
+const { normalizeBook } = require('../providers/schema');
+const { parseDelimited } = require('./delimited');
+const { headerKey, cleanISBNCell } = require('./mapping');
+
+// Statuts de lecture communs aux trois sites
+const READING_STATUSES = ['read', 'reading', 'to-read', 'abandoned'];
+
+// Étagères exclusives de Goodreads (une seule par livre)
+const GOODREADS_SHELVES = {
+    'read': 'read',
+    'currently-reading': 'reading',
+    'to-read': 'to-read',
+    'did-not-finish': 'abandoned',
+    'dnf': 'abandoned',
+    'abandoned': 'abandoned'
+};
+
+// Collections de LibraryThing qui donnent un statut (comparées sans casse ni ponctuation)
+const LIBRARYTHING_COLLECTIONS = {
+    currentlyreading: 'reading',
+    encoursdelecture: 'reading',
+    toread: 'to-read',
+    alire: 'to-read',
+    readbutunowned: 'read',
+    lumaispaspossede: 'read'
+};
+
+// Collection par défaut de LibraryThing, qui n'apporte rien comme étiquette
+const LIBRARYTHING_DEFAULT_COLLECTIONS = ['yourlibrary', 'votrebibliotheque'];
+
+// Statuts de Babelio
+const BABELIO_STATUSES = {
+    lu: 'read',
+    encours: 'reading',
+    encoursdelecture: 'reading',
+    alire: 'to-read',
+    pensebete: 'to-read',
+    abandonne: 'abandoned'
+};
+
+/**
+ * Découper une liste ("fantasy, favorites")
+ */
+function splitList(value, separator = /\s*,\s*/) {
+    return String(value || '').split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * "Collins, Suzanne" -> "Suzanne Collins" (forme « Nom, Prénom » de LibraryThing)
+ */
+function invertName(name) {
+    const parts = String(name || '').split(',').map(part => part.trim());
+    return parts.length === 2 && parts[0] && parts[1] ? `${parts[1]} ${parts[0]}` : String(name || '').trim();
+}
+
+/**
+ * Date du jour (AAAA-MM-JJ) : formats AAAA/MM/JJ, AAAA-MM-JJ ou JJ/MM/AAAA
+ */
+function parseDay(value) {
+    const text = String(value || '').trim();
+    const iso = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(text);
+    const french = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/.exec(text);
+    const [year, month, day] = iso ? [iso[1], iso[2], iso[3]] : french ? [french[3], french[2], french[1]] : [];
+    if (!year) return null;
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    return date.getUTCMonth() === Number(month) - 1 ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Note sur 5 ("4", "3,5"...) ; 0 signifie « pas de note » sur les trois sites
+ */
+function parseRating(value) {
+    const rating = parseFloat(String(value || '').replace(',', '.'));
+    return rating > 0 ? Math.min(rating, 5) : null;
+}
+
+/**
+ * Nombre entier positif ou null
+ */
+function parseCount(value) {
+    const count = parseInt(value, 10);
+    return count > 0 ? count : null;
+}
+
+/**
+ * Texte d'une critique exportée en HTML (Goodreads) : sauts de ligne gardés, balises retirées
+ */
+function cleanReview(value) {
+    const text = String(value || '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .trim();
+    return text || null;
+}
+
+/**
+ * Éditeur d'une mention de publication LibraryThing ("Scholastic Press (2008), Edition: 1, 374 pages")
+ */
+function publisherOf(publication) {
+    const publisher = String(publication || '').split(/\s*[(,]/)[0].trim();
+    return publisher || null;
+}
+
+/**
+ * Titre sans la mention de série ajoutée par Goodreads ("Catching Fire (The Hunger Games, #2)")
+ */
+function stripSeries(title) {
+    return String(title || '').replace(/\s*\([^()]*#\d+(?:\.\d+)?\)\s*$/, '');
+}
+
+/**
+ * Sites reconnus : libellé, reconnaissance d'après les en-têtes, conversion d'une ligne
+ * `get(...noms)` donne la première cellule non vide parmi les colonnes nommées (forme de headerKey).
+ */
+const READING_SITES = {
+    goodreads: {
+        label: 'Goodreads',
+        detect: keys => keys.includes('exclusiveshelf') || (keys.includes('bookshelves') && keys.includes('myrating')),
+        toEntry(get) {
+            const exclusive = get('exclusiveshelf');
+            const status = GOODREADS_SHELVES[exclusive] || null;
+            // Une étagère exclusive personnalisée reste une étiquette
+            const shelves = [...splitList(get('bookshelves')), ...(status || !exclusive ? [] : [exclusive])]
+                .filter(shelf => !GOODREADS_SHELVES[shelf]);
+
+            return {
+                isbns: [get('isbn13'), get('isbn')],
+                book: {
+                    title: stripSeries(get('title')),
+                    authors: [get('author'), ...splitList(get('additionalauthors'))],
+                    publisher: get('publisher'),
+                    publishedDate: get('yearpublished', 'originalpublicationyear'),
+                    pageCount: get('numberofpages')
+                },
+                personal: {
+                    status,
+                    rating: parseRating(get('myrating')),
+                    tags: shelves,
+                    dateRead: parseDay(get('dateread')),
+                    dateAdded: parseDay(get('dateadded')),
+                    review: cleanReview(get('myreview')),
+                    notes: get('privatenotes'),
+                    readCount: parseCount(get('readcount'))
+                }
+            };
+        }
+    },
+    librarything: {
+        label: 'LibraryThing',
+        detect: keys => keys.includes('primaryauthor'),
+        toEntry(get) {
+            const collections = splitList(get('collections'));
+            const statuses = collections.map(collection => LIBRARYTHING_COLLECTIONS[headerKey(collection)]).filter(Boolean);
+            const dateRead = parseDay(get('dateread'));
+            const tags = [
+                ...splitList(get('tags')),
+                ...collections.filter(collection => {
+                    const key = headerKey(collection);
+                    return !LIBRARYTHING_COLLECTIONS[key] && !LIBRARYTHING_DEFAULT_COLLECTIONS.includes(key);
+                })
+            ];
+
+            return {
+                // "[0439023483]" dans la colonne ISBN, toutes les éditions dans ISBNs
+                isbns: [get('isbn'), ...splitList(get('isbns'))],
+                book: {
+                    title: get('title'),
+                    authors: [get('primaryauthor'), ...splitList(get('secondaryauthor'), /\s*\|\s*/)].map(invertName),
+                    publisher: publisherOf(get('publication')),
+                    publishedDate: get('date'),
+                    pageCount: get('pagecount', 'pages'),
+                    language: splitList(get('languages', 'language'))[0]
+                },
+                personal: {
+                    status: statuses[0] || (dateRead ? 'read' : null),
+                    rating: parseRating(get('rating')),
+                    tags,
+                    dateRead,
+                    dateStarted: parseDay(get('datestarted')),
+                    dateAdded: parseDay(get('entrydate', 'acquired')),
+                    review: cleanReview(get('review')),
+                    notes: get('privatecomment', 'comment')
+                }
+            };
+        }
+    },
+    babelio: {
+        label: 'Babelio',
+        detect: keys => keys.includes('titre') && keys.includes('statut'),
+        toEntry(get) {
+            const status = BABELIO_STATUSES[headerKey(get('statut'))] || null;
+            const publishedDate = get('datedepublication', 'dateparution', 'datededition', 'annee');
+            return {
+                isbns: [get('isbn', 'ean')],
+                book: {
+                    title: get('titre'),
+                    authors: splitList(get('auteur', 'auteurs'), /\s*[;,]\s*/),
+                    publisher: get('editeur', 'edition'),
+                    publishedDate: parseDay(publishedDate) || publishedDate,
+                    pageCount: get('pages', 'nombredepages')
+                },
+                personal: {
+                    status,
+                    rating: parseRating(get('note')),
+                    tags: splitList(get('etiquettes', 'tags', 'etageres')),
+                    dateRead: parseDay(get('datedelecture', 'datedefindelecture', 'luele')),
+                    dateStarted: parseDay(get('datededebutdelecture')),
+                    dateAdded: parseDay(get('datedajout', 'ajoutele')),
+                    review: cleanReview(get('critique')),
+                    notes: get('commentaire', 'notes')
+                }
+            };
+        }
+    }
+};
+
+/**
+ * Reconnaître le site d'un export d'après ses en-têtes (ou, à défaut, le nom du fichier)
+ * @returns {string|null}
+ */
+function detectReadingSite(keys, filename = '') {
+    const byHeaders = Object.keys(READING_SITES).find(site => READING_SITES[site].detect(keys));
+    if (byHeaders) return byHeaders;
+
+    const name = String(filename).toLowerCase();
+    return Object.keys(READING_SITES).find(site => name.includes(site)) || null;
+}
+
+/**
+ * Export JSON de LibraryThing : { id: livre } ramené aux colonnes de l'export TSV
+ */
+function libraryThingRows(data) {
+    const join = (value, separator = ', ') => {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'object') return Object.values(value).filter(Boolean).join(separator);
+        return String(value);
+    };
+
+    return Object.values(data).filter(book => book && typeof book === 'object').map(book => {
+        const authors = Array.isArray(book.authors) ? book.authors : [];
+        return {
+            title: join(book.title),
+            primaryauthor: join(book.primaryauthor) || (authors[0] ? join(authors[0].lf || authors[0].fl) : ''),
+            secondaryauthor: authors.slice(1).map(author => join(author.lf || author.fl)).join('|'),
+            publication: join(book.publication),
+            date: join(book.date),
+            pages: join(book.pages),
+            languages: join(book.language),
+            isbn: join(book.originalisbn),
+            isbns: [join(book.isbn), join(book.ean)].filter(Boolean).join(', '),
+            tags: join(book.tags),
+            collections: join(book.collections),
+            rating: join(book.rating),
+            review: join(book.review),
+            privatecomment: join(book.privatecomment),
+            comment: join(book.comment),
+            entrydate: join(book.entrydate),
+            datestarted: join(book.datestarted),
+            dateread: join(book.dateread)
+        };
+    });
+}
+
+/**
+ * Données de lecture sans les valeurs vides
+ */
+function compactPersonal(personal) {
+    return Object.fromEntries(Object.entries(personal).filter(([key, value]) =>
+        key === 'tags' || (value !== null && value !== undefined && value !== '')
+    ).map(([key, value]) => [key, key === 'tags' ? [...new Set(value)] : value]));
+}
+
+/**
+ * ISBN d'une entrée : le premier candidat valide, sinon le premier renseigné (signalé invalide)
+ */
+function pickISBN(candidates) {
+    const clean = candidates.map(value => cleanISBNCell(value).replace(/^\[|\]$/g, '').trim()).filter(Boolean);
+    return clean.find(isbn => isbnToolkit.validate(isbn).valid) || clean[0] || null;
+}
+
+/**
+ * Lire l'export d'un site de lecture
+ * @param {string} text - Contenu du fichier (CSV, TSV ou JSON pour LibraryThing)
+ * @param {object} [options]
+ * @param {string} [options.filename] - Nom du fichier, qui aide à reconnaître le site
+ * @param {string} [options.site] - goodreads, librarything ou babelio (deviné sinon)
+ * @returns {{valid: boolean, error?: string, site?: string, label?: string,
+ *   rows?: Array<{line: number, isbn: string|null, book: object, personal: object}>}}
+ */
+function readReadingExport(text, { filename, site } = {}) {
+    if (site && !READING_SITES[site]) {
+        return { valid: false, error: `Site inconnu : ${site} (attendu : ${Object.keys(READING_SITES).join(', ')})` };
+    }
+
+    const content = text.replace(/^\uFEFF/, '').trim();
+    const isJSON = /^[[{]/.test(content);
+    let records;
+
+    if (isJSON) {
+        // Seul LibraryThing propose un export JSON
+        if (site && site !== 'librarything') {
+            return { valid: false, error: `Export JSON non pris en charge pour ${READING_SITES[site].label}` };
+        }
+        try {
+            records = libraryThingRows(JSON.parse(content));
+        } catch (error) {
+            return { valid: false, error: `JSON illisible : ${error.message}` };
+        }
+        site = 'librarything';
+    } else {
+        const [header = [], ...rows] = parseDelimited(content);
+        const keys = header.map(headerKey);
+        site = site || detectReadingSite(keys, filename);
+        if (!site) {
+            return {
+                valid: false,
+                error: 'Export non reconnu : choisissez le site (Goodreads, LibraryThing ou Babelio)'
+            };
+        }
+        records = rows.map(cells => Object.fromEntries(keys.map((key, i) => [key, cells[i] || ''])));
+    }
+
+    const { label, toEntry } = READING_SITES[site];
+    const entries = records.map((record, i) => {
+        const get = (...names) => {
+            const name = names.find(key => String(record[key] || '').trim() !== '');
+            return name ? String(record[name]).trim() : null;
+        };
+        const { isbns, book, personal } = toEntry(get);
+        return {
+            // Numéros de ligne du fichier (en-têtes compris) ; rang du livre pour le JSON
+            line: i + (isJSON ? 1 : 2),
+            isbn: pickISBN(isbns),
+            book: normalizeBook(book),
+            personal: compactPersonal(personal)
+        };
+    });
+
+    return { valid: true, site, label, rows: entries };
+}
+
+module.exports = {
+    READING_SITES,
+    READING_STATUSES,
+    detectReadingSite,
+    parseDay,
+    parseRating,
+    readReadingExport
+};
@@ -0,0 +1,179 @@
+/**
+ * Lecture des classeurs Excel (XLSX)
+ * Un fichier XLSX est une archive ZIP de fichiers XML : on lit l'annuaire central de l'archive,
+ * décompresse les entrées utiles (zlib) et convertit la première feuille en lignes de cellules (texte).
+ */
+
+const zlib = require('zlib');
+const { XMLParser } = require('fast-xml-parser');
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    trimValues: false
+});
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Toujours obtenir un tableau (le parseur renvoie un objet seul s'il n'y a qu'un élément)
+ */
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Le contenu ressemble-t-il à une archive ZIP (et donc à un XLSX) ?
+ */
+function isZip(buffer) {
+    return buffer.length > 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+/**
+ * Lire les entrées d'une archive ZIP
+ * @returns {Map<string, Buffer>} Nom -> contenu décompressé
+ */
+function readZip(buffer) {
+    // L'annuaire central se trouve à la fin, après un commentaire éventuel (64 Ko au plus)
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+        if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('Archive ZIP illisible');
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const entries = new Map();
+
+    for (let n = 0; n < count; n++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error('Archive ZIP illisible');
+        }
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        // Les tailles de l'en-tête local peuvent être nulles : celles de l'annuaire font foi
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            entries.set(name, data);
+        } else if (method === 8) {
+            entries.set(name, zlib.inflateRawSync(data));
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Texte d'un élément de chaîne (<si>, <is>) : texte simple ou suite de portions mises en forme
+ */
+function richText(node) {
+    if (!node) return '';
+    if (node.t !== undefined) return textOf(node.t);
+    return asArray(node.r).map(run => textOf(run.t)).join('');
+}
+
+/**
+ * Texte d'un nœud (les espaces préservés donnent un objet { '#text', '@_space' })
+ */
+function textOf(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'object') return String(value);
+    return value['#text'] !== undefined ? String(value['#text']) : '';
+}
+
+/**
+ * Index (à partir de 0) de la colonne d'une référence de cellule ("C12" -> 2)
+ */
+function columnIndex(ref) {
+    const letters = /^[A-Z]+/.exec(ref || '');
+    if (!letters) return null;
+    return [...letters[0]].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Chemin de la première feuille du classeur
+ */
+function firstSheetPath(entries) {
+    const workbook = entries.get('xl/workbook.xml');
+    const rels = entries.get('xl/_rels/workbook.xml.rels');
+    if (workbook && rels) {
+        const { sheets } = parser.parse(workbook.toString('utf8')).workbook || {};
+        const [sheet] = asArray(sheets && sheets.sheet);
+        const relations = asArray((parser.parse(rels.toString('utf8')).Relationships || {}).Relationship);
+        const relation = sheet && relations.find(rel => rel['@_Id'] === sheet['@_id']);
+        if (relation) {
+            const target = relation['@_Target'].replace(/^\//, '');
+            return target.startsWith('xl/') ? target : `xl/${target}`;
+        }
+    }
+    return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Lire la première feuille d'un classeur XLSX
+ * @param {Buffer} buffer - Contenu du fichier
+ * @returns {string[][]} Lignes de cellules (les lignes vides sont ignorées)
+ */
+function parseXlsx(buffer) {
+    const entries = readZip(buffer);
+    const sheetXml = entries.get(firstSheetPath(entries));
+    if (!sheetXml) throw new Error('Aucune feuille trouvée dans le classeur');
+
+    const sharedXml = entries.get('xl/sharedStrings.xml');
+    const sharedStrings = sharedXml
+        ? asArray((parser.parse(sharedXml.toString('utf8')).sst || {}).si).map(richText)
+        : [];
+
+    const { sheetData } = parser.parse(sheetXml.toString('utf8')).worksheet || {};
+    const rows = [];
+
+    for (const row of asArray(sheetData && sheetData.row)) {
+        const cells = [];
+        asArray(row.c).forEach((cell, position) => {
+            const ref = columnIndex(cell['@_r']);
+            const index = ref !== null ? ref : position;
+            const value = textOf(cell.v);
+            switch (cell['@_t']) {
+                case 's':
+                    cells[index] = sharedStrings[parseInt(value, 10)] || '';
+                    break;
+                case 'inlineStr':
+                    cells[index] = richText(cell.is);
+                    break;
+                case 'b':
+                    cells[index] = value === '1' ? 'TRUE' : 'FALSE';
+                    break;
+                default:
+                    cells[index] = value;
+            }
+        });
+
+        const values = Array.from(cells, value => value || '');
+        if (values.some(value => value.trim() !== '')) rows.push(values);
+    }
+
+    return rows;
+}
+
+module.exports = {
+    isZip,
+    readZip,
+    parseXlsx
+};
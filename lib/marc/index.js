@@ -0,0 +1,95 @@
+/**
+ * Notices MARC des livres du catalogue : MARC21 et UNIMARC, en ISO 2709 (.mrc) ou en MARCXML
+ *
+ * Chaque variante (./marc21.js, ./unimarc.js) traduit le schéma commun des livres en notice
+ * (./record.js) et inversement ; l'encodage de la notice (./iso2709.js, ./marcxml.js) est commun.
+ */
+
+const { toMarc21, fromMarc21 } = require('./marc21');
+const { toUnimarc, fromUnimarc } = require('./unimarc');
+const { encodeRecords, decodeRecords, isIso2709 } = require('./iso2709');
+const { toMarcXml, parseMarcXml, isMarcXml } = require('./marcxml');
+const { fieldsOf } = require('./record');
+
+const FLAVORS = {
+    marc21: { toRecord: toMarc21, fromRecord: fromMarc21 },
+    unimarc: { toRecord: toUnimarc, fromRecord: fromUnimarc }
+};
+
+// Formats d'export : variante, encodage, type de contenu et extension du fichier
+const MARC_FORMATS = {
+    marc21: { label: 'MARC21', flavor: 'marc21', encoding: 'iso2709', contentType: 'application/marc', extension: 'mrc' },
+    marcxml: { label: 'MARCXML', flavor: 'marc21', encoding: 'xml', contentType: 'application/marcxml+xml', extension: 'xml' },
+    unimarc: { label: 'UNIMARC', flavor: 'unimarc', encoding: 'iso2709', contentType: 'application/marc', extension: 'mrc' },
+    unimarcxml: { label: 'UNIMARC (XML)', flavor: 'unimarc', encoding: 'xml', contentType: 'application/xml', extension: 'xml' }
+};
+
+/**
+ * Notices d'une liste de livres dans un format d'export
+ * @param {Array<{isbn: string, book: object}>} books
+ * @param {string} format - Clé de MARC_FORMATS
+ * @returns {Buffer|string} Octets ISO 2709 ou document XML
+ */
+function serializeBooks(books, format) {
+    const { flavor, encoding } = MARC_FORMATS[format];
+    const records = books.map(({ isbn, book }) => FLAVORS[flavor].toRecord(isbn, book));
+    return encoding === 'xml' ? toMarcXml(records) : encodeRecords(records);
+}
+
+/**
+ * Le fichier contient-il des notices MARC ?
+ */
+function isMarc(buffer) {
+    if (isIso2709(buffer)) return true;
+    const start = buffer.subarray(0, 4096).toString('utf8').replace(/^\uFEFF/, '');
+    return isMarcXml(start);
+}
+
+/**
+ * Variante d'une notice : le titre est en 245 en MARC21 et en 200 en UNIMARC
+ */
+function detectFlavor(record) {
+    if (fieldsOf(record, '245').length > 0) return 'marc21';
+    if (fieldsOf(record, '200').length > 0) return 'unimarc';
+    return 'marc21';
+}
+
+/**
+ * Lire les livres d'un fichier de notices (ISO 2709 ou MARCXML, MARC21 ou UNIMARC)
+ * @param {Buffer} buffer
+ * @returns {{valid: boolean, error?: string, format?: string,
+ *   rows?: Array<{line: number, isbn: string|null, book: object}>}} `line` est le rang de la notice
+ */
+function parseMarc(buffer) {
+    const xml = !isIso2709(buffer);
+
+    let records;
+    try {
+        records = xml
+            ? parseMarcXml(buffer.toString('utf8').replace(/^\uFEFF/, ''))
+            : decodeRecords(buffer);
+    } catch (error) {
+        return { valid: false, error: `Fichier MARC illisible : ${error.message}` };
+    }
+    if (records.length === 0) {
+        return { valid: false, error: 'Le fichier ne contient aucune notice' };
+    }
+
+    const flavor = detectFlavor(records[0]);
+    const format = Object.keys(MARC_FORMATS).find(key =>
+        MARC_FORMATS[key].flavor === flavor && (MARC_FORMATS[key].encoding === 'xml') === xml);
+
+    const rows = records.map((record, i) => ({
+        line: i + 1,
+        ...FLAVORS[detectFlavor(record)].fromRecord(record)
+    }));
+
+    return { valid: true, format, rows };
+}
+
+module.exports = {
+    MARC_FORMATS,
+    serializeBooks,
+    isMarc,
+    parseMarc
+};
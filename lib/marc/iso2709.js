@@ -0,0 +1,162 @@
+/**
+ * Format d'échange ISO 2709 (fichiers .mrc) : un guide de 24 caractères, un répertoire
+ * (étiquette, longueur et position de chaque zone), puis les zones séparées par des terminateurs.
+ * Les longueurs et positions sont comptées en octets ; les notices sont écrites en UTF-8.
+ */
+
+const { isControlTag } = require('./record');
+
+const SUBFIELD_DELIMITER = 0x1f;
+const FIELD_TERMINATOR = 0x1e;
+const RECORD_TERMINATOR = 0x1d;
+
+/**
+ * Octets d'une zone, terminateur compris
+ */
+function encodeField(field) {
+    if (isControlTag(field.tag)) {
+        return Buffer.concat([Buffer.from(field.value, 'utf8'), Buffer.from([FIELD_TERMINATOR])]);
+    }
+
+    const parts = [Buffer.from(`${field.ind1 || ' '}${field.ind2 || ' '}`, 'utf8')];
+    for (const { code, value } of field.subfields) {
+        parts.push(Buffer.from([SUBFIELD_DELIMITER]), Buffer.from(`${code}${value}`, 'utf8'));
+    }
+    parts.push(Buffer.from([FIELD_TERMINATOR]));
+    return Buffer.concat(parts);
+}
+
+/**
+ * Écrire une notice
+ * Le guide de la notice fournit les positions fixes ; la longueur et l'adresse de base sont calculées.
+ * @returns {Buffer}
+ */
+function encodeRecord(record) {
+    const data = record.fields.map(encodeField);
+
+    let start = 0;
+    const entries = record.fields.map((field, i) => {
+        if (data[i].length > 9999) throw new Error(`Zone ${field.tag} trop longue pour ISO 2709`);
+        const entry = `${field.tag}${String(data[i].length).padStart(4, '0')}${String(start).padStart(5, '0')}`;
+        start += data[i].length;
+        return entry;
+    });
+    const directory = Buffer.from(`${entries.join('')}\u001e`, 'ascii');
+
+    const base = 24 + directory.length;
+    const length = base + start + 1;
+    if (length > 99999) throw new Error('Notice trop longue pour ISO 2709');
+
+    const leader = String(length).padStart(5, '0') + record.leader.slice(5, 12)
+        + String(base).padStart(5, '0') + record.leader.slice(17, 24);
+    return Buffer.concat([Buffer.from(leader, 'ascii'), directory, ...data, Buffer.from([RECORD_TERMINATOR])]);
+}
+
+/**
+ * Écrire plusieurs notices à la suite
+ * @returns {Buffer}
+ */
+function encodeRecords(records) {
+    return Buffer.concat(records.map(encodeRecord));
+}
+
+/**
+ * Texte d'une valeur : UTF-8, ou Windows-1252 pour les notices anciennes qui ne sont pas en Unicode
+ */
+function decodeBytes(bytes) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+        return new TextDecoder('windows-1252').decode(bytes);
+    }
+}
+
+/**
+ * Lire une notice
+ */
+function decodeRecord(data) {
+    const leader = data.toString('latin1', 0, 24);
+    const base = parseInt(leader.slice(12, 17), 10);
+    if (!(base > 24)) throw new Error('adresse de base illisible');
+
+    const fields = [];
+    for (let position = 24; position + 12 <= base && data[position] !== FIELD_TERMINATOR; position += 12) {
+        const entry = data.toString('latin1', position, position + 12);
+        const tag = entry.slice(0, 3);
+        const length = parseInt(entry.slice(3, 7), 10);
+        const start = parseInt(entry.slice(7, 12), 10);
+
+        let bytes = data.subarray(base + start, base + start + length);
+        if (bytes[bytes.length - 1] === FIELD_TERMINATOR) bytes = bytes.subarray(0, -1);
+
+        if (isControlTag(tag)) {
+            fields.push({ tag, value: decodeBytes(bytes) });
+            continue;
+        }
+
+        const subfields = [];
+        let from = bytes.indexOf(SUBFIELD_DELIMITER);
+        while (from >= 0) {
+            const to = bytes.indexOf(SUBFIELD_DELIMITER, from + 1);
+            const part = bytes.subarray(from + 1, to >= 0 ? to : bytes.length);
+            if (part.length > 0) {
+                subfields.push({ code: String.fromCharCode(part[0]), value: decodeBytes(part.subarray(1)) });
+            }
+            from = to;
+        }
+        fields.push({
+            tag,
+            ind1: bytes.length > 0 ? String.fromCharCode(bytes[0]) : ' ',
+            ind2: bytes.length > 1 ? String.fromCharCode(bytes[1]) : ' ',
+            subfields
+        });
+    }
+
+    return { leader, fields };
+}
+
+/**
+ * Le contenu ressemble-t-il à un fichier ISO 2709 ?
+ */
+function isIso2709(buffer) {
+    if (buffer.length < 25) return false;
+    const leader = buffer.toString('latin1', 0, 24);
+    return /^\d{5}/.test(leader) && /^\d{5}$/.test(leader.slice(12, 17)) && buffer.includes(RECORD_TERMINATOR);
+}
+
+/**
+ * Lire toutes les notices d'un fichier ISO 2709
+ * @returns {Array<object>} Notices (voir ./record.js)
+ */
+function decodeRecords(buffer) {
+    const records = [];
+    let offset = 0;
+
+    while (offset < buffer.length) {
+        // Certains fichiers mettent un saut de ligne entre les notices
+        if ([0x0a, 0x0d, 0x20].includes(buffer[offset])) {
+            offset++;
+            continue;
+        }
+
+        const length = parseInt(buffer.toString('latin1', offset, offset + 5), 10);
+        if (!(length > 24) || offset + length > buffer.length) {
+            throw new Error(`Notice ${records.length + 1} : longueur illisible ou notice tronquée`);
+        }
+        try {
+            records.push(decodeRecord(buffer.subarray(offset, offset + length)));
+        } catch (error) {
+            throw new Error(`Notice ${records.length + 1} : ${error.message}`);
+        }
+        offset += length;
+    }
+
+    return records;
+}
+
+module.exports = {
+    encodeRecord,
+    encodeRecords,
+    decodeRecords,
+    isIso2709
+};
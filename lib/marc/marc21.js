@@ -0,0 +1,104 @@
+/**
+ * Correspondance entre le schéma commun des livres et MARC21 (notices bibliographiques)
+ *
+ *   001 ISBN (numéro de contrôle)       020 $a ISBN (un par identifiant)
+ *   005 date de dernière modification   008 année de publication et langue
+ *   100 $a premier auteur (Nom, Prénom)  700 $a autres auteurs
+ *   245 $a titre $b sous-titre           264 $b éditeur $c date (260 lu aussi)
+ *   300 $a pagination                    520 $a résumé
+ *   653 $a catégories (650 lu aussi)     041 $a langue (lu si 008 n'en donne pas)
+ */
+
+const { normalizeBook, buildIdentifiers } = require('../providers/schema');
+const {
+    controlField,
+    dataField,
+    controlValue,
+    fieldsOf,
+    subfieldValues,
+    subfieldOf,
+    noteChunks,
+    noteText,
+    cleanDate,
+    splitName,
+    joinName,
+    marcLanguage,
+    transactionDate
+} = require('./record');
+
+// Guide : notice nouvelle (n), texte imprimé (a), monographie (m), Unicode (a), niveau minimal (7)
+const LEADER = '00000nam a22000007  4500';
+
+/**
+ * Zone 008 (40 positions) : date de création, année de publication, langue
+ */
+function fixedData(book, createdAt) {
+    const entered = new Date(createdAt || Date.now()).toISOString().slice(2, 10).replace(/-/g, '');
+    const year = (/\d{4}/.exec(book.publishedDate || '') || [])[0];
+    return `${entered}${year ? 's' : 'n'}${year || 'uuuu'}    xx ${' '.repeat(17)}${marcLanguage(book.language)} d`;
+}
+
+/**
+ * Notice MARC21 d'un livre
+ * @param {string} isbn - ISBN-13 du livre (numéro de contrôle)
+ * @param {object} book - Livre au schéma commun (avec createdAt/updatedAt éventuels)
+ */
+function toMarc21(isbn, book) {
+    const [firstAuthor, ...otherAuthors] = book.authors || [];
+    const invert = (name) => {
+        const [last, first] = splitName(name);
+        return first ? `${last}, ${first}` : last;
+    };
+    const isbns = (book.industryIdentifiers || [])
+        .filter(identifier => /^ISBN/.test(identifier.type))
+        .map(identifier => identifier.identifier);
+
+    const fields = [
+        controlField('001', isbn),
+        controlField('005', transactionDate(book.updatedAt || book.createdAt)),
+        controlField('008', fixedData(book, book.createdAt)),
+        ...(isbns.length > 0 ? isbns : [isbn]).map(value => dataField('020', ' ', ' ', [['a', value]])),
+        firstAuthor ? dataField('100', '1', ' ', [['a', invert(firstAuthor)]]) : null,
+        dataField('245', firstAuthor ? '1' : '0', '0', [['a', book.title], ['b', book.subtitle]]),
+        dataField('264', ' ', '1', [['b', book.publisher], ['c', book.publishedDate]]),
+        book.pageCount ? dataField('300', ' ', ' ', [['a', `${book.pageCount} p.`]]) : null,
+        ...noteChunks(book.description).map(part => dataField('520', ' ', ' ', [['a', part]])),
+        ...(book.categories || []).map(category => dataField('653', ' ', ' ', [['a', category]])),
+        ...otherAuthors.map(author => dataField('700', '1', ' ', [['a', invert(author)]]))
+    ];
+
+    return { leader: LEADER, fields: fields.filter(Boolean) };
+}
+
+/**
+ * Livre (schéma commun) d'une notice MARC21
+ * @returns {{isbn: string|null, book: object}}
+ */
+function fromMarc21(record) {
+    const fixed = controlValue(record, '008') || '';
+    const fixedLanguage = fixed.slice(35, 38).trim();
+    const language = /^[a-z]{3}$/.test(fixedLanguage) && fixedLanguage !== 'und'
+        ? fixedLanguage
+        : subfieldValues(record, '041', 'a')[0];
+
+    const [title] = fieldsOf(record, '245');
+    const isbns = subfieldValues(record, '020', 'a').map(value => value.split(/\s/)[0]);
+
+    return {
+        isbn: isbns[0] || controlValue(record, '001'),
+        book: normalizeBook({
+            title: title ? subfieldOf(title, 'a') : null,
+            subtitle: title ? subfieldOf(title, 'b') : null,
+            authors: subfieldValues(record, ['100', '110', '700', '710'], 'a').map(joinName),
+            publisher: subfieldValues(record, ['264', '260'], 'b')[0],
+            publishedDate: cleanDate(subfieldValues(record, ['264', '260'], 'c')[0]),
+            pageCount: subfieldValues(record, '300', 'a')[0],
+            description: noteText(record, '520'),
+            categories: subfieldValues(record, ['650', '653'], 'a'),
+            language,
+            industryIdentifiers: buildIdentifiers(isbns)
+        })
+    };
+}
+
+module.exports = { toMarc21, fromMarc21 };
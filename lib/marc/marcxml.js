@@ -0,0 +1,101 @@
+/**
+ * MARCXML (schéma MARC21 slim de la Library of Congress), utilisé aussi pour les notices UNIMARC
+ * comme le font la BnF et le SUDOC
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+const { isControlTag } = require('./record');
+const { escapeXml } = require('../xml');
+
+const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    trimValues: false,
+    isArray: name => ['record', 'controlfield', 'datafield', 'subfield'].includes(name)
+});
+
+/**
+ * Élément <record> d'une notice
+ */
+function recordToXml(record) {
+    const lines = ['  <record>', `    <leader>${escapeXml(record.leader)}</leader>`];
+
+    for (const field of record.fields) {
+        if (isControlTag(field.tag)) {
+            lines.push(`    <controlfield tag="${field.tag}">${escapeXml(field.value)}</controlfield>`);
+            continue;
+        }
+        lines.push(`    <datafield tag="${field.tag}" ind1="${escapeXml(field.ind1 || ' ')}" ind2="${escapeXml(field.ind2 || ' ')}">`);
+        for (const { code, value } of field.subfields) {
+            lines.push(`      <subfield code="${escapeXml(code)}">${escapeXml(value)}</subfield>`);
+        }
+        lines.push('    </datafield>');
+    }
+
+    lines.push('  </record>');
+    return lines.join('\n');
+}
+
+/**
+ * Document MARCXML d'une collection de notices
+ * @returns {string}
+ */
+function toMarcXml(records) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<collection xmlns="${MARCXML_NAMESPACE}">`,
+        ...records.map(recordToXml),
+        '</collection>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Texte d'un nœud (chaîne simple, ou objet si l'élément porte des attributs)
+ */
+function textOf(node) {
+    if (node === undefined || node === null) return '';
+    if (typeof node === 'object') return node['#text'] !== undefined ? String(node['#text']) : '';
+    return String(node);
+}
+
+/**
+ * Le texte ressemble-t-il à du MARCXML ?
+ */
+function isMarcXml(text) {
+    return /^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<(?:[\w-]+:)?(?:collection|record)\b/.test(text)
+        && /<(?:[\w-]+:)?(?:datafield|controlfield|leader)\b/.test(text);
+}
+
+/**
+ * Lire les notices d'un document MARCXML (<collection> ou <record> seul)
+ * @returns {Array<object>} Notices (voir ./record.js)
+ */
+function parseMarcXml(text) {
+    const document = parser.parse(text);
+    const root = document.collection || document;
+
+    return (root.record || []).map(record => ({
+        leader: textOf(record.leader).padEnd(24, ' ').slice(0, 24),
+        fields: [
+            ...(record.controlfield || []).map(field => ({ tag: field['@_tag'], value: textOf(field) })),
+            ...(record.datafield || []).map(field => ({
+                tag: field['@_tag'],
+                ind1: field['@_ind1'] || ' ',
+                ind2: field['@_ind2'] || ' ',
+                subfields: (field.subfield || []).map(subfield => ({ code: subfield['@_code'], value: textOf(subfield) }))
+            }))
+        ]
+    }));
+}
+
+module.exports = {
+    MARCXML_NAMESPACE,
+    toMarcXml,
+    parseMarcXml,
+    isMarcXml
+};
@@ -0,0 +1,165 @@
+/**
+ * Notice MARC en mémoire, commune à MARC21 et UNIMARC
+ *
+ * { leader: '24 caractères', fields: [zone] } où une zone de contrôle (tag < 010) vaut
+ * { tag, value } et une zone de données { tag, ind1, ind2, subfields: [{ code, value }] }.
+ */
+
+const { LANGUAGE_CODES } = require('../providers/schema');
+
+/**
+ * Zone de contrôle
+ */
+function controlField(tag, value) {
+    return { tag, value: String(value) };
+}
+
+/**
+ * Zone de données (les sous-zones vides sont omises ; null si aucune n'est renseignée)
+ * @param {Array<[string, *]>} subfields - [code, valeur]
+ */
+function dataField(tag, ind1, ind2, subfields) {
+    const filled = subfields
+        .filter(([, value]) => value !== null && value !== undefined && String(value).trim() !== '')
+        .map(([code, value]) => ({ code, value: String(value) }));
+    return filled.length > 0 ? { tag, ind1, ind2, subfields: filled } : null;
+}
+
+/**
+ * Est-ce une zone de contrôle (001 à 009) ?
+ */
+function isControlTag(tag) {
+    return /^00[1-9]$/.test(tag);
+}
+
+/**
+ * Zones d'une notice portant l'une des étiquettes données
+ */
+function fieldsOf(record, ...tags) {
+    return record.fields.filter(field => tags.includes(field.tag));
+}
+
+/**
+ * Valeur d'une zone de contrôle
+ */
+function controlValue(record, tag) {
+    const [field] = fieldsOf(record, tag);
+    return field && field.value !== undefined ? field.value : null;
+}
+
+/**
+ * Valeurs d'une sous-zone dans toutes les zones données
+ */
+function subfieldValues(record, tags, code) {
+    return fieldsOf(record, ...[].concat(tags))
+        .flatMap(field => (field.subfields || []).filter(subfield => subfield.code === code))
+        .map(subfield => cleanValue(subfield.value))
+        .filter(Boolean);
+}
+
+/**
+ * Valeur d'une sous-zone d'une zone
+ */
+function subfieldOf(field, code) {
+    const subfield = (field.subfields || []).find(candidate => candidate.code === code);
+    return subfield ? cleanValue(subfield.value) : null;
+}
+
+// Longueur d'un morceau de note (une zone ISO 2709 ne dépasse pas 9999 octets)
+const NOTE_CHUNK = 2000;
+
+/**
+ * Découper une note longue en morceaux (une zone répétée par morceau)
+ */
+function noteChunks(text) {
+    const characters = Array.from(text || '');
+    const parts = [];
+    for (let i = 0; i < characters.length; i += NOTE_CHUNK) {
+        parts.push(characters.slice(i, i + NOTE_CHUNK).join(''));
+    }
+    return parts;
+}
+
+/**
+ * Texte d'une note répartie sur plusieurs zones (la ponctuation est conservée)
+ */
+function noteText(record, tag) {
+    return fieldsOf(record, tag)
+        .flatMap(field => (field.subfields || []).filter(subfield => subfield.code === 'a'))
+        .map(subfield => subfield.value)
+        .join('');
+}
+
+/**
+ * Retirer la ponctuation ISBD finale (" :", " /"...) et les caractères de non-classement
+ */
+function cleanValue(value) {
+    if (!value) return null;
+    const clean = String(value).replace(/[\u0088\u0089\u0098\u009C]/g, '').replace(/\s*[,;:/=]\s*$/, '').trim();
+    return clean || null;
+}
+
+/**
+ * Année ou date de publication d'une mention ("c2008.", "DL 2019", "[2010]")
+ */
+function cleanDate(value) {
+    const clean = String(value || '').replace(/^\s*(?:c|©|p|DL|cop\.)\s*/i, '').replace(/[[\]?.]/g, '').trim();
+    return clean || null;
+}
+
+/**
+ * "Albert Camus" -> ["Camus", "Albert"] : le dernier mot est pris pour le nom
+ */
+function splitName(name) {
+    const words = String(name).trim().split(/\s+/);
+    if (words.length < 2) return [words[0] || '', null];
+    return [words[words.length - 1], words.slice(0, -1).join(' ')];
+}
+
+/**
+ * "Camus, Albert" -> "Albert Camus"
+ */
+function joinName(inverted) {
+    const [last, first] = String(inverted || '').split(/,\s*/);
+    return first ? `${first} ${last}`.trim() : String(last || '').trim();
+}
+
+// Codes de langue MARC (ISO 639-2/B) à partir des codes à deux lettres du schéma commun
+const MARC_LANGUAGES = {};
+for (const [code, iso2] of Object.entries(LANGUAGE_CODES)) {
+    if (/^[a-z]{3}$/.test(code) && !MARC_LANGUAGES[iso2]) MARC_LANGUAGES[iso2] = code;
+}
+
+/**
+ * Code de langue MARC d'un livre ('und' si inconnu)
+ */
+function marcLanguage(language) {
+    if (!language) return 'und';
+    return MARC_LANGUAGES[language] || (/^[a-z]{3}$/.test(language) ? language : 'und');
+}
+
+/**
+ * Date et heure de dernière modification (zone 005) : AAAAMMJJHHMMSS.F
+ */
+function transactionDate(date) {
+    const iso = new Date(date || Date.now()).toISOString();
+    return `${iso.slice(0, 19).replace(/[-T:]/g, '')}.0`;
+}
+
+module.exports = {
+    controlField,
+    dataField,
+    isControlTag,
+    fieldsOf,
+    controlValue,
+    subfieldValues,
+    subfieldOf,
+    noteChunks,
+    noteText,
+    cleanValue,
+    cleanDate,
+    splitName,
+    joinName,
+    marcLanguage,
+    transactionDate
+};
@@ -0,0 +1,113 @@
+/**
+ * Correspondance entre le schéma commun des livres et UNIMARC (format de la BnF et du SUDOC)
+ *
+ *   001 ISBN (identifiant de la notice)  010 $a ISBN (un par identifiant)
+ *   005 date de dernière modification    100 $a données générales (dates, jeu de caractères)
+ *   101 $a langue                        200 $a titre $e sous-titre $f mention de responsabilité
+ *   210 $c éditeur $d date (214 lu aussi) 215 $a pagination
+ *   330 $a résumé                        610 $a catégories (606 lu aussi)
+ *   700 $a nom $b prénom du premier auteur, 701 autres auteurs (702 lu aussi)
+ */
+
+const { normalizeBook, buildIdentifiers } = require('../providers/schema');
+const {
+    controlField,
+    dataField,
+    controlValue,
+    fieldsOf,
+    subfieldValues,
+    subfieldOf,
+    noteChunks,
+    noteText,
+    cleanDate,
+    splitName,
+    marcLanguage,
+    transactionDate
+} = require('./record');
+
+// Guide : notice nouvelle (n), texte imprimé (a), monographie (m), niveau incomplet (3), sans ISBD (n)
+const LEADER = '00000nam  22000003n 450 ';
+
+/**
+ * Zone 100 $a (36 positions) : date de création, année de publication, catalogage en français, Unicode
+ */
+function generalData(book, createdAt) {
+    const entered = new Date(createdAt || Date.now()).toISOString().slice(0, 10).replace(/-/g, '');
+    const year = (/\d{4}/.exec(book.publishedDate || '') || [])[0];
+    return `${entered}${year ? 'd' : 'u'}${year || '    '}    u  y0frey50      ba`;
+}
+
+/**
+ * Zone d'auteur : nom en $a, prénom en $b
+ */
+function authorField(tag, name) {
+    const [last, first] = splitName(name);
+    return dataField(tag, ' ', '1', [['a', last], ['b', first]]);
+}
+
+/**
+ * Notice UNIMARC d'un livre
+ * @param {string} isbn - ISBN-13 du livre (identifiant de la notice)
+ * @param {object} book - Livre au schéma commun (avec createdAt/updatedAt éventuels)
+ */
+function toUnimarc(isbn, book) {
+    const [firstAuthor, ...otherAuthors] = book.authors || [];
+    const isbns = (book.industryIdentifiers || [])
+        .filter(identifier => /^ISBN/.test(identifier.type))
+        .map(identifier => identifier.identifier);
+
+    const fields = [
+        controlField('001', isbn),
+        controlField('005', transactionDate(book.updatedAt || book.createdAt)),
+        ...(isbns.length > 0 ? isbns : [isbn]).map(value => dataField('010', ' ', ' ', [['a', value]])),
+        dataField('100', ' ', ' ', [['a', generalData(book, book.createdAt)]]),
+        dataField('101', '0', ' ', [['a', marcLanguage(book.language)]]),
+        dataField('200', '1', ' ', [
+            ['a', book.title],
+            ['e', book.subtitle],
+            ['f', (book.authors || []).join(', ')]
+        ]),
+        dataField('210', ' ', ' ', [['c', book.publisher], ['d', book.publishedDate]]),
+        book.pageCount ? dataField('215', ' ', ' ', [['a', `${book.pageCount} p.`]]) : null,
+        ...noteChunks(book.description).map(part => dataField('330', ' ', ' ', [['a', part]])),
+        ...(book.categories || []).map(category => dataField('610', '0', ' ', [['a', category]])),
+        firstAuthor ? authorField('700', firstAuthor) : null,
+        ...otherAuthors.map(author => authorField('701', author))
+    ];
+
+    return { leader: LEADER, fields: fields.filter(Boolean) };
+}
+
+/**
+ * Livre (schéma commun) d'une notice UNIMARC
+ * @returns {{isbn: string|null, book: object}}
+ */
+function fromUnimarc(record) {
+    const [title] = fieldsOf(record, '200');
+    const isbns = subfieldValues(record, '010', 'a').map(value => value.split(/\s/)[0]);
+    const language = subfieldValues(record, '101', 'a')[0];
+
+    const authors = [
+        ...fieldsOf(record, '700', '701', '702').map(field =>
+            [subfieldOf(field, 'b'), subfieldOf(field, 'a')].filter(Boolean).join(' ')),
+        ...subfieldValues(record, ['710', '711', '712'], 'a')
+    ];
+
+    return {
+        isbn: isbns[0] || controlValue(record, '001'),
+        book: normalizeBook({
+            title: title ? subfieldOf(title, 'a') : null,
+            subtitle: title ? subfieldOf(title, 'e') : null,
+            authors,
+            publisher: subfieldValues(record, ['214', '210'], 'c')[0],
+            publishedDate: cleanDate(subfieldValues(record, ['214', '210'], 'd')[0]),
+            pageCount: subfieldValues(record, '215', 'a')[0],
+            description: noteText(record, '330'),
+            categories: subfieldValues(record, ['606', '610'], 'a'),
+            language: language !== 'und' ? language : null,
+            industryIdentifiers: buildIdentifiers(isbns)
+        })
+    };
+}
+
+module.exports = { toUnimarc, fromUnimarc };
@@ -0,0 +1,144 @@
+/**
+ * Modération des modifications collaboratives
+ *
+ * Un contributeur qui n'a pas encore la confiance des modérateurs ne modifie pas directement une fiche
+ * venue d'un fournisseur ou créée par quelqu'un d'autre : sa modification devient une suggestion
+ * en attente, acceptée (éventuellement retouchée) ou refusée par un modérateur.
+ * Chaque suggestion acceptée ou refusée compte dans le niveau de confiance de son auteur.
+ */
+
+const crypto = require('crypto');
+const { diffBooks } = require('./history');
+
+const SUGGESTION_STATUSES = ['pending', 'accepted', 'rejected'];
+
+// Niveau de confiance d'un compte : calculé d'après ses suggestions, ou fixé par un administrateur
+const TRUST_LEVELS = ['auto', 'trusted', 'untrusted'];
+
+// Suggestions acceptées à partir desquelles un contributeur est approuvé automatiquement
+const DEFAULT_TRUST_THRESHOLD = 10;
+
+/**
+ * Valider un niveau de confiance
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateTrustLevel(level) {
+    if (!TRUST_LEVELS.includes(level)) {
+        return { valid: false, error: `Niveau de confiance inconnu : ${level} (attendu : ${TRUST_LEVELS.join(', ')})` };
+    }
+    return { valid: true };
+}
+
+/**
+ * Niveau de confiance d'un compte
+ * En mode automatique, le compte est approuvé après `threshold` suggestions acceptées,
+ * s'il n'a pas plus d'une suggestion refusée pour cinq acceptées.
+ * @returns {{level: string, accepted: number, rejected: number, trusted: boolean}}
+ */
+function trustOf(user, threshold = DEFAULT_TRUST_THRESHOLD) {
+    const level = user.trustLevel || 'auto';
+    const accepted = user.acceptedSuggestions || 0;
+    const rejected = user.rejectedSuggestions || 0;
+    const trusted = level === 'auto'
+        ? accepted >= threshold && rejected * 5 <= accepted
+        : level === 'trusted';
+
+    return { level, accepted, rejected, trusted };
+}
+
+/**
+ * Une modification doit-elle passer par la modération ?
+ * Les créations, les modérateurs, les comptes de confiance et les retouches d'un contributeur
+ * sur ses propres fiches s'appliquent directement.
+ * @param {object|null} existing - Fiche actuelle (null pour une création)
+ * @param {string[]} scopes - Portées de la requête
+ */
+function needsReview(existing, user, scopes, threshold = DEFAULT_TRUST_THRESHOLD) {
+    if (!existing) return false;
+    if (scopes.includes('books:moderate')) return false;
+    if (trustOf(user, threshold).trusted) return false;
+
+    const ownRecord = existing.source === 'user_created' && existing.createdBy === user.username;
+    return !ownRecord;
+}
+
+/**
+ * Préparer une suggestion : différences entre la fiche actuelle et la fiche proposée
+ * @returns {object|null} null si la proposition ne change aucun champ
+ */
+function buildSuggestion(isbn, existing, proposed, user, at = new Date().toISOString()) {
+    const changes = diffBooks(existing, proposed);
+    if (Object.keys(changes).length === 0) return null;
+
+    return {
+        id: crypto.randomUUID(),
+        isbn,
+        status: 'pending',
+        author: user.username,
+        authorId: user.id,
+        createdAt: at,
+        updatedAt: at,
+        changes,
+        reviewedBy: null,
+        reviewedAt: null,
+        comment: null
+    };
+}
+
+/**
+ * Valeurs à appliquer pour accepter une suggestion
+ * Le modérateur peut retoucher les valeurs proposées (champs de la suggestion uniquement).
+ * @param {object} [edits] - { champ: valeur } remplaçant les valeurs proposées
+ * @returns {{valid: boolean, error?: string, values?: object}}
+ */
+function acceptedValues(suggestion, edits = {}) {
+    if (!edits || typeof edits !== 'object' || Array.isArray(edits)) {
+        return { valid: false, error: 'Les retouches doivent être un objet { champ: valeur }' };
+    }
+
+    const unknown = Object.keys(edits).filter(field => !suggestion.changes[field]);
+    if (unknown.length > 0) {
+        return { valid: false, error: `Champ absent de la suggestion : ${unknown.join(', ')}` };
+    }
+
+    const values = {};
+    for (const [field, { to }] of Object.entries(suggestion.changes)) {
+        values[field] = edits[field] !== undefined ? edits[field] : to;
+    }
+    return { valid: true, values };
+}
+
+/**
+ * Suggestion présentée aux modérateurs : valeur actuelle de chaque champ à côté de la valeur proposée,
+ * et champs modifiés depuis la proposition (`conflicts`)
+ * @param {object|null} book - Fiche actuelle (null si elle a été supprimée depuis)
+ */
+function reviewView(suggestion, book) {
+    const current = {};
+    const conflicts = [];
+    for (const [field, { from }] of Object.entries(suggestion.changes)) {
+        current[field] = book && book[field] !== undefined ? book[field] : null;
+        if (JSON.stringify(current[field]) !== JSON.stringify(from)) {
+            conflicts.push(field);
+        }
+    }
+
+    return {
+        ...suggestion,
+        book: book ? { title: book.title || null, authors: book.authors || [] } : null,
+        current,
+        conflicts
+    };
+}
+
+module.exports = {
+    SUGGESTION_STATUSES,
+    TRUST_LEVELS,
+    DEFAULT_TRUST_THRESHOLD,
+    validateTrustLevel,
+    trustOf,
+    needsReview,
+    buildSuggestion,
+    acceptedValues,
+    reviewView
+};
@@ -0,0 +1,35 @@
+/**
+ * Messages ONIX 3.0 : flux de métadonnées des éditeurs et distributeurs
+ *
+ * La lecture (./reader.js) accepte les balises de référence et les balises courtes (./tags.js) ;
+ * l'écriture (./writer.js) produit des balises de référence.
+ */
+
+const { parseOnix, isOnix } = require('./reader');
+const { ONIX_NAMESPACE, toOnix } = require('./writer');
+
+/**
+ * Le fichier contient-il un message ONIX ?
+ * @param {Buffer} buffer
+ */
+function isOnixFile(buffer) {
+    return isOnix(buffer.subarray(0, 4096).toString('utf8'));
+}
+
+/**
+ * Lire les livres d'un fichier ONIX
+ * @param {Buffer} buffer
+ * @returns {{valid: boolean, error?: string, format?: string, sender?: string|null,
+ *   rows?: Array<{line: number, isbn: string|null, book: object, notification: string|null}>}}
+ */
+function parseOnixFile(buffer) {
+    const parsed = parseOnix(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    return parsed.valid ? { ...parsed, format: 'onix' } : parsed;
+}
+
+module.exports = {
+    ONIX_NAMESPACE,
+    isOnixFile,
+    parseOnixFile,
+    toOnix
+};
@@ -0,0 +1,297 @@
+/**
+ * Lecture des messages ONIX 3.0 (balises de référence ou courtes)
+ *
+ * Chaque <Product> devient un livre au schéma commun :
+ *   ProductIdentifier (15 ISBN-13, 03 GTIN-13, 02 ISBN-10)     -> isbn, industryIdentifiers
+ *   TitleDetail 01 / TitleElement 01 (TitleText, Subtitle)     -> title, subtitle
+ *   Contributor (par SequenceNumber et ContributorRole)        -> authors
+ *   Language 01                                                -> language
+ *   Extent (00, 11, 07 en pages)                               -> pageCount
+ *   Subject (SubjectHeadingText, mots-clés du schéma 20)       -> categories
+ *   TextContent (03 description, 02 description courte)        -> description
+ *   SupportingResource 01 en image                             -> imageLinks
+ *   Publisher 01 (ou Imprint), PublishingDate 01               -> publisher, publishedDate
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+const { normalizeBook, buildIdentifiers } = require('../providers/schema');
+const { joinName } = require('../marc/record');
+const { REPEATABLE, referenceName } = require('./tags');
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    transformTagName: referenceName,
+    isArray: name => REPEATABLE.includes(name),
+    // Les textes peuvent contenir du XHTML : lus tels quels puis ramenés à du texte brut
+    stopNodes: ['*.Text']
+});
+
+// Rôles des contributeurs retenus comme auteurs, par ordre de préférence (liste 17 d'ONIX)
+const AUTHOR_ROLES = ['A01', 'A02', 'A08', 'A12', 'A13', 'A06'];
+
+// Mesures de la pagination (liste 23) par ordre de préférence : contenu principal, contenu, pages numérotées
+const PAGE_EXTENTS = ['00', '11', '07'];
+
+// Formats de texte (liste 34) qui portent des balises : HTML (02), XML (03), XHTML (05)
+const MARKUP_FORMATS = ['02', '03', '05'];
+
+// Formats dont les balises sont le plus souvent échappées dans le message (&lt;p&gt;)
+const ESCAPED_MARKUP_FORMATS = ['02', '03'];
+
+/**
+ * Texte d'un nœud (chaîne simple, ou objet si l'élément porte des attributs)
+ */
+function textOf(node) {
+    if (node === undefined || node === null) return '';
+    if (typeof node === 'object') return node['#text'] !== undefined ? String(node['#text']).trim() : '';
+    return String(node).trim();
+}
+
+/**
+ * Décoder les entités d'un texte (une seule fois)
+ */
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'').replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Retirer les balises d'un texte (fins de paragraphe et sauts de ligne gardés)
+ */
+function stripTags(text) {
+    return text.replace(/<br\s*\/?>|<\/p>|<\/li>/gi, '\n').replace(/<[^>]*>/g, ' ');
+}
+
+/**
+ * Texte brut d'un élément <Text>, selon son format (attribut textformat, liste 34)
+ * Les balises réelles sont des éléments XHTML : toujours retirées. Le reste n'est décodé qu'une fois,
+ * sauf pour le HTML ou le XML échappé (02, 03), dont les balises et entités sont ensuite retirées et
+ * décodées à leur tour. Un texte brut (06, par défaut) garde ses "<" et "&" littéraux.
+ * @param {string} raw - Contenu de l'élément tel qu'écrit dans le message
+ * @param {string|null} [format] - Code du format
+ */
+function plainText(raw, format = null) {
+    const markup = MARKUP_FORMATS.includes(format);
+    const escapedMarkup = ESCAPED_MARKUP_FORMATS.includes(format);
+
+    // Découpage avec capture : les sections CDATA (non échappées) occupent les rangs impairs
+    const text = String(raw).split(/(<!\[CDATA\[[\s\S]*?\]\]>)/).map((part, index) => {
+        if (index % 2 === 1) {
+            const content = part.slice('<![CDATA['.length, -']]>'.length);
+            return markup ? decodeEntities(stripTags(content)) : content;
+        }
+        const decoded = decodeEntities(stripTags(part));
+        return escapedMarkup ? decodeEntities(stripTags(decoded)) : decoded;
+    }).join('');
+
+    return text.replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+}
+
+/**
+ * Texte d'un <TextContent>, dans le format indiqué par son élément <Text>
+ */
+function productText(textContent) {
+    const node = (textContent.Text || [])[0];
+    const format = node && typeof node === 'object' ? node['@_textformat'] || null : null;
+    return plainText(textOf(node), format);
+}
+
+/**
+ * Premier élément d'une liste dont `key` vaut l'une des valeurs, dans l'ordre des valeurs
+ */
+function findByCode(list, key, codes) {
+    for (const code of codes) {
+        const found = (list || []).find(item => textOf(item[key]) === code);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Date ONIX (AAAAMMJJ, AAAAMM, AAAA...) au format de l'application (AAAA-MM-JJ, AAAA-MM, AAAA)
+ */
+function onixDate(node) {
+    const value = textOf(node).replace(/\D/g, '');
+    if (/^\d{8}/.test(value)) return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+    if (/^\d{6}$/.test(value)) return `${value.slice(0, 4)}-${value.slice(4, 6)}`;
+    return /^\d{4}/.test(value) ? value.slice(0, 4) : null;
+}
+
+/**
+ * Nom d'un contributeur, prénom d'abord
+ */
+function contributorName(contributor) {
+    const person = textOf(contributor.PersonName);
+    if (person) return person;
+
+    const keyNames = [textOf(contributor.PrefixToKey), textOf(contributor.KeyNames)].filter(Boolean).join(' ');
+    const before = textOf(contributor.NamesBeforeKey);
+    if (keyNames) return before ? `${before} ${keyNames}` : keyNames;
+
+    const inverted = textOf(contributor.PersonNameInverted);
+    if (inverted) return joinName(inverted);
+    return textOf(contributor.CorporateName) || null;
+}
+
+/**
+ * Auteurs : les contributeurs du premier rôle d'auteur présent, dans l'ordre de SequenceNumber
+ * (tous les contributeurs s'il n'y a aucun rôle d'auteur, pour un ouvrage collectif dirigé par exemple)
+ */
+function productAuthors(contributors = []) {
+    const ordered = contributors
+        .map((contributor, index) => ({
+            contributor,
+            roles: [].concat(contributor.ContributorRole || []).map(textOf),
+            order: parseInt(textOf(contributor.SequenceNumber), 10) || index + 1
+        }))
+        .sort((a, b) => a.order - b.order);
+
+    const role = AUTHOR_ROLES.find(code => ordered.some(entry => entry.roles.includes(code)));
+    return ordered
+        .filter(entry => !role || entry.roles.includes(role))
+        .map(entry => contributorName(entry.contributor))
+        .filter(Boolean);
+}
+
+/**
+ * Titre et sous-titre du produit
+ */
+function productTitle(detail = {}) {
+    const titleDetail = findByCode(detail.TitleDetail, 'TitleType', ['01']) || (detail.TitleDetail || [])[0];
+    if (!titleDetail) return {};
+
+    const element = findByCode(titleDetail.TitleElement, 'TitleElementLevel', ['01']) || (titleDetail.TitleElement || [])[0];
+    if (!element) return {};
+
+    // Un article élidé (L', D') se colle au titre
+    const prefix = textOf(element.TitlePrefix);
+    const separator = /['\u2019]$/.test(prefix) ? '' : ' ';
+    const title = textOf(element.TitleText)
+        || [prefix, textOf(element.TitleWithoutPrefix)].filter(Boolean).join(separator);
+    return { title, subtitle: textOf(element.Subtitle) };
+}
+
+/**
+ * Catégories : intitulés des sujets, mots-clés (schéma 20) séparés par des points-virgules
+ */
+function productCategories(subjects = []) {
+    return subjects.flatMap(subject => {
+        const heading = textOf(subject.SubjectHeadingText);
+        if (!heading) return [];
+        return textOf(subject.SubjectSchemeIdentifier) === '20' ? heading.split(/\s*;\s*/) : [heading];
+    }).filter((category, index, all) => category && all.indexOf(category) === index);
+}
+
+/**
+ * Lien de la couverture (ressource 01 « couverture », en image)
+ */
+function productCover(collateral = {}) {
+    const resource = (collateral.SupportingResource || []).find(candidate =>
+        textOf(candidate.ResourceContentType) === '01' && textOf(candidate.ResourceMode) === '03');
+    if (!resource) return null;
+
+    const link = (resource.ResourceVersion || [])
+        .flatMap(version => (version.ResourceLink || []).map(textOf))
+        .find(url => /^https?:\/\//i.test(url));
+    return link ? { thumbnail: link } : null;
+}
+
+/**
+ * Livre (schéma commun) d'un <Product>
+ * @returns {{reference: string|null, notification: string|null, isbn: string|null, book: object}}
+ */
+function readProduct(product) {
+    const identifiers = product.ProductIdentifier || [];
+    const valuesOf = (type) => identifiers
+        .filter(identifier => textOf(identifier.ProductIDType) === type)
+        .map(identifier => textOf(identifier.IDValue));
+    const isbns = [
+        ...valuesOf('15'),
+        ...valuesOf('03').filter(gtin => /^97[89]/.test(gtin)),
+        ...valuesOf('02')
+    ];
+
+    const detail = product.DescriptiveDetail || {};
+    const collateral = product.CollateralDetail || {};
+    const publishing = product.PublishingDetail || {};
+
+    const language = findByCode(detail.Language, 'LanguageRole', ['01']) || (detail.Language || [])[0];
+    const extent = findByCode(
+        (detail.Extent || []).filter(candidate => ['03', ''].includes(textOf(candidate.ExtentUnit))),
+        'ExtentType',
+        PAGE_EXTENTS
+    );
+    const text = findByCode(collateral.TextContent, 'TextType', ['03', '02']);
+    const publisher = findByCode(publishing.Publisher, 'PublishingRole', ['01']) || (publishing.Publisher || [])[0];
+    const imprint = (publishing.Imprint || [])[0];
+    const date = findByCode(publishing.PublishingDate, 'PublishingDateRole', ['01', '11', '19']);
+
+    return {
+        reference: textOf(product.RecordReference) || null,
+        notification: textOf(product.NotificationType) || null,
+        isbn: isbns[0] || null,
+        book: normalizeBook({
+            ...productTitle(detail),
+            authors: productAuthors(detail.Contributor),
+            publisher: publisher ? textOf(publisher.PublisherName) : (imprint ? textOf(imprint.ImprintName) : null),
+            publishedDate: date ? onixDate(date.Date) : null,
+            pageCount: extent ? textOf(extent.ExtentValue) : null,
+            language: language ? textOf(language.LanguageCode) : null,
+            description: text ? productText(text) : null,
+            categories: productCategories(detail.Subject),
+            industryIdentifiers: buildIdentifiers(isbns),
+            imageLinks: productCover(collateral)
+        })
+    };
+}
+
+/**
+ * Le texte ressemble-t-il à un message ONIX ?
+ */
+function isOnix(text) {
+    return /<(?:[\w-]+:)?ONIX(?:Message|message)\b/.test(text);
+}
+
+/**
+ * Lire un message ONIX 3.0
+ * @param {string} text - Document XML
+ * @returns {{valid: boolean, error?: string, sender?: string|null,
+ *   rows?: Array<{line: number, reference: string|null, notification: string|null, isbn: string|null, book: object}>}}
+ *   `line` est le rang du produit dans le message
+ */
+function parseOnix(text) {
+    let message;
+    try {
+        message = parser.parse(text).ONIXMessage;
+    } catch (error) {
+        return { valid: false, error: `Message ONIX illisible : ${error.message}` };
+    }
+    if (!message) {
+        return { valid: false, error: 'Élément ONIXMessage introuvable' };
+    }
+
+    const release = message['@_release'];
+    if (release && !/^3\./.test(release)) {
+        return { valid: false, error: `Version ONIX ${release} non prise en charge : envoyez un message ONIX 3.0` };
+    }
+
+    const products = message.Product || [];
+    if (products.length === 0) {
+        return { valid: false, error: 'Le message ne contient aucun produit' };
+    }
+
+    const sender = message.Header && message.Header.Sender ? textOf(message.Header.Sender.SenderName) || null : null;
+    return {
+        valid: true,
+        sender,
+        rows: products.map((product, i) => ({ line: i + 1, ...readProduct(product) }))
+    };
+}
+
+module.exports = { parseOnix, isOnix, plainText };
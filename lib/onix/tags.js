@@ -0,0 +1,84 @@
+/**
+ * Balises courtes ONIX 3.0 des éléments lus, et leur nom de référence
+ * Un message peut être écrit avec l'une ou l'autre forme (<Product> ou <product>, <RecordReference> ou <a001>).
+ */
+
+const SHORT_TAGS = {
+    ONIXmessage: 'ONIXMessage',
+    header: 'Header',
+    sender: 'Sender',
+    x298: 'SenderName',
+    x307: 'SentDateTime',
+    product: 'Product',
+    a001: 'RecordReference',
+    a002: 'NotificationType',
+    productidentifier: 'ProductIdentifier',
+    b221: 'ProductIDType',
+    b244: 'IDValue',
+    descriptivedetail: 'DescriptiveDetail',
+    x314: 'ProductComposition',
+    b012: 'ProductForm',
+    titledetail: 'TitleDetail',
+    b202: 'TitleType',
+    titleelement: 'TitleElement',
+    x409: 'TitleElementLevel',
+    b203: 'TitleText',
+    b030: 'TitlePrefix',
+    b031: 'TitleWithoutPrefix',
+    b029: 'Subtitle',
+    contributor: 'Contributor',
+    b034: 'SequenceNumber',
+    b035: 'ContributorRole',
+    b036: 'PersonName',
+    b037: 'PersonNameInverted',
+    b039: 'NamesBeforeKey',
+    b247: 'PrefixToKey',
+    b040: 'KeyNames',
+    b047: 'CorporateName',
+    language: 'Language',
+    b253: 'LanguageRole',
+    b252: 'LanguageCode',
+    extent: 'Extent',
+    b218: 'ExtentType',
+    b219: 'ExtentValue',
+    b220: 'ExtentUnit',
+    subject: 'Subject',
+    x425: 'MainSubject',
+    b067: 'SubjectSchemeIdentifier',
+    b069: 'SubjectCode',
+    b070: 'SubjectHeadingText',
+    collateraldetail: 'CollateralDetail',
+    textcontent: 'TextContent',
+    x426: 'TextType',
+    d104: 'Text',
+    supportingresource: 'SupportingResource',
+    x436: 'ResourceContentType',
+    x437: 'ResourceMode',
+    resourceversion: 'ResourceVersion',
+    x435: 'ResourceLink',
+    publishingdetail: 'PublishingDetail',
+    imprint: 'Imprint',
+    b079: 'ImprintName',
+    publisher: 'Publisher',
+    b291: 'PublishingRole',
+    b081: 'PublisherName',
+    publishingdate: 'PublishingDate',
+    x448: 'PublishingDateRole',
+    b306: 'Date'
+};
+
+// Éléments répétables, toujours lus comme des listes
+const REPEATABLE = [
+    'Product', 'ProductIdentifier', 'TitleDetail', 'TitleElement', 'Contributor', 'Language', 'Extent',
+    'Subject', 'TextContent', 'Text', 'SupportingResource', 'ResourceVersion', 'ResourceLink', 'Imprint',
+    'Publisher', 'PublishingDate'
+];
+
+/**
+ * Nom de référence d'une balise (inchangé si elle n'est pas une balise courte connue)
+ */
+function referenceName(tag) {
+    return SHORT_TAGS[tag] || tag;
+}
+
+module.exports = { SHORT_TAGS, REPEATABLE, referenceName };
@@ -0,0 +1,232 @@
+/**
+ * Écriture des messages ONIX 3.0 (balises de référence), un <Product> par livre
+ *
+ * Seuls les blocs que le schéma commun permet de remplir sont produits, dans l'ordre du schéma XSD :
+ * identifiants, description (titre, contributeurs, langue, pagination, sujets), textes et couverture,
+ * éditeur et date de publication.
+ */
+
+const { splitName, marcLanguage } = require('../marc/record');
+const { escapeXml } = require('../xml');
+
+const ONIX_NAMESPACE = 'http://ns.editeur.org/onix/3.0/reference';
+
+// Tailles de couverture par ordre de préférence
+const COVER_SIZES = ['extraLarge', 'large', 'medium', 'small', 'thumbnail', 'smallThumbnail'];
+
+/**
+ * Élément simple, omis si la valeur est vide
+ */
+function element(indent, name, value, attributes = '') {
+    if (value === null || value === undefined || value === '') return [];
+    return [`${indent}<${name}${attributes}>${escapeXml(value)}</${name}>`];
+}
+
+/**
+ * Date de l'application (AAAA-MM-JJ, AAAA-MM, AAAA) au format ONIX, avec son code de format (liste 55)
+ */
+function onixDate(publishedDate) {
+    const match = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/.exec(publishedDate || '');
+    if (!match) return null;
+    const [, year, month, day] = match;
+    if (day) return { value: `${year}${month}${day}`, format: '00' };
+    if (month) return { value: `${year}${month}`, format: '01' };
+    return { value: year, format: '05' };
+}
+
+/**
+ * Date et heure d'envoi du message : AAAAMMJJThhmmssZ
+ */
+function sentDateTime(date) {
+    return `${new Date(date || Date.now()).toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+}
+
+/**
+ * Identifiants du produit : ISBN-13 (15) et GTIN-13 (03), ISBN-10 (02) s'il est connu
+ */
+function productIdentifiers(isbn, book) {
+    const isbn10 = (book.industryIdentifiers || []).find(identifier => identifier.type === 'ISBN_10');
+    const identifiers = [['15', isbn], ['03', isbn]];
+    if (isbn10) identifiers.push(['02', isbn10.identifier]);
+
+    return identifiers.flatMap(([type, value]) => [
+        '    <ProductIdentifier>',
+        `      <ProductIDType>${type}</ProductIDType>`,
+        `      <IDValue>${escapeXml(value)}</IDValue>`,
+        '    </ProductIdentifier>'
+    ]);
+}
+
+/**
+ * Contributeurs : tous auteurs (A01), dans l'ordre du livre
+ */
+function contributors(authors = []) {
+    if (authors.length === 0) return ['      <NoContributor/>'];
+
+    return authors.flatMap((name, index) => {
+        const [last, first] = splitName(name);
+        return [
+            '      <Contributor>',
+            `        <SequenceNumber>${index + 1}</SequenceNumber>`,
+            '        <ContributorRole>A01</ContributorRole>',
+            ...element('        ', 'PersonName', name),
+            ...element('        ', 'PersonNameInverted', first ? `${last}, ${first}` : last),
+            ...element('        ', 'NamesBeforeKey', first),
+            ...element('        ', 'KeyNames', last),
+            '      </Contributor>'
+        ];
+    });
+}
+
+/**
+ * Bloc 1 : description du produit
+ */
+function descriptiveDetail(book) {
+    const language = marcLanguage(book.language);
+    const lines = [
+        '    <DescriptiveDetail>',
+        '      <ProductComposition>00</ProductComposition>',
+        '      <ProductForm>BA</ProductForm>',
+        '      <TitleDetail>',
+        '        <TitleType>01</TitleType>',
+        '        <TitleElement>',
+        '          <TitleElementLevel>01</TitleElementLevel>',
+        ...element('          ', 'TitleText', book.title || 'Sans titre'),
+        ...element('          ', 'Subtitle', book.subtitle),
+        '        </TitleElement>',
+        '      </TitleDetail>',
+        ...contributors(book.authors)
+    ];
+
+    if (language !== 'und') {
+        lines.push(
+            '      <Language>',
+            '        <LanguageRole>01</LanguageRole>',
+            `        <LanguageCode>${language}</LanguageCode>`,
+            '      </Language>'
+        );
+    }
+    if (book.pageCount) {
+        lines.push(
+            '      <Extent>',
+            '        <ExtentType>00</ExtentType>',
+            `        <ExtentValue>${book.pageCount}</ExtentValue>`,
+            '        <ExtentUnit>03</ExtentUnit>',
+            '      </Extent>'
+        );
+    }
+    if ((book.categories || []).length > 0) {
+        lines.push(
+            '      <Subject>',
+            '        <SubjectSchemeIdentifier>20</SubjectSchemeIdentifier>',
+            ...element('        ', 'SubjectHeadingText', book.categories.join('; ')),
+            '      </Subject>'
+        );
+    }
+
+    lines.push('    </DescriptiveDetail>');
+    return lines;
+}
+
+/**
+ * Bloc 2 : résumé et couverture (les URL relatives du stockage des couvertures sont rendues absolues)
+ */
+function collateralDetail(book, baseUrl) {
+    const size = COVER_SIZES.find(key => book.imageLinks && book.imageLinks[key]);
+    let cover = size ? book.imageLinks[size] : null;
+    if (cover && !/^https?:\/\//i.test(cover)) {
+        cover = baseUrl ? new URL(cover, baseUrl).href : null;
+    }
+    if (!book.description && !cover) return [];
+
+    const lines = ['    <CollateralDetail>'];
+    if (book.description) {
+        lines.push(
+            '      <TextContent>',
+            '        <TextType>03</TextType>',
+            '        <ContentAudience>00</ContentAudience>',
+            ...element('        ', 'Text', book.description, ' textformat="06"'),
+            '      </TextContent>'
+        );
+    }
+    if (cover) {
+        lines.push(
+            '      <SupportingResource>',
+            '        <ResourceContentType>01</ResourceContentType>',
+            '        <ContentAudience>00</ContentAudience>',
+            '        <ResourceMode>03</ResourceMode>',
+            '        <ResourceVersion>',
+            '          <ResourceForm>02</ResourceForm>',
+            ...element('          ', 'ResourceLink', cover),
+            '        </ResourceVersion>',
+            '      </SupportingResource>'
+        );
+    }
+    lines.push('    </CollateralDetail>');
+    return lines;
+}
+
+/**
+ * Bloc 4 : éditeur et date de publication
+ */
+function publishingDetail(book) {
+    const date = onixDate(book.publishedDate);
+    if (!book.publisher && !date) return [];
+
+    const lines = ['    <PublishingDetail>'];
+    if (book.publisher) {
+        lines.push(
+            '      <Publisher>',
+            '        <PublishingRole>01</PublishingRole>',
+            ...element('        ', 'PublisherName', book.publisher),
+            '      </Publisher>'
+        );
+    }
+    if (date) {
+        lines.push(
+            '      <PublishingDate>',
+            '        <PublishingDateRole>01</PublishingDateRole>',
+            `        <Date dateformat="${date.format}">${date.value}</Date>`,
+            '      </PublishingDate>'
+        );
+    }
+    lines.push('    </PublishingDetail>');
+    return lines;
+}
+
+/**
+ * Message ONIX 3.0 d'une liste de livres
+ * @param {Array<{isbn: string, book: object}>} books
+ * @param {object} [options]
+ * @param {string} [options.sender] - Nom de l'expéditeur (en-tête du message)
+ * @param {string} [options.baseUrl] - Origine des URL relatives (couvertures stockées par le serveur)
+ * @returns {string}
+ */
+function toOnix(books, { sender = 'ISBN Search', baseUrl = null } = {}) {
+    const products = books.map(({ isbn, book }) => [
+        '  <Product>',
+        `    <RecordReference>urn:isbn:${escapeXml(isbn)}</RecordReference>`,
+        '    <NotificationType>03</NotificationType>',
+        ...productIdentifiers(isbn, book),
+        ...descriptiveDetail(book),
+        ...collateralDetail(book, baseUrl),
+        ...publishingDetail(book),
+        '  </Product>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<ONIXMessage release="3.0" xmlns="${ONIX_NAMESPACE}">`,
+        '  <Header>',
+        '    <Sender>',
+        ...element('      ', 'SenderName', sender),
+        '    </Sender>',
+        `    <SentDateTime>${sentDateTime()}</SentDateTime>`,
+        '  </Header>',
+        ...products,
+        '</ONIXMessage>',
+        ''
+    ].join('\n');
+}
+
+module.exports = { ONIX_NAMESPACE, toOnix };
@@ -0,0 +1,74 @@
+/**
+ * Fournisseur BnF (catalogue général, API SRU en Dublin Core)
+ */
+
+const fetch = require('node-fetch');
+const { normalizeBook, buildIdentifiers } = require('./schema');
+const { asArray, text, fetchSruRecords } = require('./sru');
+
+class BnfProvider {
+    constructor({ fetchImpl = fetch } = {}) {
+        this.name = 'bnf';
+        this.label = 'BnF';
+        this.source = 'bnf_api';
+        this.fetch = fetchImpl;
+    }
+
+    /**
+     * Rechercher un livre par ISBN
+     */
+    async lookup(isbn, { signal } = {}) {
+        const query = encodeURIComponent(`bib.isbn adj "${isbn}"`);
+        const url = `https://catalogue.bnf.fr/api/SRU?version=1.2&operation=searchRetrieve&query=${query}&recordSchema=dublincore&maximumRecords=1`;
+
+        const [record] = await fetchSruRecords(this.fetch, url, { signal });
+        if (!record || !record.dc) {
+            return null;
+        }
+
+        return this.parseDublinCore(record.dc);
+    }
+
+    /**
+     * Convertir une notice Dublin Core de la BnF
+     */
+    parseDublinCore(dc) {
+        const values = (field) => asArray(dc[field]).map(text).filter(Boolean);
+
+        // "Titre : sous-titre / mention de responsabilité"
+        const [fullTitle = ''] = values('title');
+        const [titlePart] = fullTitle.split(' / ');
+        const [title, ...subtitleParts] = titlePart.split(' : ');
+
+        return normalizeBook({
+            title,
+            subtitle: subtitleParts.join(' : '),
+            authors: values('creator').map(creator => this.parseName(creator)),
+            publisher: values('publisher').map(publisher => publisher.replace(/\s*\([^)]*\)\s*$/, '')).join(', '),
+            publishedDate: values('date')[0],
+            description: values('description').join('\n'),
+            pageCount: values('format')[0],
+            categories: values('subject').slice(0, 5),
+            language: values('language')[0],
+            industryIdentifiers: buildIdentifiers(
+                values('identifier')
+                    .filter(identifier => /^ISBN/i.test(identifier))
+                    .map(identifier => identifier.replace(/^ISBN\s*/i, ''))
+            )
+        });
+    }
+
+    /**
+     * "Bourdieu, Pierre (1930-2002). Auteur du texte" → "Pierre Bourdieu"
+     */
+    parseName(creator) {
+        const name = creator
+            .replace(/\.\s*[^.]*$/, '')      // fonction (". Auteur du texte")
+            .replace(/\s*\([^)]*\)/g, '')     // dates
+            .trim();
+        const [last, first] = name.split(/,\s*/);
+        return first ? `${first} ${last}` : last;
+    }
+}
+
+module.exports = { BnfProvider };
@@ -0,0 +1,53 @@
+/**
+ * Fournisseur Google Books
+ */
+
+const fetch = require('node-fetch');
+const { normalizeBook } = require('./schema');
+
+class GoogleBooksProvider {
+    constructor({ apiKey = null, fetchImpl = fetch } = {}) {
+        this.name = 'google';
+        this.label = 'Google Books';
+        this.source = 'google_api';
+        this.apiKey = apiKey;
+        this.fetch = fetchImpl;
+    }
+
+    /**
+     * Interroger l'API brute (réponse Google inchangée)
+     */
+    async fetchVolumes(isbn, { signal } = {}) {
+        let url = `https://www.googleapis.com/books/v1/volumes?q=isbn:${isbn}`;
+        if (this.apiKey) {
+            url += `&key=${encodeURIComponent(this.apiKey)}`;
+        }
+
+        const response = await this.fetch(url, { signal });
+        if (!response.ok) {
+            throw new Error(`Erreur API Google Books: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Rechercher un livre par ISBN
+     */
+    async lookup(isbn, { signal } = {}) {
+        const data = await this.fetchVolumes(isbn, { signal });
+        if (!data.items || data.items.length === 0) {
+            return null;
+        }
+
+        const info = data.items[0].volumeInfo || {};
+        return normalizeBook({
+            ...info,
+            // Google fournit parfois la couverture en http
+            imageLinks: info.imageLinks && Object.fromEntries(
+                Object.entries(info.imageLinks).map(([size, url]) => [size, url.replace(/^http:/, 'https:')])
+            )
+        });
+    }
+}
+
+module.exports = { GoogleBooksProvider };
@@ -0,0 +1,196 @@
+/**
+ * Registre des fournisseurs de métadonnées
+ *
+ * Les fournisseurs sont interrogés dans l'ordre de priorité configuré, chacun avec son propre
+ * délai maximal : `lookup` s'arrête au premier qui trouve le livre, `lookupAll` les interroge
+ * tous pour permettre une fusion champ par champ. Tous renvoient le schéma commun défini
+ * dans ./schema.js.
+ *
+ * Configuration (variables d'environnement) :
+ *   METADATA_PROVIDERS  ordre de priorité, ex. "google,bnf,openlibrary,sudoc"
+ *   METADATA_TIMEOUT    délai par défaut en ms (5000)
+ *   METADATA_TIMEOUTS   délais par fournisseur, ex. "bnf:8000,sudoc:8000"
+ *   METADATA_TRUST      confiance par source pour la fusion, ex. "google_api:95,bnf_api:80"
+ *   GOOGLE_BOOKS_API_KEY clé API Google Books (optionnelle)
+ */
+
+const { GoogleBooksProvider } = require('./google-books');
+const { OpenLibraryProvider } = require('./open-library');
+const { BnfProvider } = require('./bnf');
+const { SudocProvider } = require('./sudoc');
+
+const DEFAULT_ORDER = ['google', 'bnf', 'openlibrary', 'sudoc'];
+const DEFAULT_TIMEOUT = 5000;
+
+class ProviderRegistry {
+    constructor({ defaultTimeout = DEFAULT_TIMEOUT } = {}) {
+        this.providers = new Map();
+        this.order = [];
+        this.timeouts = {};
+        this.defaultTimeout = defaultTimeout;
+    }
+
+    /**
+     * Enregistrer un fournisseur (ajouté en fin de priorité)
+     */
+    register(provider, { timeout } = {}) {
+        this.providers.set(provider.name, provider);
+        if (!this.order.includes(provider.name)) {
+            this.order.push(provider.name);
+        }
+        if (timeout) {
+            this.timeouts[provider.name] = timeout;
+        }
+        return this;
+    }
+
+    /**
+     * Obtenir un fournisseur par son nom
+     */
+    get(name) {
+        return this.providers.get(name) || null;
+    }
+
+    /**
+     * Définir l'ordre de priorité (les noms inconnus sont ignorés, les fournisseurs absents désactivés)
+     */
+    setOrder(names) {
+        this.order = names.filter(name => this.providers.has(name));
+        return this;
+    }
+
+    /**
+     * Fournisseurs actifs dans l'ordre de priorité
+     */
+    list() {
+        return this.order.map(name => this.providers.get(name));
+    }
+
+    /**
+     * Interroger un fournisseur avec son délai maximal
+     */
+    async query(provider, isbn) {
+        const timeout = this.timeouts[provider.name] || this.defaultTimeout;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            return await provider.lookup(isbn, { signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Délai dépassé (${timeout} ms)`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Rechercher un livre en interrogeant les fournisseurs dans l'ordre de priorité
+     * @param {string} isbn - ISBN nettoyé
+     * @param {object} [options]
+     * @param {string[]} [options.providers] - Restreindre à certains fournisseurs
+     * @returns {Promise<{book: object|null, provider: object|null, attempts: object[]}>}
+     */
+    async lookup(isbn, { providers } = {}) {
+        const attempts = [];
+        const candidates = this.list().filter(provider => !providers || providers.includes(provider.name));
+
+        for (const provider of candidates) {
+            const startedAt = Date.now();
+            try {
+                const book = await this.query(provider, isbn);
+                attempts.push({ provider: provider.name, status: book ? 'found' : 'not_found', duration: Date.now() - startedAt });
+
+                if (book && book.title) {
+                    console.log(`✅ ${provider.label}: livre trouvé pour ${isbn}`);
+                    return { book, provider, attempts };
+                }
+            } catch (error) {
+                console.log(`❌ ${provider.label} a échoué pour ${isbn}:`, error.message);
+                attempts.push({ provider: provider.name, status: 'error', error: error.message, duration: Date.now() - startedAt });
+            }
+        }
+
+        return { book: null, provider: null, attempts };
+    }
+
+    /**
+     * Interroger tous les fournisseurs en parallèle pour fusionner leurs résultats
+     * @returns {Promise<{results: Array<{provider: object, book: object}>, attempts: object[]}>}
+     *          Résultats trouvés, dans l'ordre de priorité
+     */
+    async lookupAll(isbn, { providers } = {}) {
+        const candidates = this.list().filter(provider => !providers || providers.includes(provider.name));
+
+        const outcomes = await Promise.all(candidates.map(async (provider) => {
+            const startedAt = Date.now();
+            try {
+                const book = await this.query(provider, isbn);
+                const attempt = { provider: provider.name, status: book ? 'found' : 'not_found', duration: Date.now() - startedAt };
+                return { provider, book: book && book.title ? book : null, attempt };
+            } catch (error) {
+                console.log(`❌ ${provider.label} a échoué pour ${isbn}:`, error.message);
+                return {
+                    provider,
+                    book: null,
+                    attempt: { provider: provider.name, status: 'error', error: error.message, duration: Date.now() - startedAt }
+                };
+            }
+        }));
+
+        return {
+            results: outcomes.filter(outcome => outcome.book).map(({ provider, book }) => ({ provider, book })),
+            attempts: outcomes.map(outcome => outcome.attempt)
+        };
+    }
+}
+
+/**
+ * Lire une liste "nom:valeur,nom:valeur" (délais, niveaux de confiance...)
+ */
+function parseNamedValues(value) {
+    if (!value) return {};
+    return Object.fromEntries(
+        value.split(',')
+            .map(entry => entry.split(':').map(part => part.trim()))
+            .filter(([name, ms]) => name && parseInt(ms, 10) > 0)
+            .map(([name, ms]) => [name, parseInt(ms, 10)])
+    );
+}
+
+/**
+ * Créer le registre avec les fournisseurs intégrés et la configuration de l'environnement
+ */
+function createProviderRegistry(env = process.env) {
+    const registry = new ProviderRegistry({
+        defaultTimeout: parseInt(env.METADATA_TIMEOUT, 10) || DEFAULT_TIMEOUT
+    });
+
+    const timeouts = parseNamedValues(env.METADATA_TIMEOUTS);
+    const providers = [
+        new GoogleBooksProvider({ apiKey: env.GOOGLE_BOOKS_API_KEY || null }),
+        new OpenLibraryProvider(),
+        new BnfProvider(),
+        new SudocProvider()
+    ];
+    providers.forEach(provider => registry.register(provider, { timeout: timeouts[provider.name] }));
+
+    const order = env.METADATA_PROVIDERS
+        ? env.METADATA_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+        : DEFAULT_ORDER;
+    registry.setOrder(order);
+
+    return registry;
+}
+
+module.exports = {
+    ProviderRegistry,
+    createProviderRegistry,
+    parseNamedValues,
+    GoogleBooksProvider,
+    OpenLibraryProvider,
+    BnfProvider,
+    SudocProvider
+};
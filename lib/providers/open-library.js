@@ -0,0 +1,58 @@
+/**
+ * Fournisseur Open Library
+ */
+
+const fetch = require('node-fetch');
+const { normalizeBook, buildIdentifiers } = require('./schema');
+
+class OpenLibraryProvider {
+    constructor({ fetchImpl = fetch } = {}) {
+        this.name = 'openlibrary';
+        this.label = 'Open Library';
+        this.source = 'openlibrary_api';
+        this.fetch = fetchImpl;
+    }
+
+    /**
+     * Rechercher un livre par ISBN
+     */
+    async lookup(isbn, { signal } = {}) {
+        const url = `https://openlibrary.org/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`;
+
+        const response = await this.fetch(url, { signal });
+        if (!response.ok) {
+            throw new Error(`Erreur API Open Library: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const record = data[`ISBN:${isbn}`];
+        if (!record) {
+            return null;
+        }
+
+        const identifiers = record.identifiers || {};
+        const notes = typeof record.notes === 'string' ? record.notes : record.notes && record.notes.value;
+
+        return normalizeBook({
+            title: record.title,
+            subtitle: record.subtitle,
+            authors: (record.authors || []).map(author => author.name),
+            publisher: (record.publishers || []).map(publisher => publisher.name).join(', '),
+            publishedDate: record.publish_date,
+            description: notes,
+            pageCount: record.number_of_pages || record.pagination,
+            categories: (record.subjects || []).slice(0, 5).map(subject => subject.name),
+            industryIdentifiers: buildIdentifiers([
+                ...(identifiers.isbn_13 || []),
+                ...(identifiers.isbn_10 || [])
+            ]),
+            imageLinks: record.cover && {
+                smallThumbnail: record.cover.small,
+                thumbnail: record.cover.medium || record.cover.small,
+                large: record.cover.large
+            }
+        });
+    }
+}
+
+module.exports = { OpenLibraryProvider };
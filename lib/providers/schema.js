@@ -0,0 +1,104 @@
+/**
+ * Schéma commun des livres renvoyés par les fournisseurs de métadonnées
+ * (même forme que le volumeInfo de Google Books, utilisé partout dans l'application)
+ */
+
+// Codes de langue ISO 639-2 (bibliographiques) vers ISO 639-1
+const LANGUAGE_CODES = {
+    fre: 'fr', fra: 'fr',
+    eng: 'en',
+    ger: 'de', deu: 'de',
+    spa: 'es',
+    ita: 'it',
+    dut: 'nl', nld: 'nl',
+    por: 'pt',
+    rus: 'ru',
+    jpn: 'ja',
+    chi: 'zh', zho: 'zh',
+    ara: 'ar',
+    lat: 'la',
+    'français': 'fr',
+    anglais: 'en',
+    french: 'fr',
+    english: 'en',
+    german: 'de',
+    spanish: 'es',
+    italian: 'it'
+};
+
+/**
+ * Convertir un code de langue en code à deux lettres
+ */
+function normalizeLanguage(code) {
+    if (!code) return null;
+    const clean = String(code).trim().toLowerCase().replace(/^\/languages\//, '');
+    if (clean.length === 2) return clean;
+    return LANGUAGE_CODES[clean] || clean;
+}
+
+/**
+ * Extraire un nombre de pages d'une mention de format ("1 vol. (250 p.)", "250 pages"...)
+ */
+function parsePageCount(value) {
+    if (typeof value === 'number') return value > 0 ? value : null;
+    if (!value) return null;
+    const match = String(value).match(/(\d+)\s*(?:p\b|p\.|pages)/i) || String(value).match(/^\s*(\d+)\s*$/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Construire la liste des identifiants ISBN
+ */
+function buildIdentifiers(isbns) {
+    const identifiers = [];
+    const seen = new Set();
+
+    for (const raw of isbns.filter(Boolean)) {
+        const clean = String(raw).replace(/[^\dXx]/g, '').toUpperCase();
+        if (seen.has(clean)) continue;
+
+        if (clean.length === 13) {
+            identifiers.push({ type: 'ISBN_13', identifier: clean });
+        } else if (clean.length === 10) {
+            identifiers.push({ type: 'ISBN_10', identifier: clean });
+        } else {
+            continue;
+        }
+        seen.add(clean);
+    }
+
+    return identifiers;
+}
+
+/**
+ * Normaliser un livre partiel dans le schéma commun
+ * Les valeurs vides sont retirées pour ne pas masquer celles d'autres sources
+ */
+function normalizeBook(partial) {
+    const clean = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : value);
+    const list = (values) => (values || []).map(clean).filter(Boolean);
+
+    const book = {
+        title: clean(partial.title) || null,
+        subtitle: clean(partial.subtitle) || null,
+        authors: list(partial.authors),
+        publisher: clean(partial.publisher) || null,
+        publishedDate: clean(partial.publishedDate) || null,
+        description: clean(partial.description) || null,
+        pageCount: parsePageCount(partial.pageCount),
+        categories: list(partial.categories),
+        language: normalizeLanguage(partial.language),
+        industryIdentifiers: partial.industryIdentifiers || [],
+        imageLinks: partial.imageLinks && Object.values(partial.imageLinks).some(Boolean)
+            ? partial.imageLinks
+            : null
+    };
+
+    return Object.fromEntries(
+        Object.entries(book).filter(([, value]) =>
+            value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)
+        )
+    );
+}
+
+module.exports = { LANGUAGE_CODES, normalizeBook, normalizeLanguage, parsePageCount, buildIdentifiers };
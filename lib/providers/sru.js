@@ -0,0 +1,54 @@
+/**
+ * Outils communs aux fournisseurs SRU (Search/Retrieve via URL) : BnF, SUDOC
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    trimValues: true
+});
+
+/**
+ * Toujours obtenir un tableau (le parseur renvoie un objet seul s'il n'y a qu'un élément)
+ */
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Texte d'un nœud XML (chaîne simple ou objet avec attributs)
+ */
+function text(node) {
+    if (node === undefined || node === null) return null;
+    if (typeof node === 'object') return node['#text'] !== undefined ? String(node['#text']) : null;
+    return String(node);
+}
+
+/**
+ * Interroger un serveur SRU et renvoyer le contenu (recordData) des notices trouvées
+ */
+async function fetchSruRecords(fetchImpl, url, { signal } = {}) {
+    const response = await fetchImpl(url, { signal, headers: { 'Accept': 'application/xml' } });
+    if (!response.ok) {
+        throw new Error(`Erreur SRU: ${response.status}`);
+    }
+
+    const xml = await response.text();
+    const document = parser.parse(xml);
+    const root = document.searchRetrieveResponse || {};
+
+    if (root.diagnostics) {
+        const diagnostic = asArray(root.diagnostics.diagnostic)[0] || {};
+        throw new Error(`Erreur SRU: ${text(diagnostic.message) || 'requête refusée'}`);
+    }
+
+    const records = root.records ? asArray(root.records.record) : [];
+    return records.map(record => record.recordData).filter(Boolean);
+}
+
+module.exports = { parser, asArray, text, fetchSruRecords };
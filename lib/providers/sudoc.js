@@ -0,0 +1,76 @@
+/**
+ * Fournisseur SUDOC (catalogue universitaire, API SRU en UNIMARC)
+ */
+
+const fetch = require('node-fetch');
+const { normalizeBook, buildIdentifiers } = require('./schema');
+const { asArray, text, fetchSruRecords } = require('./sru');
+
+class SudocProvider {
+    constructor({ fetchImpl = fetch } = {}) {
+        this.name = 'sudoc';
+        this.label = 'SUDOC';
+        this.source = 'sudoc_api';
+        this.fetch = fetchImpl;
+    }
+
+    /**
+     * Rechercher un livre par ISBN
+     */
+    async lookup(isbn, { signal } = {}) {
+        const url = `https://www.sudoc.abes.fr/cbs/sru/?operation=searchRetrieve&version=1.1&query=isb%3D${isbn}&recordSchema=unimarc&maximumRecords=1`;
+
+        const [record] = await fetchSruRecords(this.fetch, url, { signal });
+        if (!record || !record.record) {
+            return null;
+        }
+
+        return this.parseUnimarc(record.record);
+    }
+
+    /**
+     * Convertir une notice UNIMARC (MARCXML)
+     */
+    parseUnimarc(record) {
+        const fields = asArray(record.datafield);
+
+        // Tous les sous-champs `code` des zones `tag`
+        const subfields = (tag, code) => fields
+            .filter(field => field['@_tag'] === tag)
+            .flatMap(field => asArray(field.subfield))
+            .filter(subfield => subfield['@_code'] === code)
+            .map(subfield => this.cleanValue(text(subfield)))
+            .filter(Boolean);
+
+        const authors = ['700', '701'].flatMap(tag => fields
+            .filter(field => field['@_tag'] === tag)
+            .map(field => {
+                const parts = asArray(field.subfield);
+                const part = (code) => this.cleanValue(text(parts.find(subfield => subfield['@_code'] === code)));
+                return [part('b'), part('a')].filter(Boolean).join(' ');
+            }));
+
+        return normalizeBook({
+            title: subfields('200', 'a')[0],
+            subtitle: subfields('200', 'e')[0],
+            authors,
+            publisher: (subfields('214', 'c')[0] || subfields('210', 'c')[0]),
+            publishedDate: (subfields('214', 'd')[0] || subfields('210', 'd')[0] || '').replace(/^(?:C|P|DL)\s*/i, ''),
+            description: subfields('330', 'a').join('\n'),
+            pageCount: subfields('215', 'a')[0],
+            categories: subfields('606', 'a').slice(0, 5),
+            language: subfields('101', 'a')[0],
+            industryIdentifiers: buildIdentifiers(subfields('010', 'a'))
+        });
+    }
+
+    /**
+     * Retirer les caractères de non-classement UNIMARC (NSB/NSE) et la ponctuation finale
+     */
+    cleanValue(value) {
+        if (!value) return null;
+        return value.replace(/[\u0088\u0089\u0098\u009C]/g, '').replace(/\s*[,;:/]\s*$/, '').trim();
+    }
+}
+
+module.exports = { SudocProvider };
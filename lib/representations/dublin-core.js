@@ -0,0 +1,47 @@
+/**
+ * Notice Dublin Core simple d'un livre (format oai_dc, celui de l'OAI-PMH et de la BnF)
+ *
+ *   dc:title (titre : sous-titre)   dc:creator (un par auteur)   dc:publisher   dc:date
+ *   dc:description                  dc:subject (une par catégorie)
+ *   dc:language                     dc:format (pagination)       dc:identifier (URN:ISBN)
+ */
+
+const { escapeXml } = require('../xml');
+
+const OAI_DC_NAMESPACE = 'http://www.openarchives.org/OAI/2.0/oai_dc/';
+const DC_NAMESPACE = 'http://purl.org/dc/elements/1.1/';
+
+/**
+ * Document XML Dublin Core d'un livre
+ * @param {string} isbn - ISBN-13 du livre
+ * @param {object} book - Livre au schéma commun
+ * @returns {string}
+ */
+function toDublinCore(isbn, book) {
+    const elements = [
+        ['title', [book.title, book.subtitle].filter(Boolean).join(' : ')],
+        ...(book.authors || []).map(author => ['creator', author]),
+        ['publisher', book.publisher],
+        ['date', book.publishedDate],
+        ['description', book.description],
+        ...(book.categories || []).map(category => ['subject', category]),
+        ['language', book.language],
+        ['type', 'text'],
+        ['format', book.pageCount ? `${book.pageCount} p.` : null],
+        ['identifier', `URN:ISBN:${isbn}`]
+    ];
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<oai_dc:dc xmlns:oai_dc="${OAI_DC_NAMESPACE}" xmlns:dc="${DC_NAMESPACE}"`,
+        '  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+        `  xsi:schemaLocation="${OAI_DC_NAMESPACE} http://www.openarchives.org/OAI/2.0/oai_dc.xsd">`,
+        ...elements
+            .filter(([, value]) => value)
+            .map(([name, value]) => `  <dc:${name}>${escapeXml(value)}</dc:${name}>`),
+        '</oai_dc:dc>',
+        ''
+    ].join('\n');
+}
+
+module.exports = { toDublinCore };
@@ -0,0 +1,65 @@
+/**
+ * Représentations d'une fiche pour la négociation de contenu de GET /api/books/:isbn
+ *
+ * Chaque format est choisi par `?format=<clé>` ou par l'en-tête Accept (types de `types`, le premier
+ * étant celui de la réponse). JSON, la fiche telle qu'elle est stockée, reste la réponse par défaut.
+ */
+
+const { citationFormatter } = require('../../public/js/citations');
+const { serializeBooks } = require('../marc');
+const { toJsonLd } = require('./jsonld');
+const { toDublinCore } = require('./dublin-core');
+
+const REPRESENTATIONS = {
+    json: {
+        types: ['application/json']
+    },
+    jsonld: {
+        types: ['application/ld+json'],
+        render: (isbn, book, options) => `${JSON.stringify(toJsonLd(isbn, book, options), null, 2)}\n`
+    },
+    // Pas de application/xml générique : les navigateurs le préfèrent à */* et recevraient du XML
+    dc: {
+        types: ['application/dc+xml'],
+        render: (isbn, book) => toDublinCore(isbn, book)
+    },
+    marcxml: {
+        types: ['application/marcxml+xml'],
+        render: (isbn, book) => serializeBooks([{ isbn, book }], 'marcxml')
+    },
+    bibtex: {
+        types: ['application/x-bibtex', 'text/x-bibtex'],
+        render: (isbn, book) => citationFormatter.toFile('bibtex', [{ isbn, info: book }])
+    },
+    ris: {
+        types: ['application/x-research-info-systems'],
+        render: (isbn, book) => citationFormatter.toFile('ris', [{ isbn, info: book }])
+    }
+};
+
+/**
+ * Format demandé par une requête
+ * @param {object} req - Requête Express
+ * @returns {string|null} Clé de REPRESENTATIONS, ou null si aucun format proposé ne convient (406)
+ */
+function negotiate(req) {
+    const { format } = req.query;
+    if (format) {
+        return REPRESENTATIONS[format] ? format : null;
+    }
+
+    // Sans Accept (ou avec */*), req.accepts donne le premier type proposé : JSON
+    const types = Object.values(REPRESENTATIONS).flatMap(representation => representation.types);
+    const accepted = req.accepts(types);
+    if (!accepted) return null;
+    return Object.keys(REPRESENTATIONS).find(key => REPRESENTATIONS[key].types.includes(accepted));
+}
+
+/**
+ * Types de contenu proposés (message d'une réponse 406)
+ */
+function supportedTypes() {
+    return Object.entries(REPRESENTATIONS).map(([key, { types }]) => `${types[0]} (format=${key})`);
+}
+
+module.exports = { REPRESENTATIONS, negotiate, supportedTypes };
@@ -0,0 +1,54 @@
+/**
+ * Représentation schema.org d'un livre (JSON-LD, type Book)
+ */
+
+// Tailles de couverture par ordre de préférence
+const COVER_SIZES = ['extraLarge', 'large', 'medium', 'small', 'thumbnail', 'smallThumbnail'];
+
+/**
+ * URL absolue d'une couverture (celles du stockage des couvertures sont relatives)
+ * @returns {string|null}
+ */
+function coverUrl(book, baseUrl) {
+    const size = COVER_SIZES.find(key => book.imageLinks && book.imageLinks[key]);
+    if (!size) return null;
+
+    const url = book.imageLinks[size];
+    if (/^https?:\/\//i.test(url)) return url;
+    return baseUrl ? new URL(url, baseUrl).href : null;
+}
+
+/**
+ * Document JSON-LD d'un livre
+ * @param {string} isbn - ISBN-13 du livre
+ * @param {object} book - Livre au schéma commun
+ * @param {object} [options]
+ * @param {string} [options.url] - Adresse canonique de la fiche (`@id` et `url`)
+ * @param {string} [options.baseUrl] - Origine des URL relatives
+ */
+function toJsonLd(isbn, book, { url = null, baseUrl = null } = {}) {
+    const document = {
+        '@context': 'https://schema.org',
+        '@type': 'Book',
+        '@id': url,
+        url,
+        name: book.title,
+        alternativeHeadline: book.subtitle,
+        author: (book.authors || []).map(name => ({ '@type': 'Person', name })),
+        publisher: book.publisher ? { '@type': 'Organization', name: book.publisher } : null,
+        datePublished: book.publishedDate,
+        numberOfPages: book.pageCount,
+        inLanguage: book.language,
+        description: book.description,
+        genre: book.categories,
+        isbn,
+        image: coverUrl(book, baseUrl),
+        dateModified: book.updatedAt
+    };
+
+    // Les propriétés sans valeur sont omises
+    return Object.fromEntries(Object.entries(document).filter(([, value]) =>
+        value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)));
+}
+
+module.exports = { toJsonLd, coverUrl };
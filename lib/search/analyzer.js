@@ -0,0 +1,191 @@
+/**
+ * Analyse du texte pour la recherche plein texte
+ *
+ * Chaque mot est mis en minuscules, racinisé en français et en anglais (Snowball) puis
+ * débarrassé de ses accents : « Misérables », « miserables » et « misérable » donnent
+ * tous la racine « miser ». Les livres sont indexés avec les deux racines de chaque mot,
+ * ce qui évite de devoir connaître la langue du livre ou de la requête.
+ * Le même analyseur sert à tous les stockages, qui ne font que ranger et classer les racines.
+ */
+
+const snowball = require('snowball-stemmers');
+
+const stemmers = {
+    fr: snowball.newStemmer('french'),
+    en: snowball.newStemmer('english')
+};
+
+// Mots trop fréquents pour être utiles (comparés après suppression des accents)
+const STOP_WORDS = new Set([
+    'a', 'au', 'aux', 'avec', 'ce', 'ces', 'dans', 'de', 'des', 'du', 'en', 'et', 'il', 'la', 'le', 'les',
+    'leur', 'leurs', 'ou', 'par', 'pour', 'sa', 'se', 'ses', 'son', 'sur', 'un', 'une', 'l', 'd', 'qu', 'que',
+    'qui', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it', 'of', 'on',
+    'or', 'the', 'to', 'with'
+]);
+
+// Champs indexés et leur poids dans le classement
+const FIELDS = {
+    title: 10,
+    authors: 6,
+    publisher: 3,
+    description: 1
+};
+
+/**
+ * Minuscules sans accents ni ligatures
+ */
+function fold(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/œ/g, 'oe')
+        .replace(/æ/g, 'ae')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Découper un texte en mots, avec leur position dans le texte d'origine
+ * @returns {Array<{word: string, start: number, end: number}>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = pattern.exec(String(text || ''))) !== null) {
+        tokens.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+/**
+ * Racines française et anglaise d'un mot (sans doublon), ou aucune pour un mot vide
+ */
+function stems(word) {
+    const lower = word.toLowerCase();
+    if (STOP_WORDS.has(fold(lower))) return [];
+
+    return Array.from(new Set([
+        fold(stemmers.fr.stem(lower)),
+        fold(stemmers.en.stem(lower))
+    ])).filter(Boolean);
+}
+
+/**
+ * Racines d'un texte, dans l'ordre, pour l'indexation
+ */
+function analyze(text) {
+    return tokenize(text).flatMap(token => stems(token.word));
+}
+
+/**
+ * Texte d'un champ d'un livre (les descriptions des fournisseurs contiennent parfois du HTML)
+ */
+function fieldText(book, field) {
+    const value = Array.isArray(book[field]) ? book[field].join(', ') : book[field];
+    if (!value) return '';
+    return field === 'description'
+        ? String(value).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim()
+        : String(value);
+}
+
+/**
+ * Texte indexé de chaque champ d'un livre (racines séparées par des espaces)
+ */
+function bookDocument(book) {
+    const document = {};
+    for (const field of Object.keys(FIELDS)) {
+        document[field] = analyze(fieldText(book, field)).join(' ');
+    }
+    return document;
+}
+
+/**
+ * Analyser une requête : un groupe de racines par mot, et tous les mots doivent être trouvés
+ * @returns {string[][]} Ex. « Bourdieu distinctions » → [['bourdieu'], ['distinct']]
+ */
+function analyzeQuery(query) {
+    const groups = [];
+    const seen = new Set();
+    for (const token of tokenize(query)) {
+        const group = stems(token.word);
+        const key = group.join('|');
+        if (group.length > 0 && !seen.has(key)) {
+            seen.add(key);
+            groups.push(group);
+        }
+    }
+    return groups;
+}
+
+/**
+ * Échapper un texte pour l'insérer dans du HTML
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Mettre en évidence (<mark>) les mots d'un texte qui correspondent à la requête
+ * Le texte est échappé ; un texte long est réduit à un extrait autour de la première correspondance.
+ * @returns {string|null} HTML, ou null si aucun mot ne correspond
+ */
+function highlight(text, queryGroups, { maxLength = 200 } = {}) {
+    if (!text) return null;
+
+    const queryStems = new Set(queryGroups.flat());
+    const source = String(text);
+    const matches = tokenize(source).filter(token => stems(token.word).some(stem => queryStems.has(stem)));
+    if (matches.length === 0) return null;
+
+    let from = 0;
+    let to = source.length;
+    if (source.length > maxLength) {
+        // Extrait centré sur la première correspondance, coupé entre deux mots
+        from = Math.max(0, matches[0].start - Math.floor(maxLength / 3));
+        to = Math.min(source.length, from + maxLength);
+        if (from > 0) from = source.indexOf(' ', from) + 1 || from;
+        if (to < source.length) to = source.lastIndexOf(' ', to) > from ? source.lastIndexOf(' ', to) : to;
+    }
+
+    let html = from > 0 ? '…' : '';
+    let position = from;
+    for (const match of matches) {
+        if (match.start < from || match.end > to) continue;
+        html += escapeHTML(source.substring(position, match.start));
+        html += `<mark>${escapeHTML(source.substring(match.start, match.end))}</mark>`;
+        position = match.end;
+    }
+    html += escapeHTML(source.substring(position, to));
+    if (to < source.length) html += '…';
+
+    return html;
+}
+
+/**
+ * Extraits mis en évidence des champs d'un livre qui correspondent à la requête
+ */
+function highlightBook(book, queryGroups) {
+    const highlights = {};
+    for (const field of Object.keys(FIELDS)) {
+        const snippet = highlight(fieldText(book, field), queryGroups, { maxLength: field === 'description' ? 200 : 500 });
+        if (snippet) highlights[field] = snippet;
+    }
+    return highlights;
+}
+
+module.exports = {
+    FIELDS,
+    fold,
+    tokenize,
+    stems,
+    analyze,
+    bookDocument,
+    analyzeQuery,
+    highlight,
+    highlightBook
+};
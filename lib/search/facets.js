@@ -0,0 +1,241 @@
+/**
+ * Filtres et facettes du catalogue
+ *
+ * Chaque livre est décrit par des couples (facette, valeur) : langue, catégories, éditeur,
+ * année de publication, source, présence d'une couverture et d'une description.
+ * Les stockages les rangent (SQL) ou les recalculent (mémoire), filtrent les résultats
+ * et comptent les valeurs pour proposer des affinages « Français (312), Anglais (97) ».
+ */
+
+// Facettes proposées, et nombre maximal de valeurs renvoyées pour chacune
+const FACETS = {
+    language: 20,
+    category: 20,
+    publisher: 20,
+    year: 50,
+    source: 20,
+    hasCover: 2,
+    hasDescription: 2
+};
+
+// Facettes à plusieurs valeurs possibles dans un filtre (paramètre répété ou séparé par des virgules)
+const LIST_FILTERS = ['language', 'category', 'publisher', 'source'];
+const BOOLEAN_FILTERS = ['hasCover', 'hasDescription'];
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+/**
+ * Année de publication ("2003", "2003-05-01", "15/03/2022", "cop. 1998"...)
+ * @returns {string|null} Quatre chiffres, pour être comparée comme du texte
+ */
+function publicationYear(publishedDate) {
+    const match = String(publishedDate || '').match(/\b(\d{4})\b/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Le livre a-t-il une couverture ?
+ */
+function hasCover(book) {
+    return Boolean(book.imageLinks && Object.values(book.imageLinks).some(Boolean));
+}
+
+/**
+ * Le livre a-t-il une description (hors texte de remplacement de l'interface) ?
+ */
+function hasDescription(book) {
+    const description = typeof book.description === 'string' ? book.description.trim() : '';
+    return description !== '' && description !== 'Aucune description disponible';
+}
+
+/**
+ * Couples (facette, valeur) d'un livre
+ * @returns {Array<[string, string]>} Les booléens valent 'true' ou 'false'
+ */
+function bookFacets(book) {
+    const pairs = [];
+    const add = (facet, value) => {
+        const clean = typeof value === 'string' ? value.trim() : value;
+        if (clean) pairs.push([facet, String(clean)]);
+    };
+
+    add('language', book.language);
+    for (const category of new Set(book.categories || [])) add('category', category);
+    add('publisher', book.publisher);
+    add('year', publicationYear(book.publishedDate));
+    add('source', book.source);
+    add('hasCover', String(hasCover(book)));
+    add('hasDescription', String(hasDescription(book)));
+    return pairs;
+}
+
+/**
+ * Valeurs d'un paramètre de liste (?language=fr&language=en ou ?language=fr,en)
+ */
+function listParam(value) {
+    return [].concat(value || [])
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Lire et valider les filtres et la pagination d'une requête GET /api/books
+ * @returns {{valid: boolean, error?: string, filters?: object, limit?: number, offset?: number, cursor?: object}}
+ */
+function parseCatalogQuery(query = {}) {
+    const filters = {};
+
+    for (const name of LIST_FILTERS) {
+        const values = listParam(query[name]);
+        if (values.length > 0) filters[name] = Array.from(new Set(values));
+    }
+
+    for (const name of BOOLEAN_FILTERS) {
+        if (query[name] === undefined || query[name] === '') continue;
+        if (!['true', 'false'].includes(String(query[name]))) {
+            return { valid: false, error: `Le filtre ${name} doit valoir true ou false` };
+        }
+        filters[name] = String(query[name]);
+    }
+
+    for (const name of ['yearFrom', 'yearTo']) {
+        if (query[name] === undefined || query[name] === '') continue;
+        if (!/^\d{1,4}$/.test(String(query[name]))) {
+            return { valid: false, error: `Le filtre ${name} doit être une année (ex. 1998)` };
+        }
+        filters[name] = String(query[name]).padStart(4, '0');
+    }
+    if (filters.yearFrom && filters.yearTo && filters.yearFrom > filters.yearTo) {
+        return { valid: false, error: 'yearFrom doit être antérieure ou égale à yearTo' };
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+        return { valid: false, error: 'Le paramètre limit doit être un entier positif' };
+    }
+
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { valid: false, error: 'Le paramètre offset doit être un entier positif ou nul' };
+    }
+
+    // Le curseur porte un score avec une requête, une date d'ajout sans
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor || typeof cursor.sortKey !== (query.q ? 'number' : 'string')) {
+            return { valid: false, error: 'Curseur de pagination invalide' };
+        }
+    }
+
+    return { valid: true, filters, limit: Math.min(limit, MAX_LIMIT), offset, cursor };
+}
+
+/**
+ * Le livre passe-t-il les filtres ?
+ * @param {Array<[string, string]>} pairs - Facettes du livre (bookFacets)
+ * @param {string} [except] - Facette dont le filtre est ignoré (pour compter ses valeurs)
+ */
+function matchesFilters(pairs, filters, except = null) {
+    for (const name of [...LIST_FILTERS, ...BOOLEAN_FILTERS]) {
+        if (name === except || !filters[name]) continue;
+        const accepted = [].concat(filters[name]);
+        if (!pairs.some(([facet, value]) => facet === name && accepted.includes(value))) return false;
+    }
+
+    if (except !== 'year' && (filters.yearFrom || filters.yearTo)) {
+        const year = (pairs.find(([facet]) => facet === 'year') || [])[1];
+        if (!year) return false;
+        if (filters.yearFrom && year < filters.yearFrom) return false;
+        if (filters.yearTo && year > filters.yearTo) return false;
+    }
+    return true;
+}
+
+/**
+ * La facette est-elle filtrée ? Ses valeurs sont alors comptées sans son propre filtre,
+ * pour continuer à proposer les autres choix (« Anglais » reste visible quand on filtre « Français »).
+ */
+function isFiltered(filters, facet) {
+    return facet === 'year' ? Boolean(filters.yearFrom || filters.yearTo) : Boolean(filters[facet]);
+}
+
+/**
+ * Mettre en forme les comptes d'une facette : les plus fréquents d'abord
+ * (les années, de la plus récente à la plus ancienne)
+ * @param {Map<string, number>|Array<{value: string, count: number}>} counts
+ */
+function formatFacet(facet, counts) {
+    const entries = counts instanceof Map
+        ? Array.from(counts, ([value, count]) => ({ value, count }))
+        : counts.map(({ value, count }) => ({ value, count: Number(count) }));
+
+    entries.sort(facet === 'year'
+        ? (a, b) => b.value.localeCompare(a.value)
+        : (a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    return entries.slice(0, FACETS[facet]);
+}
+
+/**
+ * Curseur de pagination : clé de tri et ISBN du dernier résultat renvoyé, encodés en base64url
+ */
+function encodeCursor(sortKey, isbn) {
+    return Buffer.from(JSON.stringify([sortKey, isbn])).toString('base64url');
+}
+
+/**
+ * @returns {{sortKey: number|string, isbn: string}|null} null si le curseur est illisible
+ */
+function decodeCursor(cursor) {
+    try {
+        const [sortKey, isbn] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!['number', 'string'].includes(typeof sortKey) || typeof isbn !== 'string') return null;
+        return { sortKey, isbn };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Le résultat vient-il après le curseur ? Tri par clé décroissante, puis ISBN croissant.
+ */
+function isAfterCursor(sortKey, isbn, cursor) {
+    if (!cursor) return true;
+    return sortKey < cursor.sortKey || (sortKey === cursor.sortKey && isbn > cursor.isbn);
+}
+
+/**
+ * Découper une page dans des résultats triés, lus avec un élément de plus que la limite
+ * @param {Array<{isbn: string, sortKey: number|string, book: object}>} rows
+ * @returns {{items: object[], nextCursor: string|null}} nextCursor est null sur la dernière page
+ */
+function paginate(rows, limit) {
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+        items: page.map(row => row.book),
+        nextCursor: rows.length > limit ? encodeCursor(last.sortKey, last.isbn) : null
+    };
+}
+
+module.exports = {
+    FACETS,
+    LIST_FILTERS,
+    BOOLEAN_FILTERS,
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    publicationYear,
+    hasCover,
+    hasDescription,
+    bookFacets,
+    parseCatalogQuery,
+    matchesFilters,
+    isFiltered,
+    formatFacet,
+    encodeCursor,
+    decodeCursor,
+    isAfterCursor,
+    paginate
+};
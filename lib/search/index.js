@@ -0,0 +1,14 @@
+/**
+ * Recherche plein texte : analyseur commun et index inversé en mémoire,
+ * filtres et facettes du catalogue
+ */
+
+const analyzer = require('./analyzer');
+const facets = require('./facets');
+const { InvertedIndex } = require('./inverted-index');
+
+module.exports = {
+    ...analyzer,
+    ...facets,
+    InvertedIndex
+};
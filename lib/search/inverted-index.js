@@ -0,0 +1,110 @@
+/**
+ * Index inversé en mémoire pour les stockages mémoire et JSON
+ * Classement BM25 sur les racines produites par l'analyseur, pondérées par champ.
+ */
+
+const { FIELDS, bookDocument } = require('./analyzer');
+
+// Paramètres BM25 habituels
+const K1 = 1.2;
+const B = 0.75;
+
+class InvertedIndex {
+    constructor() {
+        this.postings = new Map(); // racine -> Map(id -> fréquence pondérée)
+        this.documents = new Map(); // id -> { terms: Set, length }
+        this.totalLength = 0;
+    }
+
+    /**
+     * Indexer (ou réindexer) un livre
+     */
+    add(id, book) {
+        this.remove(id);
+
+        const frequencies = new Map();
+        let length = 0;
+        for (const [field, text] of Object.entries(bookDocument(book))) {
+            for (const term of text.split(' ').filter(Boolean)) {
+                frequencies.set(term, (frequencies.get(term) || 0) + FIELDS[field]);
+                length += FIELDS[field];
+            }
+        }
+
+        for (const [term, frequency] of frequencies) {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(id, frequency);
+        }
+        this.documents.set(id, { terms: new Set(frequencies.keys()), length });
+        this.totalLength += length;
+    }
+
+    /**
+     * Retirer un livre de l'index
+     */
+    remove(id) {
+        const document = this.documents.get(id);
+        if (!document) return;
+
+        for (const term of document.terms) {
+            const posting = this.postings.get(term);
+            posting.delete(id);
+            if (posting.size === 0) this.postings.delete(term);
+        }
+        this.documents.delete(id);
+        this.totalLength -= document.length;
+    }
+
+    /**
+     * Vider l'index
+     */
+    clear() {
+        this.postings.clear();
+        this.documents.clear();
+        this.totalLength = 0;
+    }
+
+    /**
+     * Livres contenant un mot de la requête (l'une de ses racines), avec leur fréquence
+     */
+    matchGroup(group) {
+        const matches = new Map();
+        for (const term of group) {
+            for (const [id, frequency] of this.postings.get(term) || []) {
+                matches.set(id, Math.max(matches.get(id) || 0, frequency));
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Chercher les livres contenant tous les mots de la requête
+     * @param {string[][]} queryGroups - Requête analysée (analyzeQuery)
+     * @returns {Array<{id: string, score: number}>} Du plus pertinent au moins pertinent
+     */
+    search(queryGroups) {
+        if (queryGroups.length === 0 || this.documents.size === 0) return [];
+
+        // Commencer par le mot le plus rare pour réduire les intersections
+        const groups = queryGroups.map(group => this.matchGroup(group)).sort((a, b) => a.size - b.size);
+        const averageLength = this.totalLength / this.documents.size;
+        const results = [];
+
+        for (const id of groups[0].keys()) {
+            if (!groups.every(matches => matches.has(id))) continue;
+
+            const lengthRatio = this.documents.get(id).length / averageLength;
+            let score = 0;
+            for (const matches of groups) {
+                const idf = Math.log(1 + (this.documents.size - matches.size + 0.5) / (matches.size + 0.5));
+                const frequency = matches.get(id);
+                score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * lengthRatio));
+            }
+            results.push({ id, score });
+        }
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+}
+
+module.exports = { InvertedIndex };
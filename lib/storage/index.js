@@ -0,0 +1,56 @@
+/**
+ * Choix du stockage des livres
+ *
+ * Tous les stockages exposent la même interface asynchrone :
+ *   init, count, get, findFirst, upsert, insertIfAbsent, update, delete, search,
+ *   upsertIfNewer, deleteIfNotNewer, getTombstone, recordTombstone, clearTombstone,
+ *   changesSince, appendRevision, listRevisions, getRevision,
+ *   createSuggestion, getSuggestion, listSuggestions, updateSuggestion, close
+ *
+ * `update` et `delete` acceptent la version lue auparavant (`expected`) : l'écriture n'a lieu que si la fiche
+ * n'a pas changé entre-temps (contrôle de concurrence optimiste, voir lib/etag.js).
+ *
+ * Le pilote est choisi par STORAGE_DRIVER (postgres, sqlite, json, memory).
+ * Par défaut : Postgres si POSTGRES_URL est défini, sinon le fichier data/books.json.
+ */
+
+const path = require('path');
+const { MemoryBookRepository } = require('./memory');
+const { JsonFileBookRepository } = require('./json-file');
+const { PostgresBookRepository } = require('./postgres');
+const { SqliteBookRepository } = require('./sqlite');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+/**
+ * Créer le stockage correspondant à la configuration
+ */
+function createBookRepository(options = {}) {
+    const env = options.env || process.env;
+    const driver = (options.driver || env.STORAGE_DRIVER || (env.POSTGRES_URL ? 'postgres' : 'json')).toLowerCase();
+
+    switch (driver) {
+        case 'postgres':
+            return new PostgresBookRepository();
+        case 'sqlite':
+            return new SqliteBookRepository({
+                filePath: options.filePath || env.SQLITE_PATH || path.join(DATA_DIR, 'books.sqlite')
+            });
+        case 'json':
+            return new JsonFileBookRepository({
+                filePath: options.filePath || env.JSON_DB_PATH || path.join(DATA_DIR, 'books.json')
+            });
+        case 'memory':
+            return new MemoryBookRepository();
+        default:
+            throw new Error(`Pilote de stockage inconnu: ${driver}`);
+    }
+}
+
+module.exports = {
+    createBookRepository,
+    MemoryBookRepository,
+    JsonFileBookRepository,
+    PostgresBookRepository,
+    SqliteBookRepository
+};
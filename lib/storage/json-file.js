@@ -0,0 +1,106 @@
+/**
+ * Stockage des livres dans un fichier JSON (format de data/books.json)
+ * Les données sont gardées en mémoire et réécrites sur disque à chaque modification
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { MemoryBookRepository } = require('./memory');
+
+class JsonFileBookRepository extends MemoryBookRepository {
+    constructor({ filePath }) {
+        super();
+        this.driver = 'json';
+        this.filePath = filePath;
+        this.tombstonesPath = filePath.replace(/\.json$/, '') + '.tombstones.json';
+        this.historyPath = filePath.replace(/\.json$/, '') + '.history.json';
+        this.suggestionsPath = filePath.replace(/\.json$/, '') + '.suggestions.json';
+        this.modifiedPath = filePath.replace(/\.json$/, '') + '.modified.json';
+        this.writeQueue = Promise.resolve();
+        this.hasTombstonesFile = false;
+        this.hasHistoryFile = false;
+        this.hasSuggestionsFile = false;
+    }
+
+    /**
+     * Charger le fichier JSON (un fichier absent donne une base vide)
+     */
+    async init() {
+        this.books = new Map(Object.entries(await this.readJson(this.filePath)));
+        this.tombstones = new Map(Object.entries(await this.readJson(this.tombstonesPath)));
+        this.revisions = new Map(Object.entries(await this.readJson(this.historyPath)));
+        this.suggestions = new Map(Object.entries(await this.readJson(this.suggestionsPath)));
+        const modified = await this.readJson(this.modifiedPath);
+        this.modified = {
+            books: new Map(Object.entries(modified.books || {})),
+            tombstones: new Map(Object.entries(modified.tombstones || {}))
+        };
+        this.rebuildSearchIndex();
+        this.hasTombstonesFile = this.tombstones.size > 0;
+        this.hasHistoryFile = this.revisions.size > 0;
+        this.hasSuggestionsFile = this.suggestions.size > 0;
+        console.log(`📄 ${this.books.size} livres chargés depuis ${this.filePath}`);
+    }
+
+    /**
+     * Lire un fichier JSON, ou un objet vide s'il n'existe pas
+     */
+    async readJson(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    }
+
+    /**
+     * Écrire un fichier de manière atomique (fichier temporaire puis renommage)
+     */
+    async writeJson(file, data) {
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(tmpFile, JSON.stringify(data, null, 2), 'utf8');
+        await fs.rename(tmpFile, file);
+    }
+
+    /**
+     * Réécrire les fichiers ; les écritures sont mises en file pour ne jamais se chevaucher
+     */
+    persist() {
+        this.writeQueue = this.writeQueue
+            .catch(() => {})
+            .then(async () => {
+                await this.writeJson(this.filePath, Object.fromEntries(this.books));
+                await this.writeJson(this.modifiedPath, {
+                    books: Object.fromEntries(this.modified.books),
+                    tombstones: Object.fromEntries(this.modified.tombstones)
+                });
+                // Le fichier des suppressions n'est créé qu'à la première suppression
+                if (this.tombstones.size > 0 || this.hasTombstonesFile) {
+                    await this.writeJson(this.tombstonesPath, Object.fromEntries(this.tombstones));
+                    this.hasTombstonesFile = true;
+                }
+                // De même pour l'historique, à la première révision
+                if (this.revisions.size > 0 || this.hasHistoryFile) {
+                    await this.writeJson(this.historyPath, Object.fromEntries(this.revisions));
+                    this.hasHistoryFile = true;
+                }
+                // Et pour les suggestions, à la première modification soumise à modération
+                if (this.suggestions.size > 0 || this.hasSuggestionsFile) {
+                    await this.writeJson(this.suggestionsPath, Object.fromEntries(this.suggestions));
+                    this.hasSuggestionsFile = true;
+                }
+            });
+        return this.writeQueue;
+    }
+
+    /**
+     * Attendre la fin des écritures en cours
+     */
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+module.exports = { JsonFileBookRepository };
@@ -0,0 +1,350 @@
+/**
+ * Stockage des livres en mémoire
+ * Utile pour les tests et comme base du stockage en fichier JSON
+ */
+
+const {
+    FACETS,
+    DEFAULT_LIMIT,
+    InvertedIndex,
+    analyzeQuery,
+    bookFacets,
+    matchesFilters,
+    formatFacet,
+    isAfterCursor,
+    paginate
+} = require('../search');
+
+/**
+ * Comparer deux dates ISO (les valeurs absentes sont considérées comme les plus anciennes)
+ */
+function isBefore(a, b) {
+    if (!a) return true;
+    if (!b) return false;
+    return new Date(a).getTime() < new Date(b).getTime();
+}
+
+class MemoryBookRepository {
+    constructor() {
+        this.driver = 'memory';
+        this.books = new Map();
+        this.tombstones = new Map();
+        // Heure du serveur de la dernière écriture de chaque livre et de chaque suppression (changesSince)
+        this.modified = { books: new Map(), tombstones: new Map() };
+        this.revisions = new Map(); // ISBN -> révisions, de la plus ancienne à la plus récente
+        this.suggestions = new Map(); // Identifiant -> suggestion (lib/moderation.js)
+        this.searchIndex = new InvertedIndex();
+    }
+
+    /**
+     * Enregistrer un livre en mémoire et dans l'index de recherche
+     */
+    setBook(isbn, data) {
+        this.books.set(isbn, data);
+        this.modified.books.set(isbn, new Date().toISOString());
+        this.searchIndex.add(isbn, data);
+    }
+
+    /**
+     * Retirer un livre de la mémoire et de l'index de recherche
+     */
+    removeBook(isbn) {
+        this.searchIndex.remove(isbn);
+        this.modified.books.delete(isbn);
+        return this.books.delete(isbn);
+    }
+
+    /**
+     * Reconstruire l'index de recherche (après un chargement)
+     */
+    rebuildSearchIndex() {
+        this.searchIndex.clear();
+        for (const [isbn, data] of this.books) {
+            this.searchIndex.add(isbn, data);
+        }
+    }
+
+    /**
+     * Initialiser le stockage
+     */
+    async init() {}
+
+    /**
+     * Persister les données (rien à faire en mémoire)
+     */
+    async persist() {}
+
+    /**
+     * Nombre total de livres
+     */
+    async count() {
+        return this.books.size;
+    }
+
+    /**
+     * Obtenir un livre par son ISBN exact
+     */
+    async get(isbn) {
+        return this.books.get(isbn) || null;
+    }
+
+    /**
+     * Obtenir le premier livre trouvé parmi plusieurs ISBN (variantes)
+     */
+    async findFirst(isbns) {
+        for (const isbn of isbns) {
+            if (this.books.has(isbn)) {
+                return this.books.get(isbn);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Créer ou remplacer un livre
+     */
+    async upsert(isbn, data) {
+        this.setBook(isbn, data);
+        await this.persist();
+        return data;
+    }
+
+    /**
+     * Créer un livre uniquement s'il n'existe pas encore
+     */
+    async insertIfAbsent(isbn, data) {
+        if (this.books.has(isbn)) return false;
+
+        this.setBook(isbn, data);
+        await this.persist();
+        return true;
+    }
+
+    /**
+     * La fiche stockée est-elle encore celle lue avant une modification ?
+     */
+    isUnchanged(isbn, expected) {
+        return JSON.stringify(this.books.get(isbn)) === JSON.stringify(expected);
+    }
+
+    /**
+     * Remplacer un livre existant
+     * @param {object|null} [expected] - Version lue avant la modification : rien n'est écrit si la fiche a changé depuis
+     * @returns {Promise<object|null>} null si le livre n'existe pas ou a changé
+     */
+    async update(isbn, data, expected = null) {
+        if (!this.books.has(isbn)) return null;
+        if (expected && !this.isUnchanged(isbn, expected)) return null;
+
+        this.setBook(isbn, data);
+        await this.persist();
+        return data;
+    }
+
+    /**
+     * Supprimer un livre
+     * @param {object|null} [expected] - Version lue avant la suppression : rien n'est supprimé si la fiche a changé depuis
+     */
+    async delete(isbn, expected = null) {
+        if (expected && this.books.has(isbn) && !this.isUnchanged(isbn, expected)) return false;
+
+        const deleted = this.removeBook(isbn);
+        if (deleted) {
+            await this.persist();
+        }
+        return deleted;
+    }
+
+    /**
+     * Rechercher des livres par titre, auteurs, éditeur ou description (plein texte, classé)
+     * Sans requête, renvoie les derniers livres ajoutés. Les filtres et les facettes sont
+     * décrits dans lib/search/facets.js.
+     * @returns {Promise<{items: object[], total: number, facets: object, nextCursor: string|null}>}
+     */
+    async search({ q, filters = {}, limit = DEFAULT_LIMIT, offset = 0, cursor = null } = {}) {
+        // Candidats triés par clé décroissante (score ou date d'ajout), puis par ISBN
+        const candidates = q
+            ? this.searchIndex.search(analyzeQuery(q))
+                .map(({ id, score }) => ({ isbn: id, sortKey: score, book: { ...this.books.get(id), score } }))
+            : Array.from(this.books, ([isbn, book]) => ({ isbn, sortKey: book.createdAt || '', book }));
+        candidates.sort((a, b) => (a.sortKey < b.sortKey ? 1 : a.sortKey > b.sortKey ? -1 : a.isbn.localeCompare(b.isbn)));
+        candidates.forEach(candidate => { candidate.facets = bookFacets(candidate.book); });
+
+        // Chaque facette est comptée sans son propre filtre
+        const facets = {};
+        for (const facet of Object.keys(FACETS)) {
+            const counts = new Map();
+            for (const candidate of candidates) {
+                if (!matchesFilters(candidate.facets, filters, facet)) continue;
+                for (const [name, value] of candidate.facets) {
+                    if (name === facet) counts.set(value, (counts.get(value) || 0) + 1);
+                }
+            }
+            facets[facet] = formatFacet(facet, counts);
+        }
+
+        const matches = candidates.filter(candidate => matchesFilters(candidate.facets, filters));
+        const start = cursor ? 0 : Number(offset);
+        const rows = matches
+            .filter(candidate => isAfterCursor(candidate.sortKey, candidate.isbn, cursor))
+            .slice(start, start + Number(limit) + 1);
+
+        return { ...paginate(rows, Number(limit)), total: matches.length, facets };
+    }
+
+    /**
+     * Créer ou remplacer un livre si la version fournie est plus récente
+     * @returns {'inserted'|'updated'|null} null si la version stockée est plus récente
+     */
+    async upsertIfNewer(isbn, data) {
+        const existing = this.books.get(isbn);
+        if (existing && !isBefore(existing.updatedAt, data.updatedAt)) {
+            return null;
+        }
+
+        this.setBook(isbn, data);
+        await this.persist();
+        return existing ? 'updated' : 'inserted';
+    }
+
+    /**
+     * Supprimer un livre s'il n'a pas été modifié après la date de suppression
+     */
+    async deleteIfNotNewer(isbn, deletedAt) {
+        const existing = this.books.get(isbn);
+        if (!existing || isBefore(deletedAt, existing.updatedAt)) {
+            return false;
+        }
+
+        this.removeBook(isbn);
+        await this.persist();
+        return true;
+    }
+
+    /**
+     * Date de suppression d'un livre, s'il a été supprimé
+     */
+    async getTombstone(isbn) {
+        return this.tombstones.get(isbn) || null;
+    }
+
+    /**
+     * Enregistrer (ou avancer) la date de suppression d'un livre
+     */
+    async recordTombstone(isbn, deletedAt) {
+        const current = this.tombstones.get(isbn);
+        if (!current || isBefore(current, deletedAt)) {
+            this.tombstones.set(isbn, new Date(deletedAt).toISOString());
+            this.modified.tombstones.set(isbn, new Date().toISOString());
+            await this.persist();
+        }
+    }
+
+    /**
+     * Oublier la suppression d'un livre (recréé depuis)
+     */
+    async clearTombstone(isbn) {
+        this.modified.tombstones.delete(isbn);
+        if (this.tombstones.delete(isbn)) {
+            await this.persist();
+        }
+    }
+
+    /**
+     * Livres modifiés et supprimés depuis une date (tout si `since` est null)
+     * La date comparée est celle de l'écriture sur le serveur, pas celle fournie par le client
+     * (`updatedAt`, `deletedAt`), qui peut être antérieure à la dernière synchronisation d'un autre appareil.
+     * Les données enregistrées avant ce suivi gardent leur propre date.
+     */
+    async changesSince(since) {
+        const books = {};
+        const deleted = {};
+
+        for (const [isbn, data] of this.books) {
+            const modifiedAt = this.modified.books.get(isbn) || data.updatedAt;
+            if (!since || (modifiedAt && !isBefore(modifiedAt, since))) {
+                books[isbn] = data;
+            }
+        }
+        for (const [isbn, deletedAt] of this.tombstones) {
+            if (!since || !isBefore(this.modified.tombstones.get(isbn) || deletedAt, since)) {
+                deleted[isbn] = deletedAt;
+            }
+        }
+
+        return { books, deleted };
+    }
+
+    /**
+     * Ajouter une révision à l'historique d'un livre (lib/history.js)
+     * @returns {Promise<object>} La révision, avec son numéro `rev` (1 pour la première)
+     */
+    async appendRevision(isbn, revision) {
+        const history = this.revisions.get(isbn) || [];
+        const saved = { ...revision, rev: history.length + 1 };
+        this.revisions.set(isbn, [...history, saved]);
+        await this.persist();
+        return saved;
+    }
+
+    /**
+     * Historique d'un livre, de la révision la plus ancienne à la plus récente
+     */
+    async listRevisions(isbn) {
+        return this.revisions.get(isbn) || [];
+    }
+
+    /**
+     * Obtenir une révision d'un livre
+     */
+    async getRevision(isbn, rev) {
+        return (this.revisions.get(isbn) || []).find(revision => revision.rev === rev) || null;
+    }
+
+    /**
+     * Enregistrer une suggestion de modification (lib/moderation.js)
+     */
+    async createSuggestion(suggestion) {
+        this.suggestions.set(suggestion.id, suggestion);
+        await this.persist();
+        return suggestion;
+    }
+
+    /**
+     * Obtenir une suggestion par son identifiant
+     */
+    async getSuggestion(id) {
+        return this.suggestions.get(id) || null;
+    }
+
+    /**
+     * Lister les suggestions, de la plus ancienne à la plus récente
+     * @param {object} [filters] - status, isbn, author
+     */
+    async listSuggestions({ status, isbn, author } = {}) {
+        return Array.from(this.suggestions.values())
+            .filter(suggestion => (!status || suggestion.status === status)
+                && (!isbn || suggestion.isbn === isbn)
+                && (!author || suggestion.author === author))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Remplacer une suggestion existante
+     * @returns {Promise<boolean>} false si elle n'existe pas
+     */
+    async updateSuggestion(suggestion) {
+        if (!this.suggestions.has(suggestion.id)) return false;
+
+        this.suggestions.set(suggestion.id, suggestion);
+        await this.persist();
+        return true;
+    }
+
+    /**
+     * Libérer les ressources
+     */
+    async close() {}
+}
+
+module.exports = { MemoryBookRepository, isBefore };
@@ -0,0 +1,522 @@
+/**
+ * Stockage des livres dans Postgres (Vercel Postgres)
+ * Chaque livre est un document JSONB indexé par son ISBN-13
+ */
+
+const { db } = require('@vercel/postgres');
+const {
+    FACETS,
+    LIST_FILTERS,
+    BOOLEAN_FILTERS,
+    DEFAULT_LIMIT,
+    bookDocument,
+    analyzeQuery,
+    bookFacets,
+    isFiltered,
+    formatFacet,
+    paginate
+} = require('../search');
+
+// Vecteur de recherche : racines (lib/search/analyzer.js) pondérées A (titre) à D (description)
+const SEARCH_VECTOR = (first) => `
+    setweight(to_tsvector('simple', $${first}), 'A') ||
+    setweight(to_tsvector('simple', $${first + 1}), 'B') ||
+    setweight(to_tsvector('simple', $${first + 2}), 'C') ||
+    setweight(to_tsvector('simple', $${first + 3}), 'D')`;
+
+/**
+ * Paramètres du vecteur de recherche d'un livre, dans l'ordre de SEARCH_VECTOR
+ */
+function searchParams(data) {
+    const document = bookDocument(data);
+    return [document.title, document.authors, document.publisher, document.description];
+}
+
+class PostgresBookRepository {
+    constructor({ client = db } = {}) {
+        this.driver = 'postgres';
+        this.db = client;
+    }
+
+    /**
+     * Créer les tables si elles n'existent pas
+     */
+    async init() {
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS books (
+                isbn TEXT PRIMARY KEY,
+                data JSONB NOT NULL
+            );
+        `);
+        console.log('✅ Table "books" vérifiée/créée.');
+
+        // Les suppressions sont conservées sous forme de "tombstones" pour être propagées lors de la synchronisation
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS book_tombstones (
+                isbn TEXT PRIMARY KEY,
+                deleted_at TIMESTAMPTZ NOT NULL
+            );
+        `);
+        console.log('✅ Table "book_tombstones" vérifiée/créée.');
+
+        // Heure du serveur de la dernière écriture : curseur de la synchronisation (changesSince)
+        await this.db.query('ALTER TABLE books ADD COLUMN IF NOT EXISTS modified_at TIMESTAMPTZ;');
+        await this.db.query('ALTER TABLE book_tombstones ADD COLUMN IF NOT EXISTS modified_at TIMESTAMPTZ;');
+
+        // Historique des fiches (lib/history.js) : révisions immuables, conservées après suppression
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS book_revisions (
+                isbn TEXT NOT NULL,
+                rev INTEGER NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL,
+                data JSONB NOT NULL,
+                PRIMARY KEY (isbn, rev)
+            );
+        `);
+        console.log('✅ Table "book_revisions" vérifiée/créée.');
+
+        // Suggestions de modification en attente ou traitées (lib/moderation.js)
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS book_suggestions (
+                id TEXT PRIMARY KEY,
+                isbn TEXT NOT NULL,
+                status TEXT NOT NULL,
+                author TEXT NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL,
+                data JSONB NOT NULL
+            );
+        `);
+        await this.db.query('CREATE INDEX IF NOT EXISTS book_suggestions_status_idx ON book_suggestions (status, created_at);');
+        console.log('✅ Table "book_suggestions" vérifiée/créée.');
+
+        // Recherche plein texte : vecteur calculé à chaque écriture, index GIN
+        await this.db.query('ALTER TABLE books ADD COLUMN IF NOT EXISTS search TSVECTOR;');
+        await this.db.query('CREATE INDEX IF NOT EXISTS books_search_idx ON books USING GIN (search);');
+
+        const { rows } = await this.db.query('SELECT isbn, data FROM books WHERE search IS NULL');
+        for (const row of rows) {
+            await this.db.query(
+                `UPDATE books SET search = ${SEARCH_VECTOR(2)} WHERE isbn = $1`,
+                [row.isbn, ...searchParams(row.data)]
+            );
+        }
+        if (rows.length > 0) {
+            console.log(`🔎 ${rows.length} livres ajoutés à l'index plein texte.`);
+        }
+
+        // Facettes du catalogue (lib/search/facets.js) : une ligne par couple (facette, valeur)
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS book_facets (
+                isbn TEXT NOT NULL REFERENCES books (isbn) ON DELETE CASCADE,
+                facet TEXT NOT NULL,
+                value TEXT NOT NULL,
+                PRIMARY KEY (isbn, facet, value)
+            );
+        `);
+        await this.db.query('CREATE INDEX IF NOT EXISTS book_facets_value_idx ON book_facets (facet, value);');
+
+        const { rows: unfaceted } = await this.db.query(`
+            SELECT isbn, data FROM books
+            WHERE NOT EXISTS (SELECT 1 FROM book_facets WHERE book_facets.isbn = books.isbn)
+        `);
+        for (const row of unfaceted) {
+            await this.indexFacets(row.isbn, row.data);
+        }
+        if (unfaceted.length > 0) {
+            console.log(`🏷️ Facettes calculées pour ${unfaceted.length} livres.`);
+        }
+    }
+
+    /**
+     * Remplacer les facettes d'un livre (après chaque écriture ; la suppression du livre les supprime)
+     */
+    async indexFacets(isbn, data) {
+        const pairs = bookFacets(data);
+        await this.db.query('DELETE FROM book_facets WHERE isbn = $1', [isbn]);
+        await this.db.query(`
+            INSERT INTO book_facets (isbn, facet, value)
+            SELECT $1, facet, value FROM unnest($2::text[], $3::text[]) AS pairs (facet, value)
+            ON CONFLICT DO NOTHING;
+        `, [isbn, pairs.map(([facet]) => facet), pairs.map(([, value]) => value)]);
+    }
+
+    /**
+     * Nombre total de livres
+     */
+    async count() {
+        const { rows } = await this.db.query('SELECT COUNT(*) as count FROM books');
+        return parseInt(rows[0].count, 10);
+    }
+
+    /**
+     * Obtenir un livre par son ISBN exact
+     */
+    async get(isbn) {
+        const { rows } = await this.db.query('SELECT data FROM books WHERE isbn = $1', [isbn]);
+        return rows.length > 0 ? rows[0].data : null;
+    }
+
+    /**
+     * Obtenir le premier livre trouvé parmi plusieurs ISBN (variantes)
+     */
+    async findFirst(isbns) {
+        const { rows } = await this.db.query(
+            'SELECT data FROM books WHERE isbn = ANY($1) ORDER BY array_position($1, isbn) LIMIT 1',
+            [isbns]
+        );
+        return rows.length > 0 ? rows[0].data : null;
+    }
+
+    /**
+     * Créer ou remplacer un livre
+     */
+    async upsert(isbn, data) {
+        const { rows } = await this.db.query(`
+            INSERT INTO books (isbn, data, search, modified_at) VALUES ($1, $2, ${SEARCH_VECTOR(3)}, $7)
+            ON CONFLICT (isbn) DO UPDATE SET data = EXCLUDED.data, search = EXCLUDED.search, modified_at = EXCLUDED.modified_at
+            RETURNING data;
+        `, [isbn, JSON.stringify(data), ...searchParams(data), new Date().toISOString()]);
+        await this.indexFacets(isbn, data);
+        return rows[0].data;
+    }
+
+    /**
+     * Créer un livre uniquement s'il n'existe pas encore
+     */
+    async insertIfAbsent(isbn, data) {
+        const { rowCount } = await this.db.query(`
+            INSERT INTO books (isbn, data, search, modified_at) VALUES ($1, $2, ${SEARCH_VECTOR(3)}, $7)
+            ON CONFLICT (isbn) DO NOTHING;
+        `, [isbn, JSON.stringify(data), ...searchParams(data), new Date().toISOString()]);
+        if (rowCount === 0) return false;
+
+        await this.indexFacets(isbn, data);
+        return true;
+    }
+
+    /**
+     * Remplacer un livre existant
+     * @param {object|null} [expected] - Version lue avant la modification : rien n'est écrit si la fiche a changé depuis
+     * @returns {Promise<object|null>} null si le livre n'existe pas ou a changé
+     */
+    async update(isbn, data, expected = null) {
+        // Comparaison JSONB : indépendante de l'ordre des clés
+        const { rows } = await this.db.query(
+            `UPDATE books SET data = $1, search = ${SEARCH_VECTOR(3)}, modified_at = $8
+             WHERE isbn = $2 AND ($7::jsonb IS NULL OR data = $7::jsonb) RETURNING data;`,
+            [JSON.stringify(data), isbn, ...searchParams(data), expected ? JSON.stringify(expected) : null, new Date().toISOString()]
+        );
+        if (rows.length === 0) return null;
+
+        await this.indexFacets(isbn, data);
+        return rows[0].data;
+    }
+
+    /**
+     * Supprimer un livre
+     * @param {object|null} [expected] - Version lue avant la suppression : rien n'est supprimé si la fiche a changé depuis
+     */
+    async delete(isbn, expected = null) {
+        const { rowCount } = await this.db.query(
+            'DELETE FROM books WHERE isbn = $1 AND ($2::jsonb IS NULL OR data = $2::jsonb) RETURNING isbn;',
+            [isbn, expected ? JSON.stringify(expected) : null]
+        );
+        return rowCount > 0;
+    }
+
+    /**
+     * Livres candidats, filtrés : requête SQL (à placer dans un WITH) et ses paramètres
+     * @param {string|null} tsquery - Requête plein texte, ou null pour tous les livres
+     * @param {string} [except] - Facette dont le filtre est ignoré (pour compter ses valeurs)
+     */
+    catalogQuery(tsquery, filters, except = null) {
+        const params = [];
+        const param = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+        let sql;
+
+        if (tsquery) {
+            sql = `
+                SELECT isbn, data, ts_rank_cd('{0.1, 0.3, 0.6, 1.0}'::float4[], search, query)::float8 AS sort_key
+                FROM books, to_tsquery('simple', ${param(tsquery)}) AS query
+                WHERE search @@ query`;
+        } else {
+            sql = `
+                SELECT isbn, data, COALESCE(data->>'createdAt', '') AS sort_key
+                FROM books
+                WHERE TRUE`;
+        }
+
+        for (const name of [...LIST_FILTERS, ...BOOLEAN_FILTERS]) {
+            if (name === except || !filters[name]) continue;
+            sql += `
+                AND isbn IN (SELECT isbn FROM book_facets WHERE facet = '${name}' AND value = ANY(${param([].concat(filters[name]))}::text[]))`;
+        }
+
+        if (except !== 'year' && (filters.yearFrom || filters.yearTo)) {
+            sql += `
+                AND isbn IN (SELECT isbn FROM book_facets WHERE facet = 'year'
+                             AND value BETWEEN ${param(filters.yearFrom || '0000')} AND ${param(filters.yearTo || '9999')})`;
+        }
+
+        return { sql, params };
+    }
+
+    /**
+     * Compter les valeurs des facettes parmi les livres candidats
+     * Les facettes non filtrées sont comptées ensemble, chaque facette filtrée sans son propre filtre.
+     */
+    async countFacets(tsquery, filters) {
+        const counts = Object.fromEntries(Object.keys(FACETS).map(facet => [facet, []]));
+        const names = Object.keys(FACETS);
+
+        const count = async (facetNames, except) => {
+            const { sql, params } = this.catalogQuery(tsquery, filters, except);
+            const { rows } = await this.db.query(`
+                WITH matches AS (${sql})
+                SELECT book_facets.facet, book_facets.value, COUNT(*) AS count
+                FROM book_facets
+                JOIN matches ON matches.isbn = book_facets.isbn
+                WHERE book_facets.facet = ANY($${params.length + 1}::text[])
+                GROUP BY book_facets.facet, book_facets.value
+            `, [...params, facetNames]);
+            rows.forEach(row => counts[row.facet].push(row));
+        };
+
+        const unfiltered = names.filter(facet => !isFiltered(filters, facet));
+        if (unfiltered.length > 0) await count(unfiltered, null);
+        for (const facet of names.filter(name => isFiltered(filters, name))) {
+            await count([facet], facet);
+        }
+
+        return Object.fromEntries(names.map(facet => [facet, formatFacet(facet, counts[facet])]));
+    }
+
+    /**
+     * Rechercher des livres par titre, auteurs, éditeur ou description (plein texte, classé)
+     * Sans requête, renvoie les derniers livres ajoutés. Les filtres et les facettes sont
+     * décrits dans lib/search/facets.js.
+     * @returns {Promise<{items: object[], total: number, facets: object, nextCursor: string|null}>}
+     */
+    async search({ q, filters = {}, limit = DEFAULT_LIMIT, offset = 0, cursor = null } = {}) {
+        let tsquery = null;
+        if (q) {
+            // Tous les mots sont requis, chacun sous l'une de ses racines : ('a' | 'b') & ('c')
+            const groups = analyzeQuery(q);
+            if (groups.length === 0) {
+                const facets = Object.fromEntries(Object.keys(FACETS).map(facet => [facet, []]));
+                return { items: [], total: 0, facets, nextCursor: null };
+            }
+            tsquery = groups
+                .map(group => `(${group.map(term => `'${term}'`).join(' | ')})`)
+                .join(' & ');
+        }
+
+        const { sql, params } = this.catalogQuery(tsquery, filters);
+        const { rows: totalRows } = await this.db.query(`WITH matches AS (${sql}) SELECT COUNT(*) AS total FROM matches`, params);
+
+        // Tri par clé décroissante (score ou date d'ajout), puis par ISBN ; le curseur reprend après le dernier livre lu
+        const pageParams = [...params];
+        const param = (value) => {
+            pageParams.push(value);
+            return `$${pageParams.length}`;
+        };
+        const after = cursor
+            ? `WHERE sort_key < ${param(cursor.sortKey)} OR (sort_key = $${pageParams.length} AND isbn > ${param(cursor.isbn)})`
+            : '';
+        const { rows } = await this.db.query(`
+            WITH matches AS (${sql})
+            SELECT isbn, data, sort_key FROM matches
+            ${after}
+            ORDER BY sort_key DESC, isbn
+            LIMIT ${param(Number(limit) + 1)} OFFSET ${param(cursor ? 0 : Number(offset))}
+        `, pageParams);
+
+        const page = paginate(rows.map(row => ({
+            isbn: row.isbn,
+            sortKey: row.sort_key,
+            book: tsquery ? { ...row.data, score: row.sort_key } : row.data
+        })), Number(limit));
+
+        return {
+            ...page,
+            total: parseInt(totalRows[0].total, 10),
+            facets: await this.countFacets(tsquery, filters)
+        };
+    }
+
+    /**
+     * Créer ou remplacer un livre si la version fournie est plus récente
+     * @returns {'inserted'|'updated'|null} null si la version stockée est plus récente
+     */
+    async upsertIfNewer(isbn, data) {
+        const { rows } = await this.db.query(`
+            INSERT INTO books (isbn, data, search, modified_at) VALUES ($1, $2, ${SEARCH_VECTOR(3)}, $7)
+            ON CONFLICT (isbn) DO UPDATE SET data = EXCLUDED.data, search = EXCLUDED.search, modified_at = EXCLUDED.modified_at
+            WHERE books.data->>'updatedAt' IS NULL
+               OR (books.data->>'updatedAt')::timestamptz < (EXCLUDED.data->>'updatedAt')::timestamptz
+            RETURNING (xmax = 0) AS inserted;
+        `, [isbn, JSON.stringify(data), ...searchParams(data), new Date().toISOString()]);
+
+        if (rows.length === 0) return null;
+
+        await this.indexFacets(isbn, data);
+        return rows[0].inserted ? 'inserted' : 'updated';
+    }
+
+    /**
+     * Supprimer un livre s'il n'a pas été modifié après la date de suppression
+     */
+    async deleteIfNotNewer(isbn, deletedAt) {
+        const { rowCount } = await this.db.query(`
+            DELETE FROM books
+            WHERE isbn = $1
+              AND (data->>'updatedAt' IS NULL OR (data->>'updatedAt')::timestamptz <= $2::timestamptz);
+        `, [isbn, deletedAt]);
+        return rowCount > 0;
+    }
+
+    /**
+     * Date de suppression d'un livre, s'il a été supprimé
+     */
+    async getTombstone(isbn) {
+        const { rows } = await this.db.query('SELECT deleted_at FROM book_tombstones WHERE isbn = $1', [isbn]);
+        return rows.length > 0 ? new Date(rows[0].deleted_at).toISOString() : null;
+    }
+
+    /**
+     * Enregistrer (ou avancer) la date de suppression d'un livre
+     */
+    async recordTombstone(isbn, deletedAt) {
+        await this.db.query(`
+            INSERT INTO book_tombstones (isbn, deleted_at, modified_at) VALUES ($1, $2, $3)
+            ON CONFLICT (isbn) DO UPDATE SET deleted_at = EXCLUDED.deleted_at, modified_at = EXCLUDED.modified_at
+            WHERE EXCLUDED.deleted_at > book_tombstones.deleted_at;
+        `, [isbn, deletedAt, new Date().toISOString()]);
+    }
+
+    /**
+     * Oublier la suppression d'un livre (recréé depuis)
+     */
+    async clearTombstone(isbn) {
+        await this.db.query('DELETE FROM book_tombstones WHERE isbn = $1', [isbn]);
+    }
+
+    /**
+     * Livres modifiés et supprimés depuis une date (tout si `since` est null)
+     * La date comparée est celle de l'écriture sur le serveur (modified_at) ; les lignes écrites
+     * avant ce suivi gardent la date fournie par le client.
+     */
+    async changesSince(since) {
+        const { rows } = await this.db.query(`
+            SELECT isbn, data FROM books
+            WHERE $1::timestamptz IS NULL
+               OR COALESCE(modified_at, (data->>'updatedAt')::timestamptz) >= $1::timestamptz
+        `, [since]);
+        const books = rows.reduce((acc, row) => {
+            acc[row.isbn] = row.data;
+            return acc;
+        }, {});
+
+        const { rows: tombstoneRows } = await this.db.query(`
+            SELECT isbn, deleted_at FROM book_tombstones
+            WHERE $1::timestamptz IS NULL OR COALESCE(modified_at, deleted_at) >= $1::timestamptz
+        `, [since]);
+        const deleted = tombstoneRows.reduce((acc, row) => {
+            acc[row.isbn] = new Date(row.deleted_at).toISOString();
+            return acc;
+        }, {});
+
+        return { books, deleted };
+    }
+
+    /**
+     * Ajouter une révision à l'historique d'un livre (lib/history.js)
+     * Le numéro est calculé dans l'insertion ; deux écritures simultanées du même livre
+     * se heurtent à la clé primaire plutôt que de partager un numéro.
+     * @returns {Promise<object>} La révision, avec son numéro `rev` (1 pour la première)
+     */
+    async appendRevision(isbn, revision) {
+        const { rows } = await this.db.query(`
+            INSERT INTO book_revisions (isbn, rev, created_at, data)
+            SELECT $1, next.rev, $3, jsonb_set($2::jsonb, '{rev}', to_jsonb(next.rev))
+            FROM (SELECT COALESCE(MAX(rev), 0) + 1 AS rev FROM book_revisions WHERE isbn = $1) AS next
+            RETURNING data
+        `, [isbn, JSON.stringify(revision), revision.at]);
+        return rows[0].data;
+    }
+
+    /**
+     * Historique d'un livre, de la révision la plus ancienne à la plus récente
+     */
+    async listRevisions(isbn) {
+        const { rows } = await this.db.query('SELECT data FROM book_revisions WHERE isbn = $1 ORDER BY rev', [isbn]);
+        return rows.map(row => row.data);
+    }
+
+    /**
+     * Obtenir une révision d'un livre
+     */
+    async getRevision(isbn, rev) {
+        const { rows } = await this.db.query('SELECT data FROM book_revisions WHERE isbn = $1 AND rev = $2', [isbn, rev]);
+        return rows.length > 0 ? rows[0].data : null;
+    }
+
+    /**
+     * Enregistrer une suggestion de modification (lib/moderation.js)
+     */
+    async createSuggestion(suggestion) {
+        await this.db.query(`
+            INSERT INTO book_suggestions (id, isbn, status, author, created_at, data)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, [suggestion.id, suggestion.isbn, suggestion.status, suggestion.author, suggestion.createdAt, JSON.stringify(suggestion)]);
+        return suggestion;
+    }
+
+    /**
+     * Obtenir une suggestion par son identifiant
+     */
+    async getSuggestion(id) {
+        const { rows } = await this.db.query('SELECT data FROM book_suggestions WHERE id = $1', [id]);
+        return rows.length > 0 ? rows[0].data : null;
+    }
+
+    /**
+     * Lister les suggestions, de la plus ancienne à la plus récente
+     * @param {object} [filters] - status, isbn, author
+     */
+    async listSuggestions({ status, isbn, author } = {}) {
+        const conditions = [];
+        const params = [];
+        for (const [column, value] of Object.entries({ status, isbn, author })) {
+            if (!value) continue;
+            params.push(value);
+            conditions.push(`${column} = $${params.length}`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const { rows } = await this.db.query(`SELECT data FROM book_suggestions ${where} ORDER BY created_at, id`, params);
+        return rows.map(row => row.data);
+    }
+
+    /**
+     * Remplacer une suggestion existante
+     * @returns {Promise<boolean>} false si elle n'existe pas
+     */
+    async updateSuggestion(suggestion) {
+        const { rowCount } = await this.db.query(
+            'UPDATE book_suggestions SET status = $2, data = $3 WHERE id = $1',
+            [suggestion.id, suggestion.status, JSON.stringify(suggestion)]
+        );
+        return rowCount > 0;
+    }
+
+    /**
+     * Libérer les ressources (le pool est géré par @vercel/postgres)
+     */
+    async close() {}
+}
+
+module.exports = { PostgresBookRepository };
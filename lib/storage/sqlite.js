@@ -0,0 +1,553 @@
+/**
+ * Stockage des livres dans un fichier SQLite local (better-sqlite3)
+ * Permet d'héberger le serveur sur une machine sans service de base de données
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    FIELDS,
+    FACETS,
+    LIST_FILTERS,
+    BOOLEAN_FILTERS,
+    DEFAULT_LIMIT,
+    bookDocument,
+    analyzeQuery,
+    bookFacets,
+    isFiltered,
+    formatFacet,
+    paginate
+} = require('../search');
+
+class SqliteBookRepository {
+    constructor({ filePath }) {
+        this.driver = 'sqlite';
+        this.filePath = filePath;
+        this.db = null;
+    }
+
+    /**
+     * Ouvrir le fichier et créer les tables si elles n'existent pas
+     */
+    async init() {
+        // Dépendance optionnelle : chargée uniquement si ce stockage est utilisé
+        const Database = require('better-sqlite3');
+
+        if (this.filePath !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        }
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+
+        this.db.exec(`
+            -- modified_at : heure du serveur de la dernière écriture (changesSince)
+            CREATE TABLE IF NOT EXISTS books (
+                isbn TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                modified_at TEXT
+            );
+            CREATE TABLE IF NOT EXISTS book_tombstones (
+                isbn TEXT PRIMARY KEY,
+                deleted_at TEXT NOT NULL,
+                modified_at TEXT
+            );
+            -- Historique des fiches (lib/history.js) : révisions immuables, conservées après suppression
+            CREATE TABLE IF NOT EXISTS book_revisions (
+                isbn TEXT NOT NULL,
+                rev INTEGER NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (isbn, rev)
+            ) WITHOUT ROWID;
+            -- Suggestions de modification en attente ou traitées (lib/moderation.js)
+            CREATE TABLE IF NOT EXISTS book_suggestions (
+                id TEXT PRIMARY KEY,
+                isbn TEXT NOT NULL,
+                status TEXT NOT NULL,
+                author TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS book_suggestions_status_idx ON book_suggestions (status, created_at);
+            -- Index plein texte : racines produites par lib/search/analyzer.js, une ligne par livre (même rowid)
+            CREATE VIRTUAL TABLE IF NOT EXISTS books_fts USING fts5(
+                title, authors, publisher, description,
+                tokenize = 'unicode61 remove_diacritics 0'
+            );
+            -- Facettes du catalogue (lib/search/facets.js) : une ligne par couple (facette, valeur)
+            CREATE TABLE IF NOT EXISTS book_facets (
+                isbn TEXT NOT NULL,
+                facet TEXT NOT NULL,
+                value TEXT NOT NULL,
+                PRIMARY KEY (isbn, facet, value)
+            ) WITHOUT ROWID;
+            CREATE INDEX IF NOT EXISTS book_facets_value_idx ON book_facets (facet, value);
+        `);
+
+        // Bases créées avant le suivi des écritures
+        for (const table of ['books', 'book_tombstones']) {
+            const columns = this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+            if (!columns.includes('modified_at')) {
+                this.db.exec(`ALTER TABLE ${table} ADD COLUMN modified_at TEXT`);
+            }
+        }
+
+        // Bases créées avant l'index plein texte ou les facettes, ou index incomplet
+        const { books, indexed, faceted } = this.db.prepare(`
+            SELECT (SELECT COUNT(*) FROM books) AS books,
+                   (SELECT COUNT(*) FROM books_fts) AS indexed,
+                   (SELECT COUNT(DISTINCT isbn) FROM book_facets) AS faceted
+        `).get();
+        if (books !== indexed || books !== faceted) {
+            this.rebuildSearchIndex();
+        }
+        console.log(`✅ Base SQLite prête (${this.filePath})`);
+    }
+
+    /**
+     * Réindexer tous les livres (plein texte et facettes)
+     */
+    rebuildSearchIndex() {
+        const rows = this.db.prepare('SELECT isbn, data FROM books').all();
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM books_fts').run();
+            this.db.prepare('DELETE FROM book_facets').run();
+            for (const row of rows) {
+                this.indexBook(row.isbn, this.parse(row));
+            }
+        })();
+        console.log(`🔎 Index plein texte reconstruit (${rows.length} livres)`);
+    }
+
+    /**
+     * Mettre à jour l'index plein texte et les facettes d'un livre
+     */
+    indexBook(isbn, data) {
+        const { rowid } = this.db.prepare('SELECT rowid FROM books WHERE isbn = ?').get(isbn);
+        this.db.prepare('DELETE FROM books_fts WHERE rowid = ?').run(rowid);
+        this.db.prepare(`
+            INSERT INTO books_fts (rowid, title, authors, publisher, description)
+            VALUES (@rowid, @title, @authors, @publisher, @description)
+        `).run({ rowid, ...bookDocument(data) });
+
+        this.db.prepare('DELETE FROM book_facets WHERE isbn = ?').run(isbn);
+        const insertFacet = this.db.prepare(
+            'INSERT OR IGNORE INTO book_facets (isbn, facet, value) VALUES (?, ?, ?)'
+        );
+        for (const [facet, value] of bookFacets(data)) {
+            insertFacet.run(isbn, facet, value);
+        }
+    }
+
+    /**
+     * Retirer un livre de l'index plein texte et des facettes (avant sa suppression)
+     */
+    unindexBook(isbn) {
+        this.db.prepare('DELETE FROM books_fts WHERE rowid = (SELECT rowid FROM books WHERE isbn = ?)').run(isbn);
+        this.db.prepare('DELETE FROM book_facets WHERE isbn = ?').run(isbn);
+    }
+
+    /**
+     * Décoder une ligne de la table books
+     */
+    parse(row) {
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    /**
+     * Nombre total de livres
+     */
+    async count() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM books').get().count;
+    }
+
+    /**
+     * Obtenir un livre par son ISBN exact
+     */
+    async get(isbn) {
+        return this.parse(this.db.prepare('SELECT data FROM books WHERE isbn = ?').get(isbn));
+    }
+
+    /**
+     * Obtenir le premier livre trouvé parmi plusieurs ISBN (variantes)
+     */
+    async findFirst(isbns) {
+        const statement = this.db.prepare('SELECT data FROM books WHERE isbn = ?');
+        for (const isbn of isbns) {
+            const row = statement.get(isbn);
+            if (row) return this.parse(row);
+        }
+        return null;
+    }
+
+    /**
+     * Créer ou remplacer un livre
+     */
+    async upsert(isbn, data) {
+        this.db.transaction(() => {
+            this.db.prepare(`
+                INSERT INTO books (isbn, data, modified_at) VALUES (?, ?, ?)
+                ON CONFLICT (isbn) DO UPDATE SET data = excluded.data, modified_at = excluded.modified_at
+            `).run(isbn, JSON.stringify(data), new Date().toISOString());
+            this.indexBook(isbn, data);
+        })();
+        return data;
+    }
+
+    /**
+     * Créer un livre uniquement s'il n'existe pas encore
+     */
+    async insertIfAbsent(isbn, data) {
+        return this.db.transaction(() => {
+            const { changes } = this.db.prepare(
+                'INSERT INTO books (isbn, data, modified_at) VALUES (?, ?, ?) ON CONFLICT (isbn) DO NOTHING'
+            ).run(isbn, JSON.stringify(data), new Date().toISOString());
+            if (changes > 0) this.indexBook(isbn, data);
+            return changes > 0;
+        })();
+    }
+
+    /**
+     * Remplacer un livre existant
+     * @param {object|null} [expected] - Version lue avant la modification : rien n'est écrit si la fiche a changé depuis
+     * @returns {Promise<object|null>} null si le livre n'existe pas ou a changé
+     */
+    async update(isbn, data, expected = null) {
+        return this.db.transaction(() => {
+            const modifiedAt = new Date().toISOString();
+            const { changes } = expected
+                ? this.db.prepare('UPDATE books SET data = ?, modified_at = ? WHERE isbn = ? AND data = ?')
+                    .run(JSON.stringify(data), modifiedAt, isbn, JSON.stringify(expected))
+                : this.db.prepare('UPDATE books SET data = ?, modified_at = ? WHERE isbn = ?').run(JSON.stringify(data), modifiedAt, isbn);
+            if (changes === 0) return null;
+            this.indexBook(isbn, data);
+            return data;
+        })();
+    }
+
+    /**
+     * Supprimer un livre
+     * @param {object|null} [expected] - Version lue avant la suppression : rien n'est supprimé si la fiche a changé depuis
+     */
+    async delete(isbn, expected = null) {
+        return this.db.transaction(() => {
+            if (expected && !this.db.prepare('SELECT 1 FROM books WHERE isbn = ? AND data = ?').get(isbn, JSON.stringify(expected))) {
+                return false;
+            }
+            this.unindexBook(isbn);
+            return this.db.prepare('DELETE FROM books WHERE isbn = ?').run(isbn).changes > 0;
+        })();
+    }
+
+    /**
+     * Livres candidats, filtrés : requête SQL (à placer dans un WITH) et ses paramètres
+     * @param {string[][]|null} groups - Requête analysée, ou null pour tous les livres
+     * @param {string} [except] - Facette dont le filtre est ignoré (pour compter ses valeurs)
+     */
+    catalogQuery(groups, filters, except = null) {
+        const params = {};
+        let sql;
+
+        if (groups) {
+            // Tous les mots sont requis, chacun sous l'une de ses racines : ("a" OR "b") AND ("c")
+            params.match = groups
+                .map(group => `(${group.map(term => `"${term}"`).join(' OR ')})`)
+                .join(' AND ');
+            // bm25 : plus petit = plus pertinent, un poids par colonne
+            sql = `
+                SELECT books.isbn, books.data, -bm25(books_fts, ${Object.values(FIELDS).join(', ')}) AS sort_key
+                FROM books_fts
+                JOIN books ON books.rowid = books_fts.rowid
+                WHERE books_fts MATCH @match`;
+        } else {
+            sql = `
+                SELECT books.isbn, books.data, COALESCE(json_extract(books.data, '$.createdAt'), '') AS sort_key
+                FROM books
+                WHERE 1 = 1`;
+        }
+
+        for (const name of [...LIST_FILTERS, ...BOOLEAN_FILTERS]) {
+            if (name === except || !filters[name]) continue;
+            const values = [].concat(filters[name]).map((value, i) => {
+                params[`${name}${i}`] = value;
+                return `@${name}${i}`;
+            });
+            sql += `
+                AND books.isbn IN (SELECT isbn FROM book_facets WHERE facet = '${name}' AND value IN (${values.join(', ')}))`;
+        }
+
+        if (except !== 'year' && (filters.yearFrom || filters.yearTo)) {
+            params.yearFrom = filters.yearFrom || '0000';
+            params.yearTo = filters.yearTo || '9999';
+            sql += `
+                AND books.isbn IN (SELECT isbn FROM book_facets WHERE facet = 'year' AND value BETWEEN @yearFrom AND @yearTo)`;
+        }
+
+        return { sql, params };
+    }
+
+    /**
+     * Compter les valeurs des facettes parmi les livres candidats
+     * Les facettes non filtrées sont comptées ensemble, chaque facette filtrée sans son propre filtre.
+     */
+    countFacets(groups, filters) {
+        const facets = {};
+        const counts = this.emptyFacets();
+        const names = Object.keys(FACETS);
+
+        const count = (facetNames, except) => {
+            const { sql, params } = this.catalogQuery(groups, filters, except);
+            const rows = this.db.prepare(`
+                WITH matches AS (${sql})
+                SELECT book_facets.facet, book_facets.value, COUNT(*) AS count
+                FROM book_facets
+                JOIN matches ON matches.isbn = book_facets.isbn
+                WHERE book_facets.facet IN (${facetNames.map(name => `'${name}'`).join(', ')})
+                GROUP BY book_facets.facet, book_facets.value
+            `).all(params);
+            rows.forEach(row => counts[row.facet].push(row));
+        };
+
+        const unfiltered = names.filter(facet => !isFiltered(filters, facet));
+        if (unfiltered.length > 0) count(unfiltered, null);
+        names.filter(facet => isFiltered(filters, facet)).forEach(facet => count([facet], facet));
+
+        for (const facet of names) {
+            facets[facet] = formatFacet(facet, counts[facet]);
+        }
+        return facets;
+    }
+
+    /**
+     * Rechercher des livres par titre, auteurs, éditeur ou description (plein texte, classé)
+     * Sans requête, renvoie les derniers livres ajoutés. Les filtres et les facettes sont
+     * décrits dans lib/search/facets.js.
+     * @returns {Promise<{items: object[], total: number, facets: object, nextCursor: string|null}>}
+     */
+    async search({ q, filters = {}, limit = DEFAULT_LIMIT, offset = 0, cursor = null } = {}) {
+        const groups = q ? analyzeQuery(q) : null;
+        if (groups && groups.length === 0) {
+            return { items: [], total: 0, facets: this.emptyFacets(), nextCursor: null };
+        }
+
+        const { sql, params } = this.catalogQuery(groups, filters);
+        const { total } = this.db.prepare(`WITH matches AS (${sql}) SELECT COUNT(*) AS total FROM matches`).get(params);
+
+        // Tri par clé décroissante (score ou date d'ajout), puis par ISBN ; le curseur reprend après le dernier livre lu
+        const rows = this.db.prepare(`
+            WITH matches AS (${sql})
+            SELECT isbn, data, sort_key FROM matches
+            ${cursor ? 'WHERE sort_key < @cursorKey OR (sort_key = @cursorKey AND isbn > @cursorIsbn)' : ''}
+            ORDER BY sort_key DESC, isbn
+            LIMIT @limit OFFSET @offset
+        `).all({
+            ...params,
+            ...(cursor ? { cursorKey: cursor.sortKey, cursorIsbn: cursor.isbn } : {}),
+            limit: Number(limit) + 1,
+            offset: cursor ? 0 : Number(offset)
+        }).map(row => ({
+            isbn: row.isbn,
+            sortKey: row.sort_key,
+            book: groups ? { ...this.parse(row), score: row.sort_key } : this.parse(row)
+        }));
+
+        return { ...paginate(rows, Number(limit)), total, facets: this.countFacets(groups, filters) };
+    }
+
+    /**
+     * Facettes sans aucune valeur
+     */
+    emptyFacets() {
+        return Object.fromEntries(Object.keys(FACETS).map(facet => [facet, []]));
+    }
+
+    /**
+     * Créer ou remplacer un livre si la version fournie est plus récente
+     * @returns {'inserted'|'updated'|null} null si la version stockée est plus récente
+     */
+    async upsertIfNewer(isbn, data) {
+        const run = this.db.transaction(() => {
+            const existing = this.db.prepare(
+                'SELECT julianday(json_extract(data, \'$.updatedAt\')) AS updatedAt FROM books WHERE isbn = ?'
+            ).get(isbn);
+            const incoming = this.db.prepare('SELECT julianday(?) AS updatedAt').get(data.updatedAt);
+
+            if (existing && existing.updatedAt !== null && existing.updatedAt >= incoming.updatedAt) {
+                return null;
+            }
+
+            this.db.prepare(`
+                INSERT INTO books (isbn, data, modified_at) VALUES (?, ?, ?)
+                ON CONFLICT (isbn) DO UPDATE SET data = excluded.data, modified_at = excluded.modified_at
+            `).run(isbn, JSON.stringify(data), new Date().toISOString());
+            this.indexBook(isbn, data);
+            return existing ? 'updated' : 'inserted';
+        });
+        return run();
+    }
+
+    /**
+     * Supprimer un livre s'il n'a pas été modifié après la date de suppression
+     */
+    async deleteIfNotNewer(isbn, deletedAt) {
+        return this.db.transaction(() => {
+            const deleted = this.db.prepare(`
+                DELETE FROM books
+                WHERE isbn = ?
+                  AND (json_extract(data, '$.updatedAt') IS NULL
+                       OR julianday(json_extract(data, '$.updatedAt')) <= julianday(?))
+                RETURNING rowid
+            `).get(isbn, deletedAt);
+            if (!deleted) return false;
+
+            this.db.prepare('DELETE FROM books_fts WHERE rowid = ?').run(deleted.rowid);
+            this.db.prepare('DELETE FROM book_facets WHERE isbn = ?').run(isbn);
+            return true;
+        })();
+    }
+
+    /**
+     * Date de suppression d'un livre, s'il a été supprimé
+     */
+    async getTombstone(isbn) {
+        const row = this.db.prepare('SELECT deleted_at FROM book_tombstones WHERE isbn = ?').get(isbn);
+        return row ? row.deleted_at : null;
+    }
+
+    /**
+     * Enregistrer (ou avancer) la date de suppression d'un livre
+     */
+    async recordTombstone(isbn, deletedAt) {
+        this.db.prepare(`
+            INSERT INTO book_tombstones (isbn, deleted_at, modified_at) VALUES (?, ?, ?)
+            ON CONFLICT (isbn) DO UPDATE SET deleted_at = excluded.deleted_at, modified_at = excluded.modified_at
+            WHERE julianday(excluded.deleted_at) > julianday(book_tombstones.deleted_at)
+        `).run(isbn, new Date(deletedAt).toISOString(), new Date().toISOString());
+    }
+
+    /**
+     * Oublier la suppression d'un livre (recréé depuis)
+     */
+    async clearTombstone(isbn) {
+        this.db.prepare('DELETE FROM book_tombstones WHERE isbn = ?').run(isbn);
+    }
+
+    /**
+     * Livres modifiés et supprimés depuis une date (tout si `since` est null)
+     * La date comparée est celle de l'écriture sur le serveur (modified_at) ; les lignes écrites
+     * avant ce suivi gardent la date fournie par le client.
+     */
+    async changesSince(since) {
+        const books = {};
+        const deleted = {};
+
+        const bookRows = this.db.prepare(`
+            SELECT isbn, data FROM books
+            WHERE @since IS NULL
+               OR julianday(COALESCE(modified_at, json_extract(data, '$.updatedAt'))) >= julianday(@since)
+        `).all({ since });
+        for (const row of bookRows) {
+            books[row.isbn] = this.parse(row);
+        }
+
+        const tombstoneRows = this.db.prepare(`
+            SELECT isbn, deleted_at FROM book_tombstones
+            WHERE @since IS NULL OR julianday(COALESCE(modified_at, deleted_at)) >= julianday(@since)
+        `).all({ since });
+        for (const row of tombstoneRows) {
+            deleted[row.isbn] = row.deleted_at;
+        }
+
+        return { books, deleted };
+    }
+
+    /**
+     * Ajouter une révision à l'historique d'un livre (lib/history.js)
+     * @returns {Promise<object>} La révision, avec son numéro `rev` (1 pour la première)
+     */
+    async appendRevision(isbn, revision) {
+        const append = this.db.transaction(() => {
+            const { last } = this.db.prepare('SELECT COALESCE(MAX(rev), 0) AS last FROM book_revisions WHERE isbn = ?').get(isbn);
+            const saved = { ...revision, rev: last + 1 };
+            this.db.prepare('INSERT INTO book_revisions (isbn, rev, data) VALUES (?, ?, ?)')
+                .run(isbn, saved.rev, JSON.stringify(saved));
+            return saved;
+        });
+        return append();
+    }
+
+    /**
+     * Historique d'un livre, de la révision la plus ancienne à la plus récente
+     */
+    async listRevisions(isbn) {
+        return this.db.prepare('SELECT data FROM book_revisions WHERE isbn = ? ORDER BY rev')
+            .all(isbn)
+            .map(row => JSON.parse(row.data));
+    }
+
+    /**
+     * Obtenir une révision d'un livre
+     */
+    async getRevision(isbn, rev) {
+        const row = this.db.prepare('SELECT data FROM book_revisions WHERE isbn = ? AND rev = ?').get(isbn, rev);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    /**
+     * Enregistrer une suggestion de modification (lib/moderation.js)
+     */
+    async createSuggestion(suggestion) {
+        this.db.prepare(`
+            INSERT INTO book_suggestions (id, isbn, status, author, created_at, data)
+            VALUES (@id, @isbn, @status, @author, @createdAt, @data)
+        `).run({ ...suggestion, data: JSON.stringify(suggestion) });
+        return suggestion;
+    }
+
+    /**
+     * Obtenir une suggestion par son identifiant
+     */
+    async getSuggestion(id) {
+        return this.parse(this.db.prepare('SELECT data FROM book_suggestions WHERE id = ?').get(id));
+    }
+
+    /**
+     * Lister les suggestions, de la plus ancienne à la plus récente
+     * @param {object} [filters] - status, isbn, author
+     */
+    async listSuggestions({ status, isbn, author } = {}) {
+        const conditions = [];
+        const params = {};
+        for (const [column, value] of Object.entries({ status, isbn, author })) {
+            if (!value) continue;
+            conditions.push(`${column} = @${column}`);
+            params[column] = value;
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return this.db.prepare(`SELECT data FROM book_suggestions ${where} ORDER BY created_at, id`)
+            .all(params)
+            .map(row => this.parse(row));
+    }
+
+    /**
+     * Remplacer une suggestion existante
+     * @returns {Promise<boolean>} false si elle n'existe pas
+     */
+    async updateSuggestion(suggestion) {
+        const { changes } = this.db.prepare('UPDATE book_suggestions SET status = ?, data = ? WHERE id = ?')
+            .run(suggestion.status, JSON.stringify(suggestion), suggestion.id);
+        return changes > 0;
+    }
+
+    /**
+     * Fermer le fichier SQLite
+     */
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = { SqliteBookRepository };
@@ -0,0 +1,17 @@
+/**
+ * Écriture XML commune aux exports (MARCXML, ONIX, Dublin Core)
+ */
+
+/**
+ * Échapper un texte pour XML (les caractères de contrôle sont interdits en XML 1.0)
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u0080-\u009F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = { escapeXml };
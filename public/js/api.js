@@ -12,7 +12,7 @@ class BookAPIService {
      * Rechercher un livre par ISBN
      */
     async searchByISBN(isbn) {
-        const cleanISBN = isbn.replace(/[-\s]/g, '');
+        const cleanISBN = isbnToolkit.clean(isbn);
         
         // 1. Vérifier d'abord dans la base locale
         const cachedBook = bookDatabase.findBook(cleanISBN);
@@ -37,13 +37,16 @@ class BookAPIService {
             const result = await this.searchGoogleBooks(cleanISBN);
             
             if (result.success && result.data) {
-                // Sauvegarder en cache
-                bookDatabase.addBook(cleanISBN, {
+                // Sauvegarder en cache (fusion avec les données déjà connues)
+                const savedBook = bookDatabase.addBook(cleanISBN, {
                     ...result.data.volumeInfo,
-                    source: 'google_api'
+                    source: result.provider || 'google_api'
                 });
                 
-                return result;
+                return {
+                    ...result,
+                    data: this.formatBookData(savedBook)
+                };
             }
             
             return {
@@ -77,8 +80,8 @@ class BookAPIService {
             // Essayer les services dans l'ordre de fiabilité
             const services = [
                 {
-                    name: 'Backend local',
-                    url: `/api/external/google/${isbn}`,
+                    name: 'Backend local (multi-sources)',
+                    url: `/api/external/lookup/${isbn}`,
                     type: 'local'
                 },
                 {
@@ -139,6 +142,8 @@ class BookAPIService {
                         return {
                             success: true,
                             source: service.name,
+                            // Fournisseur d'origine (google_api, bnf_api...) quand le backend le précise
+                            provider: service.type === 'local' && data.source !== 'local_database' ? data.source : null,
                             data: bookData.items[0]
                         };
                     } else {
@@ -175,6 +180,32 @@ class BookAPIService {
         }
     }
 
+    /**
+     * Rechercher un lot d'ISBN via le serveur (base du serveur puis fournisseurs externes)
+     * @param {string[]} isbns - ISBN saisis
+     * @param {AbortSignal} [signal] - Pour annuler le lot
+     * @returns {Promise<object[]>} Un résultat par ISBN : { input, status, isbn, book, source, error }
+     */
+    async batchLookup(isbns, signal) {
+        const response = await fetch('/api/books/batch-lookup', {
+            method: 'POST',
+            signal,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ isbns })
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        return data.results;
+    }
+
     /**
      * Formater les données du livre pour l'affichage
      */
@@ -190,7 +221,8 @@ class BookAPIService {
                 language: bookInfo.language || 'unknown',
                 description: bookInfo.description || null,
                 industryIdentifiers: bookInfo.industryIdentifiers || [],
-                imageLinks: bookInfo.imageLinks || null
+                imageLinks: bookInfo.imageLinks || null,
+                provenance: bookInfo.provenance || null
             }
         };
     }
@@ -252,7 +284,7 @@ class BookAPIService {
      * Valider un ISBN
      */
     validateISBN(isbn) {
-        const clean = isbn.replace(/[-\s]/g, '');
+        const clean = isbnToolkit.clean(isbn);
         
         // 🔥 EXCEPTION SPÉCIALE POUR L'EASTER EGG DIABOLIQUE 🔥
         if (clean === '6666666666666') {
@@ -260,43 +292,14 @@ class BookAPIService {
             return { valid: true, isbn: clean };
         }
         
-        // Vérifier la longueur
-        if (clean.length !== 10 && clean.length !== 13) {
-            return { valid: false, error: 'L\'ISBN doit contenir 10 ou 13 chiffres' };
-        }
-        
-        // Vérifier que ce sont des chiffres (sauf X pour ISBN-10)
-        if (clean.length === 10) {
-            if (!/^\d{9}[\dX]$/.test(clean)) {
-                return { valid: false, error: 'Format ISBN-10 invalide' };
-            }
-        } else {
-            if (!/^\d{13}$/.test(clean)) {
-                return { valid: false, error: 'Format ISBN-13 invalide' };
-            }
-            
-            // Vérifier le préfixe pour ISBN-13 (SAUF pour l'easter egg)
-            if (!clean.startsWith('978') && !clean.startsWith('979')) {
-                return { valid: false, error: 'ISBN-13 doit commencer par 978 ou 979' };
-            }
-        }
-        
-        return { valid: true, isbn: clean };
+        return isbnToolkit.validate(clean);
     }
 
     /**
      * Formater un ISBN pour l'affichage
      */
     formatISBN(isbn) {
-        const clean = isbn.replace(/[^\dX]/g, '');
-        
-        if (clean.length === 13) {
-            return `${clean.slice(0,3)}-${clean.slice(3,4)}-${clean.slice(4,6)}-${clean.slice(6,12)}-${clean.slice(12)}`;
-        } else if (clean.length === 10) {
-            return `${clean.slice(0,1)}-${clean.slice(1,3)}-${clean.slice(3,9)}-${clean.slice(9)}`;
-        }
-        
-        return clean;
+        return isbnToolkit.hyphenate(isbn);
     }
 }
 
@@ -336,6 +339,56 @@ class ImageService {
         });
     }
 
+    /**
+     * Envoyer une couverture au serveur, qui la valide et la décline en plusieurs tailles
+     * @returns {Promise<object>} URL des couvertures enregistrées ({ thumbnail, large })
+     */
+    async uploadCover(isbn, file) {
+        const response = await fetch(`/api/books/${encodeURIComponent(isbn)}/cover`, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': file.type,
+                ...authClient.authHeaders()
+            },
+            body: file
+        });
+
+        if (response.status === 401) authClient.handleUnauthorized();
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            const error = new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        // Fiche soumise à la modération : la couverture attend la décision d'un modérateur
+        const data = await response.json();
+        if (response.status === 202) {
+            moderationQueue.notifySuggested(1);
+        }
+        return data.imageLinks;
+    }
+
+    /**
+     * Enregistrer une couverture : sur le serveur si possible, sinon en base64 dans la fiche
+     * (mode hors ligne), pour ne jamais perdre l'image choisie
+     * @returns {Promise<{imageLinks: object, uploaded: boolean}>}
+     */
+    async storeCover(isbn, file) {
+        try {
+            const imageLinks = await this.uploadCover(isbn, file);
+            return { imageLinks, uploaded: true };
+        } catch (error) {
+            // Une image refusée par le serveur (format, taille...) ne doit pas être gardée
+            if (error.status === 400) throw error;
+
+            console.warn('⚠️ Couverture conservée localement (serveur indisponible ou non connecté):', error.message);
+            const imageData = await this.fileToBase64(file);
+            return { imageLinks: { thumbnail: imageData }, uploaded: false };
+        }
+    }
+
     /**
      * Redimensionner une image si nécessaire
      */
@@ -15,6 +15,9 @@ class ISBNSearchApp {
     async init() {
         try {
             console.log('Initialisation de l\'application ISBN Search...');
+
+            // Charger la base locale (IndexedDB) avant toute recherche
+            await bookDatabase.ready;
             
             // Attendre que le DOM soit chargé
             if (document.readyState === 'loading') {
@@ -32,6 +35,14 @@ class ISBNSearchApp {
             
             // Préremplir avec un exemple
             this.setDefaultISBN();
+
+            // Page d'un livre (/book/:isbn) : afficher la fiche jointe par le serveur, ou la rechercher
+            this.showBookFromLocation();
+            window.addEventListener('popstate', () => this.showBookFromLocation());
+
+            // Vérifier la session du contributeur puis synchroniser (sans bloquer l'interface)
+            authClient.start();
+            syncEngine.start();
             
             this.isInitialized = true;
             console.log('Application initialisée avec succès');
@@ -88,30 +99,23 @@ class ISBNSearchApp {
 
     /**
      * Formater l'input ISBN en temps réel
+     * Les tirets sont placés selon la table des plages dès que l'ISBN est complet et valide.
      */
     formatISBNInput(e) {
-        let value = e.target.value.replace(/[^\d]/g, '');
+        let value = e.target.value.toUpperCase().replace(/[^\dX]/g, '');
+        
+        // Le X n'est admis qu'en dernière position d'un ISBN-10
+        value = value.replace(/X(?=.)/g, '');
+        if (value.includes('X') && value.length !== 10) {
+            value = value.replace('X', '');
+        }
         
         // Limiter à 13 chiffres
         if (value.length > 13) {
             value = value.substring(0, 13);
         }
         
-        // Formater avec des tirets pour ISBN-13
-        if (value.length >= 3) {
-            value = value.substring(0, 3) + '-' + value.substring(3);
-        }
-        if (value.length >= 6) {
-            value = value.substring(0, 6) + '-' + value.substring(6);
-        }
-        if (value.length >= 13) {
-            value = value.substring(0, 13) + '-' + value.substring(13);
-        }
-        if (value.length >= 20) {
-            value = value.substring(0, 20) + '-' + value.substring(20);
-        }
-        
-        e.target.value = value;
+        e.target.value = isbnToolkit.hyphenate(value);
     }
 
     /**
@@ -130,7 +134,7 @@ class ISBNSearchApp {
             }
 
             // Vérifier les capacités de stockage
-            this.checkStorageCapacity();
+            await this.checkStorageCapacity();
             
             console.log('Capacités de l\'appareil vérifiées');
             
@@ -142,12 +146,29 @@ class ISBNSearchApp {
     /**
      * Vérifier la capacité de stockage
      */
-    checkStorageCapacity() {
+    async checkStorageCapacity() {
         try {
             const testKey = 'storage_test';
             const testValue = 'test';
             localStorage.setItem(testKey, testValue);
             localStorage.removeItem(testKey);
+
+            if (navigator.storage && navigator.storage.estimate) {
+                // Demander que la base ne soit pas effacée quand le disque se remplit
+                if (navigator.storage.persist) {
+                    await navigator.storage.persist();
+                }
+
+                const { usage, quota } = await navigator.storage.estimate();
+                const sizeInMB = (usage / (1024 * 1024)).toFixed(2);
+                const quotaInMB = (quota / (1024 * 1024)).toFixed(0);
+                console.log(`Base de données: ${sizeInMB}MB sur ${quotaInMB}MB, ${bookDatabase.getBookCount()} livres`);
+
+                if (quota && usage / quota > 0.9) {
+                    ui.showError('Attention: L\'espace de stockage local est presque plein');
+                }
+                return;
+            }
             
             // Estimer l'espace utilisé
             const dbSize = JSON.stringify(bookDatabase.data).length;
@@ -171,10 +192,88 @@ class ISBNSearchApp {
         }
     }
 
+    /**
+     * ISBN de l'adresse courante (/book/:isbn), ou null
+     */
+    getISBNFromLocation() {
+        const match = /^\/book\/([^/]+)\/?$/.exec(window.location.pathname);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    /**
+     * Afficher ce que désigne l'adresse courante : la page d'un livre ou l'accueil
+     * Au premier chargement, la fiche jointe par le serveur (#initialBook) évite une nouvelle recherche.
+     */
+    showBookFromLocation() {
+        const isbn = this.getISBNFromLocation();
+        const initial = document.getElementById('initialBook');
+        let initialBook = null;
+        if (initial) {
+            try {
+                initialBook = JSON.parse(initial.textContent);
+            } catch (error) {
+                console.error('Fiche initiale illisible:', error);
+            }
+            // Elle ne vaut que pour le premier affichage (pas après un retour arrière)
+            initial.remove();
+        }
+
+        if (!isbn) {
+            // Retour arrière vers l'accueil
+            const resultsDiv = document.getElementById('results');
+            if (resultsDiv && resultsDiv.innerHTML) this.goHome({ history: 'none' });
+            return;
+        }
+
+        const isbnInput = document.getElementById('isbnInput');
+        if (isbnInput) isbnInput.value = isbnToolkit.hyphenate(isbn);
+
+        if (initialBook && initialBook.book) {
+            bookDatabase.applyRemoteChanges(
+                { [initialBook.isbn]: initialBook.book },
+                {},
+                initialBook.etag ? { [initialBook.isbn]: initialBook.etag } : {}
+            );
+            this.currentBook = bookAPI.formatBookData(bookDatabase.findBook(initialBook.isbn) || initialBook.book);
+            ui.displayBook(this.currentBook);
+            this.updateLocation(initialBook.isbn, { history: 'replace' });
+            return;
+        }
+
+        this.searchBook({ history: 'none' });
+    }
+
+    /**
+     * Faire correspondre l'adresse et le titre de l'onglet au livre affiché (ou à l'accueil sans ISBN),
+     * pour pouvoir partager la page et revenir en arrière
+     * @param {string|null} isbn
+     * @param {object} [options]
+     * @param {string} [options.history] - 'push' (nouvelle entrée), 'replace' (entrée courante)
+     *        ou 'none' (adresse inchangée : retour arrière, page chargée depuis son adresse)
+     */
+    updateLocation(isbn, { history = 'push' } = {}) {
+        const info = isbn && this.currentBook ? this.currentBook.volumeInfo : null;
+        document.title = info && info.title ? `${info.title} | ISBN Search` : 'ISBN Search';
+
+        // Application ouverte en fichier local : pas d'adresses à réécrire
+        if (history === 'none' || window.location.protocol === 'file:' || !window.history.pushState) return;
+
+        const path = isbn ? `/book/${encodeURIComponent(bookDatabase.normalizeISBN(isbn))}` : '/';
+        if (window.location.pathname === path) return;
+
+        if (history === 'replace') {
+            window.history.replaceState({ isbn }, '', path);
+        } else {
+            window.history.pushState({ isbn }, '', path);
+        }
+    }
+
     /**
      * Rechercher un livre par ISBN
+     * @param {object} [options]
+     * @param {string} [options.history] - Report de la recherche dans l'adresse (voir updateLocation)
      */
-    async searchBook() {
+    async searchBook({ history = 'push' } = {}) {
         const isbnInput = document.getElementById('isbnInput');
         const isbn = isbnInput.value.trim();
 
@@ -214,9 +313,13 @@ class ISBNSearchApp {
 
             } else {
                 console.log('Livre non trouvé, affichage de l\'invite de contribution');
+                this.currentBook = null;
                 ui.showNotFoundPrompt(validation.isbn);
             }
 
+            // Adresse partageable du livre (/book/:isbn), qu'il soit trouvé ou non
+            this.updateLocation(validation.isbn, { history });
+
             // Faire défiler jusqu'aux résultats, que le livre soit trouvé ou non
             const resultsDiv = document.getElementById('results');
             if (resultsDiv && resultsDiv.innerHTML) {
@@ -288,8 +391,10 @@ class ISBNSearchApp {
 
     /**
      * Retourner à l'accueil
+     * @param {object} [options]
+     * @param {string} [options.history] - Retour à l'adresse de l'accueil (voir updateLocation)
      */
-    goHome() {
+    goHome({ history = 'push' } = {}) {
         // Nettoyer l'affichage
         document.getElementById('results').innerHTML = '';
         
@@ -310,6 +415,8 @@ class ISBNSearchApp {
         
         // Nettoyer les variables
         this.currentBook = null;
+
+        this.updateLocation(null, { history });
     }
 
     /**
@@ -326,54 +433,57 @@ class ISBNSearchApp {
                 return;
             }
 
-            // Convertir en base64
-            const imageData = await imageService.fileToBase64(file);
+            const isbn = this.getISBNFromCurrentBook();
+            if (!isbn) {
+                console.error('Impossible de trouver l\'ISBN pour sauvegarder la couverture');
+                alert('Erreur: Impossible de sauvegarder la couverture (ISBN non trouvé)');
+                return;
+            }
+
+            // Envoyer au serveur (ou garder en base64 hors ligne)
+            const { imageLinks } = await imageService.storeCover(isbn, file);
             
             // Afficher la nouvelle couverture
             const coverDiv = document.querySelector('.book-cover');
             if (coverDiv) {
-                coverDiv.innerHTML = `<img src="${imageData}" alt="Couverture" style="max-width: 150px; height: auto; border: 2px solid var(--black);">`;
+                coverDiv.innerHTML = `<img src="${imageLinks.thumbnail}" alt="Couverture" style="max-width: 150px; height: auto; border: 2px solid var(--black);">`;
             }
 
             // Mettre à jour les données du livre
             if (this.currentBook && this.currentBook.volumeInfo) {
-                if (!this.currentBook.volumeInfo.imageLinks) {
-                    this.currentBook.volumeInfo.imageLinks = {};
-                }
-                this.currentBook.volumeInfo.imageLinks.thumbnail = imageData;
+                this.currentBook.volumeInfo.imageLinks = {
+                    ...(this.currentBook.volumeInfo.imageLinks || {}),
+                    ...imageLinks
+                };
 
                 // Sauvegarder dans la base de données
-                const isbn = this.getISBNFromCurrentBook();
-                if (isbn) {
-                    const existingBook = bookDatabase.findBook(isbn);
-                    const bookToSave = existingBook || {
+                if (!bookDatabase.findBook(isbn)) {
+                    bookDatabase.addBook(isbn, {
                         ...this.currentBook.volumeInfo,
                         source: 'google_api'
-                    };
-
-                    const updatedBook = {
-                        ...bookToSave,
-                        imageLinks: {
-                            ...(bookToSave.imageLinks || {}),
-                            thumbnail: imageData
-                        },
-                        lastUpdated: new Date().toISOString(),
-                        coverSource: 'user_uploaded'
-                    };
-
-                    bookDatabase.addBook(isbn, updatedBook);
-                    ui.showCoverUploadSuccess();
-                    
-                    console.log('Couverture sauvegardée avec succès pour ISBN:', isbn);
-                } else {
-                    console.error('Impossible de trouver l\'ISBN pour sauvegarder la couverture');
-                    alert('Erreur: Impossible de sauvegarder la couverture (ISBN non trouvé)');
+                    });
                 }
+
+                // La couverture importée est attribuée à l'utilisateur
+                const existingBook = bookDatabase.findBook(isbn);
+                const updatedBook = {
+                    imageLinks: {
+                        ...(existingBook.imageLinks || {}),
+                        ...imageLinks
+                    },
+                    coverSource: 'user_uploaded',
+                    source: 'user_uploaded'
+                };
+
+                bookDatabase.addBook(isbn, updatedBook);
+                ui.showCoverUploadSuccess();
+                
+                console.log('Couverture sauvegardée avec succès pour ISBN:', isbn);
             }
 
         } catch (error) {
             console.error('Erreur lors de l\'upload de couverture:', error);
-            alert('Erreur lors du traitement de l\'image');
+            alert(error.status === 400 ? error.message : 'Erreur lors du traitement de l\'image');
         }
     }
 
@@ -434,9 +544,12 @@ class ISBNSearchApp {
             
             // Annuler les requêtes en cours
             bookAPI.cancelCurrentSearch();
+
+            // Arrêter la synchronisation périodique
+            syncEngine.stop();
             
-            // Sauvegarder une dernière fois
-            bookDatabase.saveDatabase();
+            // Les écritures IndexedDB en cours se terminent d'elles-mêmes
+            bookDatabase.flush();
             
             console.log('Nettoyage de l\'application terminé');
             
@@ -448,18 +561,10 @@ class ISBNSearchApp {
     /**
      * Exporter les données utilisateur
      */
-    exportUserData() {
+    async exportUserData() {
         try {
-            const exportData = bookDatabase.exportDatabase();
-            const dataStr = JSON.stringify(exportData, null, 2);
-            const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
-            
-            const exportFileDefaultName = `isbn-search-backup-${new Date().toISOString().slice(0,10)}.json`;
-            
-            const linkElement = document.createElement('a');
-            linkElement.setAttribute('href', dataUri);
-            linkElement.setAttribute('download', exportFileDefaultName);
-            linkElement.click();
+            const exportData = await bookDatabase.exportDatabase();
+            this.downloadJSON(exportData, `isbn-search-backup-${new Date().toISOString().slice(0,10)}.json`);
             
             ui.showSuccess('Données exportées avec succès');
             
@@ -469,6 +574,32 @@ class ISBNSearchApp {
         }
     }
 
+    /**
+     * Télécharger des données au format JSON
+     */
+    downloadJSON(data, fileName) {
+        const dataStr = JSON.stringify(data, null, 2);
+        const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
+
+        const linkElement = document.createElement('a');
+        linkElement.setAttribute('href', dataUri);
+        linkElement.setAttribute('download', fileName);
+        linkElement.click();
+    }
+
+    /**
+     * Télécharger un fichier reçu du serveur
+     */
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+
+        const linkElement = document.createElement('a');
+        linkElement.setAttribute('href', url);
+        linkElement.setAttribute('download', fileName);
+        linkElement.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     /**
      * Importer des données utilisateur
      */
@@ -0,0 +1,282 @@
+/**
+ * Connexion des contributeurs
+ * Les écritures sur le serveur (synchronisation, couvertures) demandent un compte :
+ * le jeton de session est conservé dans localStorage et envoyé en en-tête Authorization.
+ * La consultation reste possible sans être connecté.
+ */
+class AuthClient {
+    constructor() {
+        this.storageKey = 'authSession';
+        this.session = null;
+        this.registration = 'closed';
+        this.registerMode = false;
+        this.listeners = [];
+
+        this.loadSession();
+    }
+
+    /**
+     * Charger la session enregistrée (ignorée si elle a expiré)
+     */
+    loadSession() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && saved.token && saved.expiresAt > new Date().toISOString()) {
+                this.session = saved;
+            }
+        } catch (error) {
+            console.error('Erreur lors du chargement de la session:', error);
+        }
+    }
+
+    /**
+     * Enregistrer (ou effacer) la session et prévenir les abonnés
+     */
+    setSession(session) {
+        this.session = session;
+        if (session) {
+            localStorage.setItem(this.storageKey, JSON.stringify(session));
+        } else {
+            localStorage.removeItem(this.storageKey);
+        }
+
+        this.renderButton();
+        this.listeners.forEach(listener => listener(this.getUser()));
+    }
+
+    /**
+     * Être prévenu des connexions et déconnexions
+     * @param {Function} listener - Reçoit l'utilisateur connecté, ou null
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * L'utilisateur est-il connecté ?
+     */
+    isLoggedIn() {
+        return Boolean(this.session);
+    }
+
+    /**
+     * Utilisateur connecté ({ id, username, displayName, role, scopes }), ou null
+     */
+    getUser() {
+        return this.session ? this.session.user : null;
+    }
+
+    /**
+     * Le rôle de l'utilisateur connecté permet-il une opération ?
+     * @param {string} scope - Portée demandée par le serveur ('books:write', 'books:delete', 'sync:import'...)
+     */
+    can(scope) {
+        const user = this.getUser();
+        return Boolean(user && (user.scopes || []).includes(scope));
+    }
+
+    /**
+     * En-têtes à ajouter aux requêtes d'écriture
+     */
+    authHeaders() {
+        return this.session ? { 'Authorization': `Bearer ${this.session.token}` } : {};
+    }
+
+    /**
+     * Afficher l'état de connexion et vérifier la session auprès du serveur
+     */
+    async start() {
+        this.renderButton();
+        if (!this.session || window.location.protocol === 'file:') return;
+
+        try {
+            const response = await fetch('/api/auth/me', {
+                headers: { 'Accept': 'application/json', ...this.authHeaders() }
+            });
+            if (response.status === 401) {
+                this.handleUnauthorized();
+            } else if (response.ok) {
+                const data = await response.json();
+                this.setSession({ ...this.session, user: data.user });
+            }
+        } catch (error) {
+            // Hors ligne : la session reste valable jusqu'à preuve du contraire
+        }
+    }
+
+    /**
+     * Envoyer identifiant et mot de passe (connexion ou création de compte)
+     */
+    async authenticate(endpoint, body) {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        this.setSession({ token: data.token, expiresAt: data.expiresAt, user: data.user });
+        console.log(`🔑 Connecté en tant que ${data.user.username}`);
+        return data.user;
+    }
+
+    /**
+     * Se connecter
+     */
+    login(username, password) {
+        return this.authenticate('/api/auth/login', { username, password });
+    }
+
+    /**
+     * Créer un compte (si les inscriptions sont ouvertes) et se connecter
+     */
+    register(username, password, displayName) {
+        return this.authenticate('/api/auth/register', { username, password, displayName });
+    }
+
+    /**
+     * Se déconnecter (le jeton est révoqué sur le serveur si celui-ci répond)
+     */
+    async logout() {
+        if (!this.session) return;
+
+        try {
+            await fetch('/api/auth/logout', { method: 'POST', headers: this.authHeaders() });
+        } catch (error) {
+            console.warn('⚠️ Déconnexion hors ligne, jeton non révoqué:', error.message);
+        }
+        this.setSession(null);
+    }
+
+    /**
+     * Le serveur a refusé le jeton (expiré ou révoqué) : oublier la session
+     */
+    handleUnauthorized() {
+        if (!this.session) return;
+
+        console.warn('🔒 Session expirée, reconnectez-vous pour envoyer vos modifications');
+        this.setSession(null);
+    }
+
+    /**
+     * Mettre à jour le bouton de connexion de l'en-tête
+     */
+    renderButton() {
+        const button = document.getElementById('authBtn');
+        if (!button) return;
+
+        const user = this.getUser();
+        button.textContent = user ? `👤 ${user.displayName || user.username}` : '🔑 Se connecter';
+        button.title = user ? 'Compte et déconnexion' : 'Se connecter pour enregistrer vos livres sur le serveur';
+    }
+
+    /**
+     * Ouvrir la fenêtre de connexion (ou du compte, si déjà connecté)
+     */
+    async openDialog() {
+        const user = this.getUser();
+        document.getElementById('loginForm').style.display = user ? 'none' : 'block';
+        document.getElementById('loginAccount').style.display = user ? 'block' : 'none';
+        document.getElementById('loginModal').style.display = 'flex';
+
+        if (user) {
+            document.getElementById('loginAccountName').textContent = user.displayName || user.username;
+            return;
+        }
+
+        this.setRegisterMode(false);
+        document.getElementById('loginUsername').focus();
+
+        // Proposer la création de compte seulement si le serveur l'autorise
+        try {
+            const response = await fetch('/api/health', { headers: { 'Accept': 'application/json' } });
+            const health = await response.json();
+            this.registration = health.registration || 'closed';
+        } catch (error) {
+            this.registration = 'closed';
+        }
+        document.getElementById('loginRegisterToggle').style.display = this.registration === 'open' ? 'block' : 'none';
+    }
+
+    /**
+     * Fermer la fenêtre de connexion
+     */
+    closeDialog() {
+        document.getElementById('loginModal').style.display = 'none';
+        document.getElementById('loginPassword').value = '';
+        document.getElementById('loginError').textContent = '';
+    }
+
+    /**
+     * Basculer entre connexion et création de compte
+     */
+    setRegisterMode(registerMode) {
+        this.registerMode = registerMode;
+        document.getElementById('loginTitle').textContent = registerMode ? '👤 Créer un compte' : '🔑 Connexion';
+        document.getElementById('loginDisplayNameRow').style.display = registerMode ? 'block' : 'none';
+        document.getElementById('loginSubmitBtn').textContent = registerMode ? 'Créer le compte' : 'Se connecter';
+        document.getElementById('loginRegisterToggle').textContent = registerMode ? 'J\'ai déjà un compte' : 'Créer un compte';
+        document.getElementById('loginPassword').autocomplete = registerMode ? 'new-password' : 'current-password';
+        document.getElementById('loginError').textContent = '';
+    }
+
+    /**
+     * Valider le formulaire de connexion
+     */
+    async submit(event) {
+        event.preventDefault();
+
+        const username = document.getElementById('loginUsername').value.trim();
+        const password = document.getElementById('loginPassword').value;
+        const displayName = document.getElementById('loginDisplayName').value.trim();
+        const submitBtn = document.getElementById('loginSubmitBtn');
+        const errorDiv = document.getElementById('loginError');
+
+        submitBtn.disabled = true;
+        errorDiv.textContent = '';
+        try {
+            if (this.registerMode) {
+                await this.register(username, password, displayName);
+            } else {
+                await this.login(username, password);
+            }
+            this.closeDialog();
+        } catch (error) {
+            errorDiv.textContent = error.message;
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+}
+
+// Instance globale de l'authentification
+const authClient = new AuthClient();
+
+// Fonctions globales pour la compatibilité avec l'HTML existant
+function openLogin() {
+    authClient.openDialog();
+}
+
+function closeLogin() {
+    authClient.closeDialog();
+}
+
+function submitLogin(event) {
+    authClient.submit(event);
+}
+
+function toggleRegister() {
+    authClient.setRegisterMode(!authClient.registerMode);
+}
+
+async function logout() {
+    await authClient.logout();
+    authClient.closeDialog();
+}
@@ -0,0 +1,278 @@
+/**
+ * Lecture des codes-barres EAN-13 (ISBN) dans le flux vidéo
+ * Utilise l'API BarcodeDetector du navigateur quand elle gère l'EAN-13,
+ * sinon le décodeur JavaScript ci-dessous, qui lit des lignes de balayage de l'image.
+ */
+
+// Outils ISBN (chiffre de contrôle) : script global dans le navigateur, module sous Node.js
+const eanChecksum = typeof isbnToolkit !== 'undefined' ? isbnToolkit : require('./isbn').isbnToolkit;
+
+// Largeurs (en modules) des 4 barres et espaces de chaque chiffre, jeu L ; le jeu G est le jeu L inversé
+const EAN_L_PATTERNS = [
+    [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+    [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+];
+const EAN_G_PATTERNS = EAN_L_PATTERNS.map(pattern => [...pattern].reverse());
+
+// Parité (L/G) des 6 chiffres de gauche, qui code le premier chiffre
+const EAN_FIRST_DIGIT_PARITIES = [
+    'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG',
+    'LGGLLG', 'LGGGLL', 'LGLGLL', 'LGLGGL', 'LGGLGL'
+];
+
+class EAN13Decoder {
+    constructor(options = {}) {
+        // Écart maximal accepté entre un chiffre lu et son motif (somme des écarts en modules)
+        this.maxPatternDistance = options.maxPatternDistance || 1.5;
+        // Nombre de lignes et de colonnes de balayage par image
+        this.scanLines = options.scanLines || 12;
+    }
+
+    /**
+     * Décoder les codes EAN-13 d'une image (ImageData ou { data, width, height } RGBA)
+     * Les lignes et les colonnes sont balayées pour lire un livre tenu droit ou couché.
+     * @returns {Array<{code: string, count: number}>} Codes lus, du plus fréquent au moins fréquent
+     */
+    decodeImageData(imageData) {
+        const { data, width, height } = imageData;
+        const counts = new Map();
+
+        const luminance = (x, y) => {
+            const offset = (y * width + x) * 4;
+            return (data[offset] * 299 + data[offset + 1] * 587 + data[offset + 2] * 114) / 1000;
+        };
+
+        const record = (code) => {
+            if (code) counts.set(code, (counts.get(code) || 0) + 1);
+        };
+
+        for (let i = 0; i < this.scanLines; i++) {
+            const ratio = 0.15 + (0.7 * i) / Math.max(1, this.scanLines - 1);
+
+            const y = Math.round(ratio * (height - 1));
+            const row = new Float32Array(width);
+            for (let x = 0; x < width; x++) row[x] = luminance(x, y);
+            record(this.decodeLine(row));
+
+            const x = Math.round(ratio * (width - 1));
+            const column = new Float32Array(height);
+            for (let y2 = 0; y2 < height; y2++) column[y2] = luminance(x, y2);
+            record(this.decodeLine(column));
+        }
+
+        return Array.from(counts, ([code, count]) => ({ code, count }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Décoder une ligne de luminances
+     * @returns {string|null} Code EAN-13 à chiffre de contrôle valide
+     */
+    decodeLine(values) {
+        const runs = this.toRuns(this.binarize(values));
+        return this.decodeRuns(runs);
+    }
+
+    /**
+     * Binariser une ligne avec un seuil local (moyenne glissante), robuste aux éclairages inégaux
+     * @returns {Uint8Array} 1 pour une barre (sombre), 0 pour un espace
+     */
+    binarize(values) {
+        const length = values.length;
+        const radius = Math.max(8, Math.round(length / 16));
+        const sums = new Float64Array(length + 1);
+        for (let i = 0; i < length; i++) sums[i + 1] = sums[i] + values[i];
+
+        const bits = new Uint8Array(length);
+        for (let i = 0; i < length; i++) {
+            const from = Math.max(0, i - radius);
+            const to = Math.min(length, i + radius + 1);
+            const mean = (sums[to] - sums[from]) / (to - from);
+            // Une petite marge évite de transformer le bruit des zones unies en barres
+            bits[i] = values[i] < mean - 4 ? 1 : 0;
+        }
+        return bits;
+    }
+
+    /**
+     * Longueurs des suites de pixels de même couleur
+     * @returns {Array<{bar: boolean, width: number}>}
+     */
+    toRuns(bits) {
+        const runs = [];
+        let start = 0;
+        for (let i = 1; i <= bits.length; i++) {
+            if (i === bits.length || bits[i] !== bits[start]) {
+                runs.push({ bar: bits[start] === 1, width: i - start });
+                start = i;
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * Chercher un symbole EAN-13 complet dans une suite de barres et d'espaces
+     * (3 + 24 + 5 + 24 + 3 = 59 éléments, garde de début sur une barre)
+     */
+    decodeRuns(runs) {
+        for (let start = 0; start + 59 <= runs.length; start++) {
+            if (!runs[start].bar || !this.isGuard(runs, start)) continue;
+
+            const code = this.decodeSymbol(runs, start);
+            if (code) return code;
+        }
+        return null;
+    }
+
+    /**
+     * La garde de début (barre, espace, barre d'un module) précédée d'une marge claire
+     */
+    isGuard(runs, start) {
+        const widths = [runs[start].width, runs[start + 1].width, runs[start + 2].width];
+        const module = (widths[0] + widths[1] + widths[2]) / 3;
+        if (widths.some(width => width < module * 0.5 || width > module * 1.5)) return false;
+        return start === 0 || runs[start - 1].width >= module * 3;
+    }
+
+    /**
+     * Décoder les 12 chiffres à partir de la garde de début
+     */
+    decodeSymbol(runs, start) {
+        const groups = [];
+
+        for (let digit = 0; digit < 12; digit++) {
+            // 6 chiffres, la garde centrale (5 éléments), puis 6 chiffres
+            const offset = start + 3 + digit * 4 + (digit >= 6 ? 5 : 0);
+            const group = this.decodeDigit(runs.slice(offset, offset + 4).map(run => run.width));
+            if (!group) return null;
+            groups.push(group);
+        }
+
+        // Gardes centrale et de fin : des éléments d'environ un module
+        const module = groups.reduce((sum, group) => sum + group.module, 0) / groups.length;
+        const guards = [
+            ...runs.slice(start + 27, start + 32),
+            ...runs.slice(start + 56, start + 59)
+        ];
+        if (guards.some(run => run.width < module * 0.4 || run.width > module * 1.8)) return null;
+
+        return this.assemble(groups);
+    }
+
+    /**
+     * Reconnaître un chiffre d'après ses 4 largeurs (jeux L et G)
+     */
+    decodeDigit(widths) {
+        const total = widths.reduce((sum, width) => sum + width, 0);
+        const normalized = widths.map(width => (width * 7) / total);
+
+        let best = null;
+        for (const [parity, patterns] of [['L', EAN_L_PATTERNS], ['G', EAN_G_PATTERNS]]) {
+            patterns.forEach((pattern, digit) => {
+                const distance = pattern.reduce((sum, value, i) => sum + Math.abs(value - normalized[i]), 0);
+                if (!best || distance < best.distance) {
+                    best = { digit, parity, distance, module: total / 7 };
+                }
+            });
+        }
+
+        return best.distance <= this.maxPatternDistance ? best : null;
+    }
+
+    /**
+     * Reconstituer le code à partir des 12 chiffres lus, dans un sens ou dans l'autre
+     * Lu à l'endroit, la moitié droite est entièrement en jeu L (motifs R) ;
+     * lu à l'envers, la moitié gauche apparaît entièrement en jeu G.
+     */
+    assemble(groups) {
+        let left = groups.slice(0, 6);
+        let right = groups.slice(6);
+
+        if (!right.every(group => group.parity === 'L')) {
+            if (!left.every(group => group.parity === 'G')) return null;
+            const reversedLeft = right.reverse().map(group => ({
+                ...group,
+                parity: group.parity === 'L' ? 'G' : 'L'
+            }));
+            right = left.reverse();
+            left = reversedLeft;
+        }
+
+        const firstDigit = EAN_FIRST_DIGIT_PARITIES.indexOf(left.map(group => group.parity).join(''));
+        if (firstDigit === -1) return null;
+
+        const code = `${firstDigit}${left.map(group => group.digit).join('')}${right.map(group => group.digit).join('')}`;
+        return eanChecksum.checkDigit13(code) === code[12] ? code : null;
+    }
+}
+
+/**
+ * Lecteur de codes-barres : BarcodeDetector quand il est disponible, décodeur JavaScript sinon
+ */
+class BarcodeReader {
+    constructor() {
+        this.decoder = new EAN13Decoder();
+        this.detector = null;
+        this.canvas = null;
+        // Largeur de travail du décodeur JavaScript (les images plus grandes sont réduites)
+        this.maxWidth = 800;
+    }
+
+    /**
+     * Initialiser le détecteur natif si le navigateur gère l'EAN-13
+     * @returns {Promise<string>} Moteur utilisé : 'native' ou 'javascript'
+     */
+    async init() {
+        if (this.detector) return 'native';
+
+        if (typeof BarcodeDetector !== 'undefined') {
+            try {
+                const formats = await BarcodeDetector.getSupportedFormats();
+                if (formats.includes('ean_13')) {
+                    this.detector = new BarcodeDetector({ formats: ['ean_13'] });
+                    return 'native';
+                }
+            } catch (error) {
+                console.warn('BarcodeDetector indisponible:', error.message);
+            }
+        }
+        return 'javascript';
+    }
+
+    /**
+     * Lire les codes EAN-13 visibles dans une image vidéo ou une photo
+     * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} source
+     * @returns {Promise<string[]>} Codes lus (chiffre de contrôle vérifié)
+     */
+    async detect(source) {
+        const width = source.videoWidth || source.naturalWidth || source.width;
+        const height = source.videoHeight || source.naturalHeight || source.height;
+        if (!width || !height) return [];
+
+        if (this.detector) {
+            const barcodes = await this.detector.detect(source);
+            return barcodes
+                .map(barcode => barcode.rawValue)
+                .filter(code => /^\d{13}$/.test(code) && eanChecksum.checkDigit13(code) === code[12]);
+        }
+
+        const scale = Math.min(1, this.maxWidth / width);
+        if (!this.canvas) this.canvas = document.createElement('canvas');
+        this.canvas.width = Math.round(width * scale);
+        this.canvas.height = Math.round(height * scale);
+
+        const ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(source, 0, 0, this.canvas.width, this.canvas.height);
+        const imageData = ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+
+        return this.decoder.decodeImageData(imageData).map(result => result.code);
+    }
+}
+
+// Instance globale du lecteur de codes-barres
+const barcodeReader = new BarcodeReader();
+
+// Export pour Node.js (le décodeur ne dépend pas du DOM)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EAN13Decoder };
+}
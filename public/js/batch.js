@@ -0,0 +1,297 @@
+/**
+ * Recherche par lot
+ * Pour cataloguer un carton de livres : une liste d'ISBN collée ou un fichier texte/CSV déposé,
+ * résolue par paquets auprès du serveur, avec un tableau de progression.
+ */
+class BatchSearch {
+    constructor() {
+        this.chunkSize = 20;
+        this.rows = [];
+        this.controller = null;
+        this.statusLabels = {
+            pending: '⏳ En attente',
+            searching: '🔎 Recherche...',
+            found_cache: '📚 Déjà en base',
+            found_remote: '✅ Trouvé',
+            invalid: '⚠️ ISBN invalide',
+            not_found: '❌ Non trouvé',
+            error: '🚨 Erreur'
+        };
+    }
+
+    /**
+     * Extraire les ISBN d'un texte (un par ligne, ou cellules d'un CSV)
+     * Les cellules qui ne ressemblent pas à un ISBN (titres, en-têtes...) sont ignorées.
+     */
+    parseInput(text) {
+        return text
+            .split(/[\r\n,;\t]+/)
+            .map(cell => cell.replace(/["']/g, '').replace(/^\s*ISBN(?:-1[03])?\s*:?\s*/i, '').trim())
+            .filter(cell => /^\d[\d\s-]{7,}[\dXx]$/.test(cell));
+    }
+
+    /**
+     * Afficher l'écran de recherche par lot
+     */
+    show() {
+        const resultsDiv = document.getElementById('results');
+        resultsDiv.innerHTML = `
+            <div class="book-card batch-card">
+                <h2>📦 Recherche par lot</h2>
+                <p class="batch-help">
+                    Collez une liste d'ISBN (un par ligne) ou déposez un fichier texte / CSV.
+                </p>
+                <div class="batch-dropzone" id="batchDropzone">
+                    <textarea id="batchInput" class="batch-input" rows="8" placeholder="9782070368228&#10;2-07-036822-X&#10;..."></textarea>
+                    <div class="batch-drop-hint">ou déposez un fichier ici —
+                        <button class="edit-btn" onclick="document.getElementById('batchFileInput').click()">choisir un fichier</button>
+                    </div>
+                    <input type="file" id="batchFileInput" class="isbn-photo-input" accept=".txt,.csv,text/plain,text/csv" onchange="loadBatchFile(event)">
+                </div>
+                <div class="contribute-actions">
+                    <button class="contribute-btn" id="batchStartBtn" onclick="startBatchSearch()">Lancer la recherche</button>
+                    <button class="cancel-btn" id="batchCancelBtn" onclick="cancelBatchSearch()" style="display: none;">Arrêter</button>
+                </div>
+                <div class="batch-progress" id="batchProgress" style="display: none;">
+                    <div class="batch-progress-bar"><div class="batch-progress-fill" id="batchProgressFill"></div></div>
+                    <div class="batch-progress-text" id="batchProgressText"></div>
+                </div>
+                <table class="batch-table" id="batchTable" style="display: none;">
+                    <thead>
+                        <tr><th>#</th><th>ISBN</th><th>Statut</th><th>Titre</th><th>Source</th></tr>
+                    </thead>
+                    <tbody id="batchTableBody"></tbody>
+                </table>
+            </div>
+        `;
+
+        this.setupDropzone();
+        document.getElementById('batchInput').focus();
+    }
+
+    /**
+     * Accepter le dépôt d'un fichier sur la zone de saisie
+     */
+    setupDropzone() {
+        const dropzone = document.getElementById('batchDropzone');
+
+        dropzone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropzone.classList.add('dragover');
+        });
+
+        dropzone.addEventListener('dragleave', () => {
+            dropzone.classList.remove('dragover');
+        });
+
+        dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropzone.classList.remove('dragover');
+            const file = e.dataTransfer.files[0];
+            if (file) this.loadFile(file);
+        });
+    }
+
+    /**
+     * Charger la liste depuis un fichier texte ou CSV
+     */
+    loadFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const isbns = this.parseInput(e.target.result);
+            document.getElementById('batchInput').value = isbns.join('\n');
+            console.log(`📁 ${isbns.length} ISBN lus depuis ${file.name}`);
+        };
+        reader.onerror = () => {
+            ui.showError('Impossible de lire le fichier');
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Lancer la recherche du lot saisi
+     */
+    async start() {
+        const isbns = this.parseInput(document.getElementById('batchInput').value);
+        if (isbns.length === 0) {
+            alert('Aucun ISBN trouvé dans la liste');
+            return;
+        }
+
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        this.rows = isbns.map((input, index) => ({ index, input, status: 'pending' }));
+        this.renderTable();
+        this.toggleRunning(true);
+
+        // 1. Ce qui peut être tranché localement : ISBN invalides et livres déjà en base
+        const remaining = [];
+        for (const row of this.rows) {
+            const validation = bookAPI.validateISBN(row.input);
+            if (!validation.valid) {
+                this.updateRow(row, { status: 'invalid', error: validation.error });
+                continue;
+            }
+
+            const cachedBook = bookDatabase.findBook(validation.isbn);
+            if (cachedBook) {
+                this.updateRow(row, { status: 'found_cache', book: cachedBook, source: cachedBook.source });
+            } else {
+                remaining.push(row);
+            }
+        }
+
+        // 2. Le reste, par paquets, auprès du serveur
+        try {
+            for (let i = 0; i < remaining.length && !signal.aborted; i += this.chunkSize) {
+                const chunk = remaining.slice(i, i + this.chunkSize);
+                chunk.forEach(row => this.updateRow(row, { status: 'searching' }));
+
+                try {
+                    const results = await bookAPI.batchLookup(chunk.map(row => row.input), signal);
+                    results.forEach((result, position) => this.applyResult(chunk[position], result));
+                } catch (error) {
+                    if (error.name === 'AbortError') break;
+                    console.error('❌ Erreur lors de la recherche par lot:', error);
+                    chunk.forEach(row => this.updateRow(row, { status: 'error', error: error.message }));
+                }
+            }
+        } finally {
+            this.rows.filter(row => row.status === 'pending' || row.status === 'searching')
+                .forEach(row => this.updateRow(row, { status: 'pending' }));
+            this.toggleRunning(false);
+            this.controller = null;
+        }
+    }
+
+    /**
+     * Arrêter le lot en cours (les paquets déjà traités sont conservés)
+     */
+    cancel() {
+        if (this.controller) {
+            this.controller.abort();
+        }
+    }
+
+    /**
+     * Enregistrer localement un livre trouvé par le serveur et mettre la ligne à jour
+     */
+    applyResult(row, result) {
+        let book = result.book;
+        if (book && (result.status === 'found_remote' || result.status === 'found_cache')) {
+            book = bookDatabase.addBook(result.isbn, {
+                ...book,
+                source: result.status === 'found_remote' ? result.source : (book.source || 'unknown')
+            });
+        }
+
+        this.updateRow(row, {
+            status: result.status,
+            book,
+            source: book ? book.source : null,
+            error: result.error
+        });
+    }
+
+    /**
+     * Afficher ou masquer les contrôles pendant la recherche
+     */
+    toggleRunning(running) {
+        document.getElementById('batchStartBtn').disabled = running;
+        document.getElementById('batchCancelBtn').style.display = running ? '' : 'none';
+    }
+
+    /**
+     * Construire le tableau de progression
+     */
+    renderTable() {
+        const tbody = document.getElementById('batchTableBody');
+        tbody.innerHTML = '';
+
+        for (const row of this.rows) {
+            const tr = document.createElement('tr');
+            for (let i = 0; i < 5; i++) {
+                tr.appendChild(document.createElement('td'));
+            }
+            tr.cells[0].textContent = row.index + 1;
+            tr.cells[1].textContent = row.input;
+            row.element = tr;
+            tbody.appendChild(tr);
+            this.renderRow(row);
+        }
+
+        document.getElementById('batchTable').style.display = '';
+        document.getElementById('batchProgress').style.display = '';
+        this.updateProgress();
+    }
+
+    /**
+     * Mettre à jour une ligne du lot
+     */
+    updateRow(row, changes) {
+        Object.assign(row, changes);
+        this.renderRow(row);
+        this.updateProgress();
+    }
+
+    /**
+     * Afficher l'état d'une ligne
+     */
+    renderRow(row) {
+        const tr = row.element;
+        tr.className = `batch-row batch-${row.status}`;
+        tr.cells[2].textContent = this.statusLabels[row.status];
+        tr.cells[2].title = row.error || '';
+        tr.cells[3].textContent = row.book ? row.book.title : '';
+        tr.cells[4].textContent = row.source ? metadataMerger.getSourceLabel(row.source) : '';
+
+        // Un livre trouvé s'ouvre d'un clic
+        if (row.book) {
+            tr.onclick = () => setISBN(row.input);
+        }
+    }
+
+    /**
+     * Mettre à jour la barre et le résumé de progression
+     */
+    updateProgress() {
+        const total = this.rows.length;
+        const counts = {};
+        this.rows.forEach(row => { counts[row.status] = (counts[row.status] || 0) + 1; });
+        const done = total - (counts.pending || 0) - (counts.searching || 0);
+
+        document.getElementById('batchProgressFill').style.width = `${total ? (done / total) * 100 : 0}%`;
+        document.getElementById('batchProgressText').textContent = [
+            `${done} / ${total} traités`,
+            ...['found_cache', 'found_remote', 'not_found', 'invalid', 'error']
+                .filter(status => counts[status])
+                .map(status => `${this.statusLabels[status]} : ${counts[status]}`)
+        ].join(' · ');
+    }
+}
+
+// Instance globale de la recherche par lot
+const batchSearch = new BatchSearch();
+
+// Fonctions globales pour la compatibilité avec l'HTML existant
+function openBatchSearch() {
+    batchSearch.show();
+}
+
+function startBatchSearch() {
+    batchSearch.start();
+}
+
+function cancelBatchSearch() {
+    batchSearch.cancel();
+}
+
+function loadBatchFile(event) {
+    const file = event.target.files[0];
+    if (file) {
+        batchSearch.loadFile(file);
+    }
+    // Réinitialiser l'input pour permettre de sélectionner le même fichier
+    event.target.value = '';
+}
@@ -0,0 +1,282 @@
+/**
+ * Moteur de stockage IndexedDB de la base locale
+ * Un enregistrement par livre (au lieu d'un seul bloc JSON dans localStorage),
+ * des index sur le titre, les auteurs et l'éditeur, et les couvertures importées
+ * conservées en Blob dans un magasin séparé. Les données de lecture personnelles
+ * (statut, note, étiquettes...) ont aussi leur propre magasin.
+ */
+class IndexedDBBookStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'isbnSearch';
+        this.version = 2;
+        this.db = null;
+    }
+
+    /**
+     * IndexedDB est-il disponible dans ce navigateur ?
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Transformer une requête IndexedDB en promesse
+     */
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Clé d'index : minuscules sans accents, pour des recherches insensibles à la casse
+     */
+    static indexKey(value) {
+        return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    }
+
+    /**
+     * Entrées d'index d'un champ : la valeur entière et chacun de ses mots,
+     * pour trouver « Albert Camus » en cherchant « camus »
+     */
+    static indexTerms(values) {
+        const terms = new Set();
+        for (const value of [].concat(values || [])) {
+            const key = IndexedDBBookStore.indexKey(value);
+            if (!key) continue;
+            terms.add(key);
+            key.split(/[^a-z0-9]+/).filter(word => word.length > 1).forEach(word => terms.add(word));
+        }
+        return Array.from(terms);
+    }
+
+    /**
+     * Ouvrir la base (et créer les magasins à la première ouverture)
+     */
+    async open() {
+        if (this.db) return this.db;
+
+        const request = indexedDB.open(this.dbName, this.version);
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+
+            if (event.oldVersion < 1) {
+                const books = db.createObjectStore('books', { keyPath: 'isbn' });
+                books.createIndex('title', 'keys.title', { multiEntry: true });
+                books.createIndex('authors', 'keys.authors', { multiEntry: true });
+                books.createIndex('publisher', 'keys.publisher', { multiEntry: true });
+                books.createIndex('lastUpdated', 'book.lastUpdated');
+
+                db.createObjectStore('tombstones', { keyPath: 'isbn' });
+                db.createObjectStore('covers', { keyPath: 'isbn' });
+                db.createObjectStore('meta', { keyPath: 'key' });
+            }
+            if (event.oldVersion < 2) {
+                db.createObjectStore('reading', { keyPath: 'isbn' });
+            }
+        };
+
+        this.db = await IndexedDBBookStore.promisify(request);
+
+        // Une autre page ouvre une version plus récente : libérer la base
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+        };
+        return this.db;
+    }
+
+    /**
+     * Exécuter une opération dans une transaction et attendre sa validation
+     * @param {string[]} storeNames - Magasins concernés
+     * @param {string} mode - 'readonly' ou 'readwrite'
+     * @param {Function} operation - Reçoit les magasins, renvoie éventuellement une requête
+     */
+    async transaction(storeNames, mode, operation) {
+        const db = await this.open();
+        const tx = db.transaction(storeNames, mode);
+        const stores = storeNames.map(name => tx.objectStore(name));
+        const request = operation(...stores);
+
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction IndexedDB annulée'));
+        });
+    }
+
+    /**
+     * Enregistrement stocké : le livre et ses clés d'index
+     */
+    toEntry(isbn, book) {
+        return {
+            isbn,
+            book,
+            keys: {
+                title: IndexedDBBookStore.indexTerms(book.title),
+                authors: IndexedDBBookStore.indexTerms(book.authors),
+                publisher: IndexedDBBookStore.indexTerms(book.publisher)
+            }
+        };
+    }
+
+    /**
+     * Lire tous les livres
+     * @returns {Promise<Object<string, object>>} ISBN -> livre
+     */
+    async getAllBooks() {
+        const entries = await this.transaction(['books'], 'readonly', books => books.getAll());
+        return Object.fromEntries(entries.map(entry => [entry.isbn, entry.book]));
+    }
+
+    /**
+     * Lire un livre
+     */
+    async getBook(isbn) {
+        const entry = await this.transaction(['books'], 'readonly', books => books.get(isbn));
+        return entry ? entry.book : null;
+    }
+
+    /**
+     * Enregistrer un livre
+     */
+    async putBook(isbn, book) {
+        await this.transaction(['books'], 'readwrite', books => books.put(this.toEntry(isbn, book)));
+    }
+
+    /**
+     * Supprimer un livre
+     */
+    async deleteBook(isbn) {
+        await this.transaction(['books'], 'readwrite', books => books.delete(isbn));
+    }
+
+    /**
+     * Chercher les livres dont le titre, un auteur ou l'éditeur (ou l'un de leurs mots)
+     * commence par `prefix`
+     * @param {string} index - 'title', 'authors' ou 'publisher'
+     * @returns {Promise<Array<object>>} Livres trouvés (avec leur ISBN)
+     */
+    async findByPrefix(index, prefix, limit = 50) {
+        const key = IndexedDBBookStore.indexKey(prefix);
+        const range = IDBKeyRange.bound(key, key + '\uffff');
+        const entries = await this.transaction(['books'], 'readonly',
+            books => books.index(index).getAll(range));
+
+        // Un livre apparaît une fois par entrée d'index correspondante
+        const found = new Map();
+        for (const entry of entries) {
+            if (found.size >= limit) break;
+            found.set(entry.isbn, { isbn: entry.isbn, ...entry.book });
+        }
+        return Array.from(found.values());
+    }
+
+    /**
+     * Lire toutes les suppressions locales
+     * @returns {Promise<Object<string, string>>} ISBN -> date de suppression
+     */
+    async getAllTombstones() {
+        const entries = await this.transaction(['tombstones'], 'readonly', tombstones => tombstones.getAll());
+        return Object.fromEntries(entries.map(entry => [entry.isbn, entry.deletedAt]));
+    }
+
+    /**
+     * Enregistrer (ou effacer, si `deletedAt` est vide) la suppression d'un livre
+     */
+    async putTombstone(isbn, deletedAt) {
+        await this.transaction(['tombstones'], 'readwrite', tombstones =>
+            deletedAt ? tombstones.put({ isbn, deletedAt }) : tombstones.delete(isbn)
+        );
+    }
+
+    /**
+     * Lire toutes les couvertures importées
+     * @returns {Promise<Object<string, Blob>>} ISBN -> image
+     */
+    async getAllCovers() {
+        const entries = await this.transaction(['covers'], 'readonly', covers => covers.getAll());
+        return Object.fromEntries(entries.map(entry => [entry.isbn, entry.blob]));
+    }
+
+    /**
+     * Lire la couverture importée d'un livre
+     * @returns {Promise<Blob|null>}
+     */
+    async getCover(isbn) {
+        const entry = await this.transaction(['covers'], 'readonly', covers => covers.get(isbn));
+        return entry ? entry.blob : null;
+    }
+
+    /**
+     * Enregistrer la couverture importée d'un livre
+     */
+    async putCover(isbn, blob) {
+        await this.transaction(['covers'], 'readwrite', covers =>
+            covers.put({ isbn, blob, updatedAt: new Date().toISOString() })
+        );
+    }
+
+    /**
+     * Supprimer la couverture importée d'un livre
+     */
+    async deleteCover(isbn) {
+        await this.transaction(['covers'], 'readwrite', covers => covers.delete(isbn));
+    }
+
+    /**
+     * Lire toutes les données de lecture
+     * @returns {Promise<Object<string, object>>} ISBN -> données de lecture
+     */
+    async getAllReading() {
+        const entries = await this.transaction(['reading'], 'readonly', reading => reading.getAll());
+        return Object.fromEntries(entries.map(entry => [entry.isbn, entry.reading]));
+    }
+
+    /**
+     * Enregistrer (ou effacer, si `data` est vide) les données de lecture d'un livre
+     */
+    async putReading(isbn, data) {
+        await this.transaction(['reading'], 'readwrite', reading =>
+            data ? reading.put({ isbn, reading: data }) : reading.delete(isbn)
+        );
+    }
+
+    /**
+     * Lire une information interne (date de migration...)
+     */
+    async getMeta(key) {
+        const entry = await this.transaction(['meta'], 'readonly', meta => meta.get(key));
+        return entry ? entry.value : null;
+    }
+
+    /**
+     * Enregistrer une information interne
+     */
+    async setMeta(key, value) {
+        await this.transaction(['meta'], 'readwrite', meta => meta.put({ key, value }));
+    }
+
+    /**
+     * Importer en une transaction des livres, leurs couvertures, des suppressions et des données
+     * de lecture (migration depuis localStorage)
+     */
+    async importAll({ books = {}, covers = {}, tombstones = {}, reading = {} }) {
+        const storeNames = ['books', 'covers', 'tombstones', 'reading'];
+        await this.transaction(storeNames, 'readwrite', (bookStore, coverStore, tombstoneStore, readingStore) => {
+            for (const [isbn, book] of Object.entries(books)) {
+                bookStore.put(this.toEntry(isbn, book));
+            }
+            for (const [isbn, blob] of Object.entries(covers)) {
+                coverStore.put({ isbn, blob, updatedAt: new Date().toISOString() });
+            }
+            for (const [isbn, deletedAt] of Object.entries(tombstones)) {
+                tombstoneStore.put({ isbn, deletedAt });
+            }
+            for (const [isbn, data] of Object.entries(reading)) {
+                readingStore.put({ isbn, reading: data });
+            }
+        });
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Panneau « Citer ce livre » de la fiche
+ * Références mises en forme (APA, MLA, Chicago, ISO 690) à copier, et fichiers BibTeX, RIS et
+ * CSL-JSON à télécharger, produits dans le navigateur à partir des métadonnées enregistrées.
+ */
+class CitationPanel {
+    constructor() {
+        this.isbn = null;
+        this.info = null;
+    }
+
+    /**
+     * Afficher ou masquer le panneau du livre affiché
+     */
+    toggle() {
+        const panel = document.getElementById('citationPanel');
+        if (!panel) return;
+
+        if (panel.style.display !== 'none') {
+            panel.style.display = 'none';
+            return;
+        }
+
+        panel.style.display = 'block';
+        this.isbn = ui.getISBNFromBook(ui.currentBook);
+        // La fiche enregistrée dans la base locale, ou à défaut celle affichée
+        this.info = (this.isbn && bookDatabase.findBook(this.isbn)) || ui.currentBook.volumeInfo;
+        this.render();
+    }
+
+    /**
+     * Références de chaque style, puis boutons de téléchargement
+     */
+    render() {
+        const panel = document.getElementById('citationPanel');
+
+        const list = document.createElement('dl');
+        list.className = 'citation-list';
+        for (const [style, label] of Object.entries(citationFormatter.styles)) {
+            const term = document.createElement('dt');
+            term.textContent = label;
+
+            const reference = document.createElement('dd');
+            const text = document.createElement('span');
+            text.className = 'citation-text';
+            text.innerHTML = citationFormatter.formatReference(style, this.isbn, this.info, { html: true });
+
+            const copy = document.createElement('button');
+            copy.className = 'edit-btn citation-copy';
+            copy.textContent = 'Copier';
+            copy.onclick = () => this.copy(style, copy);
+
+            reference.append(text, copy);
+            list.append(term, reference);
+        }
+
+        const downloads = document.createElement('div');
+        downloads.className = 'citation-downloads';
+        for (const [format, { label }] of Object.entries(citationFormatter.fileFormats)) {
+            const button = document.createElement('button');
+            button.className = 'edit-btn';
+            button.textContent = `⬇️ ${label}`;
+            button.onclick = () => this.download(format);
+            downloads.appendChild(button);
+        }
+
+        panel.replaceChildren(list, downloads);
+    }
+
+    /**
+     * Copier une référence (texte brut) dans le presse-papiers
+     */
+    async copy(style, button) {
+        const text = citationFormatter.formatReference(style, this.isbn, this.info);
+        try {
+            await navigator.clipboard.writeText(text);
+            button.textContent = 'Copié ✓';
+            setTimeout(() => { button.textContent = 'Copier'; }, 2000);
+        } catch (error) {
+            console.warn('⚠️ Copie impossible:', error.message);
+            // Sans accès au presse-papiers : sélectionner le texte pour une copie manuelle
+            const selection = window.getSelection();
+            selection.selectAllChildren(button.previousElementSibling);
+        }
+    }
+
+    /**
+     * Télécharger la référence du livre (BibTeX, RIS ou CSL-JSON)
+     */
+    download(format) {
+        const { extension, mimeType } = citationFormatter.fileFormats[format];
+        const content = citationFormatter.toFile(format, [{ isbn: this.isbn, info: this.info }]);
+        app.downloadBlob(new Blob([content], { type: mimeType }), `${this.isbn || 'livre'}.${extension}`);
+    }
+}
+
+// Instance globale du panneau de citations
+const citationPanel = new CitationPanel();
+
+// Fonctions globales pour la compatibilité avec l'HTML existant
+function toggleCitations() {
+    citationPanel.toggle();
+}
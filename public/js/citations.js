@@ -0,0 +1,310 @@
+/**
+ * Citations d'un livre à partir de ses métadonnées (schéma commun, comme volumeInfo)
+ * Fichiers de références (BibTeX, RIS, CSL-JSON) et références mises en forme (APA, MLA,
+ * Chicago, ISO 690), produits sans appel réseau. Utilisé par le navigateur et par le serveur.
+ */
+class CitationFormatter {
+    constructor() {
+        this.fileFormats = {
+            bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex' },
+            ris: { label: 'RIS', extension: 'ris', mimeType: 'application/x-research-info-systems' },
+            csljson: { label: 'CSL-JSON', extension: 'json', mimeType: 'application/vnd.citationstyles.csl+json' }
+        };
+        this.styles = {
+            apa: 'APA (7e éd.)',
+            mla: 'MLA (9e éd.)',
+            chicago: 'Chicago (bibliographie)',
+            iso690: 'ISO 690'
+        };
+
+        // Particules qui restent attachées au nom de famille ("Simone de Beauvoir")
+        this.particles = ['de', 'du', 'des', 'd\'', 'la', 'le', 'van', 'von', 'der', 'den', 'di', 'da', 'del', 'della'];
+    }
+
+    /**
+     * Valeur renseignée (les libellés « Inconnu » de l'interface ne comptent pas)
+     */
+    clean(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).replace(/\s+/g, ' ').trim();
+        return text && !/^inconnue?$/i.test(text) ? text : null;
+    }
+
+    /**
+     * Découper un nom : "Simone de Beauvoir" -> { family: 'de Beauvoir', given: 'Simone' }
+     * Un nom déjà inversé ("Camus, Albert") est respecté ; un nom d'un seul mot n'a pas de prénom.
+     */
+    splitName(name) {
+        const text = this.clean(name) || '';
+        if (text.includes(',')) {
+            const [family, ...given] = text.split(',');
+            return { family: family.trim(), given: given.join(',').trim() || null };
+        }
+
+        const words = text.split(' ');
+        if (words.length < 2) return { family: text, given: null };
+
+        let start = words.length - 1;
+        while (start > 1 && this.particles.includes(words[start - 1].toLowerCase())) start--;
+        return { family: words.slice(start).join(' '), given: words.slice(0, start).join(' ') };
+    }
+
+    /**
+     * Initiales d'un prénom : "Jean-Paul" -> "J.-P.", "John Ronald" -> "J. R."
+     */
+    initials(given) {
+        return given.split(' ').filter(Boolean)
+            .map(part => part.split('-').map(piece => `${piece.charAt(0).toUpperCase()}.`).join('-'))
+            .join(' ');
+    }
+
+    /**
+     * Données d'un livre utiles aux citations
+     * @param {string} isbn
+     * @param {object} info - Livre au schéma commun
+     */
+    normalize(isbn, info = {}) {
+        const year = (/\d{4}/.exec(this.clean(info.publishedDate) || '') || [])[0] || null;
+        return {
+            isbn: this.clean(isbn),
+            title: this.clean(info.title),
+            subtitle: this.clean(info.subtitle),
+            authors: (info.authors || []).map(author => this.clean(author)).filter(Boolean).map(author => this.splitName(author)),
+            publisher: this.clean(info.publisher),
+            year,
+            pageCount: parseInt(info.pageCount, 10) > 0 ? parseInt(info.pageCount, 10) : null,
+            language: this.clean(info.language),
+            description: this.clean(info.description),
+            categories: (info.categories || []).map(category => this.clean(category)).filter(Boolean)
+        };
+    }
+
+    /**
+     * Titre complet ; `separator` entre titre et sous-titre (": " en anglais, " : " en français)
+     */
+    fullTitle(item, separator = ': ') {
+        if (!item.title) return item.subtitle || 'Sans titre';
+        return item.subtitle ? `${item.title}${separator}${item.subtitle}` : item.title;
+    }
+
+    /**
+     * Clé BibTeX : nom du premier auteur, année et premier mot significatif du titre
+     */
+    citationKey(item) {
+        const ascii = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^A-Za-z0-9 ]/g, ' ');
+        const family = item.authors.length > 0 ? ascii(item.authors[0].family).replace(/ /g, '') : '';
+        const word = ascii(item.title).split(' ').find(candidate => candidate.length > 3) || '';
+        return `${family}${item.year || ''}${word}`.toLowerCase() || `isbn${item.isbn}`;
+    }
+
+    /**
+     * Clés uniques d'une liste : les clés en double reçoivent un suffixe (a, b...)
+     */
+    citationKeys(items) {
+        const counts = new Map();
+        return items.map(item => {
+            const base = this.citationKey(item);
+            const count = counts.get(base) || 0;
+            counts.set(base, count + 1);
+            return count === 0 ? base : `${base}${String.fromCharCode(96 + count)}`;
+        });
+    }
+
+    /**
+     * Échapper une valeur BibTeX
+     */
+    escapeBibTeX(value) {
+        return String(value)
+            .replace(/\\/g, '\\textbackslash{}')
+            .replace(/([{}&%$#_])/g, '\\$1')
+            .replace(/~/g, '\\textasciitilde{}')
+            .replace(/\^/g, '\\textasciicircum{}');
+    }
+
+    /**
+     * Entrées BibTeX (@book)
+     * @param {Array<{isbn: string, info: object}>} books
+     */
+    toBibTeX(books) {
+        const items = books.map(({ isbn, info }) => this.normalize(isbn, info));
+        const keys = this.citationKeys(items);
+
+        return items.map((item, i) => {
+            const fields = [
+                ['author', item.authors.map(author => (author.given ? `${author.family}, ${author.given}` : `{${author.family}}`)).join(' and ')],
+                ['title', item.title],
+                ['subtitle', item.subtitle],
+                ['publisher', item.publisher],
+                ['year', item.year],
+                ['isbn', item.isbn],
+                ['pagetotal', item.pageCount],
+                ['language', item.language],
+                ['keywords', item.categories.join(', ')],
+                ['abstract', item.description]
+            ].filter(([, value]) => value);
+
+            // Les auteurs sont déjà protégés ({Nom} pour un nom d'un seul mot), seules les valeurs sont échappées
+            const lines = fields.map(([name, value]) =>
+                `  ${name} = {${name === 'author' ? value.replace(/[&%$#_]/g, '\\$&') : this.escapeBibTeX(value)}}`);
+            return `@book{${keys[i]},\n${lines.join(',\n')}\n}\n`;
+        }).join('\n');
+    }
+
+    /**
+     * Références RIS (TY BOOK ... ER)
+     * @param {Array<{isbn: string, info: object}>} books
+     */
+    toRIS(books) {
+        return books.map(({ isbn, info }) => {
+            const item = this.normalize(isbn, info);
+            const lines = [
+                ['TY', 'BOOK'],
+                ...item.authors.map(author => ['AU', author.given ? `${author.family}, ${author.given}` : author.family]),
+                ['TI', this.fullTitle(item)],
+                ['PY', item.year],
+                ['PB', item.publisher],
+                ['SN', item.isbn],
+                ['SP', item.pageCount],
+                ['LA', item.language],
+                ...item.categories.map(category => ['KW', category]),
+                ['AB', item.description],
+                ['ER', '']
+            ].filter(([tag, value]) => tag === 'ER' || value);
+
+            return lines.map(([tag, value]) => `${tag}  - ${value}`).join('\r\n') + '\r\n';
+        }).join('\r\n');
+    }
+
+    /**
+     * Éléments CSL-JSON (Zotero, Mendeley, Pandoc)
+     * @param {Array<{isbn: string, info: object}>} books
+     * @returns {Array<object>}
+     */
+    toCSL(books) {
+        const items = books.map(({ isbn, info }) => this.normalize(isbn, info));
+        const keys = this.citationKeys(items);
+
+        return items.map((item, i) => {
+            const csl = {
+                id: keys[i],
+                type: 'book',
+                title: this.fullTitle(item),
+                author: item.authors.map(author => (author.given
+                    ? { family: author.family, given: author.given }
+                    : { literal: author.family })),
+                publisher: item.publisher,
+                issued: item.year ? { 'date-parts': [[parseInt(item.year, 10)]] } : null,
+                ISBN: item.isbn,
+                'number-of-pages': item.pageCount,
+                language: item.language,
+                abstract: item.description,
+                keyword: item.categories.join(', ') || null
+            };
+            return Object.fromEntries(Object.entries(csl).filter(([, value]) =>
+                value !== null && !(Array.isArray(value) && value.length === 0)));
+        });
+    }
+
+    /**
+     * Fichier de références dans l'un des formats de `fileFormats`
+     * @returns {string}
+     */
+    toFile(format, books) {
+        if (format === 'bibtex') return this.toBibTeX(books);
+        if (format === 'ris') return this.toRIS(books);
+        if (format === 'csljson') return `${JSON.stringify(this.toCSL(books), null, 2)}\n`;
+        throw new Error(`Format de citation inconnu : ${format}`);
+    }
+
+    /**
+     * Liste de noms : "A, B, and C" ; sans `serial`, pas de virgule devant la conjonction
+     */
+    joinNames(names, and, serial = true) {
+        if (names.length <= 1) return names.join('');
+        if (names.length === 2) return `${names[0]}${serial ? ',' : ''} ${and} ${names[1]}`;
+        return `${names.slice(0, -1).join(', ')}${serial ? ',' : ''} ${and} ${names[names.length - 1]}`;
+    }
+
+    /**
+     * Auteurs selon le style
+     */
+    formatAuthors(style, authors) {
+        const inverted = (author) => (author.given ? `${author.family}, ${author.given}` : author.family);
+        const direct = (author) => (author.given ? `${author.given} ${author.family}` : author.family);
+
+        switch (style) {
+            case 'apa': {
+                const names = authors.map(author => (author.given ? `${author.family}, ${this.initials(author.given)}` : author.family));
+                // Au-delà de 20 auteurs : les 19 premiers, points de suspension, puis le dernier
+                if (names.length > 20) return `${names.slice(0, 19).join(', ')}, ... ${names[names.length - 1]}`;
+                return this.joinNames(names, '&');
+            }
+            case 'mla':
+                if (authors.length > 2) return `${inverted(authors[0])}, et al`;
+                return this.joinNames([inverted(authors[0]), ...authors.slice(1).map(direct)], 'and');
+            case 'chicago':
+                if (authors.length > 10) return `${[inverted(authors[0]), ...authors.slice(1, 7).map(direct)].join(', ')}, et al`;
+                return this.joinNames([inverted(authors[0]), ...authors.slice(1).map(direct)], 'and');
+            case 'iso690': {
+                const upper = (author) => (author.given ? `${author.family.toUpperCase()}, ${author.given}` : author.family.toUpperCase());
+                if (authors.length > 3) return `${upper(authors[0])} et al`;
+                return this.joinNames(authors.map(upper), 'et', false);
+            }
+            default:
+                throw new Error(`Style de citation inconnu : ${style}`);
+        }
+    }
+
+    /**
+     * Référence mise en forme dans l'un des `styles`
+     * @param {string} style - apa, mla, chicago ou iso690
+     * @param {string} isbn
+     * @param {object} info - Livre au schéma commun
+     * @param {object} [options]
+     * @param {boolean} [options.html] - Titre en italique (<i>) et texte échappé pour HTML
+     * @returns {string}
+     */
+    formatReference(style, isbn, info, { html = false } = {}) {
+        const item = this.normalize(isbn, info);
+        const escape = (text) => (html
+            ? String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+            : String(text));
+        const italic = (text) => (html ? `<i>${escape(text)}</i>` : text);
+        // Point final sans doubler celui d'une initiale, d'une abréviation ou d'un titre interrogatif
+        const sentence = (text) => (/[.?!]$/.test(text) ? text : `${text}.`);
+        const title = (separator) => {
+            const text = this.fullTitle(item, separator);
+            return /[.?!]$/.test(text) ? italic(text) : `${italic(text)}.`;
+        };
+        const authors = item.authors.length > 0 ? escape(sentence(this.formatAuthors(style, item.authors))) : null;
+        const imprint = item.publisher || item.year
+            ? `${escape([item.publisher, item.year].filter(Boolean).join(', '))}.`
+            : null;
+
+        switch (style) {
+            case 'apa': {
+                // Sans auteur, le titre prend sa place devant l'année
+                const date = `(${item.year || 's.d.'}).`;
+                const publisher = item.publisher ? `${escape(item.publisher)}.` : null;
+                return (authors ? [authors, date, title(': '), publisher] : [title(': '), date, publisher])
+                    .filter(Boolean).join(' ');
+            }
+            case 'mla':
+            case 'chicago':
+                return [authors, title(': '), imprint].filter(Boolean).join(' ');
+            case 'iso690':
+                return [authors, title(' : '), imprint, item.isbn ? `ISBN ${escape(item.isbn)}.` : null]
+                    .filter(Boolean).join(' ');
+            default:
+                throw new Error(`Style de citation inconnu : ${style}`);
+        }
+    }
+}
+
+// Instance globale du service de citations
+const citationFormatter = new CitationFormatter();
+
+// Export pour le serveur (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CitationFormatter, citationFormatter };
+}
@@ -0,0 +1,489 @@
+/**
+ * Écran « Ma collection »
+ * Parcourir les livres de la base locale : recherche instantanée (score de pertinence de la base),
+ * filtre par étagère (statut de lecture ou étiquette), tri, affichage en grille ou en liste,
+ * sélection multiple pour supprimer ou exporter.
+ */
+class CollectionBrowser {
+    constructor() {
+        this.query = '';
+        this.shelf = ''; // 'status:<statut>' ou 'tag:<étiquette>'
+        this.sort = 'addedAt';
+        this.view = localStorage.getItem('collectionView') || 'grid';
+        this.selected = new Set();
+        this.books = [];
+        this.deleting = false;
+        this.searchDelay = 150;
+        this.searchTimer = null;
+        this.sortLabels = {
+            relevance: 'Pertinence',
+            title: 'Titre',
+            author: 'Auteur',
+            addedAt: 'Date d\'ajout'
+        };
+        this.readingStatusLabels = {
+            read: '✅ Lu',
+            reading: '📖 En cours',
+            'to-read': '🔖 À lire',
+            abandoned: '⏹️ Abandonné'
+        };
+        this.exportFormats = {
+            json: { label: 'Sauvegarde (JSON)', extension: 'json' },
+            marc21: { label: 'MARC21', extension: 'mrc', endpoint: '/api/export/marc' },
+            marcxml: { label: 'MARCXML', extension: 'xml', endpoint: '/api/export/marc' },
+            unimarc: { label: 'UNIMARC', extension: 'mrc', endpoint: '/api/export/marc' },
+            onix: { label: 'ONIX 3.0', extension: 'xml', endpoint: '/api/export/onix' },
+            ...citationFormatter.fileFormats,
+            ...Object.fromEntries(Object.entries(citationFormatter.styles).map(([style, label]) =>
+                [style, { label: `Bibliographie ${label}`, extension: 'txt' }]))
+        };
+
+        // Garder l'écran à jour quand un livre est ajouté, modifié ou supprimé
+        bookDatabase.onChange(() => {
+            if (this.isVisible() && !this.deleting) this.render();
+        });
+    }
+
+    /**
+     * L'écran de la collection est-il affiché ?
+     */
+    isVisible() {
+        return Boolean(document.getElementById('collectionItems'));
+    }
+
+    /**
+     * Afficher l'écran de la collection
+     */
+    async show() {
+        await bookDatabase.ready;
+        this.selected.clear();
+
+        const resultsDiv = document.getElementById('results');
+        resultsDiv.innerHTML = `
+            <div class="book-card collection-card">
+                <h2>📚 Ma collection <span class="collection-count" id="collectionCount"></span></h2>
+                <div class="collection-toolbar">
+                    <input type="search" id="collectionSearch" class="collection-search" placeholder="Titre, auteur, éditeur..." oninput="searchCollection(this.value)">
+                    <select id="collectionShelf" class="collection-sort" onchange="filterCollectionShelf(this.value)"></select>
+                    <select id="collectionSort" class="collection-sort" onchange="sortCollection(this.value)">
+                        ${Object.entries(this.sortLabels).map(([value, label]) =>
+                            `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                    <div class="collection-views">
+                        <button class="edit-btn" id="collectionGridBtn" onclick="setCollectionView('grid')" title="Grille">▦</button>
+                        <button class="edit-btn" id="collectionListBtn" onclick="setCollectionView('list')" title="Liste">☰</button>
+                    </div>
+                    <button class="edit-btn" onclick="openReadingImport()" title="Importer un export Goodreads, LibraryThing ou Babelio">📥 Mes lectures</button>
+                </div>
+                <div class="collection-selection" id="collectionSelection">
+                    <label><input type="checkbox" id="collectionSelectAll" onchange="selectAllCollection(this.checked)"> Tout sélectionner</label>
+                    <span id="collectionSelectionCount"></span>
+                    <select id="collectionExportFormat" class="collection-sort" title="Format d'export">
+                        ${Object.entries(this.exportFormats).map(([value, { label }]) =>
+                            `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                    <button class="edit-btn" id="collectionExportBtn" onclick="exportCollectionSelection()" disabled>Exporter</button>
+                    <button class="cancel-btn" id="collectionDeleteBtn" onclick="deleteCollectionSelection()" disabled>Supprimer</button>
+                </div>
+                <div id="collectionItems"></div>
+            </div>
+        `;
+
+        document.getElementById('collectionSearch').value = this.query;
+        document.getElementById('collectionSort').value = this.sort;
+        this.render();
+        document.getElementById('collectionSearch').focus();
+    }
+
+    /**
+     * Filtrer la collection (après une courte pause dans la frappe)
+     */
+    setQuery(query) {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => {
+            const wasSearching = Boolean(this.query);
+            this.query = query.trim();
+
+            // Trier par pertinence pendant une recherche, revenir au tri par date ensuite
+            if (this.query && !wasSearching && this.sort === 'addedAt') this.sort = 'relevance';
+            if (!this.query && this.sort === 'relevance') this.sort = 'addedAt';
+            document.getElementById('collectionSort').value = this.sort;
+
+            this.render();
+        }, this.searchDelay);
+    }
+
+    /**
+     * Ne montrer qu'une étagère : statut de lecture ou étiquette ('' : toute la collection)
+     */
+    setShelf(shelf) {
+        this.shelf = shelf;
+        this.render();
+    }
+
+    /**
+     * Le livre est-il sur l'étagère choisie ?
+     */
+    isOnShelf(isbn) {
+        if (!this.shelf) return true;
+
+        const reading = bookDatabase.reading[isbn];
+        if (!reading) return false;
+        const separator = this.shelf.indexOf(':');
+        const kind = this.shelf.slice(0, separator);
+        const value = this.shelf.slice(separator + 1);
+        return kind === 'status' ? reading.status === value : (reading.tags || []).includes(value);
+    }
+
+    /**
+     * Choix des étagères : statuts de lecture puis étiquettes (masqué sans données de lecture)
+     */
+    renderShelves() {
+        const select = document.getElementById('collectionShelf');
+        const tags = bookDatabase.getReadingTags();
+        const statuses = Object.keys(this.readingStatusLabels).filter(status =>
+            Object.entries(bookDatabase.reading).some(([isbn, reading]) => reading.status === status && bookDatabase.data[isbn]));
+
+        // L'étagère choisie a pu disparaître (derniers livres supprimés)
+        const available = [...statuses.map(status => `status:${status}`), ...tags.map(({ tag }) => `tag:${tag}`)];
+        if (this.shelf && !available.includes(this.shelf)) this.shelf = '';
+
+        select.style.display = available.length > 0 ? '' : 'none';
+        select.replaceChildren(
+            new Option('Toutes les étagères', ''),
+            ...statuses.map(status => new Option(this.readingStatusLabels[status], `status:${status}`)),
+            ...tags.map(({ tag, count }) => new Option(`🏷️ ${tag} (${count})`, `tag:${tag}`))
+        );
+        select.value = this.shelf;
+    }
+
+    /**
+     * Résumé des données de lecture d'un livre : statut, note, étiquettes
+     */
+    describeReading(reading) {
+        if (!reading) return '';
+
+        const rating = reading.rating
+            ? '★'.repeat(Math.floor(reading.rating)) + (reading.rating % 1 >= 0.5 ? '½' : '')
+            : null;
+        return [this.readingStatusLabels[reading.status], rating, (reading.tags || []).join(', ')]
+            .filter(Boolean)
+            .join(' · ');
+    }
+
+    /**
+     * Changer l'ordre de tri
+     */
+    setSort(sort) {
+        this.sort = sort;
+        this.render();
+    }
+
+    /**
+     * Basculer entre grille et liste (choix mémorisé)
+     */
+    setView(view) {
+        this.view = view;
+        localStorage.setItem('collectionView', view);
+        this.render();
+    }
+
+    /**
+     * Date d'ajout d'un livre (les livres reçus du serveur portent leur date de création)
+     */
+    getAddedAt(book) {
+        return book.addedAt || book.createdAt || book.lastUpdated || '';
+    }
+
+    /**
+     * Livres à afficher : résultats de la recherche (triés par pertinence) ou toute la base, puis tri choisi
+     */
+    getBooks() {
+        const books = (this.query
+            ? bookDatabase.searchBooks(this.query)
+            : Object.entries(bookDatabase.data).map(([isbn, book]) => ({ isbn, ...book })))
+            .filter(book => this.isOnShelf(book.isbn));
+
+        const text = (value) => (Array.isArray(value) ? value.join(', ') : value || '');
+        const compareText = (a, b) => {
+            // Les livres sans valeur à la fin
+            if (!a || !b) return a ? -1 : b ? 1 : 0;
+            return a.localeCompare(b, 'fr', { sensitivity: 'base' });
+        };
+        const byAddedAt = (a, b) => this.getAddedAt(b).localeCompare(this.getAddedAt(a));
+
+        switch (this.sort) {
+            case 'title':
+                return books.sort((a, b) => compareText(text(a.title), text(b.title)));
+            case 'author':
+                return books.sort((a, b) => compareText(text(a.authors), text(b.authors)));
+            case 'relevance':
+                // Sans recherche, la pertinence n'a pas de sens : tri par date
+                return this.query ? books : books.sort(byAddedAt);
+            default:
+                return books.sort(byAddedAt);
+        }
+    }
+
+    /**
+     * Afficher les livres
+     */
+    render() {
+        const container = document.getElementById('collectionItems');
+        if (!container) return;
+
+        this.renderShelves();
+        this.books = this.getBooks();
+
+        // Oublier la sélection des livres supprimés entre-temps
+        for (const isbn of this.selected) {
+            if (!bookDatabase.data[isbn]) this.selected.delete(isbn);
+        }
+
+        const total = bookDatabase.getBookCount();
+        document.getElementById('collectionCount').textContent = this.query || this.shelf
+            ? `(${this.books.length} / ${total})`
+            : `(${total} livre${total > 1 ? 's' : ''})`;
+        document.getElementById('collectionGridBtn').classList.toggle('active', this.view === 'grid');
+        document.getElementById('collectionListBtn').classList.toggle('active', this.view === 'list');
+
+        container.className = `collection-items collection-${this.view}`;
+        container.innerHTML = '';
+
+        if (this.books.length === 0) {
+            container.innerHTML = `<div class="collection-empty">${this.query || this.shelf
+                ? 'Aucun livre ne correspond à cette recherche'
+                : 'Votre collection est vide : recherchez un ISBN pour ajouter un livre'}</div>`;
+        } else {
+            const fragment = document.createDocumentFragment();
+            this.books.forEach(book => fragment.appendChild(this.renderItem(book)));
+            container.appendChild(fragment);
+        }
+
+        this.updateSelection();
+    }
+
+    /**
+     * Carte (ou ligne) d'un livre
+     */
+    renderItem(book) {
+        const item = document.createElement('div');
+        item.className = 'collection-item';
+        item.classList.toggle('selected', this.selected.has(book.isbn));
+        item.onclick = () => this.open(book.isbn);
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'collection-checkbox';
+        checkbox.checked = this.selected.has(book.isbn);
+        checkbox.title = 'Sélectionner';
+        checkbox.onclick = (e) => e.stopPropagation();
+        checkbox.onchange = () => this.toggle(book.isbn, checkbox.checked, item);
+
+        const cover = document.createElement('div');
+        cover.className = 'collection-cover';
+        const coverURL = book.imageLinks && (book.imageLinks.thumbnail || book.imageLinks.smallThumbnail);
+        if (coverURL) {
+            const img = document.createElement('img');
+            img.src = coverURL;
+            img.alt = `Couverture de ${book.title || book.isbn}`;
+            img.loading = 'lazy';
+            cover.appendChild(img);
+        } else {
+            cover.innerHTML = '<div class="no-cover-example">📚</div>';
+        }
+
+        const info = document.createElement('div');
+        info.className = 'collection-info';
+        const title = document.createElement('div');
+        title.className = 'example-book-title';
+        title.textContent = book.title || 'Titre inconnu';
+        const authors = document.createElement('div');
+        authors.className = 'example-book-author';
+        authors.textContent = book.authors && book.authors.length > 0 ? book.authors.join(', ') : 'Auteur inconnu';
+        const details = document.createElement('div');
+        details.className = 'collection-details';
+        details.textContent = [book.publisher, book.publishedDate, isbnToolkit.hyphenate(book.isbn)].filter(Boolean).join(' · ');
+        info.append(title, authors, details);
+
+        const reading = bookDatabase.reading[book.isbn];
+        if (reading) {
+            const readingLine = document.createElement('div');
+            readingLine.className = 'collection-reading';
+            readingLine.textContent = this.describeReading(reading);
+            if (reading.rating) readingLine.title = `Note : ${reading.rating}/5`;
+            info.appendChild(readingLine);
+        }
+
+        item.append(checkbox, cover, info);
+        return item;
+    }
+
+    /**
+     * Sélectionner ou désélectionner un livre
+     */
+    toggle(isbn, checked, item) {
+        if (checked) {
+            this.selected.add(isbn);
+        } else {
+            this.selected.delete(isbn);
+        }
+        item.classList.toggle('selected', checked);
+        this.updateSelection();
+    }
+
+    /**
+     * Sélectionner (ou désélectionner) tous les livres affichés
+     */
+    selectAll(checked) {
+        this.books.forEach(book => (checked ? this.selected.add(book.isbn) : this.selected.delete(book.isbn)));
+        this.render();
+    }
+
+    /**
+     * Mettre à jour la barre de sélection
+     */
+    updateSelection() {
+        const count = this.selected.size;
+        document.getElementById('collectionSelectionCount').textContent =
+            count > 0 ? `${count} sélectionné${count > 1 ? 's' : ''}` : '';
+        document.getElementById('collectionExportBtn').disabled = count === 0;
+        document.getElementById('collectionDeleteBtn').disabled = count === 0;
+
+        const selectAll = document.getElementById('collectionSelectAll');
+        const visibleSelected = this.books.filter(book => this.selected.has(book.isbn)).length;
+        selectAll.checked = this.books.length > 0 && visibleSelected === this.books.length;
+        selectAll.indeterminate = visibleSelected > 0 && visibleSelected < this.books.length;
+    }
+
+    /**
+     * Ouvrir la fiche d'un livre
+     */
+    open(isbn) {
+        const book = bookDatabase.findBook(isbn);
+        if (!book) return;
+
+        const isbnInput = document.getElementById('isbnInput');
+        if (isbnInput) isbnInput.value = isbnToolkit.hyphenate(isbn);
+
+        app.currentBook = bookAPI.formatBookData(book);
+        ui.displayBook(app.currentBook);
+        app.updateLocation(isbn);
+        document.getElementById('results').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Supprimer les livres sélectionnés (après confirmation)
+     */
+    deleteSelection() {
+        const isbns = Array.from(this.selected);
+        if (isbns.length === 0) return;
+        if (!confirm(`Supprimer ${isbns.length} livre${isbns.length > 1 ? 's' : ''} de votre collection ?`)) return;
+
+        // Un seul affichage à la fin plutôt qu'un par livre supprimé
+        this.deleting = true;
+        try {
+            isbns.forEach(isbn => bookDatabase.deleteBook(isbn));
+        } finally {
+            this.deleting = false;
+        }
+        this.selected.clear();
+        this.render();
+        console.log(`🗑️ ${isbns.length} livres supprimés de la collection`);
+    }
+
+    /**
+     * Exporter les livres sélectionnés : sauvegarde JSON (même format que la sauvegarde complète),
+     * références (BibTeX, RIS, CSL-JSON, bibliographie mise en forme) produites dans le navigateur,
+     * ou notices MARC et message ONIX produits par le serveur (les livres pas encore synchronisés
+     * en sont absents)
+     */
+    async exportSelection() {
+        if (this.selected.size === 0) return;
+
+        const format = document.getElementById('collectionExportFormat').value;
+        const fileName = `isbn-search-selection-${new Date().toISOString().slice(0, 10)}.${this.exportFormats[format].extension}`;
+        try {
+            if (format === 'json') {
+                const exportData = await bookDatabase.exportDatabase(Array.from(this.selected));
+                app.downloadJSON(exportData, fileName);
+                return;
+            }
+            if (citationFormatter.fileFormats[format] || citationFormatter.styles[format]) {
+                app.downloadBlob(this.exportCitations(format), fileName);
+                return;
+            }
+
+            const response = await fetch(this.exportFormats[format].endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ format, isbns: Array.from(this.selected) })
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            app.downloadBlob(await response.blob(), fileName);
+        } catch (error) {
+            console.error('Erreur lors de l\'export de la sélection:', error);
+            alert('Erreur lors de l\'export de la sélection');
+        }
+    }
+
+    /**
+     * Références des livres sélectionnés : fichier BibTeX, RIS ou CSL-JSON, ou bibliographie
+     * dans un style (une référence par ligne, par ordre alphabétique)
+     * @returns {Blob}
+     */
+    exportCitations(format) {
+        const books = Array.from(this.selected)
+            .map(isbn => ({ isbn, info: bookDatabase.findBook(isbn) }))
+            .filter(book => book.info);
+
+        if (citationFormatter.fileFormats[format]) {
+            const content = citationFormatter.toFile(format, books);
+            return new Blob([content], { type: citationFormatter.fileFormats[format].mimeType });
+        }
+
+        const references = books
+            .map(({ isbn, info }) => citationFormatter.formatReference(format, isbn, info))
+            .sort((a, b) => a.localeCompare(b, 'fr'));
+        return new Blob([`${references.join('\n')}\n`], { type: 'text/plain;charset=utf-8' });
+    }
+}
+
+// Instance globale de la collection
+const collectionBrowser = new CollectionBrowser();
+
+// Fonctions globales pour la compatibilité avec l'HTML existant
+function openCollection() {
+    collectionBrowser.show();
+}
+
+function searchCollection(query) {
+    collectionBrowser.setQuery(query);
+}
+
+function filterCollectionShelf(shelf) {
+    collectionBrowser.setShelf(shelf);
+}
+
+function sortCollection(sort) {
+    collectionBrowser.setSort(sort);
+}
+
+function setCollectionView(view) {
+    collectionBrowser.setView(view);
+}
+
+function selectAllCollection(checked) {
+    collectionBrowser.selectAll(checked);
+}
+
+function exportCollectionSelection() {
+    collectionBrowser.exportSelection();
+}
+
+function deleteCollectionSelection() {
+    collectionBrowser.deleteSelection();
+}
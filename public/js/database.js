@@ -1,18 +1,83 @@
 /**
  * Gestionnaire de base de données locale pour les livres ISBN
- * Utilise localStorage pour la persistance des données
+ * Les livres sont enregistrés un par un dans IndexedDB (book-store.js), ou dans localStorage
+ * si IndexedDB est indisponible. Une copie en mémoire, chargée au démarrage (`ready`),
+ * permet de lire la base de façon synchrone ; les écritures sont asynchrones (`flush`).
+ * Les données de lecture personnelles (`reading` : statut, note, étiquettes...) sont rangées à part
+ * des données bibliographiques et ne quittent jamais le navigateur lors de la synchronisation.
  */
 class BookDatabase {
     constructor() {
         this.dbName = 'isbnBookDatabase';
+        this.tombstonesKey = `${this.dbName}_tombstones`;
+        this.readingKey = `${this.dbName}_reading`;
         this.data = {};
-        this.loadDatabase();
+        this.tombstones = {}; // ISBN -> date de suppression, pour propager les suppressions
+        this.reading = {}; // ISBN -> données de lecture personnelles (jamais envoyées au serveur)
+        this.changeListeners = [];
+        this.store = IndexedDBBookStore.isSupported() ? new IndexedDBBookStore() : null;
+        this.coverURLs = {}; // ISBN -> URL (blob:) de la couverture importée, stockée en Blob
+        this.localCoverRef = 'indexeddb:cover'; // Remplace l'URL blob: dans les enregistrements stockés
+        this.writeQueue = Promise.resolve();
+        // Champs de service, ignorés quand on compare une version locale à celle du serveur
+        this.serviceFields = ['lastUpdated', 'addedAt', 'updatedAt', 'createdAt', 'updatedBy', 'createdBy', 'provenance', 'serverETag', 'serverBase'];
+        this.ready = this.loadDatabase();
     }
 
     /**
-     * Charger la base de données depuis localStorage
+     * S'abonner aux modifications locales (ajout, édition, suppression)
      */
-    loadDatabase() {
+    onChange(listener) {
+        this.changeListeners.push(listener);
+    }
+
+    /**
+     * Prévenir les abonnés qu'un livre a été modifié localement
+     */
+    notifyChange(isbn) {
+        for (const listener of this.changeListeners) {
+            try {
+                listener(isbn);
+            } catch (error) {
+                console.error('Erreur dans un écouteur de modification:', error);
+            }
+        }
+    }
+
+    /**
+     * Charger la base de données (IndexedDB, ou localStorage à défaut)
+     */
+    async loadDatabase() {
+        if (this.store) {
+            try {
+                await this.migrateFromLocalStorage();
+
+                const [books, tombstones, covers, reading] = await Promise.all([
+                    this.store.getAllBooks(),
+                    this.store.getAllTombstones(),
+                    this.store.getAllCovers(),
+                    this.store.getAllReading()
+                ]);
+                this.data = books;
+                this.tombstones = tombstones;
+                this.reading = reading;
+                Object.entries(covers).forEach(([isbn, blob]) => this.attachCover(isbn, blob));
+
+                console.log(`Base de données chargée: ${Object.keys(this.data).length} livres (IndexedDB)`);
+                return;
+            } catch (error) {
+                console.error('IndexedDB indisponible, utilisation de localStorage:', error);
+                this.store = null;
+            }
+        }
+
+        this.loadLegacyDatabase();
+    }
+
+    /**
+     * Charger la base de données depuis localStorage (navigateurs sans IndexedDB)
+     */
+    loadLegacyDatabase() {
         try {
             const saved = localStorage.getItem(this.dbName);
             if (saved) {
@@ -21,76 +86,375 @@ class BookDatabase {
             } else {
                 console.log('Nouvelle base de données créée');
             }
+
+            const savedTombstones = localStorage.getItem(this.tombstonesKey);
+            this.tombstones = savedTombstones ? JSON.parse(savedTombstones) : {};
+            const savedReading = localStorage.getItem(this.readingKey);
+            this.reading = savedReading ? JSON.parse(savedReading) : {};
         } catch (error) {
             console.error('Erreur lors du chargement de la base:', error);
             this.data = {};
+            this.tombstones = {};
+            this.reading = {};
         }
     }
 
     /**
-     * Sauvegarder la base de données dans localStorage
+     * Migrer une seule fois l'ancienne base localStorage vers IndexedDB
+     * Les couvertures en data URL deviennent des Blob ; l'ancienne clé est ensuite supprimée
+     * pour libérer le quota de localStorage.
      */
-    saveDatabase() {
-        try {
-            localStorage.setItem(this.dbName, JSON.stringify(this.data));
-            console.log(`Base de données sauvegardée: ${Object.keys(this.data).length} livres`);
-        } catch (error) {
-            console.error('Erreur lors de la sauvegarde:', error);
-            throw new Error('Impossible de sauvegarder les données');
+    async migrateFromLocalStorage() {
+        const saved = localStorage.getItem(this.dbName);
+        if (!saved || await this.store.getMeta('migratedFromLocalStorage')) return;
+
+        const books = JSON.parse(saved);
+        const savedTombstones = localStorage.getItem(this.tombstonesKey);
+        const tombstones = savedTombstones ? JSON.parse(savedTombstones) : {};
+        const savedReading = localStorage.getItem(this.readingKey);
+        const reading = savedReading ? JSON.parse(savedReading) : {};
+        const covers = {};
+
+        for (const [isbn, book] of Object.entries(books)) {
+            const thumbnail = book.imageLinks && book.imageLinks.thumbnail;
+            if (this.isDataURL(thumbnail)) {
+                covers[isbn] = this.dataURLToBlob(thumbnail);
+                books[isbn] = { ...book, imageLinks: { ...book.imageLinks, thumbnail: this.localCoverRef } };
+            }
         }
+
+        await this.store.importAll({ books, covers, tombstones, reading });
+        await this.store.setMeta('migratedFromLocalStorage', new Date().toISOString());
+
+        localStorage.removeItem(this.dbName);
+        localStorage.removeItem(this.tombstonesKey);
+        localStorage.removeItem(this.readingKey);
+        console.log(`📦 Migration vers IndexedDB: ${Object.keys(books).length} livres, ${Object.keys(covers).length} couvertures`);
     }
 
     /**
-     * Nettoyer l'ISBN (supprimer tirets et espaces)
+     * Est-ce une image en data URL (couverture importée hors ligne) ?
      */
-    cleanISBN(isbn) {
-        return isbn.replace(/[-\s]/g, '');
+    isDataURL(value) {
+        return typeof value === 'string' && /^data:image\/[\w.+-]+;base64,/.test(value);
     }
 
     /**
-     * Convertir ISBN-10 en ISBN-13
+     * Convertir une image en data URL en Blob
      */
-    convertISBN10ToISBN13(isbn10) {
-        if (!isbn10 || isbn10.length !== 10) return null;
-        
-        const prefix = '978';
-        const partial = prefix + isbn10.substring(0, 9);
-        
-        // Calculer la checksum ISBN-13
-        let sum = 0;
-        for (let i = 0; i < 12; i++) {
-            sum += parseInt(partial[i]) * (i % 2 === 0 ? 1 : 3);
+    dataURLToBlob(dataURL) {
+        const [header, base64] = dataURL.split(',');
+        const type = header.substring(5, header.indexOf(';'));
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
         }
-        const checkDigit = (10 - (sum % 10)) % 10;
-        
-        return partial + checkDigit;
+        return new Blob([bytes], { type });
     }
 
     /**
-     * Convertir ISBN-13 en ISBN-10 (si possible)
+     * Convertir un Blob en data URL (export de la base)
      */
-    convertISBN13ToISBN10(isbn13) {
-        if (!isbn13 || isbn13.length !== 13 || !isbn13.startsWith('978')) return null;
-        
-        const partial = isbn13.substring(3, 12);
-        
-        // Calculer la checksum ISBN-10
-        let sum = 0;
-        for (let i = 0; i < 9; i++) {
-            sum += parseInt(partial[i]) * (10 - i);
+    blobToDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Associer au livre chargé la couverture stockée en Blob
+     */
+    attachCover(isbn, blob) {
+        const book = this.data[isbn];
+        if (!book || !book.imageLinks || book.imageLinks.thumbnail !== this.localCoverRef) {
+            // Couverture remplacée depuis : le Blob n'est plus utile
+            this.queueWrite(() => this.store.deleteCover(isbn));
+            return;
         }
-        const checkDigit = (11 - (sum % 11)) % 11;
-        
-        let checkChar;
-        if (checkDigit === 10) {
-            checkChar = 'X';
-        } else if (checkDigit === 11) {
-            checkChar = '0';
+
+        this.coverURLs[isbn] = URL.createObjectURL(blob);
+        book.imageLinks = { ...book.imageLinks, thumbnail: this.coverURLs[isbn] };
+    }
+
+    /**
+     * Conserver en Blob la couverture importée hors ligne (data URL) d'un livre
+     * @returns {object} Données du livre, la data URL remplacée par une URL blob:
+     */
+    storeLocalCover(isbn, bookInfo) {
+        const thumbnail = bookInfo.imageLinks && bookInfo.imageLinks.thumbnail;
+        if (!this.store || !this.isDataURL(thumbnail)) return bookInfo;
+
+        const blob = this.dataURLToBlob(thumbnail);
+        if (this.coverURLs[isbn]) {
+            URL.revokeObjectURL(this.coverURLs[isbn]);
+        }
+        this.coverURLs[isbn] = URL.createObjectURL(blob);
+        this.queueWrite(() => this.store.putCover(isbn, blob));
+
+        return { ...bookInfo, imageLinks: { ...bookInfo.imageLinks, thumbnail: this.coverURLs[isbn] } };
+    }
+
+    /**
+     * Oublier la couverture importée d'un livre (remplacée ou livre supprimé)
+     */
+    releaseLocalCover(isbn) {
+        if (!this.coverURLs[isbn]) return;
+
+        URL.revokeObjectURL(this.coverURLs[isbn]);
+        delete this.coverURLs[isbn];
+        this.queueWrite(() => this.store.deleteCover(isbn));
+    }
+
+    /**
+     * Le livre a-t-il encore sa couverture importée stockée localement ?
+     */
+    hasLocalCover(isbn) {
+        const book = this.data[isbn];
+        return Boolean(this.coverURLs[isbn] && book && book.imageLinks
+            && book.imageLinks.thumbnail === this.coverURLs[isbn]);
+    }
+
+    /**
+     * Lire la couverture importée d'un livre
+     * @returns {Promise<Blob|null>}
+     */
+    async getLocalCover(isbn) {
+        return this.hasLocalCover(isbn) ? this.store.getCover(isbn) : null;
+    }
+
+    /**
+     * Remplacer la couverture locale par ses URL sur le serveur, une fois envoyée
+     * (sans notification : l'envoi en cours emporte déjà ce livre)
+     */
+    replaceLocalCover(isbn, imageLinks) {
+        if (!this.data[isbn]) return;
+
+        this.data[isbn] = {
+            ...this.data[isbn],
+            imageLinks: { ...this.data[isbn].imageLinks, ...imageLinks }
+        };
+        this.persist([isbn]);
+    }
+
+    /**
+     * Livre tel qu'il peut quitter le navigateur : sans l'URL blob: de sa couverture locale
+     * ni la version du serveur sur laquelle il repose
+     */
+    toPortableBook(isbn) {
+        const { serverETag, serverBase, ...book } = this.data[isbn];
+        if (!this.hasLocalCover(isbn)) return book;
+
+        const { thumbnail, ...imageLinks } = book.imageLinks;
+        return { ...book, imageLinks };
+    }
+
+    /**
+     * Retenir, pour les champs qu'une modification locale vient de changer, leur valeur dans la
+     * version du serveur (`serverBase`) : à l'envoi, elle distingue nos modifications de celles
+     * faites entre-temps par d'autres (fusion à trois voies, voir SyncEngine.mergeVersions)
+     * @param {object} before - Enregistrement avant la modification
+     */
+    rememberServerBase(isbn, before) {
+        const book = this.data[isbn];
+        if (!before || !before.serverETag) return;
+
+        const serverBase = { ...(before.serverBase || {}) };
+        const fields = new Set([...Object.keys(before), ...Object.keys(book)]);
+        for (const field of fields) {
+            if (this.serviceFields.includes(field) || field in serverBase) continue;
+            if (JSON.stringify(before[field]) !== JSON.stringify(book[field])) {
+                serverBase[field] = before[field] !== undefined ? before[field] : null;
+            }
+        }
+        this.data[isbn] = { ...book, serverETag: before.serverETag, serverBase };
+    }
+
+    /**
+     * Noter la version du serveur (ETag) sur laquelle repose un livre local
+     * Pas de notifyChange : le livre est à jour sur le serveur.
+     * @param {object|null} [remoteBook] - Fiche renvoyée par le serveur, qui remplace la version locale
+     *   (null : la version locale est celle qui vient d'être envoyée)
+     */
+    setServerVersion(isbn, etag, remoteBook = null) {
+        const normalizedISBN = this.normalizeISBN(isbn);
+        const localBook = this.data[normalizedISBN];
+
+        if (remoteBook) {
+            this.data[normalizedISBN] = {
+                ...this.storeLocalCover(normalizedISBN, remoteBook),
+                lastUpdated: remoteBook.updatedAt || remoteBook.createdAt || new Date().toISOString(),
+                serverETag: etag
+            };
+        } else if (localBook) {
+            const { serverBase, ...book } = localBook;
+            this.data[normalizedISBN] = { ...book, serverETag: etag };
         } else {
-            checkChar = checkDigit.toString();
+            return;
         }
-        
-        return partial + checkChar;
+
+        delete this.tombstones[normalizedISBN];
+        this.persist([normalizedISBN]);
+    }
+
+    /**
+     * Résoudre un conflit d'édition : repartir de la version du serveur et y appliquer les
+     * valeurs locales retenues, qui repartent vers le serveur comme une modification ordinaire
+     * @param {object} values - { champ: valeur } gardés de la version locale (vide : version du serveur)
+     */
+    resolveConflict(isbn, etag, remoteBook, values = {}) {
+        const normalizedISBN = this.normalizeISBN(isbn);
+        this.setServerVersion(normalizedISBN, etag, remoteBook);
+        if (Object.keys(values).length === 0) return;
+
+        const now = new Date().toISOString();
+        const before = this.data[normalizedISBN];
+        this.data[normalizedISBN] = {
+            ...metadataMerger.applyEdit(before, values, 'user_edit', now),
+            lastUpdated: now
+        };
+        this.rememberServerBase(normalizedISBN, before);
+
+        this.persist([normalizedISBN]);
+        this.notifyChange(normalizedISBN);
+    }
+
+    /**
+     * Ajouter une écriture à la file (les écritures s'exécutent dans l'ordre)
+     */
+    queueWrite(write) {
+        this.writeQueue = this.writeQueue.then(write).catch(error => {
+            console.error('Erreur lors de la sauvegarde:', error);
+        });
+        return this.writeQueue;
+    }
+
+    /**
+     * Enregistrer l'état actuel de quelques livres (et de leurs suppressions)
+     */
+    persist(isbns) {
+        if (!this.store) {
+            this.saveDatabase();
+            return Promise.resolve();
+        }
+
+        // État figé au moment de l'appel : une modification suivante aura sa propre écriture
+        const writes = [...new Set(isbns)].map(isbn => {
+            if (this.coverURLs[isbn] && !this.hasLocalCover(isbn)) {
+                this.releaseLocalCover(isbn);
+            }
+
+            let book = this.data[isbn] || null;
+            if (book && this.hasLocalCover(isbn)) {
+                book = { ...book, imageLinks: { ...book.imageLinks, thumbnail: this.localCoverRef } };
+            }
+            return { isbn, book, deletedAt: this.tombstones[isbn] || null };
+        });
+
+        return this.queueWrite(async () => {
+            for (const { isbn, book, deletedAt } of writes) {
+                if (book) {
+                    await this.store.putBook(isbn, book);
+                } else {
+                    await this.store.deleteBook(isbn);
+                }
+                await this.store.putTombstone(isbn, deletedAt);
+            }
+        });
+    }
+
+    /**
+     * Enregistrer les données de lecture de quelques livres
+     */
+    persistReading(isbns) {
+        if (!this.store) {
+            this.saveDatabase();
+            return Promise.resolve();
+        }
+
+        const writes = [...new Set(isbns)].map(isbn => ({ isbn, reading: this.reading[isbn] || null }));
+        return this.queueWrite(async () => {
+            for (const { isbn, reading } of writes) {
+                await this.store.putReading(isbn, reading);
+            }
+        });
+    }
+
+    /**
+     * Attendre la fin des écritures en cours
+     */
+    flush() {
+        return this.writeQueue;
+    }
+
+    /**
+     * Données de lecture personnelles d'un livre
+     * @returns {object|null} { status, rating, tags, dateRead, dateStarted, dateAdded, review, notes, readCount }
+     */
+    getReading(isbn) {
+        return this.reading[this.normalizeISBN(isbn)] || null;
+    }
+
+    /**
+     * Enregistrer les données de lecture personnelles d'un livre
+     * Les valeurs reçues remplacent les anciennes ; les étiquettes s'ajoutent à celles déjà posées.
+     * Pas de notifyChange : ces données ne partent pas vers le serveur.
+     */
+    setReading(isbn, reading) {
+        const normalizedISBN = this.normalizeISBN(isbn);
+        const current = this.reading[normalizedISBN] || {};
+
+        this.reading[normalizedISBN] = {
+            ...current,
+            ...reading,
+            tags: [...new Set([...(current.tags || []), ...(reading.tags || [])])],
+            updatedAt: new Date().toISOString()
+        };
+        this.persistReading([normalizedISBN]);
+        return this.reading[normalizedISBN];
+    }
+
+    /**
+     * Toutes les étiquettes posées sur les livres, de la plus utilisée à la moins utilisée
+     * @returns {Array<{tag: string, count: number}>}
+     */
+    getReadingTags() {
+        const counts = new Map();
+        for (const [isbn, reading] of Object.entries(this.reading)) {
+            if (!this.data[isbn]) continue;
+            (reading.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        }
+        return Array.from(counts, ([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, 'fr'));
+    }
+
+    /**
+     * Sauvegarder toute la base de données
+     */
+    saveDatabase() {
+        if (this.store) {
+            return this.persist(Object.keys(this.data));
+        }
+
+        try {
+            localStorage.setItem(this.dbName, JSON.stringify(this.data));
+            localStorage.setItem(this.tombstonesKey, JSON.stringify(this.tombstones));
+            localStorage.setItem(this.readingKey, JSON.stringify(this.reading));
+            console.log(`Base de données sauvegardée: ${Object.keys(this.data).length} livres`);
+        } catch (error) {
+            console.error('Erreur lors de la sauvegarde:', error);
+            throw new Error('Impossible de sauvegarder les données');
+        }
+    }
+
+    /**
+     * Nettoyer l'ISBN (supprimer tirets et espaces)
+     */
+    cleanISBN(isbn) {
+        return isbnToolkit.clean(isbn);
     }
 
     /**
@@ -105,43 +469,20 @@ class BookDatabase {
             return clean; // Garder tel quel pour préserver l'easter egg
         }
         
-        if (clean.length === 13) {
-            return clean; // Déjà en ISBN-13
-        } else if (clean.length === 10) {
-            const isbn13 = this.convertISBN10ToISBN13(clean);
-            if (isbn13) {
-                console.log(`🔄 Conversion ISBN-10 → ISBN-13: ${clean} → ${isbn13}`);
-                return isbn13;
-            }
+        const isbn13 = isbnToolkit.normalize(clean);
+        if (isbn13 !== clean) {
+            console.log(`🔄 Conversion ISBN-10 → ISBN-13: ${clean} → ${isbn13}`);
         }
-        
-        return clean; // Retourner tel quel si impossible à convertir
+        return isbn13;
     }
 
     /**
      * Obtenir toutes les variantes possibles d'un ISBN
      */
     getISBNVariants(isbn) {
-        const clean = this.cleanISBN(isbn);
-        const variants = new Set();
-        
-        // Ajouter l'ISBN original nettoyé
-        variants.add(clean);
-        
-        // Si c'est un ISBN-13, ajouter l'ISBN-10 équivalent
-        if (clean.length === 13 && clean.startsWith('978')) {
-            const isbn10 = this.convertISBN13ToISBN10(clean);
-            if (isbn10) variants.add(isbn10);
-        }
-        
-        // Si c'est un ISBN-10, ajouter l'ISBN-13 équivalent
-        if (clean.length === 10) {
-            const isbn13 = this.convertISBN10ToISBN13(clean);
-            if (isbn13) variants.add(isbn13);
-        }
-        
-        console.log(`📚 Variantes ISBN pour ${clean}:`, Array.from(variants));
-        return Array.from(variants);
+        const variants = isbnToolkit.getVariants(isbn);
+        console.log(`📚 Variantes ISBN pour ${this.cleanISBN(isbn)}:`, variants);
+        return variants;
     }
 
     /**
@@ -178,13 +519,20 @@ class BookDatabase {
         // Vérifier s'il existe déjà des données pour ce livre (toutes variantes)
         const existingBook = this.findBook(isbn);
         
+        const now = new Date().toISOString();
+        const source = bookInfo.source || 'unknown';
+        const previousISBNs = [];
+        bookInfo = this.storeLocalCover(normalizedISBN, bookInfo);
+
         let finalBookData;
+        let previousBook = null;
         if (existingBook) {
-            // Fusionner avec les données existantes
+            // Fusionner champ par champ selon la fiabilité des sources
+            const { foundWithISBN, ...storedBook } = existingBook;
+            previousBook = storedBook;
             finalBookData = {
-                ...existingBook,
-                ...bookInfo,
-                lastUpdated: new Date().toISOString()
+                ...metadataMerger.merge(storedBook, bookInfo, source, now),
+                lastUpdated: now
             };
             console.log('🔄 Fusion avec les données existantes');
             
@@ -192,21 +540,25 @@ class BookDatabase {
             if (existingBook.foundWithISBN !== normalizedISBN) {
                 console.log(`🗑️ Suppression de l'ancienne entrée ${existingBook.foundWithISBN}`);
                 delete this.data[existingBook.foundWithISBN];
+                previousISBNs.push(existingBook.foundWithISBN);
             }
         } else {
             // Nouvelles données
             finalBookData = {
-                ...bookInfo,
-                lastUpdated: new Date().toISOString(),
-                source: bookInfo.source || 'unknown'
+                ...metadataMerger.merge(null, { ...bookInfo, source }, source, now),
+                addedAt: now,
+                lastUpdated: now
             };
         }
         
         // Stocker avec l'ISBN normalisé (ISBN-13)
         this.data[normalizedISBN] = finalBookData;
+        delete this.tombstones[normalizedISBN];
+        this.rememberServerBase(normalizedISBN, previousBook);
         
-        this.saveDatabase();
+        this.persist([normalizedISBN, ...previousISBNs]);
         console.log('✅ Livre sauvegardé avec succès sous ISBN-13:', normalizedISBN);
+        this.notifyChange(normalizedISBN);
         
         return this.data[normalizedISBN];
     }
@@ -238,12 +590,19 @@ class BookDatabase {
             delete this.data[currentStorageISBN];
         }
         
-        // Mettre à jour le champ
-        this.data[normalizedISBN][field] = value;
-        this.data[normalizedISBN].lastUpdated = new Date().toISOString();
+        // Mettre à jour le champ (une modification manuelle est toujours prioritaire)
+        const now = new Date().toISOString();
+        const changes = this.storeLocalCover(normalizedISBN, { [field]: value });
+        const before = this.data[normalizedISBN];
+        this.data[normalizedISBN] = {
+            ...metadataMerger.applyEdit(before, changes, 'user_edit', now),
+            lastUpdated: now
+        };
+        this.rememberServerBase(normalizedISBN, before);
         
-        this.saveDatabase();
+        this.persist([normalizedISBN, currentStorageISBN]);
         console.log(`✅ Champ ${field} mis à jour pour l'ISBN normalisé ${normalizedISBN}`);
+        this.notifyChange(normalizedISBN);
         
         return true;
     }
@@ -264,12 +623,94 @@ class BookDatabase {
         }
         
         if (deleted) {
-            this.saveDatabase();
+            const normalizedISBN = this.normalizeISBN(isbn);
+            this.tombstones[normalizedISBN] = new Date().toISOString();
+            this.persist(variants);
+
+            // Le livre quitte la collection avec ses données de lecture
+            const withReading = variants.filter(variant => this.reading[variant]);
+            withReading.forEach(variant => delete this.reading[variant]);
+            if (withReading.length > 0) this.persistReading(withReading);
+
+            this.notifyChange(normalizedISBN);
         }
         
         return deleted;
     }
 
+    /**
+     * Obtenir les modifications locales à envoyer pour une liste d'ISBN
+     */
+    getChanges(isbns) {
+        const books = {};
+        const deleted = {};
+
+        for (const isbn of isbns) {
+            if (this.data[isbn]) {
+                books[isbn] = {
+                    ...this.toPortableBook(isbn),
+                    updatedAt: this.data[isbn].lastUpdated
+                };
+            } else if (this.tombstones[isbn]) {
+                deleted[isbn] = this.tombstones[isbn];
+            }
+        }
+
+        return { books, deleted };
+    }
+
+    /**
+     * Appliquer des modifications venues du serveur
+     * La version la plus récente gagne, qu'il s'agisse d'une modification ou d'une suppression.
+     * @param {Object<string, string>} [versions] - ISBN -> ETag des livres reçus
+     */
+    applyRemoteChanges(books = {}, deleted = {}, versions = {}) {
+        const isNewer = (remoteDate, localDate) => !localDate || new Date(remoteDate) > new Date(localDate);
+        const changed = [];
+        let applied = 0;
+
+        for (const [isbn, remoteBook] of Object.entries(books)) {
+            const normalizedISBN = this.normalizeISBN(isbn);
+            const localBook = this.data[normalizedISBN];
+            const remoteDate = remoteBook.updatedAt || remoteBook.createdAt;
+            const localDate = localBook ? localBook.lastUpdated : this.tombstones[normalizedISBN];
+
+            if (localDate && !isNewer(remoteDate, localDate)) {
+                continue;
+            }
+
+            this.data[normalizedISBN] = {
+                ...this.storeLocalCover(normalizedISBN, remoteBook),
+                lastUpdated: remoteDate || new Date().toISOString(),
+                ...(versions[isbn] ? { serverETag: versions[isbn] } : {})
+            };
+            delete this.tombstones[normalizedISBN];
+            changed.push(normalizedISBN);
+            applied++;
+        }
+
+        for (const [isbn, deletedAt] of Object.entries(deleted)) {
+            const normalizedISBN = this.normalizeISBN(isbn);
+            const localBook = this.data[normalizedISBN];
+
+            if (localBook && !isNewer(deletedAt, localBook.lastUpdated)) {
+                continue;
+            }
+            if (localBook) {
+                delete this.data[normalizedISBN];
+                applied++;
+            }
+            if (isNewer(deletedAt, this.tombstones[normalizedISBN])) {
+                this.tombstones[normalizedISBN] = deletedAt;
+            }
+            changed.push(normalizedISBN);
+        }
+
+        // Pas de notifyChange : ces modifications viennent du serveur et n'ont pas à y retourner
+        this.persist(changed);
+        return applied;
+    }
+
     /**
      * Obtenir toutes les clés de la base
      */
@@ -285,13 +726,30 @@ class BookDatabase {
     }
 
     /**
-     * Exporter la base de données
+     * Exporter la base de données (les couvertures importées sont incluses en data URL,
+     * les données de lecture dans `reading`)
+     * @param {string[]} [isbns] - Livres à exporter (toute la base par défaut)
      */
-    exportDatabase() {
+    async exportDatabase(isbns = this.getAllISBNs()) {
+        const books = {};
+        const reading = {};
+        isbns.filter(isbn => this.data[isbn]).forEach(isbn => { books[isbn] = this.data[isbn]; });
+        isbns.filter(isbn => this.reading[isbn]).forEach(isbn => { reading[isbn] = this.reading[isbn]; });
+        for (const isbn of Object.keys(books)) {
+            const cover = await this.getLocalCover(isbn);
+            if (cover) {
+                books[isbn] = {
+                    ...books[isbn],
+                    imageLinks: { ...books[isbn].imageLinks, thumbnail: await this.blobToDataURL(cover) }
+                };
+            }
+        }
+
         return {
             exportDate: new Date().toISOString(),
-            bookCount: this.getBookCount(),
-            books: this.data
+            bookCount: Object.keys(books).length,
+            books,
+            reading
         };
     }
 
@@ -301,9 +759,16 @@ class BookDatabase {
     importDatabase(exportedData) {
         try {
             if (exportedData.books) {
-                this.data = { ...this.data, ...exportedData.books };
-                this.saveDatabase();
+                for (const [isbn, book] of Object.entries(exportedData.books)) {
+                    this.data[isbn] = this.storeLocalCover(isbn, book);
+                }
+                this.persist(Object.keys(exportedData.books));
+                if (exportedData.reading) {
+                    Object.assign(this.reading, exportedData.reading);
+                    this.persistReading(Object.keys(exportedData.reading));
+                }
                 console.log(`Base importée: ${Object.keys(exportedData.books).length} livres ajoutés`);
+                Object.keys(exportedData.books).forEach(isbn => this.notifyChange(isbn));
                 return true;
             }
             return false;
@@ -336,11 +801,12 @@ class BookDatabase {
             }
         }
         
-        const oldCount = Object.keys(this.data).length;
+        const oldISBNs = Object.keys(this.data);
+        const oldCount = oldISBNs.length;
         const newCount = Object.keys(cleaned).length;
         
         this.data = cleaned;
-        this.saveDatabase();
+        this.persist(oldISBNs);
         
         console.log(`Base nettoyée: ${oldCount} -> ${newCount} livres (${oldCount - newCount} doublons supprimés)`);
         return oldCount - newCount;
@@ -373,6 +839,27 @@ class BookDatabase {
         return results.sort((a, b) => b.score - a.score);
     }
 
+    /**
+     * Trouver les livres dont le titre, un auteur ou l'éditeur commence par `prefix`
+     * (index IndexedDB, ou parcours de la base à défaut)
+     * @param {string} field - 'title', 'authors' ou 'publisher'
+     * @returns {Promise<Array<object>>}
+     */
+    async findBooksByPrefix(field, prefix, limit = 50) {
+        await this.ready;
+        if (this.store) {
+            const books = await this.store.findByPrefix(field, prefix, limit);
+            // La copie en mémoire porte les URL des couvertures locales
+            return books.map(book => ({ isbn: book.isbn, ...this.data[book.isbn] }));
+        }
+
+        const key = IndexedDBBookStore.indexKey(prefix);
+        return Object.entries(this.data)
+            .filter(([, book]) => IndexedDBBookStore.indexTerms(book[field]).some(term => term.startsWith(key)))
+            .slice(0, limit)
+            .map(([isbn, book]) => ({ isbn, ...book }));
+    }
+
     /**
      * Calculer un score de pertinence pour la recherche
      */
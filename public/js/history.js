@@ -0,0 +1,214 @@
+/**
+ * Historique des modifications d'un livre
+ * Le serveur conserve une révision par création, modification ou suppression : le panneau
+ * affiche qui a changé quoi et permet de revenir à une version précédente.
+ */
+class BookHistory {
+    constructor() {
+        this.isbn = null;
+        this.revisions = [];
+        this.actionLabels = {
+            create: 'Création',
+            update: 'Modification',
+            delete: 'Suppression',
+            revert: 'Restauration'
+        };
+        this.fieldLabels = {
+            description: 'Description',
+            categories: 'Catégories',
+            language: 'Langue',
+            imageLinks: 'Couverture',
+            coverSource: 'Origine de la couverture',
+            source: 'Source',
+            industryIdentifiers: 'Identifiants'
+        };
+    }
+
+    /**
+     * Afficher ou masquer le panneau du livre affiché
+     */
+    toggle() {
+        const panel = document.getElementById('historyPanel');
+        if (!panel) return;
+
+        if (panel.style.display !== 'none') {
+            panel.style.display = 'none';
+            return;
+        }
+
+        panel.style.display = 'block';
+        this.load(ui.getISBNFromBook(ui.currentBook));
+    }
+
+    /**
+     * Charger l'historique depuis le serveur
+     */
+    async load(isbn) {
+        const panel = document.getElementById('historyPanel');
+        this.isbn = isbn;
+        panel.innerHTML = '<div class="history-empty">Chargement de l\'historique...</div>';
+
+        try {
+            const response = await fetch(`/api/books/${encodeURIComponent(isbn)}/history`, {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (response.status === 404) {
+                this.showMessage('Aucun historique : ce livre n\'est connu que de ce navigateur');
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.revisions = data.revisions;
+            this.render();
+        } catch (error) {
+            console.warn('⚠️ Historique indisponible:', error.message);
+            this.showMessage('Historique indisponible (serveur injoignable)');
+        }
+    }
+
+    /**
+     * Afficher un message à la place de l'historique
+     */
+    showMessage(message) {
+        const panel = document.getElementById('historyPanel');
+        if (!panel) return;
+
+        const empty = document.createElement('div');
+        empty.className = 'history-empty';
+        empty.textContent = message;
+        panel.replaceChildren(empty);
+    }
+
+    /**
+     * Afficher les révisions, de la plus récente à la plus ancienne
+     */
+    render() {
+        const panel = document.getElementById('historyPanel');
+        if (!panel) return;
+        if (this.revisions.length === 0) {
+            this.showMessage('Aucune modification enregistrée');
+            return;
+        }
+
+        const list = document.createElement('ol');
+        list.className = 'history-list';
+        this.revisions.forEach((revision, index) => list.appendChild(this.renderRevision(revision, index === 0)));
+        panel.replaceChildren(list);
+    }
+
+    /**
+     * Une révision : en-tête (numéro, action, auteur, date) et champs modifiés
+     */
+    renderRevision(revision, isLatest) {
+        const item = document.createElement('li');
+        item.className = `history-item history-${revision.action}`;
+
+        const header = document.createElement('div');
+        header.className = 'history-header';
+        const title = document.createElement('span');
+        title.className = 'history-title';
+        const action = this.actionLabels[revision.action] || revision.action;
+        title.textContent = `#${revision.rev} · ${action}${revision.revertedTo ? ` (révision #${revision.revertedTo})` : ''}`;
+        const meta = document.createElement('span');
+        meta.className = 'history-meta';
+        const reviewer = revision.reviewedBy ? ` (validé par ${revision.reviewedBy})` : '';
+        meta.textContent = `${revision.author || 'Enregistrement automatique'}${reviewer} · ${new Date(revision.at).toLocaleString('fr-FR')}`;
+        header.append(title, meta);
+
+        // On ne revient pas à l'état actuel, ni à une suppression
+        if (!isLatest && revision.action !== 'delete' && authClient.can('books:write')) {
+            const revertBtn = document.createElement('button');
+            revertBtn.className = 'edit-btn history-revert-btn';
+            revertBtn.textContent = 'Revenir à cette version';
+            revertBtn.onclick = () => this.revert(revision.rev);
+            header.appendChild(revertBtn);
+        }
+        item.appendChild(header);
+
+        if (revision.action !== 'delete') {
+            const changes = document.createElement('ul');
+            changes.className = 'history-changes';
+            for (const [field, { from, to }] of Object.entries(revision.changes)) {
+                const change = document.createElement('li');
+                const label = document.createElement('strong');
+                label.textContent = `${this.getFieldLabel(field)} : `;
+                const before = document.createElement('del');
+                before.textContent = this.formatValue(from);
+                const after = document.createElement('ins');
+                after.textContent = this.formatValue(to);
+                change.append(label, before, ' → ', after);
+                changes.appendChild(change);
+            }
+            item.appendChild(changes);
+        }
+
+        return item;
+    }
+
+    /**
+     * Nom d'un champ pour l'affichage
+     */
+    getFieldLabel(field) {
+        return this.fieldLabels[field] || ui.getFieldLabel(field);
+    }
+
+    /**
+     * Valeur d'un champ pour l'affichage (raccourcie si elle est longue)
+     */
+    formatValue(value) {
+        if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) return '—';
+        if (Array.isArray(value)) {
+            return value.map(item => (typeof item === 'object' ? item.identifier || JSON.stringify(item) : item)).join(', ');
+        }
+        if (typeof value === 'object') return Object.keys(value).join(', ');
+
+        const text = String(value).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+        return text.length > 140 ? `${text.slice(0, 140)}…` : text;
+    }
+
+    /**
+     * Revenir à l'état d'une révision (après confirmation)
+     */
+    async revert(rev) {
+        if (!confirm(`Revenir à la version de la révision #${rev} ? La version actuelle restera dans l'historique.`)) return;
+
+        try {
+            const response = await fetch(`/api/books/${encodeURIComponent(this.isbn)}/revert/${rev}`, {
+                method: 'POST',
+                headers: { 'Accept': 'application/json', ...authClient.authHeaders() }
+            });
+            if (response.status === 401) authClient.handleUnauthorized();
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            if (response.status === 202) {
+                alert('Restauration envoyée aux modérateurs : la fiche changera après validation.');
+                return;
+            }
+
+            // Mettre la base locale à jour puis réafficher le livre et son historique
+            bookDatabase.applyRemoteChanges({ [this.isbn]: data }, {}, { [this.isbn]: response.headers.get('ETag') });
+            app.currentBook = bookAPI.formatBookData(bookDatabase.findBook(this.isbn) || data);
+            ui.displayBook(app.currentBook);
+            document.getElementById('historyPanel').style.display = 'block';
+            await this.load(this.isbn);
+            console.log(`⏪ ${this.isbn} restauré à la révision ${rev}`);
+        } catch (error) {
+            console.error('Erreur lors de la restauration:', error);
+            alert(`Restauration impossible : ${error.message}`);
+        }
+    }
+}
+
+// Instance globale de l'historique
+const bookHistory = new BookHistory();
+
+// Fonctions globales pour la compatibilité avec l'HTML existant
+function toggleBookHistory() {
+    bookHistory.toggle();
+}
@@ -0,0 +1,384 @@
+/**
+ * Import d'un tableau de livres (CSV, TSV, XLSX), de notices MARC ou d'un message ONIX dans le catalogue partagé
+ * Le fichier est analysé par le serveur : correspondance des colonnes à vérifier (sauf pour les
+ * notices MARC et les produits ONIX, dont les champs sont connus), puis rapport à blanc (nouveaux livres, mises à jour, lignes invalides et doublons) avant l'import réel.
+ * Réservé aux bibliothécaires (portée sync:import).
+ */
+class SpreadsheetImport {
+    constructor() {
+        this.file = null;
+        this.filename = null;
+        this.preview = null;
+        this.fieldLabels = {
+            isbn: 'ISBN',
+            title: 'Titre',
+            subtitle: 'Sous-titre',
+            authors: 'Auteur(s)',
+            publisher: 'Éditeur',
+            publishedDate: 'Date de publication',
+            pageCount: 'Nombre de pages',
+            language: 'Langue',
+            description: 'Description',
+            categories: 'Catégories'
+        };
+        this.statusLabels = {
+            new: '➕ Nouveau',
+            updated: '✏️ Mis à jour',
+            unchanged: '✔️ Inchangé',
+            invalid: '⚠️ Invalide',
+            duplicate: '🔁 Doublon'
+        };
+
+        authClient.onChange(() => this.renderButton());
+        this.renderButton();
+    }
+
+    /**
+     * Afficher le bouton de l'en-tête aux comptes qui peuvent importer
+     */
+    renderButton() {
+        const button = document.getElementById('importBtn');
+        if (!button) return;
+
+        button.style.display = authClient.can('sync:import') ? '' : 'none';
+    }
+
+    /**
+     * Afficher l'écran d'import
+     */
+    show() {
+        this.file = null;
+        this.preview = null;
+
+        const resultsDiv = document.getElementById('results');
+        resultsDiv.innerHTML = `
+            <div class="book-card import-card">
+                <h2>📥 Importer un tableau</h2>
+                <p class="batch-help">
+                    Déposez un fichier CSV, TSV ou Excel (XLSX) : une ligne par livre, avec au moins une colonne ISBN.
+                    Les notices MARC21 ou UNIMARC (.mrc ou MARCXML) et les messages ONIX 3.0 des éditeurs sont aussi acceptés.
+                    Rien n'est enregistré avant la confirmation de l'import.
+                </p>
+                <div class="batch-dropzone" id="importDropzone">
+                    <div class="batch-drop-hint">Déposez un fichier ici —
+                        <button class="edit-btn" onclick="document.getElementById('importFileInput').click()">choisir un fichier</button>
+                        <span id="importFileName"></span>
+                    </div>
+                    <input type="file" id="importFileInput" class="isbn-photo-input" accept=".csv,.tsv,.txt,.xlsx,.mrc,.marc,.xml,text/csv,text/tab-separated-values,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/marc,application/marcxml+xml,application/xml" onchange="loadImportFile(event)">
+                </div>
+                <div id="importMapping" style="display: none;">
+                    <div id="importMappingColumns">
+                        <h3 class="import-step">Correspondance des colonnes</h3>
+                        <div class="import-mapping" id="importMappingFields"></div>
+                    </div>
+                    <label class="import-option">
+                        <input type="checkbox" id="importEnrich">
+                        Compléter auprès des fournisseurs (Google Books, BnF...) les lignes qui n'ont que l'ISBN
+                    </label>
+                    <div class="contribute-actions">
+                        <button class="cancel-btn" id="importPreviewBtn" onclick="previewImport()">Analyser</button>
+                        <button class="contribute-btn" id="importRunBtn" onclick="runImport()" disabled>Importer</button>
+                    </div>
+                </div>
+                <div class="batch-progress-text" id="importStatus"></div>
+                <div id="importReport"></div>
+            </div>
+        `;
+
+        this.setupDropzone();
+    }
+
+    /**
+     * Accepter le dépôt d'un fichier
+     */
+    setupDropzone() {
+        const dropzone = document.getElementById('importDropzone');
+
+        dropzone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropzone.classList.add('dragover');
+        });
+
+        dropzone.addEventListener('dragleave', () => {
+            dropzone.classList.remove('dragover');
+        });
+
+        dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropzone.classList.remove('dragover');
+            const file = e.dataTransfer.files[0];
+            if (file) this.loadFile(file);
+        });
+    }
+
+    /**
+     * Lire le fichier choisi puis lancer une première analyse (correspondance devinée)
+     */
+    loadFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            this.file = e.target.result;
+            this.filename = file.name;
+            document.getElementById('importFileName').textContent = file.name;
+            this.runPreview(null);
+        };
+        reader.onerror = () => {
+            ui.showError('Impossible de lire le fichier');
+        };
+        reader.readAsDataURL(file);
+    }
+
+    /**
+     * Envoyer le fichier au serveur
+     * @param {string} url - /api/import/preview (à blanc) ou /api/import
+     * @param {object|null} mapping - Correspondance (devinée par le serveur si null)
+     */
+    async request(url, mapping) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                ...authClient.authHeaders()
+            },
+            body: JSON.stringify({
+                file: this.file,
+                filename: this.filename,
+                mapping: mapping || undefined,
+                enrich: document.getElementById('importEnrich').checked
+            })
+        });
+        if (response.status === 401) authClient.handleUnauthorized();
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            error.data = data;
+            throw error;
+        }
+        return data;
+    }
+
+    /**
+     * Analyse à blanc : correspondance utilisée et rapport ligne par ligne
+     */
+    async runPreview(mapping = this.collectMapping()) {
+        if (!this.file) return;
+
+        this.setStatus('Analyse du fichier...');
+        document.getElementById('importRunBtn').disabled = true;
+        try {
+            this.preview = await this.request('/api/import/preview', mapping);
+            this.renderMapping(this.preview.headers, this.preview.mapping, this.preview.sample);
+            this.renderReport(this.preview);
+            const unit = this.preview.mapping
+                ? 'ligne(s) analysée(s)'
+                : (this.preview.format === 'onix' ? 'produit(s) analysé(s)' : 'notice(s) analysée(s)');
+            this.setStatus(`${this.preview.rows.length} ${unit} (${this.preview.format.toUpperCase()}) : vérifiez le rapport avant d'importer.`);
+            document.getElementById('importRunBtn').disabled = this.preview.summary.new + this.preview.summary.updated === 0;
+        } catch (error) {
+            console.error('Erreur lors de l\'analyse du fichier:', error);
+            // Colonne de l'ISBN non trouvée : proposer de choisir la correspondance
+            if (error.data && error.data.headers) {
+                this.renderMapping(error.data.headers, error.data.mapping || {}, []);
+            }
+            document.getElementById('importReport').replaceChildren();
+            this.setStatus(`Analyse impossible : ${error.message}`);
+        }
+    }
+
+    /**
+     * Importer pour de bon, avec la correspondance vérifiée
+     */
+    async run() {
+        if (!this.preview) return;
+
+        const { summary } = this.preview;
+        if (!confirm(`Ajouter ${summary.new} livre(s) et en mettre à jour ${summary.updated} ? ` +
+            `${summary.invalid + summary.duplicate} ligne(s) invalide(s) ou en double seront ignorée(s).`)) return;
+
+        this.setStatus('Import en cours...');
+        document.getElementById('importRunBtn').disabled = true;
+        document.getElementById('importPreviewBtn').disabled = true;
+        try {
+            const result = await this.request('/api/import', this.preview.mapping);
+            this.preview = null;
+            this.renderReport(result);
+            this.setStatus(`✅ ${result.imported} livre(s) ajouté(s)` +
+                (result.enriched > 0 ? ` (dont ${result.enriched} complété(s) par les fournisseurs)` : '') +
+                `, ${result.updated} mis à jour` +
+                (result.pending > 0 ? `, ${result.pending} proposé(s) aux modérateurs.` : '.'));
+            console.log(`📥 Import terminé: ${result.imported} ajouté(s), ${result.updated} mis à jour`);
+
+            // Récupérer les livres importés dans la base locale
+            syncEngine.sync();
+        } catch (error) {
+            console.error('Erreur lors de l\'import:', error);
+            this.setStatus(`Import impossible : ${error.message}`);
+            document.getElementById('importRunBtn').disabled = false;
+        } finally {
+            document.getElementById('importPreviewBtn').disabled = false;
+        }
+    }
+
+    /**
+     * Afficher un message d'état
+     */
+    setStatus(message) {
+        const status = document.getElementById('importStatus');
+        if (status) status.textContent = message;
+    }
+
+    /**
+     * Choix de la colonne de chaque champ, avec un exemple de valeur
+     * Sans correspondance (notices MARC, produits ONIX), seules les options et les boutons restent affichés.
+     */
+    renderMapping(headers, mapping, sample) {
+        const container = document.getElementById('importMappingFields');
+        document.getElementById('importMapping').style.display = 'block';
+        document.getElementById('importMappingColumns').style.display = mapping ? '' : 'none';
+        if (!mapping) {
+            container.replaceChildren();
+            return;
+        }
+
+        container.replaceChildren(...Object.entries(this.fieldLabels).map(([field, label]) => {
+            const row = document.createElement('label');
+            row.className = 'import-mapping-row';
+            const name = document.createElement('span');
+            name.textContent = label;
+
+            const select = document.createElement('select');
+            select.className = 'collection-sort';
+            select.dataset.field = field;
+            select.add(new Option('— Ignorer —', ''));
+            headers.forEach((header, index) => select.add(new Option(header, String(index))));
+            select.value = mapping[field] !== undefined ? String(mapping[field]) : '';
+
+            const example = document.createElement('span');
+            example.className = 'import-example';
+            const showExample = () => {
+                const first = sample.find(cells => select.value !== '' && cells[select.value]);
+                example.textContent = first ? `ex. ${first[select.value]}` : '';
+            };
+            select.onchange = () => {
+                showExample();
+                // La correspondance a changé : le rapport n'est plus à jour
+                document.getElementById('importRunBtn').disabled = true;
+                this.setStatus('Correspondance modifiée : relancez l\'analyse.');
+            };
+            showExample();
+
+            row.append(name, select, example);
+            return row;
+        }));
+    }
+
+    /**
+     * Correspondance choisie : { champ: index de colonne }
+     */
+    collectMapping() {
+        const mapping = {};
+        document.querySelectorAll('#importMappingFields select').forEach(select => {
+            if (select.value !== '') mapping[select.dataset.field] = parseInt(select.value, 10);
+        });
+        return mapping;
+    }
+
+    /**
+     * Rapport : nombre de lignes par statut, puis détail des lignes
+     */
+    renderReport(report) {
+        const container = document.getElementById('importReport');
+
+        const summary = document.createElement('div');
+        summary.className = 'import-summary';
+        for (const [status, label] of Object.entries(this.statusLabels)) {
+            const item = document.createElement('span');
+            item.className = `import-count import-${status}`;
+            item.textContent = `${label} : ${report.summary[status]}`;
+            summary.appendChild(item);
+        }
+
+        const table = document.createElement('table');
+        table.className = 'batch-table';
+        table.innerHTML = '<thead><tr><th>Ligne</th><th>ISBN</th><th>Statut</th><th>Titre</th><th>Détail</th></tr></thead>';
+        const body = document.createElement('tbody');
+        report.rows.forEach(row => body.appendChild(this.renderRow(row)));
+        table.appendChild(body);
+
+        container.replaceChildren(summary, table);
+    }
+
+    /**
+     * Une ligne du rapport
+     */
+    renderRow(row) {
+        const tr = document.createElement('tr');
+        tr.className = `batch-row import-row import-${row.status}`;
+
+        const cells = [
+            row.line,
+            row.isbn ? bookAPI.formatISBN(row.isbn) : '—',
+            this.statusLabels[row.status] || row.status,
+            row.title || '—',
+            this.describeRow(row)
+        ];
+        cells.forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        return tr;
+    }
+
+    /**
+     * Détail d'une ligne : erreur, ligne d'origine d'un doublon, champs modifiés ou recherche prévue
+     * (ou fiche modifiée par quelqu'un d'autre pendant l'import)
+     */
+    describeRow(row) {
+        if (row.conflict) {
+            return 'Fiche modifiée pendant l\'import : non enregistrée, relancez l\'import';
+        }
+        if (row.pending) {
+            return `En attente de modération : ${Object.keys(row.changes || {}).map(field => this.fieldLabels[field] || field).join(', ')}`;
+        }
+        switch (row.status) {
+            case 'invalid':
+                return row.error;
+            case 'duplicate':
+                return `Même livre qu'à la ligne ${row.duplicateOf}`;
+            case 'updated':
+                return Object.keys(row.changes).map(field => this.fieldLabels[field] || field).join(', ');
+            case 'new':
+                if (row.enrichment) {
+                    return row.enrichment === 'found_remote' ? 'Complété par les fournisseurs' : 'Introuvable chez les fournisseurs : ajouté avec son seul ISBN';
+                }
+                return row.enrich ? 'Sera complété auprès des fournisseurs' : '';
+            default:
+                return '';
+        }
+    }
+}
+
+// Instance globale de l'import de tableaux
+const spreadsheetImport = new SpreadsheetImport();
+
+// Fonctions globales pour la compatibilité avec l'HTML existant
+function openSpreadsheetImport() {
+    spreadsheetImport.show();
+}
+
+function loadImportFile(event) {
+    const file = event.target.files[0];
+    if (file) spreadsheetImport.loadFile(file);
+    event.target.value = '';
+}
+
+function previewImport() {
+    spreadsheetImport.runPreview();
+}
+
+function runImport() {
+    spreadsheetImport.run();
+}
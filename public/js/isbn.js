@@ -0,0 +1,223 @@
+/**
+ * Outils ISBN partagés par le navigateur et le serveur
+ * Nettoyage, validation du chiffre de contrôle, conversions ISBN-10 ↔ ISBN-13
+ * et découpage en segments (préfixe, groupe, éditeur, titre, contrôle) d'après
+ * la table des plages de l'Agence internationale de l'ISBN (isbn-ranges.js).
+ */
+class ISBNToolkit {
+    constructor(ranges = {}) {
+        this.ranges = ranges;
+        this.prefixes = ['978', '979'];
+    }
+
+    /**
+     * Nettoyer un ISBN (ne garder que les chiffres et le X final)
+     */
+    clean(isbn) {
+        if (isbn === null || isbn === undefined) return '';
+        return String(isbn).toUpperCase().replace(/[^\dX]/g, '');
+    }
+
+    /**
+     * Chiffre de contrôle d'un ISBN-10 (modulo 11, 10 s'écrit X)
+     * @param {string} digits - Les 9 premiers chiffres
+     */
+    checkDigit10(digits) {
+        let sum = 0;
+        for (let i = 0; i < 9; i++) {
+            sum += parseInt(digits[i], 10) * (10 - i);
+        }
+        const check = (11 - (sum % 11)) % 11;
+        return check === 10 ? 'X' : String(check);
+    }
+
+    /**
+     * Chiffre de contrôle d'un ISBN-13 (modulo 10, poids alternés 1 et 3)
+     * @param {string} digits - Les 12 premiers chiffres
+     */
+    checkDigit13(digits) {
+        let sum = 0;
+        for (let i = 0; i < 12; i++) {
+            sum += parseInt(digits[i], 10) * (i % 2 === 0 ? 1 : 3);
+        }
+        return String((10 - (sum % 10)) % 10);
+    }
+
+    /**
+     * Le chiffre de contrôle est-il correct ?
+     */
+    hasValidCheckDigit(isbn) {
+        const clean = this.clean(isbn);
+        if (/^\d{9}[\dX]$/.test(clean)) {
+            return this.checkDigit10(clean) === clean[9];
+        }
+        if (/^\d{13}$/.test(clean)) {
+            return this.checkDigit13(clean) === clean[12];
+        }
+        return false;
+    }
+
+    /**
+     * Valider un ISBN (longueur, format, préfixe et chiffre de contrôle)
+     * @returns {{valid: boolean, isbn?: string, error?: string}}
+     */
+    validate(isbn) {
+        const clean = this.clean(isbn);
+
+        if (clean.length !== 10 && clean.length !== 13) {
+            return { valid: false, error: 'L\'ISBN doit contenir 10 ou 13 chiffres' };
+        }
+
+        if (clean.length === 10) {
+            if (!/^\d{9}[\dX]$/.test(clean)) {
+                return { valid: false, error: 'Format ISBN-10 invalide' };
+            }
+            const expected = this.checkDigit10(clean);
+            if (expected !== clean[9]) {
+                return { valid: false, error: `Chiffre de contrôle ISBN-10 invalide (attendu : ${expected})` };
+            }
+        } else {
+            if (!/^\d{13}$/.test(clean)) {
+                return { valid: false, error: 'Format ISBN-13 invalide' };
+            }
+            if (!this.prefixes.includes(clean.substring(0, 3))) {
+                return { valid: false, error: 'ISBN-13 doit commencer par 978 ou 979' };
+            }
+            const expected = this.checkDigit13(clean);
+            if (expected !== clean[12]) {
+                return { valid: false, error: `Chiffre de contrôle ISBN-13 invalide (attendu : ${expected})` };
+            }
+        }
+
+        return { valid: true, isbn: clean };
+    }
+
+    /**
+     * L'ISBN est-il valide ?
+     */
+    isValid(isbn) {
+        return this.validate(isbn).valid;
+    }
+
+    /**
+     * Convertir en ISBN-13 (les ISBN-13 sont renvoyés tels quels)
+     * @returns {string|null} null si l'ISBN n'a pas une forme convertible
+     */
+    toISBN13(isbn) {
+        const clean = this.clean(isbn);
+        if (/^\d{13}$/.test(clean)) return clean;
+        if (!/^\d{9}[\dX]$/.test(clean)) return null;
+
+        const partial = '978' + clean.substring(0, 9);
+        return partial + this.checkDigit13(partial);
+    }
+
+    /**
+     * Convertir en ISBN-10 (seuls les ISBN-13 en 978 ont un équivalent)
+     * @returns {string|null}
+     */
+    toISBN10(isbn) {
+        const clean = this.clean(isbn);
+        if (/^\d{9}[\dX]$/.test(clean)) return clean;
+        if (!/^978\d{10}$/.test(clean)) return null;
+
+        const partial = clean.substring(3, 12);
+        return partial + this.checkDigit10(partial);
+    }
+
+    /**
+     * Normaliser un ISBN en ISBN-13 (format de stockage standard)
+     * Un ISBN inconvertible est renvoyé nettoyé.
+     */
+    normalize(isbn) {
+        return this.toISBN13(isbn) || this.clean(isbn);
+    }
+
+    /**
+     * Toutes les formes sous lesquelles un ISBN peut être enregistré
+     */
+    getVariants(isbn) {
+        const clean = this.clean(isbn);
+        const variants = new Set([clean]);
+
+        const isbn13 = this.toISBN13(clean);
+        if (isbn13) variants.add(isbn13);
+
+        const isbn10 = this.toISBN10(clean);
+        if (isbn10) variants.add(isbn10);
+
+        return Array.from(variants);
+    }
+
+    /**
+     * Découper un ISBN selon la table des plages
+     * @returns {object|null} Segments et formes avec tirets, ou null si l'ISBN est invalide
+     *          ou appartient à une plage non attribuée
+     */
+    parse(isbn) {
+        const validation = this.validate(isbn);
+        if (!validation.valid) return null;
+
+        const isbn13 = this.toISBN13(validation.isbn);
+        const prefix = isbn13.substring(0, 3);
+        const body = isbn13.substring(3, 12);
+
+        // Les identifiants de groupe ne sont jamais préfixes l'un de l'autre
+        let group = null;
+        for (let length = 1; length <= 5 && !group; length++) {
+            const candidate = body.substring(0, length);
+            if (this.ranges[`${prefix}-${candidate}`]) group = candidate;
+        }
+        if (!group) return null;
+
+        const { name, ranges } = this.ranges[`${prefix}-${group}`];
+        const rest = body.substring(group.length);
+
+        // La longueur des bornes de la plage qui contient le début du reste donne celle du code éditeur
+        const range = ranges.find(entry => {
+            const [start, end] = entry.split('-');
+            const candidate = rest.substring(0, start.length);
+            return candidate.length === start.length && candidate >= start && candidate <= end;
+        });
+        if (!range) return null;
+
+        const registrant = rest.substring(0, range.indexOf('-'));
+        const publication = rest.substring(registrant.length);
+        const isbn10 = this.toISBN10(isbn13);
+        const segments = [group, registrant, publication];
+
+        return {
+            source: validation.isbn,
+            prefix,
+            group,
+            groupName: name,
+            registrant,
+            publication,
+            isbn13,
+            isbn13h: [prefix, ...segments, isbn13[12]].join('-'),
+            isbn10,
+            isbn10h: isbn10 ? [...segments, isbn10[9]].join('-') : null
+        };
+    }
+
+    /**
+     * Mettre les tirets d'un ISBN en conservant sa longueur
+     * Un ISBN impossible à découper est renvoyé nettoyé.
+     */
+    hyphenate(isbn) {
+        const clean = this.clean(isbn);
+        const parsed = this.parse(clean);
+        if (!parsed) return clean;
+        return clean.length === 10 ? parsed.isbn10h : parsed.isbn13h;
+    }
+}
+
+// Instance globale des outils ISBN (la table des plages est chargée avant ce script dans le navigateur)
+const isbnToolkit = new ISBNToolkit(
+    typeof ISBN_RANGES !== 'undefined' ? ISBN_RANGES : require('./isbn-ranges').ISBN_RANGES
+);
+
+// Export pour le serveur (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ISBNToolkit, isbnToolkit };
+}
@@ -0,0 +1,245 @@
+/**
+ * Fusion des métadonnées d'un livre provenant de plusieurs sources
+ * Chaque champ est choisi selon la confiance accordée à sa source et sa complétude,
+ * et la provenance (source + date) de chaque champ est conservée dans `provenance`.
+ * Utilisé par le navigateur (BookDatabase) et par le serveur.
+ */
+class MetadataMerger {
+    constructor(options = {}) {
+        // Confiance accordée à chaque source ; les modifications manuelles priment toujours
+        this.sourceTrust = {
+            user_edit: 200,
+            user_created: 200,
+            user_uploaded: 200,
+            bnf_api: 90,
+            sudoc_api: 85,
+            google_api: 70,
+            openlibrary_api: 60,
+            // Flux ONIX des éditeurs et distributeurs : données de l'éditeur, sous les catalogues de bibliothèques
+            onix_import: 80,
+            // Exports de sites de lecture : saisis par leurs membres, moins fiables que les catalogues
+            goodreads_import: 40,
+            librarything_import: 40,
+            babelio_import: 40,
+            unknown: 10,
+            ...(options.sourceTrust || {})
+        };
+
+        // Poids maximal de la complétude : une source moins fiable peut l'emporter
+        // si sa valeur est nettement plus complète
+        this.completenessWeight = options.completenessWeight !== undefined ? options.completenessWeight : 20;
+
+        this.fields = [
+            'title', 'subtitle', 'authors', 'publisher', 'publishedDate', 'pageCount',
+            'description', 'categories', 'language', 'imageLinks', 'industryIdentifiers'
+        ];
+
+        this.sourceLabels = {
+            user_edit: 'Modification manuelle',
+            user_created: 'Saisie manuelle',
+            user_uploaded: 'Ajout manuel',
+            bnf_api: 'BnF',
+            sudoc_api: 'SUDOC',
+            google_api: 'Google Books',
+            openlibrary_api: 'Open Library',
+            onix_import: 'ONIX (éditeur)',
+            goodreads_import: 'Import Goodreads',
+            librarything_import: 'Import LibraryThing',
+            babelio_import: 'Import Babelio',
+            unknown: 'Source inconnue'
+        };
+    }
+
+    /**
+     * Confiance accordée à une source
+     */
+    getTrust(source) {
+        const trust = this.sourceTrust[source];
+        return trust !== undefined ? trust : this.sourceTrust.unknown;
+    }
+
+    /**
+     * Libellé lisible d'une source
+     */
+    getSourceLabel(source) {
+        return this.sourceLabels[source] || source || this.sourceLabels.unknown;
+    }
+
+    /**
+     * Une valeur est-elle vide (ou un texte de remplacement de l'interface) ?
+     */
+    isEmpty(value) {
+        if (value === null || value === undefined || value === '') return true;
+        if (Array.isArray(value)) {
+            return value.length === 0 || value.every(item => this.isEmpty(item));
+        }
+        if (typeof value === 'string') {
+            return ['inconnu', 'inconnue', 'titre inconnu', 'unknown', 'aucune description disponible']
+                .includes(value.trim().toLowerCase());
+        }
+        if (typeof value === 'object') {
+            return Object.values(value).every(item => this.isEmpty(item));
+        }
+        return false;
+    }
+
+    /**
+     * Complétude d'une valeur, entre 0 et 1
+     */
+    completeness(field, value) {
+        if (this.isEmpty(value)) return 0;
+
+        switch (field) {
+            case 'description':
+                return Math.min(String(value).length / 1000, 1);
+            case 'authors':
+            case 'categories':
+                return Math.min(value.length / 3, 1);
+            case 'publishedDate':
+                // AAAA-MM-JJ est plus précis que AAAA
+                return Math.min(String(value).length / 10, 1);
+            case 'imageLinks':
+                return Math.min(Object.values(value).filter(Boolean).length / 3, 1);
+            case 'title':
+            case 'publisher':
+                return Math.min(String(value).length / 40, 1);
+            default:
+                return 1;
+        }
+    }
+
+    /**
+     * Score d'un candidat : confiance de la source + bonus de complétude
+     */
+    score(field, candidate) {
+        return this.getTrust(candidate.source) + this.completeness(field, candidate.value) * this.completenessWeight;
+    }
+
+    /**
+     * Provenance d'un champ d'un enregistrement existant
+     * (les anciens enregistrements sans provenance sont attribués à leur source globale)
+     */
+    getFieldProvenance(record, field) {
+        if (record.provenance && record.provenance[field]) {
+            return record.provenance[field];
+        }
+        return {
+            source: record.source || 'unknown',
+            at: record.lastUpdated || record.updatedAt || record.createdAt || null
+        };
+    }
+
+    /**
+     * Fusionner les identifiants (union, sans doublon)
+     */
+    mergeIdentifiers(current = [], incoming = []) {
+        const merged = [...(current || [])];
+        for (const identifier of incoming || []) {
+            const exists = merged.some(existing =>
+                existing.identifier.replace(/[-\s]/g, '') === identifier.identifier.replace(/[-\s]/g, '')
+            );
+            if (!exists) merged.push(identifier);
+        }
+        return merged;
+    }
+
+    /**
+     * Fusionner des données entrantes dans un enregistrement existant
+     * @param {object|null} existing - Enregistrement stocké (avec éventuellement `provenance`)
+     * @param {object} incoming - Nouvelles données
+     * @param {string} source - Source des nouvelles données (google_api, bnf_api, user_edit...)
+     * @param {string} [at] - Date des nouvelles données
+     * @returns {object} Enregistrement fusionné
+     */
+    merge(existing, incoming, source, at = new Date().toISOString()) {
+        if (!existing) {
+            return this.withProvenance({ ...incoming, source: incoming.source || source }, source, at);
+        }
+
+        const merged = { ...existing, provenance: { ...(existing.provenance || {}) } };
+
+        // Champs hors métadonnées (couverture importée, marqueurs...) : simple mise à jour
+        for (const [key, value] of Object.entries(incoming)) {
+            if (!this.fields.includes(key) && !['source', 'provenance', 'isbn', 'createdAt'].includes(key)) {
+                merged[key] = value;
+            }
+        }
+
+        for (const field of this.fields) {
+            const incomingValue = incoming[field];
+            if (this.isEmpty(incomingValue)) continue;
+
+            if (field === 'industryIdentifiers') {
+                merged.industryIdentifiers = this.mergeIdentifiers(existing.industryIdentifiers, incomingValue);
+                continue;
+            }
+
+            const currentProvenance = this.getFieldProvenance(existing, field);
+            const current = { value: existing[field], source: currentProvenance.source };
+            const candidate = { value: incomingValue, source };
+
+            // Une source qui met à jour sa propre valeur la remplace ; sinon la meilleure l'emporte
+            const replace = this.isEmpty(current.value)
+                || current.source === source
+                || this.score(field, candidate) > this.score(field, current);
+
+            if (replace) {
+                merged[field] = incomingValue;
+                merged.provenance[field] = { source, at };
+            } else if (!merged.provenance[field]) {
+                merged.provenance[field] = currentProvenance;
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Fusionner plusieurs résultats (un par fournisseur) en un seul enregistrement
+     * @param {Array<{source: string, data: object, at?: string}>} candidates
+     */
+    mergeAll(candidates) {
+        return candidates.reduce(
+            (record, candidate) => this.merge(record, candidate.data, candidate.source, candidate.at),
+            null
+        );
+    }
+
+    /**
+     * Appliquer une modification explicite (toujours prioritaire) en notant sa provenance
+     */
+    applyEdit(existing, changes, source = 'user_edit', at = new Date().toISOString()) {
+        const { provenance, ...values } = changes;
+        const updated = { ...existing, ...values, provenance: { ...(existing.provenance || {}) } };
+
+        // Seuls les champs réellement modifiés changent de provenance
+        for (const field of Object.keys(values)) {
+            if (this.fields.includes(field) && JSON.stringify(existing[field]) !== JSON.stringify(values[field])) {
+                updated.provenance[field] = { source, at };
+            }
+        }
+
+        return updated;
+    }
+
+    /**
+     * Attribuer tous les champs renseignés d'un nouvel enregistrement à une source
+     */
+    withProvenance(record, source, at) {
+        const provenance = { ...(record.provenance || {}) };
+        for (const field of this.fields) {
+            if (!this.isEmpty(record[field]) && !provenance[field]) {
+                provenance[field] = { source, at };
+            }
+        }
+        return { ...record, provenance };
+    }
+}
+
+// Instance globale du service de fusion
+const metadataMerger = new MetadataMerger();
+
+// Export pour le serveur (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MetadataMerger, metadataMerger };
+}
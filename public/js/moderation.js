@@ -0,0 +1,374 @@
+/**
+ * Suggestions de modification
+ * Les modifications d'un contributeur sur une fiche qu'il n'a pas créée attendent un modérateur.
+ * Les modérateurs comparent chaque suggestion à la fiche actuelle, la retouchent au besoin
+ * puis l'acceptent ou la refusent ; les contributeurs suivent ici l'état de leurs suggestions.
+ */
+class ModerationQueue {
+    constructor() {
+        this.status = 'pending';
+        this.suggestions = [];
+        this.statusLabels = {
+            pending: 'En attente',
+            accepted: 'Acceptées',
+            rejected: 'Refusées'
+        };
+
+        authClient.onChange(() => this.renderButton());
+        this.renderButton();
+    }
+
+    /**
+     * L'utilisateur connecté peut-il accepter ou refuser les suggestions ?
+     */
+    isModerator() {
+        return authClient.can('books:moderate');
+    }
+
+    /**
+     * Afficher le bouton de l'en-tête aux comptes qui peuvent proposer des modifications
+     */
+    renderButton() {
+        const button = document.getElementById('moderationBtn');
+        if (!button) return;
+
+        button.style.display = authClient.can('books:write') ? '' : 'none';
+        button.textContent = this.isModerator() ? '📝 Modération' : '📝 Mes suggestions';
+    }
+
+    /**
+     * Afficher l'écran des suggestions
+     */
+    async show() {
+        const resultsDiv = document.getElementById('results');
+        resultsDiv.innerHTML = `
+            <div class="book-card moderation-card">
+                <h2>📝 ${this.isModerator() ? 'Modération' : 'Mes suggestions'} <span class="collection-count" id="moderationCount"></span></h2>
+                <p class="moderation-hint">${this.isModerator()
+                    ? 'Comparez chaque suggestion à la fiche actuelle, retouchez les valeurs proposées si besoin, puis acceptez ou refusez.'
+                    : 'Vos modifications des fiches des fournisseurs ou des autres contributeurs sont publiées après validation par un modérateur.'}</p>
+                <div class="collection-toolbar">
+                    <select id="moderationStatus" class="collection-sort" onchange="filterSuggestions(this.value)">
+                        ${Object.entries(this.statusLabels).map(([value, label]) =>
+                            `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div id="moderationItems"></div>
+            </div>
+        `;
+
+        document.getElementById('moderationStatus').value = this.status;
+        await this.load();
+    }
+
+    /**
+     * Changer le statut des suggestions affichées
+     */
+    setStatus(status) {
+        this.status = status;
+        this.load();
+    }
+
+    /**
+     * Charger les suggestions depuis le serveur
+     */
+    async load() {
+        const container = document.getElementById('moderationItems');
+        if (!container) return;
+
+        try {
+            const response = await fetch(`/api/suggestions?status=${this.status}`, {
+                headers: { 'Accept': 'application/json', ...authClient.authHeaders() }
+            });
+            if (response.status === 401) authClient.handleUnauthorized();
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.suggestions = data.suggestions;
+            this.render();
+        } catch (error) {
+            console.error('Erreur lors du chargement des suggestions:', error);
+            this.showMessage(`Suggestions indisponibles : ${error.message}`);
+        }
+    }
+
+    /**
+     * Afficher un message à la place de la liste
+     */
+    showMessage(message) {
+        const container = document.getElementById('moderationItems');
+        if (!container) return;
+
+        const empty = document.createElement('div');
+        empty.className = 'collection-empty';
+        empty.textContent = message;
+        container.replaceChildren(empty);
+    }
+
+    /**
+     * Afficher la liste des suggestions
+     */
+    render() {
+        const container = document.getElementById('moderationItems');
+        if (!container) return;
+
+        document.getElementById('moderationCount').textContent = `(${this.suggestions.length})`;
+        if (this.suggestions.length === 0) {
+            this.showMessage(this.status === 'pending' ? 'Aucune suggestion en attente' : 'Aucune suggestion');
+            return;
+        }
+
+        container.replaceChildren(...this.suggestions.map(suggestion => this.renderSuggestion(suggestion)));
+    }
+
+    /**
+     * Une suggestion : livre, auteur, tableau des champs (actuel / proposé) et actions
+     */
+    renderSuggestion(suggestion) {
+        const canReview = this.isModerator() && suggestion.status === 'pending';
+        const item = document.createElement('div');
+        item.className = `moderation-item moderation-${suggestion.status}`;
+        item.dataset.id = suggestion.id;
+
+        const header = document.createElement('div');
+        header.className = 'moderation-header';
+        const title = document.createElement('strong');
+        title.textContent = suggestion.book && suggestion.book.title
+            ? `${suggestion.book.title} (${bookAPI.formatISBN(suggestion.isbn)})`
+            : bookAPI.formatISBN(suggestion.isbn);
+        const meta = document.createElement('span');
+        meta.className = 'history-meta';
+        meta.textContent = `${suggestion.author} · ${new Date(suggestion.updatedAt).toLocaleString('fr-FR')}`;
+        header.append(title, meta);
+        item.appendChild(header);
+
+        // La fiche actuelle n'est comparée qu'aux suggestions en attente
+        if (suggestion.status === 'pending' && !suggestion.book) {
+            item.appendChild(this.renderWarning('Ce livre a été supprimé depuis la suggestion.'));
+        } else if (suggestion.status === 'pending' && suggestion.conflicts.length > 0) {
+            const fields = suggestion.conflicts.map(field => bookHistory.getFieldLabel(field)).join(', ');
+            item.appendChild(this.renderWarning(`Modifié depuis la suggestion : ${fields}`));
+        }
+
+        item.appendChild(this.renderChanges(suggestion, canReview));
+
+        if (suggestion.status !== 'pending') {
+            const review = document.createElement('div');
+            review.className = 'moderation-review';
+            const verdict = suggestion.status === 'accepted' ? '✅ Acceptée' : '🚫 Refusée';
+            review.textContent = `${verdict} par ${suggestion.reviewedBy}, le ${new Date(suggestion.reviewedAt).toLocaleString('fr-FR')}` +
+                (suggestion.comment ? ` : « ${suggestion.comment} »` : '');
+            item.appendChild(review);
+        }
+
+        if (canReview) {
+            const actions = document.createElement('div');
+            actions.className = 'contribute-actions';
+            const acceptBtn = document.createElement('button');
+            acceptBtn.className = 'contribute-btn';
+            acceptBtn.textContent = 'Accepter';
+            acceptBtn.disabled = !suggestion.book;
+            acceptBtn.onclick = () => this.accept(suggestion.id);
+            const rejectBtn = document.createElement('button');
+            rejectBtn.className = 'cancel-btn';
+            rejectBtn.textContent = 'Refuser';
+            rejectBtn.onclick = () => this.reject(suggestion.id);
+            actions.append(acceptBtn, rejectBtn);
+            item.appendChild(actions);
+        }
+
+        return item;
+    }
+
+    /**
+     * Avertissement affiché au-dessus du tableau
+     */
+    renderWarning(message) {
+        const warning = document.createElement('div');
+        warning.className = 'moderation-warning';
+        warning.textContent = `⚠️ ${message}`;
+        return warning;
+    }
+
+    /**
+     * Tableau côte à côte : valeur actuelle de la fiche et valeur proposée (modifiable par le modérateur)
+     */
+    renderChanges(suggestion, editable) {
+        const table = document.createElement('table');
+        table.className = 'moderation-diff';
+        const head = table.createTHead().insertRow();
+        ['Champ', 'Actuel', 'Proposé'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            head.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        for (const [field, { to }] of Object.entries(suggestion.changes)) {
+            const row = body.insertRow();
+            row.insertCell().textContent = bookHistory.getFieldLabel(field);
+            const current = row.insertCell();
+            current.textContent = this.formatValue(suggestion.current[field]);
+            current.className = 'moderation-current';
+
+            const proposed = row.insertCell();
+            proposed.className = 'moderation-proposed';
+            const kind = this.valueKind(to);
+            if (editable && kind) {
+                proposed.appendChild(this.renderInput(field, to, kind));
+            } else {
+                proposed.textContent = this.formatValue(to);
+            }
+
+            // Valeur retouchée par le modérateur lors de l'acceptation
+            const applied = suggestion.appliedValues && suggestion.appliedValues[field];
+            if (applied !== undefined && JSON.stringify(applied) !== JSON.stringify(to)) {
+                proposed.textContent += ` → retenu : ${this.formatValue(applied)}`;
+            }
+        }
+        return table;
+    }
+
+    /**
+     * Champ de saisie pour retoucher une valeur proposée
+     */
+    renderInput(field, value, kind) {
+        const input = document.createElement(field === 'description' ? 'textarea' : 'input');
+        input.className = 'moderation-input';
+        input.value = kind === 'list' ? (value || []).join(', ') : (value === null ? '' : String(value));
+        input.dataset.field = field;
+        input.dataset.kind = kind;
+        input.dataset.original = input.value;
+        return input;
+    }
+
+    /**
+     * Type d'une valeur modifiable ('text', 'number' ou 'list'), null pour les autres (couverture...)
+     */
+    valueKind(value) {
+        if (value === null || typeof value === 'string') return 'text';
+        if (typeof value === 'number') return 'number';
+        if (Array.isArray(value) && value.every(item => typeof item === 'string')) return 'list';
+        return null;
+    }
+
+    /**
+     * Valeur d'un champ pour l'affichage (complète, pour comparer)
+     */
+    formatValue(value) {
+        if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) return '—';
+        if (Array.isArray(value) || typeof value === 'object') return bookHistory.formatValue(value);
+        return String(value);
+    }
+
+    /**
+     * Valeurs retouchées par le modérateur dans le tableau d'une suggestion
+     */
+    collectEdits(id) {
+        const edits = {};
+        const inputs = document.querySelectorAll(`.moderation-item[data-id="${id}"] [data-field]`);
+        for (const input of inputs) {
+            if (input.value === input.dataset.original) continue;
+
+            const text = input.value.trim();
+            if (input.dataset.kind === 'list') {
+                edits[input.dataset.field] = text.split(',').map(item => item.trim()).filter(Boolean);
+            } else if (input.dataset.kind === 'number') {
+                edits[input.dataset.field] = text === '' ? null : Number(text);
+            } else {
+                edits[input.dataset.field] = text || null;
+            }
+        }
+        return edits;
+    }
+
+    /**
+     * Envoyer la décision d'un modérateur
+     */
+    async review(id, action, body) {
+        const response = await fetch(`/api/suggestions/${encodeURIComponent(id)}/${action}`, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                ...authClient.authHeaders()
+            },
+            body: JSON.stringify(body)
+        });
+        if (response.status === 401) authClient.handleUnauthorized();
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        return data;
+    }
+
+    /**
+     * Accepter une suggestion, avec les retouches éventuelles
+     */
+    async accept(id) {
+        const edits = this.collectEdits(id);
+        if (Object.values(edits).some(value => typeof value === 'number' && Number.isNaN(value))) {
+            alert('Valeur numérique invalide');
+            return;
+        }
+
+        try {
+            const data = await this.review(id, 'accept', { values: edits });
+            // La base locale reçoit tout de suite la fiche modifiée
+            bookDatabase.applyRemoteChanges({ [data.book.isbn || data.suggestion.isbn]: data.book });
+            console.log(`✅ Suggestion de ${data.suggestion.author} acceptée`);
+            await this.load();
+        } catch (error) {
+            console.error('Erreur lors de l\'acceptation:', error);
+            alert(`Acceptation impossible : ${error.message}`);
+        }
+    }
+
+    /**
+     * Refuser une suggestion (le motif facultatif est montré à son auteur)
+     */
+    async reject(id) {
+        const comment = prompt('Motif du refus (facultatif) :');
+        if (comment === null) return;
+
+        try {
+            const data = await this.review(id, 'reject', { comment: comment.trim() || null });
+            console.log(`🚫 Suggestion de ${data.suggestion.author} refusée`);
+            await this.load();
+        } catch (error) {
+            console.error('Erreur lors du refus:', error);
+            alert(`Refus impossible : ${error.message}`);
+        }
+    }
+
+    /**
+     * Prévenir le contributeur que ses modifications attendent un modérateur
+     */
+    notifySuggested(count) {
+        const notice = document.createElement('div');
+        notice.className = 'moderation-notice';
+        notice.textContent = count > 1
+            ? `📝 ${count} modifications envoyées aux modérateurs`
+            : '📝 Modification envoyée aux modérateurs';
+        document.body.appendChild(notice);
+
+        setTimeout(() => notice.remove(), 4000);
+    }
+}
+
+// Instance globale de la modération
+const moderationQueue = new ModerationQueue();
+
+// Fonctions globales pour la compatibilité avec l'HTML existant
+function openModeration() {
+    moderationQueue.show();
+}
+
+function filterSuggestions(status) {
+    moderationQueue.setStatus(status);
+}
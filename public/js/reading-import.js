@@ -0,0 +1,265 @@
+/**
+ * Import des exports de sites de lecture (Goodreads, LibraryThing, Babelio) dans « Ma collection »
+ * Le serveur lit l'export ; les livres rejoignent la base locale (puis le catalogue partagé par la
+ * synchronisation) et les données de lecture (statut, note, étagères, critique) restent dans le navigateur.
+ */
+class ReadingImport {
+    constructor() {
+        this.file = null;
+        this.filename = null;
+        this.report = null;
+        this.siteLabels = {
+            '': 'Détection automatique',
+            goodreads: 'Goodreads (CSV)',
+            librarything: 'LibraryThing (TSV ou JSON)',
+            babelio: 'Babelio (CSV)'
+        };
+        this.statusLabels = {
+            new: '➕ Nouveau',
+            known: '📚 Déjà dans la collection',
+            invalid: '⚠️ Invalide',
+            duplicate: '🔁 Doublon'
+        };
+    }
+
+    /**
+     * Afficher l'écran d'import
+     */
+    show() {
+        this.file = null;
+        this.report = null;
+
+        const resultsDiv = document.getElementById('results');
+        resultsDiv.innerHTML = `
+            <div class="book-card import-card">
+                <h2>📥 Importer mes lectures</h2>
+                <p class="batch-help">
+                    Déposez l'export de votre bibliothèque Goodreads, LibraryThing ou Babelio.
+                    Les livres rejoignent votre collection ; vos étagères deviennent des étiquettes,
+                    et vos notes, dates de lecture et critiques restent dans ce navigateur.
+                </p>
+                <div class="batch-dropzone" id="readingDropzone">
+                    <div class="batch-drop-hint">Déposez un fichier ici —
+                        <button class="edit-btn" onclick="document.getElementById('readingFileInput').click()">choisir un fichier</button>
+                        <span id="readingFileName"></span>
+                    </div>
+                    <input type="file" id="readingFileInput" class="isbn-photo-input" accept=".csv,.tsv,.txt,.json,text/csv,text/tab-separated-values,application/json" onchange="loadReadingFile(event)">
+                </div>
+                <label class="import-option">
+                    Site d'origine
+                    <select id="readingSite" class="collection-sort" onchange="analyzeReadingExport()">
+                        ${Object.entries(this.siteLabels).map(([value, label]) =>
+                            `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </label>
+                <div class="batch-progress-text" id="readingStatus"></div>
+                <div id="readingReport"></div>
+                <div class="contribute-actions">
+                    <button class="cancel-btn" onclick="openCollection()">Retour à la collection</button>
+                    <button class="contribute-btn" id="readingRunBtn" onclick="runReadingImport()" disabled>Ajouter à ma collection</button>
+                </div>
+            </div>
+        `;
+
+        this.setupDropzone();
+    }
+
+    /**
+     * Accepter le dépôt d'un fichier
+     */
+    setupDropzone() {
+        const dropzone = document.getElementById('readingDropzone');
+
+        dropzone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropzone.classList.add('dragover');
+        });
+
+        dropzone.addEventListener('dragleave', () => {
+            dropzone.classList.remove('dragover');
+        });
+
+        dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropzone.classList.remove('dragover');
+            const file = e.dataTransfer.files[0];
+            if (file) this.loadFile(file);
+        });
+    }
+
+    /**
+     * Lire le fichier choisi puis l'analyser
+     */
+    loadFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            this.file = e.target.result;
+            this.filename = file.name;
+            document.getElementById('readingFileName').textContent = file.name;
+            this.analyze();
+        };
+        reader.onerror = () => {
+            ui.showError('Impossible de lire le fichier');
+        };
+        reader.readAsDataURL(file);
+    }
+
+    /**
+     * Faire lire l'export par le serveur, puis comparer ses livres à la collection
+     */
+    async analyze() {
+        if (!this.file) return;
+
+        this.setStatus('Lecture de l\'export...');
+        document.getElementById('readingRunBtn').disabled = true;
+        try {
+            const response = await fetch('/api/import/reading', {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    file: this.file,
+                    filename: this.filename,
+                    site: document.getElementById('readingSite').value || undefined
+                })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            await bookDatabase.ready;
+            data.rows.forEach(row => {
+                if (row.status === 'valid') row.status = bookDatabase.findBook(row.isbn) ? 'known' : 'new';
+            });
+            this.report = data;
+
+            document.getElementById('readingSite').value = data.site;
+            this.renderReport();
+            this.setStatus(`Export ${data.label} : ${data.rows.length} livre(s). Vérifiez le rapport avant d'importer.`);
+            document.getElementById('readingRunBtn').disabled = this.importableRows().length === 0;
+        } catch (error) {
+            console.error('Erreur lors de la lecture de l\'export:', error);
+            this.report = null;
+            document.getElementById('readingReport').replaceChildren();
+            this.setStatus(`Lecture impossible : ${error.message}`);
+        }
+    }
+
+    /**
+     * Lignes à importer : livres avec un ISBN valide, vus une seule fois
+     */
+    importableRows() {
+        return this.report ? this.report.rows.filter(row => row.status === 'new' || row.status === 'known') : [];
+    }
+
+    /**
+     * Ajouter les livres à la collection et enregistrer les données de lecture
+     * Les livres déjà présents gardent leurs métadonnées les plus fiables (fusion champ par champ).
+     */
+    async run() {
+        const rows = this.importableRows();
+        if (rows.length === 0) return;
+
+        const added = rows.filter(row => row.status === 'new').length;
+        if (!confirm(`Ajouter ${added} livre(s) à votre collection et mettre à jour ${rows.length - added} livre(s) déjà présent(s) ?`)) return;
+
+        document.getElementById('readingRunBtn').disabled = true;
+        const source = `${this.report.site}_import`;
+        for (const row of rows) {
+            bookDatabase.addBook(row.isbn, { ...row.book, source });
+            bookDatabase.setReading(row.isbn, row.personal);
+        }
+        await bookDatabase.flush();
+
+        console.log(`📥 Import ${this.report.label} terminé: ${added} ajouté(s), ${rows.length - added} mis à jour`);
+        this.setStatus(`✅ ${added} livre(s) ajouté(s) à votre collection, ${rows.length - added} mis à jour.`);
+        this.report = null;
+    }
+
+    /**
+     * Afficher un message d'état
+     */
+    setStatus(message) {
+        const status = document.getElementById('readingStatus');
+        if (status) status.textContent = message;
+    }
+
+    /**
+     * Rapport : nombre de livres par statut, puis détail
+     */
+    renderReport() {
+        const container = document.getElementById('readingReport');
+        const counts = { new: 0, known: 0, invalid: 0, duplicate: 0 };
+        this.report.rows.forEach(row => { counts[row.status]++; });
+
+        const summary = document.createElement('div');
+        summary.className = 'import-summary';
+        for (const [status, label] of Object.entries(this.statusLabels)) {
+            const item = document.createElement('span');
+            item.className = `import-count import-${status}`;
+            item.textContent = `${label} : ${counts[status]}`;
+            summary.appendChild(item);
+        }
+
+        const table = document.createElement('table');
+        table.className = 'batch-table';
+        table.innerHTML = '<thead><tr><th>Ligne</th><th>ISBN</th><th>Statut</th><th>Titre</th><th>Lecture</th></tr></thead>';
+        const body = document.createElement('tbody');
+        this.report.rows.forEach(row => body.appendChild(this.renderRow(row)));
+        table.appendChild(body);
+
+        container.replaceChildren(summary, table);
+    }
+
+    /**
+     * Une ligne du rapport
+     */
+    renderRow(row) {
+        const tr = document.createElement('tr');
+        tr.className = `batch-row import-row import-${row.status}`;
+
+        const detail = row.status === 'invalid'
+            ? row.error
+            : row.status === 'duplicate'
+                ? `Même livre qu'à la ligne ${row.duplicateOf}`
+                : collectionBrowser.describeReading(row.personal);
+        const cells = [
+            row.line,
+            row.isbn ? bookAPI.formatISBN(row.isbn) : '—',
+            this.statusLabels[row.status] || row.status,
+            row.title || '—',
+            detail
+        ];
+        cells.forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        return tr;
+    }
+}
+
+// Instance globale de l'import des sites de lecture
+const readingImport = new ReadingImport();
+
+// Fonctions globales pour la compatibilité avec l'HTML existant
+function openReadingImport() {
+    readingImport.show();
+}
+
+function loadReadingFile(event) {
+    const file = event.target.files[0];
+    if (file) readingImport.loadFile(file);
+    event.target.value = '';
+}
+
+function analyzeReadingExport() {
+    readingImport.analyze();
+}
+
+function runReadingImport() {
+    readingImport.run();
+}
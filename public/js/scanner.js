@@ -1,12 +1,30 @@
 /**
  * Service de scan et reconnaissance d'ISBN
- * Gère la caméra et l'analyse d'images avec Tesseract.js
+ * Gère la caméra, la lecture continue des codes-barres EAN-13 (barcode.js)
+ * et l'analyse d'images avec Tesseract.js pour les livres sans code-barres
  */
 class ISBNScanner {
     constructor() {
         this.cameraStream = null;
         this.isScanning = false;
+
+        // Tesseract auto-hébergé (servi par le serveur), réutilisé d'une analyse à l'autre
         this.tesseractWorker = null;
+        this.tesseractWorkerReady = null;
+        this.ocrProgress = null;
+        this.tesseractPaths = {
+            workerPath: '/vendor/tesseract/worker.min.js',
+            corePath: '/vendor/tesseract-core',
+            langPath: '/vendor/tessdata'
+        };
+
+        // Lecture continue des codes-barres
+        this.scanTimer = null;
+        this.scanInterval = 150; // ms entre deux analyses d'image
+        this.confirmReads = 2; // lectures consécutives identiques avant de valider un code
+        this.readCounts = new Map();
+        this.queue = [];
+        this.audioContext = null;
     }
 
     /**
@@ -34,8 +52,16 @@ class ISBNScanner {
 
             video.srcObject = this.cameraStream;
             modal.style.display = 'flex';
-            status.textContent = 'Positionnez l\'ISBN devant la caméra et cliquez sur Capturer';
             this.isScanning = true;
+            this.queue = [];
+            this.readCounts.clear();
+            this.renderQueue();
+            this.prepareFeedback();
+
+            const engine = await barcodeReader.init();
+            console.log(`📷 Lecture des codes-barres (${engine === 'native' ? 'BarcodeDetector' : 'décodeur JavaScript'})`);
+            status.textContent = 'Visez le code-barres des livres l\'un après l\'autre';
+            this.scheduleBarcodeScan();
 
         } catch (error) {
             console.error('Erreur caméra:', error);
@@ -55,6 +81,8 @@ class ISBNScanner {
         const video = document.getElementById('cameraVideo');
 
         this.isScanning = false;
+        clearTimeout(this.scanTimer);
+        this.scanTimer = null;
 
         if (this.cameraStream) {
             this.cameraStream.getTracks().forEach(track => track.stop());
@@ -66,12 +94,160 @@ class ISBNScanner {
     }
 
     /**
-     * Capturer une image et analyser l'ISBN
+     * Programmer l'analyse de l'image suivante du flux vidéo
+     */
+    scheduleBarcodeScan() {
+        clearTimeout(this.scanTimer);
+        this.scanTimer = setTimeout(() => this.scanVideoFrame(), this.scanInterval);
+    }
+
+    /**
+     * Chercher un code-barres dans l'image courante
+     * Un code n'est validé qu'après plusieurs lectures consécutives identiques.
+     */
+    async scanVideoFrame() {
+        if (!this.isScanning) return;
+
+        const video = document.getElementById('cameraVideo');
+
+        try {
+            const codes = await barcodeReader.detect(video);
+
+            // Les codes absents de cette image repartent de zéro
+            for (const code of this.readCounts.keys()) {
+                if (!codes.includes(code)) this.readCounts.delete(code);
+            }
+
+            for (const code of codes) {
+                const reads = (this.readCounts.get(code) || 0) + 1;
+                this.readCounts.set(code, reads);
+                if (reads === this.confirmReads) {
+                    this.handleBarcode(code);
+                }
+            }
+        } catch (error) {
+            console.error('Erreur lecture code-barres:', error);
+        }
+
+        if (this.isScanning) {
+            this.scheduleBarcodeScan();
+        }
+    }
+
+    /**
+     * Traiter un code-barres lu avec certitude
+     */
+    handleBarcode(code) {
+        const status = document.getElementById('scanStatus');
+
+        // Les codes-barres de livres sont des EAN-13 en 978/979 (le code prix à 5 chiffres n'est pas lu)
+        if (!isbnToolkit.isValid(code)) {
+            status.textContent = `Code-barres ${code} ignoré (ce n'est pas un ISBN)`;
+            return;
+        }
+
+        if (this.queueISBN(code)) {
+            console.log('✅ Code-barres lu:', code);
+        }
+    }
+
+    /**
+     * Ajouter un ISBN à la file des livres scannés
+     * @returns {boolean} false si l'ISBN était déjà dans la file
+     */
+    queueISBN(isbn) {
+        const status = document.getElementById('scanStatus');
+        const normalized = isbnToolkit.normalize(isbn);
+
+        if (this.queue.includes(normalized)) {
+            status.textContent = `${isbnToolkit.hyphenate(normalized)} déjà scanné`;
+            return false;
+        }
+
+        this.queue.push(normalized);
+        status.textContent = `ISBN ajouté : ${isbnToolkit.hyphenate(normalized)} — livre suivant !`;
+        this.playFeedback();
+        this.renderQueue();
+        return true;
+    }
+
+    /**
+     * Afficher la file des ISBN scannés dans la fenêtre de la caméra
+     */
+    renderQueue() {
+        const list = document.getElementById('scanQueue');
+        const searchBtn = document.getElementById('scanSearchBtn');
+        if (!list || !searchBtn) return;
+
+        list.innerHTML = this.queue
+            .map(isbn => `<li class="scan-queue-item">${isbnToolkit.hyphenate(isbn)}</li>`)
+            .reverse()
+            .join('');
+        searchBtn.textContent = `Rechercher (${this.queue.length})`;
+        searchBtn.disabled = this.queue.length === 0;
+    }
+
+    /**
+     * Fermer la caméra et rechercher les livres scannés
+     * Un seul livre s'ouvre directement, plusieurs passent par la recherche par lot.
+     */
+    searchQueue() {
+        const queue = [...this.queue];
+        this.stopCameraScan();
+
+        if (queue.length === 1) {
+            document.getElementById('isbnInput').value = queue[0];
+            if (window.searchBook) {
+                searchBook();
+            }
+        } else if (queue.length > 1) {
+            batchSearch.show();
+            document.getElementById('batchInput').value = queue.join('\n');
+            batchSearch.start();
+        }
+    }
+
+    /**
+     * Préparer le signal sonore (le contexte audio doit naître d'un geste de l'utilisateur)
+     */
+    prepareFeedback() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!this.audioContext && AudioContextClass) {
+            this.audioContext = new AudioContextClass();
+        }
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+    }
+
+    /**
+     * Bip et vibration à chaque lecture réussie
+     */
+    playFeedback() {
+        if (navigator.vibrate) {
+            navigator.vibrate(100);
+        }
+
+        if (!this.audioContext) return;
+
+        const oscillator = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        oscillator.type = 'square';
+        oscillator.frequency.value = 1760;
+        gain.gain.value = 0.1;
+        oscillator.connect(gain);
+        gain.connect(this.audioContext.destination);
+        oscillator.start();
+        oscillator.stop(this.audioContext.currentTime + 0.08);
+    }
+
+    /**
+     * Capturer une image et analyser l'ISBN imprimé (livres sans code-barres)
      */
     async captureAndAnalyze() {
         const video = document.getElementById('cameraVideo');
         const status = document.getElementById('scanStatus');
-        const captureBtn = document.querySelector('.capture-btn');
+        const captureBtn = document.getElementById('scanOcrBtn');
 
         if (!this.isScanning) return;
 
@@ -94,16 +270,8 @@ class ISBNScanner {
             });
 
             if (isbn) {
-                status.textContent = `ISBN trouvé: ${isbn}`;
-                document.getElementById('isbnInput').value = isbn;
-                
-                setTimeout(() => {
-                    this.stopCameraScan();
-                    // Déclencher automatiquement la recherche
-                    if (window.searchBook) {
-                        searchBook();
-                    }
-                }, 1500);
+                // Ajouté à la file comme un code-barres : la caméra reste ouverte pour le livre suivant
+                this.queueISBN(isbn);
             } else {
                 status.textContent = 'Aucun ISBN détecté. Repositionnez et réessayez.';
             }
@@ -113,7 +281,7 @@ class ISBNScanner {
             status.textContent = 'Erreur lors de la reconnaissance. Réessayez.';
         } finally {
             captureBtn.disabled = false;
-            captureBtn.textContent = 'Capturer';
+            captureBtn.textContent = 'Lire le texte';
         }
     }
 
@@ -130,15 +298,15 @@ class ISBNScanner {
 
             console.log('🔍 Début de l\'analyse de l\'image:', file.name, file.size, 'bytes');
 
-            if (typeof Tesseract === 'undefined') {
-                throw new Error('Tesseract.js n\'est pas chargé.');
-            }
-
             const img = await this.fileToImage(file);
             console.log('🖼️ Image convertie:', img.width, 'x', img.height);
-            
-            // Analyser l'image avec tentatives de rotation
-            const isbn = await this.recognizeISBNFromImage(img, (attempt, progress) => {
+
+            // Le code-barres, quand il est sur la photo, est plus fiable et plus rapide que l'OCR
+            await barcodeReader.init();
+            const barcodeISBN = (await barcodeReader.detect(img)).find(code => isbnToolkit.isValid(code));
+
+            // Sinon, analyser le texte de l'image avec tentatives de rotation
+            const isbn = barcodeISBN || await this.recognizeISBNFromImage(img, (attempt, progress) => {
                 const percentage = Math.round(progress * 100);
                 uploadBtn.textContent = `📁 ${attempt}/4: ${percentage}%`;
                 console.log(`📊 Progression OCR (essai ${attempt}): ${percentage}%`);
@@ -159,7 +327,7 @@ class ISBNScanner {
             } else {
                 console.log('❌ Aucun ISBN trouvé dans l\'image');
                 uploadBtn.textContent = '❌ Non trouvé';
-                alert('Aucun ISBN détecté dans cette image.\n\nConseil: Assurez-vous que:\n- L\'ISBN est bien visible (pas le code-barres)\n- La photo est nette et bien éclairée\n- L\'ISBN est en entier sur la photo');
+                alert('Aucun ISBN détecté dans cette image.\n\nConseil: Assurez-vous que:\n- Le code-barres ou l\'ISBN imprimé est bien visible\n- La photo est nette et bien éclairée\n- L\'ISBN est en entier sur la photo');
                 return null;
             }
 
@@ -203,27 +371,225 @@ class ISBNScanner {
     }
 
     /**
-     * Reconnaissance ISBN à partir d'un canvas
+     * Obtenir le worker Tesseract, créé au premier appel puis réutilisé
+     * Le script, le moteur et les données eng/fra sont servis localement : l'OCR fonctionne hors ligne.
      */
-    async recognizeISBNFromCanvas(canvas, progressCallback) {
+    async getTesseractWorker() {
+        if (typeof Tesseract === 'undefined') {
+            throw new Error('Tesseract.js n\'est pas chargé. Vérifiez que le script est inclus.');
+        }
+
+        if (!this.tesseractWorkerReady) {
+            this.tesseractWorkerReady = (async () => {
+                console.log('🤖 Initialisation du worker Tesseract (eng+fra)');
+                const worker = await Tesseract.createWorker('eng+fra', Tesseract.OEM.LSTM_ONLY, {
+                    ...this.tesseractPaths,
+                    workerBlobURL: false,
+                    gzip: true,
+                    logger: (m) => {
+                        if (m.status === 'recognizing text' && this.ocrProgress) {
+                            this.ocrProgress(m.progress);
+                        }
+                    }
+                });
+                await worker.setParameters({
+                    tessedit_char_whitelist: '0123456789-Xx' // Xx pour la fin des ISBN-10
+                });
+                this.tesseractWorker = worker;
+                return worker;
+            })().catch((error) => {
+                // Permettre une nouvelle tentative au prochain appel
+                this.tesseractWorkerReady = null;
+                throw error;
+            });
+        }
+
+        return this.tesseractWorkerReady;
+    }
+
+    /**
+     * Reconnaître le texte d'un canvas après prétraitement
+     */
+    async recognizeText(canvas, progressCallback) {
+        const worker = await this.getTesseractWorker();
+        const processed = this.preprocessForOCR(canvas);
+
+        this.ocrProgress = progressCallback;
         try {
-            // Vérifier que Tesseract est disponible
-            if (typeof Tesseract === 'undefined') {
-                throw new Error('Tesseract.js n\'est pas chargé. Vérifiez que le script est inclus.');
+            const result = await worker.recognize(processed);
+            return result.data.text;
+        } finally {
+            this.ocrProgress = null;
+        }
+    }
+
+    /**
+     * Préparer une image pour l'OCR : recadrage autour du code-barres (l'ISBN est imprimé
+     * au-dessus et en dessous), mise à l'échelle, niveaux de gris et seuillage
+     * @param {HTMLCanvasElement} source
+     * @returns {HTMLCanvasElement}
+     */
+    preprocessForOCR(source) {
+        const region = this.findBarcodeRegion(source);
+        const crop = region
+            ? {
+                x: Math.max(0, region.x - region.width * 0.15),
+                y: Math.max(0, region.y - region.height * 0.7),
+                width: Math.min(source.width, region.width * 1.3),
+                height: Math.min(source.height, region.height * 2.4)
             }
+            : { x: 0, y: 0, width: source.width, height: source.height };
+        crop.width = Math.min(crop.width, source.width - crop.x);
+        crop.height = Math.min(crop.height, source.height - crop.y);
+
+        // Des chiffres d'une trentaine de pixels de haut sont les mieux reconnus
+        const scale = Math.min(3, Math.max(0.5, 1200 / crop.width));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(crop.width * scale);
+        canvas.height = Math.round(crop.height * scale);
+
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(source, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const gray = this.toGrayscale(imageData);
+        const threshold = this.otsuThreshold(gray);
+
+        for (let i = 0; i < gray.length; i++) {
+            const value = gray[i] > threshold ? 255 : 0;
+            imageData.data[i * 4] = imageData.data[i * 4 + 1] = imageData.data[i * 4 + 2] = value;
+            imageData.data[i * 4 + 3] = 255;
+        }
+        ctx.putImageData(imageData, 0, 0);
+
+        console.log(`🧹 Image prétraitée: ${canvas.width}x${canvas.height}${region ? ' (recadrée sur le code-barres)' : ''}, seuil ${threshold}`);
+        return canvas;
+    }
+
+    /**
+     * Luminance de chaque pixel
+     */
+    toGrayscale(imageData) {
+        const { data } = imageData;
+        const gray = new Uint8ClampedArray(data.length / 4);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+        }
+        return gray;
+    }
 
+    /**
+     * Seuil de binarisation d'Otsu (maximise la variance entre encre et papier)
+     */
+    otsuThreshold(gray) {
+        const histogram = new Array(256).fill(0);
+        gray.forEach(value => histogram[value]++);
+
+        const total = gray.length;
+        const sum = histogram.reduce((acc, count, value) => acc + count * value, 0);
+        let backgroundSum = 0;
+        let backgroundCount = 0;
+        let best = { threshold: 127, variance: 0 };
+
+        for (let threshold = 0; threshold < 256; threshold++) {
+            backgroundCount += histogram[threshold];
+            if (backgroundCount === 0) continue;
+            const foregroundCount = total - backgroundCount;
+            if (foregroundCount === 0) break;
+
+            backgroundSum += threshold * histogram[threshold];
+            const backgroundMean = backgroundSum / backgroundCount;
+            const foregroundMean = (sum - backgroundSum) / foregroundCount;
+            const variance = backgroundCount * foregroundCount * (backgroundMean - foregroundMean) ** 2;
+
+            if (variance > best.variance) {
+                best = { threshold, variance };
+            }
+        }
+
+        return best.threshold;
+    }
+
+    /**
+     * Localiser un code-barres : zone où les contrastes horizontaux dominent nettement
+     * (barres verticales). L'analyse se fait sur une copie réduite de l'image.
+     * @returns {{x: number, y: number, width: number, height: number}|null} Zone dans l'image d'origine
+     */
+    findBarcodeRegion(source) {
+        const scale = Math.min(1, 320 / source.width);
+        const width = Math.max(1, Math.round(source.width * scale));
+        const height = Math.max(1, Math.round(source.height * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(source, 0, 0, width, height);
+        const gray = this.toGrayscale(ctx.getImageData(0, 0, width, height));
+
+        // Gradient horizontal moins gradient vertical, cumulé pour des moyennes par fenêtre
+        const integral = new Float64Array((width + 1) * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                let score = 0;
+                if (x > 0 && x < width - 1 && y > 0 && y < height - 1) {
+                    const gx = Math.abs(gray[y * width + x + 1] - gray[y * width + x - 1]);
+                    const gy = Math.abs(gray[(y + 1) * width + x] - gray[(y - 1) * width + x]);
+                    score = Math.max(0, gx - gy);
+                }
+                rowSum += score;
+                integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+            }
+        }
+
+        const radius = Math.max(4, Math.round(width / 40));
+        const mean = (x, y) => {
+            const x0 = Math.max(0, x - radius), x1 = Math.min(width, x + radius + 1);
+            const y0 = Math.max(0, y - radius), y1 = Math.min(height, y + radius + 1);
+            const total = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+                - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+            return total / ((x1 - x0) * (y1 - y0));
+        };
+
+        let peak = { x: 0, y: 0, score: 0 };
+        for (let y = 0; y < height; y += 2) {
+            for (let x = 0; x < width; x += 2) {
+                const score = mean(x, y);
+                if (score > peak.score) peak = { x, y, score };
+            }
+        }
+
+        // Trop peu de contraste pour être un code-barres
+        if (peak.score < 25) return null;
+
+        // Étendre la zone depuis le pic tant que le score reste élevé
+        const limit = peak.score * 0.4;
+        let left = peak.x, right = peak.x, top = peak.y, bottom = peak.y;
+        while (left > 0 && mean(left - 1, peak.y) > limit) left--;
+        while (right < width - 1 && mean(right + 1, peak.y) > limit) right++;
+        while (top > 0 && mean(peak.x, top - 1) > limit) top--;
+        while (bottom < height - 1 && mean(peak.x, bottom + 1) > limit) bottom++;
+
+        const region = { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+        if (region.width < width * 0.1 || region.height < region.width * 0.2) return null;
+
+        return {
+            x: region.x / scale,
+            y: region.y / scale,
+            width: region.width / scale,
+            height: region.height / scale
+        };
+    }
+
+    /**
+     * Reconnaissance ISBN à partir d'un canvas
+     */
+    async recognizeISBNFromCanvas(canvas, progressCallback) {
+        try {
             console.log('🤖 Début reconnaissance Tesseract depuis canvas');
-            
-            const result = await Tesseract.recognize(canvas, 'eng+fra', {
-                logger: (m) => {
-                    if (m.status === 'recognizing text' && progressCallback) {
-                        progressCallback(m.progress);
-                    }
-                },
-                tessedit_char_whitelist: '0123456789-Xx', // Xx pour la fin des ISBN-10
-            });
 
-            const text = result.data.text;
+            const text = await this.recognizeText(canvas, progressCallback);
             console.log('📖 Texte reconnu (caméra):', text);
             
             return this.extractISBN(text);
@@ -239,10 +605,6 @@ class ISBNScanner {
      */
     async recognizeISBNFromImage(img, progressCallback) {
         try {
-            if (typeof Tesseract === 'undefined') {
-                throw new Error('Tesseract.js n\'est pas chargé. Vérifiez que le script est inclus dans index.html.');
-            }
-            
             const angles = [0, 90, 180, 270];
             let attempt = 0;
 
@@ -267,16 +629,11 @@ class ISBNScanner {
                 ctx.rotate(angle * Math.PI / 180);
                 ctx.drawImage(img, -img.width / 2, -img.height / 2);
 
-                const result = await Tesseract.recognize(canvas, 'eng+fra', {
-                    logger: (m) => {
-                        if (m.status === 'recognizing text' && progressCallback) {
-                            progressCallback(attempt, m.progress);
-                        }
-                    },
-                    tessedit_char_whitelist: '0123456789-Xx',
+                const text = await this.recognizeText(canvas, (progress) => {
+                    if (progressCallback) {
+                        progressCallback(attempt, progress);
+                    }
                 });
-
-                const text = result.data.text;
                 console.log(`📖 Texte reconnu (rotation ${angle}°):`, text.substring(0, 100) + '...');
                 const isbn = this.extractISBN(text);
 
@@ -321,7 +678,8 @@ class ISBNScanner {
             if (match && match[1]) {
                 const isbn = match[1].replace(/[-\s]/g, ''); // Nettoyer
                 console.log('✅ ISBN-13 trouvé et nettoyé:', isbn);
-                if (isbn.length === 13) return isbn;
+                // Le chiffre de contrôle écarte les erreurs de lecture
+                if (isbn.length === 13 && isbnToolkit.isValid(isbn)) return isbn;
             }
 
             // Si pas d'ISBN-13, chercher un ISBN-10
@@ -329,7 +687,7 @@ class ISBNScanner {
             if (match && match[1]) {
                 const isbn = match[1].replace(/[-\s]/g, ''); // Nettoyer
                 console.log('✅ ISBN-10 trouvé et nettoyé:', isbn);
-                if (isbn.length === 10) return isbn;
+                if (isbn.length === 10 && isbnToolkit.isValid(isbn)) return isbn;
             }
         }
 
@@ -378,6 +736,10 @@ function captureISBN() {
     isbnScanner.captureAndAnalyze();
 }
 
+function searchScannedISBNs() {
+    isbnScanner.searchQueue();
+}
+
 function analyzeISBNPhoto(event) {
     const file = event.target.files[0];
     if (file) {
@@ -0,0 +1,525 @@
+/**
+ * Moteur de synchronisation entre la base locale et le serveur
+ * Envoie les ajouts, modifications et suppressions locales puis récupère les changements distants
+ */
+class SyncEngine {
+    constructor(database) {
+        this.database = database;
+        this.stateKey = `${database.dbName}_sync`;
+        this.state = { lastPullAt: null, pending: [] };
+        this.isFirstSync = false;
+        this.syncInterval = 5 * 60 * 1000; // 5 minutes
+        this.pushDelay = 2000; // Regrouper les modifications rapprochées
+        this.isSyncing = false;
+        this.isAvailable = false;
+        this.changedDuringPush = new Set();
+        this.conflicts = new Map(); // ISBN -> conflit d'édition en attente d'arbitrage
+        this.isResolving = false;
+        this.intervalId = null;
+        this.pushTimeout = null;
+
+        this.loadState();
+        this.database.onChange((isbn) => this.markPending(isbn));
+
+        // Envoyer les modifications en attente dès la connexion
+        authClient.onChange((user) => {
+            if (user && this.isAvailable) this.sync();
+        });
+    }
+
+    /**
+     * Charger l'état de synchronisation depuis localStorage
+     */
+    loadState() {
+        try {
+            const saved = localStorage.getItem(this.stateKey);
+            if (saved) {
+                this.state = { ...this.state, ...JSON.parse(saved) };
+            } else {
+                // Première synchronisation : tout le contenu local sera à envoyer (voir start)
+                this.isFirstSync = true;
+            }
+        } catch (error) {
+            console.error('Erreur lors du chargement de l\'état de synchronisation:', error);
+        }
+    }
+
+    /**
+     * Sauvegarder l'état de synchronisation
+     */
+    saveState() {
+        try {
+            localStorage.setItem(this.stateKey, JSON.stringify(this.state));
+        } catch (error) {
+            console.error('Erreur lors de la sauvegarde de l\'état de synchronisation:', error);
+        }
+    }
+
+    /**
+     * Noter un ISBN modifié localement et programmer un envoi
+     */
+    markPending(isbn) {
+        this.changedDuringPush.add(isbn);
+        if (!this.state.pending.includes(isbn)) {
+            this.state.pending.push(isbn);
+            this.saveState();
+        }
+
+        if (!this.isAvailable) return;
+
+        clearTimeout(this.pushTimeout);
+        this.pushTimeout = setTimeout(() => this.sync(), this.pushDelay);
+    }
+
+    /**
+     * Démarrer la synchronisation ; si le serveur est injoignable, elle reprendra dès qu'il répondra
+     */
+    async start() {
+        // La base locale se charge de façon asynchrone
+        await this.database.ready;
+        if (this.isFirstSync) {
+            this.state.pending = [...new Set([...this.state.pending, ...this.database.getAllISBNs()])];
+            this.isFirstSync = false;
+            this.saveState();
+        }
+
+        // Application ouverte depuis un fichier : aucun serveur à attendre
+        if (window.location.protocol === 'file:') {
+            console.log('🔌 Serveur indisponible, synchronisation désactivée');
+            return;
+        }
+
+        this.intervalId = setInterval(() => this.syncWhenAvailable(), this.syncInterval);
+        window.addEventListener('online', () => this.syncWhenAvailable());
+
+        await this.syncWhenAvailable();
+        if (!this.isAvailable) {
+            console.log('🔌 Serveur indisponible, nouvel essai plus tard');
+        }
+    }
+
+    /**
+     * Synchroniser si le serveur répond, en le vérifiant d'abord tant qu'il était injoignable
+     */
+    async syncWhenAvailable() {
+        if (!this.isAvailable) {
+            this.isAvailable = await this.checkServer();
+            if (!this.isAvailable) return false;
+        }
+        return this.sync();
+    }
+
+    /**
+     * Vérifier que l'API du serveur répond
+     */
+    async checkServer() {
+        if (window.location.protocol === 'file:') return false;
+
+        try {
+            const response = await fetch('/api/health', { headers: { 'Accept': 'application/json' } });
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Synchroniser : envoyer les changements locaux puis récupérer les changements distants
+     */
+    async sync() {
+        if (this.isSyncing || !navigator.onLine) return false;
+
+        this.isSyncing = true;
+        try {
+            await this.push();
+            const applied = await this.pull();
+
+            console.log(`🔄 Synchronisation terminée (${applied} changement(s) reçu(s))`);
+            return true;
+        } catch (error) {
+            console.error('❌ Erreur de synchronisation:', error);
+            return false;
+        } finally {
+            this.isSyncing = false;
+            this.resolveConflicts();
+        }
+    }
+
+    /**
+     * Envoyer les modifications locales en attente
+     */
+    async push() {
+        if (this.state.pending.length === 0) return;
+
+        // Seuls les contributeurs connectés peuvent écrire : les modifications attendent la connexion
+        if (!authClient.isLoggedIn()) {
+            console.log(`🔒 ${this.state.pending.length} modification(s) en attente de connexion`);
+            return;
+        }
+        if (!authClient.can('books:write')) {
+            console.log(`🔒 ${this.state.pending.length} modification(s) gardée(s) localement (compte en lecture seule)`);
+            return;
+        }
+
+        // Les modifications faites pendant l'envoi resteront en attente pour le prochain cycle
+        const sent = [...this.state.pending];
+        this.changedDuringPush.clear();
+        await this.uploadLocalCovers(sent);
+        const { books, deleted } = this.database.getChanges(sent);
+
+        // Les livres dont on connaît la version du serveur sont envoyés avec If-Match ;
+        // les nouveaux livres et ceux synchronisés avant les ETags gardent l'arbitrage par date
+        const versioned = {};
+        const others = {};
+        for (const [isbn, book] of Object.entries(books)) {
+            if (this.database.data[isbn].serverETag) {
+                versioned[isbn] = book;
+            } else {
+                others[isbn] = book;
+            }
+        }
+        const kept = await this.pushVersioned(versioned);
+
+        // La synchronisation complète (avec les suppressions) est réservée aux bibliothécaires
+        const remaining = Object.keys(others).length + Object.keys(deleted).length;
+        if (remaining > 0 && authClient.can('sync:import')) {
+            await this.importChanges(others, deleted);
+        } else if (remaining > 0) {
+            kept.push(...await this.pushEdits(others, deleted));
+        }
+
+        this.state.pending = this.state.pending.filter(isbn =>
+            !sent.includes(isbn) || this.changedDuringPush.has(isbn) || kept.includes(isbn)
+        );
+        this.saveState();
+    }
+
+    /**
+     * Envoyer un livre avec la version du serveur sur laquelle reposent ses modifications
+     * @returns {Promise<{status: number, etag: string|null, data: object}>}
+     */
+    async putVersion(isbn, book, etag) {
+        const response = await fetch(`/api/books/${encodeURIComponent(isbn)}`, {
+            method: 'PUT',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                'If-Match': etag,
+                ...authClient.authHeaders()
+            },
+            body: JSON.stringify(book)
+        });
+
+        if (response.status === 401) authClient.handleUnauthorized();
+        if (!response.ok && response.status !== 404 && response.status !== 412) {
+            throw new Error(`Envoi impossible: HTTP ${response.status}`);
+        }
+        return { status: response.status, etag: response.headers.get('ETag'), data: await response.json() };
+    }
+
+    /**
+     * Envoyer les modifications de livres déjà connus du serveur (If-Match)
+     * Si un autre utilisateur a modifié le livre entre-temps (412), les modifications qui ne se
+     * recoupent pas sont fusionnées et renvoyées ; les autres attendent l'arbitrage de l'utilisateur.
+     * @returns {Promise<string[]>} ISBN à garder en attente
+     */
+    async pushVersioned(books) {
+        const kept = [];
+        let sentCount = 0;
+        let suggestedCount = 0;
+        let mergedCount = 0;
+
+        for (const [isbn, book] of Object.entries(books)) {
+            const local = this.database.data[isbn];
+            let result = await this.putVersion(isbn, book, local.serverETag);
+
+            if (result.status === 404 || (result.status === 412 && !result.data.current)) {
+                // Supprimé du serveur entre-temps : renvoyé au prochain cycle avec l'arbitrage par date
+                this.database.setServerVersion(isbn, null);
+                kept.push(isbn);
+                continue;
+            }
+
+            if (result.status === 412) {
+                const remote = result.data.current;
+
+                const { values, conflicts } = this.mergeVersions(book, local.serverBase || {}, remote);
+                if (conflicts.length > 0) {
+                    this.conflicts.set(isbn, { isbn, title: remote.title || book.title, etag: result.etag, remote, values, fields: conflicts });
+                    kept.push(isbn);
+                    continue;
+                }
+
+                result = await this.putVersion(isbn, { ...remote, ...values, updatedAt: book.updatedAt }, result.etag);
+                if (result.status === 412) {
+                    // Encore modifié pendant la fusion : nouvel essai au prochain cycle
+                    kept.push(isbn);
+                    continue;
+                }
+                mergedCount++;
+            }
+
+            if (result.status === 202) {
+                // Suggestion en attente : le livre reprend la version du serveur, la modification
+                // reviendra avec le prochain export si un modérateur l'accepte
+                suggestedCount++;
+                this.keepServerVersion(isbn, result.etag, result.data.current);
+                continue;
+            }
+
+            sentCount++;
+            if (!this.changedDuringPush.has(isbn)) {
+                this.database.setServerVersion(isbn, result.etag, result.data);
+            }
+        }
+
+        if (Object.keys(books).length > 0) {
+            console.log(`⬆️ Envoi: ${sentCount} livre(s) mis à jour` +
+                (mergedCount > 0 ? ` (dont ${mergedCount} fusionné(s) avec des modifications distantes)` : '') +
+                (suggestedCount > 0 ? `, ${suggestedCount} modification(s) proposée(s) aux modérateurs` : '') +
+                (this.conflicts.size > 0 ? `, ${this.conflicts.size} conflit(s) à résoudre` : ''));
+        }
+        if (suggestedCount > 0) {
+            moderationQueue.notifySuggested(suggestedCount);
+        }
+        return kept;
+    }
+
+    /**
+     * Revenir à la version du serveur après une modification gardée pour les modérateurs (202)
+     */
+    keepServerVersion(isbn, etag, remoteBook) {
+        if (this.changedDuringPush.has(isbn) || !remoteBook) return;
+
+        this.database.setServerVersion(isbn, etag, remoteBook);
+        this.refreshDisplayedBook(isbn);
+    }
+
+    /**
+     * Réafficher le livre ouvert s'il vient d'être remplacé par une autre version
+     */
+    refreshDisplayedBook(isbn) {
+        const displayedISBN = ui.currentBook && ui.getISBNFromBook(ui.currentBook);
+        if (displayedISBN && this.database.normalizeISBN(displayedISBN) === isbn) {
+            app.currentBook = bookAPI.formatBookData(this.database.findBook(isbn));
+            ui.displayBook(app.currentBook);
+        }
+    }
+
+    /**
+     * Fusion à trois voies des champs modifiés localement
+     * Pour chaque champ modifié (sa valeur d'origine est dans `base`) : si le serveur a gardé la
+     * valeur d'origine, la modification locale s'applique ; s'il a pris une autre valeur, c'est un conflit.
+     * @returns {{values: object, conflicts: Array<{field: string, mine: *, theirs: *}>}}
+     */
+    mergeVersions(local, base, remote) {
+        const same = (a, b) => this.canonicalValue(a) === this.canonicalValue(b);
+        const values = {};
+        const conflicts = [];
+
+        for (const [field, original] of Object.entries(base)) {
+            const mine = local[field] !== undefined ? local[field] : null;
+            const theirs = remote[field] !== undefined ? remote[field] : null;
+
+            if (same(mine, theirs)) continue;
+            if (same(theirs, original)) {
+                values[field] = mine;
+            } else {
+                conflicts.push({ field, mine, theirs });
+            }
+        }
+        return { values, conflicts };
+    }
+
+    /**
+     * Représentation d'une valeur indépendante de l'ordre des clés (le serveur peut les réordonner)
+     */
+    canonicalValue(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalValue(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.canonicalValue(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    /**
+     * Faire arbitrer les conflits d'édition par l'utilisateur, un livre après l'autre
+     * La version retenue repart vers le serveur au cycle suivant.
+     */
+    async resolveConflicts() {
+        if (this.isResolving || this.conflicts.size === 0) return;
+
+        this.isResolving = true;
+        try {
+            while (this.conflicts.size > 0) {
+                const [isbn, conflict] = this.conflicts.entries().next().value;
+                const choice = await ui.showConflictDialog(conflict);
+
+                this.conflicts.delete(isbn);
+                const values = choice ? { ...conflict.values, ...choice } : {};
+                this.database.resolveConflict(isbn, conflict.etag, conflict.remote, values);
+                if (Object.keys(values).length === 0) {
+                    // Version du serveur gardée telle quelle : plus rien à envoyer
+                    this.state.pending = this.state.pending.filter(pending => pending !== isbn);
+                    this.saveState();
+                }
+
+                this.refreshDisplayedBook(isbn);
+            }
+        } finally {
+            this.isResolving = false;
+        }
+    }
+
+    /**
+     * Envoyer ajouts, modifications et suppressions en une requête (arbitrage par date sur le serveur)
+     */
+    async importChanges(books, deleted) {
+        const response = await fetch('/api/sync/import', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                ...authClient.authHeaders()
+            },
+            body: JSON.stringify({ books, deleted })
+        });
+
+        if (response.status === 401) authClient.handleUnauthorized();
+        if (!response.ok) {
+            throw new Error(`Envoi impossible: HTTP ${response.status}`);
+        }
+
+        const result = await response.json();
+        console.log(`⬆️ Envoi: ${result.imported} ajouté(s), ${result.updated} mis à jour, ${result.deleted} supprimé(s)`);
+
+        // Versions du serveur des livres enregistrés tels qu'envoyés
+        for (const [isbn, etag] of Object.entries(result.versions || {})) {
+            if (books[isbn] && !this.changedDuringPush.has(isbn)) {
+                this.database.setServerVersion(isbn, etag);
+            }
+        }
+    }
+
+    /**
+     * Envoyer les ajouts et modifications livre par livre (contributeurs)
+     * Un livre n'est envoyé que si la version locale est plus récente que celle du serveur.
+     * Le serveur peut garder une modification comme suggestion, en attente d'un modérateur (202).
+     * Les suppressions restent locales et en attente : seuls les bibliothécaires suppriment du catalogue
+     * partagé, elles partiront si un bibliothécaire se connecte sur cet appareil.
+     * @returns {Promise<string[]>} ISBN à garder en attente (modifiés sur le serveur pendant l'envoi, suppressions)
+     */
+    async pushEdits(books, deleted) {
+        const headers = {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json',
+            ...authClient.authHeaders()
+        };
+        const kept = [];
+        let sentCount = 0;
+        let suggestedCount = 0;
+
+        for (const [isbn, book] of Object.entries(books)) {
+            const url = `/api/books/${encodeURIComponent(isbn)}`;
+            const current = await fetch(url, { headers: { 'Accept': 'application/json' } });
+            if (current.ok) {
+                const remote = await current.json();
+                if (remote.updatedAt && new Date(remote.updatedAt) >= new Date(book.updatedAt)) continue;
+            } else if (current.status !== 404) {
+                throw new Error(`Envoi impossible: HTTP ${current.status}`);
+            }
+
+            // La modification ne s'applique qu'à la version qui vient d'être comparée
+            const response = current.ok
+                ? await fetch(url, { method: 'PUT', headers: { ...headers, 'If-Match': current.headers.get('ETag') }, body: JSON.stringify(book) })
+                : await fetch('/api/books', { method: 'POST', headers, body: JSON.stringify({ ...book, isbn }) });
+
+            if (response.status === 401) authClient.handleUnauthorized();
+            // Modifié ou créé par quelqu'un d'autre entre-temps : nouvelle comparaison au prochain cycle
+            if (response.status === 412 || response.status === 409) {
+                kept.push(isbn);
+                continue;
+            }
+            if (!response.ok) {
+                throw new Error(`Envoi impossible: HTTP ${response.status}`);
+            }
+            if (response.status === 202) {
+                suggestedCount++;
+                this.keepServerVersion(isbn, response.headers.get('ETag'), (await response.json()).current);
+            } else {
+                sentCount++;
+                if (!this.changedDuringPush.has(isbn)) {
+                    this.database.setServerVersion(isbn, response.headers.get('ETag'), await response.json());
+                }
+            }
+        }
+
+        const keptCount = Object.keys(deleted).length;
+        kept.push(...Object.keys(deleted));
+        console.log(`⬆️ Envoi: ${sentCount} livre(s) ajouté(s) ou mis à jour` +
+            (suggestedCount > 0 ? `, ${suggestedCount} modification(s) proposée(s) aux modérateurs` : '') +
+            (keptCount > 0 ? `, ${keptCount} suppression(s) gardée(s) localement (réservées aux bibliothécaires)` : ''));
+        if (suggestedCount > 0) {
+            moderationQueue.notifySuggested(suggestedCount);
+        }
+        return kept;
+    }
+
+    /**
+     * Envoyer les couvertures importées hors ligne avant les livres qui les portent
+     * Un échec n'empêche pas l'envoi du livre : sa couverture partira au prochain cycle.
+     */
+    async uploadLocalCovers(isbns) {
+        for (const isbn of isbns) {
+            const cover = await this.database.getLocalCover(isbn);
+            if (!cover) continue;
+
+            try {
+                const imageLinks = await imageService.uploadCover(isbn, cover);
+                this.database.replaceLocalCover(isbn, imageLinks);
+            } catch (error) {
+                console.warn(`⚠️ Couverture de ${isbn} non envoyée:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Récupérer les changements distants depuis la dernière synchronisation
+     */
+    async pull() {
+        const url = this.state.lastPullAt
+            ? `/api/sync/export?since=${encodeURIComponent(this.state.lastPullAt)}`
+            : '/api/sync/export';
+
+        const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`Récupération impossible: HTTP ${response.status}`);
+        }
+
+        const result = await response.json();
+
+        // Les livres en conflit gardent la version locale jusqu'à l'arbitrage de l'utilisateur
+        const books = Object.fromEntries(Object.entries(result.books).filter(([isbn]) => !this.conflicts.has(isbn)));
+        const applied = this.database.applyRemoteChanges(books, result.deleted, result.versions);
+
+        this.state.lastPullAt = result.timestamp;
+        this.saveState();
+
+        return applied;
+    }
+
+    /**
+     * Arrêter la synchronisation périodique
+     */
+    stop() {
+        clearInterval(this.intervalId);
+        clearTimeout(this.pushTimeout);
+        this.intervalId = null;
+        this.pushTimeout = null;
+    }
+}
+
+// Instance globale du moteur de synchronisation
+const syncEngine = new SyncEngine(bookDatabase);
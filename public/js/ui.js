@@ -257,10 +257,10 @@ class UIManager {
                         }
                     </div>
                     <div class="book-details">
-                        ${this.generateTitleSection(title)}
+                        ${this.generateTitleSection(title, info)}
                         
                         <div class="book-meta">
-                            ${this.generateMetaFields(otherFields)}
+                            ${this.generateMetaFields(otherFields, info)}
                             
                             <div class="meta-item">
                                 <div class="meta-label">Langue</div>
@@ -270,23 +270,55 @@ class UIManager {
                             <div class="meta-item">
                                 <div class="meta-label">ISBN</div>
                                 <div class="meta-value">${info.industryIdentifiers ? 
-                                    info.industryIdentifiers.map(id => `${id.type}: ${id.identifier}`).join('<br>') 
+                                    info.industryIdentifiers.map(id => `${id.type}: ${id.type.includes('ISBN') ? bookAPI.formatISBN(id.identifier) : id.identifier}`).join('<br>') 
                                     : 'Inconnu'}</div>
                             </div>
 
-                            ${this.generateCategoriesSection(categories, isUnknown)}
-                            ${this.generateDescriptionSection(info.description)}
+                            ${this.generateCategoriesSection(categories, isUnknown, info)}
+                            ${this.generateDescriptionSection(info.description, info)}
                         </div>
                     </div>
                 </div>
+                ${book.isNotFound ? '' : this.generateExportLinks(info)}
+                ${book.isNotFound ? '' : `
+                <div class="book-citations">
+                    <button class="edit-btn" onclick="toggleCitations()">🎓 Citer ce livre</button>
+                    <div class="citation-panel" id="citationPanel" style="display: none;"></div>
+                </div>
+                <div class="book-history">
+                    <button class="edit-btn" onclick="toggleBookHistory()">🕘 Historique des modifications</button>
+                    <div class="history-panel" id="historyPanel" style="display: none;"></div>
+                </div>`}
             </div>
         `;
     }
 
+    /**
+     * Liens de téléchargement de la notice du livre (MARC21, MARCXML, UNIMARC, ONIX)
+     */
+    generateExportLinks(info) {
+        const identifier = (info.industryIdentifiers || []).find(id => id.type.includes('ISBN'));
+        if (!identifier) return '';
+
+        const isbn = encodeURIComponent(identifier.identifier.replace(/[-\s]/g, ''));
+        const links = {
+            MARC21: `/api/books/${isbn}/marc?format=marc21`,
+            MARCXML: `/api/books/${isbn}/marc?format=marcxml`,
+            UNIMARC: `/api/books/${isbn}/marc?format=unimarc`,
+            'ONIX 3.0': `/api/books/${isbn}/onix`
+        };
+        return `
+                <div class="book-export">
+                    <span class="book-export-label">📄 Notice</span>
+                    ${Object.entries(links).map(([label, href]) =>
+                        `<a class="book-export-link" href="${href}" download>${label}</a>`).join('')}
+                </div>`;
+    }
+
     /**
      * Générer la section du titre éditable
      */
-    generateTitleSection(titleField) {
+    generateTitleSection(titleField, info = {}) {
         return `
             <div class="book-title-section ${titleField.unknown ? 'unknown' : ''}" data-field="title">
                 <div id="titleValue">
@@ -294,6 +326,7 @@ class UIManager {
                         ${titleField.value}
                         <button class="edit-field-btn" onclick="ui.toggleEditField('title')">${titleField.unknown ? titleField.addLabel : 'Modifier'}</button>
                     </h2>
+                    ${this.generateProvenanceBadge(info, 'title')}
                 </div>
                 <div class="field-edit" id="titleEdit" style="display: none;">
                     <input type="text" class="field-input title-input" id="titleInput" value="${titleField.value !== 'Titre inconnu' && titleField.value !== 'Livre non trouvé !' ? titleField.value : ''}" placeholder="${titleField.example}">
@@ -307,12 +340,13 @@ class UIManager {
     /**
      * Générer les champs de métadonnées
      */
-    generateMetaFields(fields) {
+    generateMetaFields(fields, info = {}) {
         return Object.entries(fields).map(([fieldName, field]) => `
             <div class="meta-item ${field.unknown ? 'unknown' : ''}" data-field="${fieldName}">
                 <div class="meta-label">
                     ${this.getFieldLabel(fieldName)}
                     <button class="edit-field-btn" onclick="ui.toggleEditField('${fieldName}')">${field.unknown ? field.addLabel : 'Modifier'}</button>
+                    ${this.generateProvenanceBadge(info, fieldName)}
                 </div>
                 <div class="meta-value ${field.unknown ? 'unknown' : ''}" id="${fieldName}Value">${field.value}</div>
                 ${field.unknown ? `<div class="unknown-field-message">${field.example}</div>` : ''}
@@ -328,12 +362,13 @@ class UIManager {
     /**
      * Générer la section des catégories
      */
-    generateCategoriesSection(categories, isUnknown) {
+    generateCategoriesSection(categories, isUnknown, info = {}) {
         return `
             <div class="meta-item ${isUnknown ? 'unknown' : ''}" data-field="categories">
                 <div class="meta-label">
                     Catégories
                     <button class="edit-btn" onclick="ui.toggleEditCategories()">${isUnknown ? 'Ajouter des catégories' : 'Modifier'}</button>
+                    ${this.generateProvenanceBadge(info, 'categories')}
                 </div>
                 
                 <div class="categories-display" id="categoriesDisplay">
@@ -361,7 +396,7 @@ class UIManager {
     /**
      * Générer la section description
      */
-    generateDescriptionSection(description) {
+    generateDescriptionSection(description, info = {}) {
         const hasDescription = description && description !== 'Aucune description disponible';
         
         return `
@@ -369,6 +404,7 @@ class UIManager {
                 <div class="meta-label">
                     Description
                     <button class="edit-${hasDescription ? 'btn' : 'field-btn'}" onclick="ui.toggleEditDescription()">${hasDescription ? 'Modifier' : 'Ajouter une description'}</button>
+                    ${this.generateProvenanceBadge(info, 'description')}
                 </div>
                 <div class="meta-value ${!hasDescription ? 'unknown' : ''}" id="descriptionText">${description || 'Aucune description disponible'}</div>
                 ${!hasDescription ? `
@@ -386,6 +422,43 @@ class UIManager {
         `;
     }
 
+    /**
+     * Générer l'indication de provenance d'un champ (source et date)
+     */
+    generateProvenanceBadge(info, fieldName) {
+        const provenance = info.provenance && info.provenance[fieldName];
+        if (!provenance) return '';
+
+        const label = metadataMerger.getSourceLabel(provenance.source);
+        const date = provenance.at ? new Date(provenance.at).toLocaleDateString('fr-FR') : null;
+        const title = date ? `Source : ${label}, le ${date}` : `Source : ${label}`;
+
+        return `<span class="field-source" data-source-for="${fieldName}" title="${title}">${label}</span>`;
+    }
+
+    /**
+     * Mettre à jour l'indication de provenance après une modification manuelle
+     */
+    refreshProvenanceBadge(fieldName) {
+        const isbn = this.getISBNFromBook(this.currentBook);
+        const storedBook = isbn ? bookDatabase.findBook(isbn) : null;
+        const metaItem = document.querySelector(`[data-field="${fieldName}"]`);
+        if (!storedBook || !metaItem) return;
+
+        if (this.currentBook && this.currentBook.volumeInfo) {
+            this.currentBook.volumeInfo.provenance = storedBook.provenance || null;
+        }
+
+        const badgeHtml = this.generateProvenanceBadge(storedBook, fieldName);
+        const existingBadge = metaItem.querySelector('.field-source');
+        if (existingBadge) {
+            existingBadge.outerHTML = badgeHtml;
+        } else if (badgeHtml) {
+            const container = fieldName === 'title' ? metaItem.querySelector('#titleValue') : metaItem.querySelector('.meta-label');
+            container.insertAdjacentHTML('beforeend', badgeHtml);
+        }
+    }
+
     /**
      * Obtenir le label d'un champ
      */
@@ -400,6 +473,71 @@ class UIManager {
         return labels[fieldName] || fieldName;
     }
 
+    /**
+     * Faire choisir, champ par champ, entre sa modification et celle enregistrée entre-temps sur le serveur
+     * @param {{title: string, fields: Array<{field: string, mine: *, theirs: *}>}} conflict
+     * @returns {Promise<object|null>} { champ: valeur } gardés de la version locale, ou null pour garder la version du serveur
+     */
+    showConflictDialog(conflict) {
+        const modal = document.getElementById('conflictModal');
+        const list = document.getElementById('conflictFields');
+
+        document.getElementById('conflictIntro').textContent =
+            `« ${conflict.title || 'Ce livre'} » a été modifié sur le serveur pendant que vous le modifiiez. ` +
+            'Choisissez la version à garder pour chaque champ.';
+
+        list.replaceChildren(...conflict.fields.map(({ field, mine, theirs }) => {
+            const item = document.createElement('div');
+            item.className = 'conflict-field';
+            const name = document.createElement('div');
+            name.className = 'conflict-field-name';
+            name.textContent = bookHistory.getFieldLabel(field);
+            item.append(name,
+                this.createConflictChoice(field, 'mine', 'Ma version', mine, true),
+                this.createConflictChoice(field, 'theirs', 'Serveur', theirs, false));
+            return item;
+        }));
+        modal.style.display = 'flex';
+
+        return new Promise(resolve => {
+            const close = (choice) => {
+                modal.style.display = 'none';
+                resolve(choice);
+            };
+
+            document.getElementById('conflictSaveBtn').onclick = () => {
+                const values = {};
+                for (const { field, mine } of conflict.fields) {
+                    if (list.querySelector(`input[name="conflict-${field}"]:checked`).value === 'mine') {
+                        values[field] = mine;
+                    }
+                }
+                close(values);
+            };
+            document.getElementById('conflictServerBtn').onclick = () => close(null);
+        });
+    }
+
+    /**
+     * Une option du dialogue de conflit : bouton radio et valeur proposée
+     */
+    createConflictChoice(field, side, label, value, checked) {
+        const choice = document.createElement('label');
+        choice.className = 'conflict-choice';
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = `conflict-${field}`;
+        radio.value = side;
+        radio.checked = checked;
+        const name = document.createElement('span');
+        name.className = 'conflict-choice-label';
+        name.textContent = `${label} :`;
+        const text = document.createElement('span');
+        text.textContent = bookHistory.formatValue(value);
+        choice.append(radio, name, text);
+        return choice;
+    }
+
     /**
      * Obtenir le nom de la langue
      */
@@ -575,13 +713,14 @@ class UIManager {
         }
 
         try {
-            const imageData = await imageService.fileToBase64(file);
+            const isbn = document.getElementById('isbnField').value.trim();
+            const { imageLinks } = await imageService.storeCover(isbn, file);
             const preview = document.querySelector('.cover-preview');
-            preview.innerHTML = `<img src="${imageData}" alt="Couverture">`;
+            preview.innerHTML = `<img src="${imageLinks.thumbnail}" alt="Couverture">`;
             preview.style.border = '2px solid var(--black)';
         } catch (error) {
             console.error('Erreur lors du traitement de l\'image:', error);
-            alert('Erreur lors du traitement de l\'image');
+            alert(error.status === 400 ? error.message : 'Erreur lors du traitement de l\'image');
         }
     }
 
@@ -759,6 +898,7 @@ class UIManager {
             const isbn = this.getISBNFromBook(this.currentBook);
             if (isbn) {
                 bookDatabase.updateBookField(isbn, fieldName, this.currentBook.volumeInfo[fieldName]);
+                this.refreshProvenanceBadge(fieldName);
             }
         }
         
@@ -846,6 +986,7 @@ class UIManager {
             const isbn = this.getISBNFromBook(this.currentBook);
             if (isbn) {
                 bookDatabase.updateBookField(isbn, 'categories', newCategories);
+                this.refreshProvenanceBadge('categories');
             }
         }
         
@@ -933,6 +1074,7 @@ class UIManager {
             const isbn = this.getISBNFromBook(this.currentBook);
             if (isbn) {
                 bookDatabase.updateBookField(isbn, 'description', this.currentBook.volumeInfo.description);
+                this.refreshProvenanceBadge('description');
             }
         }
         
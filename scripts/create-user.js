@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Créer un compte (contributeur, bibliothécaire, administrateur...) depuis la ligne de commande
+ *
+ *   npm run user:create -- <identifiant> ["Nom affiché"] [--role reader|contributor|librarian|admin]
+ *
+ * Sans --role, le compte est contributeur.
+ * Le mot de passe est demandé sans écho (ou lu sur l'entrée standard si elle n'est pas un terminal).
+ * Le compte est créé dans le stockage configuré (STORAGE_DRIVER, comme le serveur).
+ */
+require('dotenv').config({ path: '.env.local' });
+
+const readline = require('readline');
+const { createUserStore, createAccount, validateRole, MIN_PASSWORD_LENGTH, LEGACY_ROLE } = require('../lib/auth');
+
+/**
+ * Lire le mot de passe sans l'afficher
+ */
+function askPassword(prompt) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+        if (process.stdin.isTTY) {
+            // Masquer la saisie : seule l'invite est écrite
+            rl._writeToOutput = (text) => {
+                if (text.includes(prompt)) rl.output.write(prompt);
+            };
+        }
+        rl.question(prompt, (answer) => {
+            rl.close();
+            if (process.stdin.isTTY) process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    let role = LEGACY_ROLE;
+    const roleIndex = args.indexOf('--role');
+    if (roleIndex !== -1) {
+        role = args[roleIndex + 1];
+        args.splice(roleIndex, 2);
+    }
+
+    const [username, displayName] = args;
+    if (!username) {
+        console.error('Usage: npm run user:create -- <identifiant> ["Nom affiché"] [--role reader|contributor|librarian|admin]');
+        process.exit(1);
+    }
+
+    const roleValidation = validateRole(role);
+    if (!roleValidation.valid) {
+        console.error(`❌ ${roleValidation.error}`);
+        process.exit(1);
+    }
+
+    const password = await askPassword(`Mot de passe (${MIN_PASSWORD_LENGTH} caractères minimum): `);
+    if (process.stdin.isTTY && password !== await askPassword('Confirmer le mot de passe: ')) {
+        console.error('❌ Les mots de passe ne correspondent pas');
+        process.exit(1);
+    }
+
+    const store = createUserStore();
+    await store.init();
+    try {
+        const result = await createAccount(store, { username, password, displayName, role });
+        if (!result.valid) {
+            console.error(`❌ ${result.error}`);
+            process.exitCode = 1;
+            return;
+        }
+        console.log(`✅ Compte ${result.user.username} créé (${result.user.role})`);
+    } finally {
+        await store.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Erreur lors de la création du compte:', error);
+    process.exit(1);
+});
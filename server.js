@@ -10,26 +10,61 @@ const cors = require('cors');
 const path = require('path');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
-const fetch = require('node-fetch');
-const { db } = require('@vercel/postgres');
 const fs = require('fs').promises; // Gardé uniquement pour la migration initiale
+const crypto = require('crypto');
+const { createBookRepository } = require('./lib/storage');
+const { createProviderRegistry, parseNamedValues } = require('./lib/providers');
+const { MetadataMerger } = require('./public/js/metadata-merge');
+const { isbnToolkit } = require('./public/js/isbn');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { analyzeQuery, highlightBook, parseCatalogQuery } = require('./lib/search');
+const { buildRevision, publicRevision, diffBooks } = require('./lib/history');
+const { bookETag, ifMatchSatisfied } = require('./lib/etag');
+const {
+    SUGGESTION_STATUSES,
+    DEFAULT_TRUST_THRESHOLD,
+    validateTrustLevel,
+    trustOf,
+    needsReview,
+    buildSuggestion,
+    acceptedValues,
+    reviewView
+} = require('./lib/moderation');
+const { readTable, suggestMapping, resolveMapping, mapRow, readMarcFile, readOnixFile, readReadingFile } = require('./lib/import');
+const { MARC_FORMATS, serializeBooks } = require('./lib/marc');
+const { toOnix } = require('./lib/onix');
+const { REPRESENTATIONS, negotiate, supportedTypes } = require('./lib/representations');
+const { renderBookPage, renderAppShell } = require('./lib/book-page');
+const { createCoverStore, validateCover, resizeCover, COVER_SIZES, MAX_BYTES } = require('./lib/covers');
+const {
+    createUserStore,
+    createAccount,
+    publicUser,
+    createApiKey,
+    publicApiKey,
+    hashPassword,
+    verifyPassword,
+    generateToken,
+    hashToken,
+    scopesFor,
+    validateRole,
+    LEGACY_ROLE,
+    API_KEY_PREFIX
+} = require('./lib/auth');
 
 /**
  * Met en place la base de données.
- * Crée la table si elle n'existe pas et migre les données depuis le JSON.
+ * Initialise le stockage et, pour les bases SQL, migre les données depuis le JSON.
  */
-async function setupDatabase() {
-    console.log('🔧 Initialisation de la base de données...');
+async function setupDatabase(repository) {
+    console.log(`🔧 Initialisation du stockage (${repository.driver})...`);
     try {
-        // Créer la table si elle n'existe pas
-        const createTableQuery = `
-            CREATE TABLE IF NOT EXISTS books (
-                isbn TEXT PRIMARY KEY,
-                data JSONB NOT NULL
-            );
-        `;
-        await db.query(createTableQuery);
-        console.log('✅ Table "books" vérifiée/créée.');
+        await repository.init();
+
+        // Le stockage JSON utilise directement books.json, le stockage mémoire part vide
+        if (repository.driver !== 'postgres' && repository.driver !== 'sqlite') {
+            return;
+        }
 
         // Migrer les données depuis le fichier JSON
         const dbFile = path.join(__dirname, 'data', 'books.json');
@@ -50,18 +85,9 @@ async function setupDatabase() {
 
         console.log(`⏳ Migration de ${booksToMigrate.length} livres depuis books.json...`);
         
-        const client = await db.connect();
-        try {
-            for (const [isbn, bookData] of booksToMigrate) {
-                 // On utilise ON CONFLICT pour ne pas écraser les données existantes
-                const insertQuery = `
-                    INSERT INTO books (isbn, data) VALUES ($1, $2)
-                    ON CONFLICT (isbn) DO NOTHING;
-                `;
-                await client.query(insertQuery, [isbn, JSON.stringify(bookData)]);
-            }
-        } finally {
-            client.release();
+        for (const [isbn, bookData] of booksToMigrate) {
+            // On n'écrase pas les données existantes
+            await repository.insertIfAbsent(isbn, bookData);
         }
 
         console.log('🎉 Migration terminée avec succès.');
@@ -73,9 +99,31 @@ async function setupDatabase() {
 }
 
 class ISBNServer {
-    constructor() {
+    constructor({ repository, providers, coverStore, userStore } = {}) {
         this.app = express();
         this.port = process.env.PORT || 3000;
+        this.repository = repository || createBookRepository();
+        this.providers = providers || createProviderRegistry();
+        this.coverStore = coverStore || createCoverStore();
+        this.coverStoreReady = null;
+        this.userStore = userStore || createUserStore();
+        this.userStoreReady = null;
+        this.sessionDays = parseInt(process.env.AUTH_SESSION_DAYS, 10) || 30;
+        this.openRegistration = process.env.AUTH_REGISTRATION === 'open';
+        this.defaultRole = process.env.AUTH_DEFAULT_ROLE || LEGACY_ROLE;
+        // Suggestions acceptées à partir desquelles un contributeur n'est plus modéré
+        this.trustThreshold = parseInt(process.env.MODERATION_TRUST_THRESHOLD, 10) || DEFAULT_TRUST_THRESHOLD;
+        // Requêtes permises par quart d'heure : par IP sans authentification, par compte, par clé d'API
+        this.rateLimits = {
+            anonymous: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100,
+            user: parseInt(process.env.RATE_LIMIT_USER, 10) || 300,
+            apiKey: parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 1000
+        };
+        this.merger = new MetadataMerger({ sourceTrust: parseNamedValues(process.env.METADATA_TRUST) });
+        this.batchLookupMax = parseInt(process.env.BATCH_LOOKUP_MAX, 10) || 500;
+        this.batchLookupConcurrency = parseInt(process.env.BATCH_LOOKUP_CONCURRENCY, 10) || 4;
+        this.importMaxRows = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000;
+        this.onixSender = process.env.ONIX_SENDER_NAME || 'ISBN Search';
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -90,19 +138,33 @@ class ISBNServer {
             contentSecurityPolicy: false // Désactiver CSP pour éviter les problèmes
         }));
         
-        // CORS
-        this.app.use(cors());
+        // CORS (l'ETag des livres doit rester lisible pour les écritures conditionnelles)
+        this.app.use(cors({ exposedHeaders: ['ETag'] }));
+
+        // Identifier l'utilisateur à partir de son jeton ou de sa clé d'API (Authorization: Bearer ...)
+        this.app.use('/api/', this.authenticate.bind(this));
 
-        // Rate limiting
+        // Rate limiting : un compteur par clé d'API, par compte connecté ou, à défaut, par IP
         const limiter = rateLimit({
             windowMs: 15 * 60 * 1000, // 15 minutes
-            max: 100, // limite de 100 requêtes par IP
+            max: (req) => this.rateLimitFor(req),
+            keyGenerator: (req) => this.rateLimitKey(req),
             message: {
                 error: 'Trop de requêtes, veuillez réessayer plus tard'
             }
         });
         this.app.use('/api/', limiter);
 
+        // Connexion : limite plus stricte contre les essais de mots de passe (seuls les échecs comptent)
+        this.loginLimiter = rateLimit({
+            windowMs: 15 * 60 * 1000,
+            max: 10,
+            skipSuccessfulRequests: true,
+            message: {
+                error: 'Trop de tentatives de connexion, veuillez réessayer plus tard'
+            }
+        });
+
         // Parsing JSON
         this.app.use(express.json({ limit: '10mb' }));
         this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -110,6 +172,18 @@ class ISBNServer {
         // Servir les fichiers statiques depuis le dossier public
         this.app.use(express.static(path.join(__dirname, 'public')));
 
+        // Tesseract auto-hébergé pour l'OCR hors ligne (script, worker et moteur WebAssembly)
+        // Le moteur est une dépendance de tesseract.js : il est résolu depuis son dossier, à la version qu'il attend
+        const tesseractDir = path.dirname(require.resolve('tesseract.js/package.json'));
+        this.app.use('/vendor/tesseract', express.static(
+            path.join(tesseractDir, 'dist'),
+            { maxAge: '30d' }
+        ));
+        this.app.use('/vendor/tesseract-core', express.static(
+            path.dirname(require.resolve('tesseract.js-core/package.json', { paths: [tesseractDir] })),
+            { maxAge: '30d' }
+        ));
+
         // Logging simple
         this.app.use((req, res, next) => {
             console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
@@ -121,22 +195,75 @@ class ISBNServer {
      * Configurer les routes
      */
     setupRoutes() {
+        // Les écritures demandent d'être connecté, avec un rôle (ou une clé d'API) qui les permet
+        const requireAuth = this.requireAuth.bind(this);
+        const requireScope = (scope) => this.requireScope(scope);
+
+        // Comptes et sessions
+        this.app.post('/api/auth/login', this.loginLimiter, this.login.bind(this));
+        this.app.post('/api/auth/register', this.loginLimiter, this.register.bind(this));
+        this.app.post('/api/auth/logout', requireAuth, this.logout.bind(this));
+        this.app.get('/api/auth/me', requireAuth, this.getCurrentUser.bind(this));
+
         // Routes API
         this.app.get('/api/health', this.healthCheck.bind(this));
+        this.app.post('/api/books/batch-lookup', this.batchLookup.bind(this));
         this.app.get('/api/books/:isbn', this.getBook.bind(this));
-        this.app.post('/api/books', this.createBook.bind(this));
-        this.app.put('/api/books/:isbn', this.updateBook.bind(this));
-        this.app.delete('/api/books/:isbn', this.deleteBook.bind(this));
+        this.app.get('/api/books/:isbn/history', this.getBookHistory.bind(this));
+        this.app.get('/api/books/:isbn/marc', this.getBookMarc.bind(this));
+        this.app.get('/api/books/:isbn/onix', this.getBookOnix.bind(this));
+        this.app.post('/api/books/:isbn/revert/:rev', requireScope('books:write'), this.revertBook.bind(this));
+        this.app.post('/api/books', requireScope('books:write'), this.createBook.bind(this));
+        this.app.put('/api/books/:isbn', requireScope('books:write'), this.updateBook.bind(this));
+        this.app.delete('/api/books/:isbn', requireScope('books:delete'), this.deleteBook.bind(this));
         this.app.get('/api/books', this.searchBooks.bind(this));
         this.app.get('/api/stats', this.getStats.bind(this));
+
+        // Modération des modifications proposées par les contributeurs
+        this.app.get('/api/suggestions', requireScope('books:write'), this.listSuggestions.bind(this));
+        this.app.get('/api/suggestions/:id', requireScope('books:write'), this.getSuggestion.bind(this));
+        this.app.post('/api/suggestions/:id/accept', requireScope('books:moderate'), this.acceptSuggestion.bind(this));
+        this.app.post('/api/suggestions/:id/reject', requireScope('books:moderate'), this.rejectSuggestion.bind(this));
         
         // Route pour synchroniser avec localStorage
-        this.app.post('/api/sync/import', this.importFromLocalStorage.bind(this));
+        this.app.post('/api/sync/import', requireScope('sync:import'), this.importFromLocalStorage.bind(this));
         this.app.get('/api/sync/export', this.exportToLocalStorage.bind(this));
 
+        // Notices MARC21, MARCXML et UNIMARC : tout le catalogue (GET) ou une sélection d'ISBN (POST)
+        this.app.get('/api/export/marc', this.exportMarc.bind(this));
+        this.app.post('/api/export/marc', this.exportMarc.bind(this));
+
+        // Messages ONIX 3.0, mêmes sélections que l'export MARC
+        this.app.get('/api/export/onix', this.exportOnix.bind(this));
+        this.app.post('/api/export/onix', this.exportOnix.bind(this));
+
+        // Import de tableaux (CSV, TSV, XLSX), de notices MARC et de messages ONIX : rapport à blanc, puis enregistrement
+        this.app.post('/api/import/preview', requireScope('sync:import'), this.previewImport.bind(this));
+        this.app.post('/api/import', requireScope('sync:import'), this.runImport.bind(this));
+
+        // Exports Goodreads, LibraryThing et Babelio : lus ici, enregistrés dans la base locale du membre
+        this.app.post('/api/import/reading', this.readReadingExport.bind(this));
+
         // Routes spéciales
-        this.app.post('/api/books/:isbn/cover', this.uploadCover.bind(this));
+        this.app.post('/api/books/:isbn/cover',
+            requireScope('books:write'),
+            express.raw({ type: 'image/*', limit: MAX_BYTES }),
+            this.uploadCover.bind(this));
+        this.app.get('/api/books/:isbn/cover', this.getCover.bind(this));
         this.app.get('/api/external/google/:isbn', this.searchGoogleBooks.bind(this));
+        this.app.get('/api/external/lookup/:isbn', this.lookupMetadata.bind(this));
+        this.app.get('/vendor/tessdata/:file', this.serveTrainedData.bind(this));
+
+        // Administration des comptes et des clés d'API
+        this.app.get('/api/admin/users', requireScope('admin'), this.listUsers.bind(this));
+        this.app.put('/api/admin/users/:id/role', requireScope('admin'), this.setUserRole.bind(this));
+        this.app.put('/api/admin/users/:id/trust', requireScope('admin'), this.setUserTrust.bind(this));
+        this.app.get('/api/admin/keys', requireScope('admin'), this.listApiKeys.bind(this));
+        this.app.post('/api/admin/keys', requireScope('admin'), this.createApiKey.bind(this));
+        this.app.delete('/api/admin/keys/:id', requireScope('admin'), this.revokeApiKey.bind(this));
+
+        // Page partageable d'un livre, rendue par le serveur puis reprise par l'application
+        this.app.get('/book/:isbn', this.getBookPage.bind(this));
 
         // Route pour servir l'application
         this.app.get('*', (req, res) => {
@@ -151,7 +278,7 @@ class ISBNServer {
      * Nettoyer l'ISBN
      */
     cleanISBN(isbn) {
-        return isbn.replace(/[-\s]/g, '');
+        return isbnToolkit.clean(isbn);
     }
 
     /**
@@ -166,48 +293,18 @@ class ISBNServer {
             return clean; // Garder tel quel pour préserver l'easter egg
         }
         
-        if (clean.length === 13) {
-            return clean; // Déjà en ISBN-13
-        } else if (clean.length === 10) {
-            // Convertir ISBN-10 en ISBN-13
-            const prefix = '978';
-            const partial = prefix + clean.substring(0, 9);
-            
-            // Calculer la checksum ISBN-13
-            let sum = 0;
-            for (let i = 0; i < 12; i++) {
-                sum += parseInt(partial[i]) * (i % 2 === 0 ? 1 : 3);
-            }
-            const checkDigit = (10 - (sum % 10)) % 10;
-            
-            const isbn13 = partial + checkDigit;
+        const isbn13 = isbnToolkit.normalize(clean);
+        if (isbn13 !== clean) {
             console.log(`🔄 Conversion serveur ISBN-10 → ISBN-13: ${clean} → ${isbn13}`);
-            return isbn13;
         }
-        
-        return clean; // Retourner tel quel si impossible à convertir
+        return isbn13;
     }
 
     /**
-     * Obtenir les variantes d'un ISBN
+     * Obtenir les variantes d'un ISBN (ISBN-13 et, pour le préfixe 978, ISBN-10)
      */
     getISBNVariants(isbn) {
-        const clean = this.cleanISBN(isbn);
-        const variants = [clean];
-        
-        // Si c'est un ISBN-13, ajouter l'ISBN-10 équivalent
-        if (clean.length === 13 && clean.startsWith('978')) {
-            const isbn10 = clean.substring(3, 12);
-            variants.push(isbn10);
-        }
-        
-        // Si c'est un ISBN-10, ajouter l'ISBN-13 équivalent
-        if (clean.length === 10) {
-            const isbn13 = this.normalizeISBN(clean);
-            if (isbn13 !== clean) variants.push(isbn13);
-        }
-        
-        return variants;
+        return isbnToolkit.getVariants(isbn);
     }
 
     /**
@@ -216,31 +313,21 @@ class ISBNServer {
     async findBookByISBN(isbn) {
         const variants = this.getISBNVariants(isbn);
         
-        const query = `SELECT data FROM books WHERE isbn = ANY($1)`;
-        const { rows } = await db.query(query, [variants]);
+        const foundData = await this.repository.findFirst(variants);
 
-        if (rows.length > 0) {
+        if (foundData) {
             // On retourne le livre trouvé et l'ISBN qui a correspondu
-            const foundData = rows[0].data;
             return { book: foundData, foundISBN: foundData.isbn };
         }
         
         return null;
     }
+
+    /**
+     * Valider un ISBN (format, préfixe et chiffre de contrôle)
+     */
     validateISBN(isbn) {
-        const clean = this.cleanISBN(isbn);
-        
-        if (clean.length !== 10 && clean.length !== 13) {
-            return { valid: false, error: 'L\'ISBN doit contenir 10 ou 13 chiffres' };
-        }
-        
-        if (clean.length === 13) {
-            if (!clean.startsWith('978') && !clean.startsWith('979')) {
-                return { valid: false, error: 'ISBN-13 doit commencer par 978 ou 979' };
-            }
-        }
-        
-        return { valid: true, isbn: clean };
+        return isbnToolkit.validate(isbn);
     }
 
     /**
@@ -248,14 +335,16 @@ class ISBNServer {
      */
     async healthCheck(req, res) {
         try {
-            const result = await db.query('SELECT COUNT(*) as count FROM books');
-            const booksCount = result.rows[0].count;
+            const booksCount = await this.repository.count();
             res.json({
                 status: 'OK',
                 timestamp: new Date().toISOString(),
                 version: '2.0.0',
                 database: 'connected',
-                booksCount: parseInt(booksCount, 10)
+                storage: this.repository.driver,
+                coverStorage: this.coverStore.driver,
+                registration: this.openRegistration ? 'open' : 'closed',
+                booksCount
             });
         } catch(e) {
              res.status(500).json({
@@ -267,419 +356,2118 @@ class ISBNServer {
     }
 
     /**
-     * Obtenir un livre par ISBN
+     * Stockage des comptes, initialisé à la première utilisation
      */
-    async getBook(req, res) {
-        try {
-            const { isbn } = req.params;
-            const validation = this.validateISBN(isbn);
-            if (!validation.valid) {
-                return res.status(400).json({ error: validation.error });
-            }
+    getUserStore() {
+        if (!this.userStoreReady) {
+            this.userStoreReady = this.userStore.init()
+                .then(() => this.userStore)
+                .catch(error => {
+                    this.userStoreReady = null;
+                    throw error;
+                });
+        }
+        return this.userStoreReady;
+    }
 
-            const result = await this.findBookByISBN(validation.isbn);
+    /**
+     * Identifier l'utilisateur de la requête (`req.user`, null si anonyme) et ses portées (`req.scopes`)
+     * Le jeton est un jeton de session ou une clé d'API (préfixe isk_), dans l'en-tête Authorization
+     * ou, pour les clés, X-API-Key. Un jeton inconnu, expiré ou révoqué laisse la requête anonyme :
+     * les lectures restent possibles.
+     */
+    async authenticate(req, res, next) {
+        req.user = null;
+        req.apiKey = null;
+        req.scopes = [];
+        const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+        const token = match ? match[1] : req.get('X-API-Key');
+        if (!token) return next();
 
-            if (result && result.book) {
-                res.json(result.book);
+        try {
+            const store = await this.getUserStore();
+            if (token.startsWith(API_KEY_PREFIX)) {
+                const apiKey = await store.getApiKeyByHash(hashToken(token));
+                const owner = apiKey && !apiKey.revokedAt ? await store.getUser(apiKey.userId) : null;
+                if (owner) {
+                    req.user = owner;
+                    req.apiKey = apiKey;
+                    req.scopes = scopesFor(owner, apiKey);
+                }
             } else {
-                res.status(404).json({ error: `Livre avec l'ISBN ${isbn} non trouvé` });
+                const session = await store.getSession(hashToken(token));
+                if (session && session.expiresAt > new Date().toISOString()) {
+                    req.user = await store.getUser(session.userId);
+                    req.sessionTokenHash = session.tokenHash;
+                    req.scopes = req.user ? scopesFor(req.user) : [];
+                }
             }
+            next();
         } catch (error) {
-            console.error('❌ Erreur getBook:', error);
-            res.status(500).json({ error: 'Erreur interne du serveur' });
+            next(error);
         }
     }
 
     /**
-     * Créer un nouveau livre
+     * Compteur de limitation de débit de la requête
      */
-    async createBook(req, res) {
-        try {
-            const bookData = req.body;
-            if (!bookData || !bookData.isbn) {
-                return res.status(400).json({ error: 'Données du livre ou ISBN manquant' });
-            }
-
-            const validation = this.validateISBN(bookData.isbn);
-            if (!validation.valid) {
-                return res.status(400).json({ error: validation.error });
-            }
-            const normalizedISBN = this.normalizeISBN(validation.isbn);
-            
-            const finalBookData = {
-                ...bookData,
-                isbn: normalizedISBN,
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
+    rateLimitKey(req) {
+        if (req.apiKey) return `key:${req.apiKey.id}`;
+        if (req.user) return `user:${req.user.id}`;
+        return req.ip;
+    }
 
-            const query = `
-                INSERT INTO books (isbn, data) VALUES ($1, $2)
-                ON CONFLICT (isbn) DO UPDATE SET data = EXCLUDED.data
-                RETURNING data;
-            `;
+    /**
+     * Nombre de requêtes permises par fenêtre (une clé peut avoir sa propre limite)
+     */
+    rateLimitFor(req) {
+        if (req.apiKey) return req.apiKey.rateLimit || this.rateLimits.apiKey;
+        if (req.user) return this.rateLimits.user;
+        return this.rateLimits.anonymous;
+    }
 
-            const { rows } = await db.query(query, [normalizedISBN, JSON.stringify(finalBookData)]);
-            
-            res.status(201).json(rows[0].data);
+    /**
+     * Refuser les requêtes anonymes
+     */
+    requireAuth(req, res, next) {
+        if (req.user) return next();
 
-        } catch (error) {
-            console.error('❌ Erreur createBook:', error);
-            res.status(500).json({ error: 'Erreur lors de la création du livre' });
-        }
+        res.set('WWW-Authenticate', 'Bearer');
+        res.status(401).json({ error: 'Authentification requise : connectez-vous pour modifier le catalogue' });
     }
 
     /**
-     * Mettre à jour un livre
+     * Middleware : refuser les requêtes anonymes (401) et celles sans la portée demandée (403)
      */
-    async updateBook(req, res) {
-        try {
-            const { isbn } = req.params;
-            const bookData = req.body;
+    requireScope(scope) {
+        return (req, res, next) => {
+            if (!req.user) return this.requireAuth(req, res, next);
+            if (req.scopes.includes(scope)) return next();
+
+            res.status(403).json({
+                error: req.apiKey
+                    ? `Cette clé d'API ne permet pas cette opération (portée requise : ${scope})`
+                    : `Votre rôle ne permet pas cette opération (portée requise : ${scope})`
+            });
+        };
+    }
 
-            const validation = this.validateISBN(isbn);
-            if (!validation.valid) {
-                return res.status(400).json({ error: validation.error });
-            }
-            const normalizedISBN = this.normalizeISBN(validation.isbn);
+    /**
+     * Attribuer un enregistrement à son auteur : `createdBy` à la création, `updatedBy` à chaque écriture
+     * (les valeurs envoyées par le client sont ignorées)
+     */
+    withAuthor(data, user, existing = null) {
+        return {
+            ...data,
+            createdBy: existing ? (existing.createdBy || null) : user.username,
+            updatedBy: user.username
+        };
+    }
 
-            // 1. Récupérer les données existantes
-            const existingQuery = 'SELECT data FROM books WHERE isbn = $1';
-            const { rows: existingRows } = await db.query(existingQuery, [normalizedISBN]);
+    /**
+     * Ouvrir une session pour un utilisateur
+     * @returns {Promise<{token: string, expiresAt: string, user: object}>} Le jeton n'est remis qu'une fois
+     */
+    async startSession(user) {
+        const store = await this.getUserStore();
+        const token = generateToken();
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + this.sessionDays * 24 * 60 * 60 * 1000).toISOString();
+
+        await store.createSession({
+            tokenHash: hashToken(token),
+            userId: user.id,
+            createdAt: now.toISOString(),
+            expiresAt
+        });
+        return { token, expiresAt, user: publicUser(user) };
+    }
 
-            if (existingRows.length === 0) {
-                return res.status(404).json({ error: `Livre avec l'ISBN ${isbn} non trouvé` });
+    /**
+     * Connexion par identifiant et mot de passe
+     */
+    async login(req, res) {
+        try {
+            const { username, password } = req.body || {};
+            if (!username || !password) {
+                return res.status(400).json({ error: 'Identifiant et mot de passe requis' });
             }
 
-            // 2. Fusionner les données
-            const updatedData = {
-                ...existingRows[0].data,
-                ...bookData,
-                updatedAt: new Date().toISOString()
-            };
-
-            // 3. Mettre à jour dans la base
-            const updateQuery = 'UPDATE books SET data = $1 WHERE isbn = $2 RETURNING data;';
-            const { rows } = await db.query(updateQuery, [JSON.stringify(updatedData), normalizedISBN]);
+            const store = await this.getUserStore();
+            const user = await store.findUserByUsername(String(username).trim().toLowerCase());
 
-            res.json(rows[0].data);
+            let valid = false;
+            if (user) {
+                valid = await verifyPassword(String(password), user.passwordHash);
+            } else {
+                // Même coût de calcul que le compte existe ou non
+                await hashPassword(String(password));
+            }
+            if (!valid) {
+                return res.status(401).json({ error: 'Identifiant ou mot de passe incorrect' });
+            }
 
+            console.log(`🔑 Connexion de ${user.username}`);
+            res.json(await this.startSession(user));
         } catch (error) {
-            console.error('❌ Erreur updateBook:', error);
-            res.status(500).json({ error: 'Erreur lors de la mise à jour du livre' });
+            console.error('❌ Erreur login:', error);
+            res.status(500).json({ error: 'Erreur lors de la connexion' });
         }
     }
 
     /**
-     * Supprimer un livre
+     * Création de compte (si AUTH_REGISTRATION=open), suivie de la connexion
      */
-    async deleteBook(req, res) {
+    async register(req, res) {
         try {
-            const { isbn } = req.params;
-            const validation = this.validateISBN(isbn);
-             if (!validation.valid) {
-                return res.status(400).json({ error: validation.error });
+            if (!this.openRegistration) {
+                return res.status(403).json({ error: 'Les inscriptions sont fermées : demandez un compte à un administrateur' });
             }
-            const normalizedISBN = this.normalizeISBN(validation.isbn);
 
-            const query = 'DELETE FROM books WHERE isbn = $1 RETURNING isbn;';
-            const { rowCount } = await db.query(query, [normalizedISBN]);
-
-            if (rowCount > 0) {
-                res.status(204).send(); // No content
-            } else {
-                res.status(404).json({ error: `Livre avec l'ISBN ${isbn} non trouvé` });
+            const { username, password, displayName } = req.body || {};
+            const store = await this.getUserStore();
+            const result = await createAccount(store, { username, password, displayName, role: this.defaultRole });
+            if (!result.valid) {
+                return res.status(result.conflict ? 409 : 400).json({ error: result.error });
             }
+
+            console.log(`👤 Nouveau compte: ${result.user.username}`);
+            res.status(201).json(await this.startSession(result.user));
         } catch (error) {
-            console.error('❌ Erreur deleteBook:', error);
-            res.status(500).json({ error: 'Erreur lors de la suppression du livre' });
+            console.error('❌ Erreur register:', error);
+            res.status(500).json({ error: 'Erreur lors de la création du compte' });
         }
     }
 
     /**
-     * Rechercher des livres (par titre, auteur, etc.)
+     * Déconnexion : le jeton utilisé est révoqué
      */
-    async searchBooks(req, res) {
+    async logout(req, res) {
         try {
-            const { q, limit = 10, offset = 0 } = req.query;
-            if (!q) {
-                // Si pas de query, retourner les derniers livres ajoutés
-                const query = 'SELECT data FROM books ORDER BY (data->>\'createdAt\') DESC LIMIT $1 OFFSET $2';
-                const { rows } = await db.query(query, [limit, offset]);
-                return res.json(rows.map(r => r.data));
+            if (req.apiKey) {
+                return res.status(400).json({ error: 'Une clé d\'API ne se déconnecte pas : elle se révoque depuis l\'administration' });
             }
 
-            const searchTerm = `%${q}%`;
-            const query = `
-                SELECT data FROM books
-                WHERE 
-                    data->>'title' ILIKE $1 OR
-                    data->>'authors' ILIKE $1 OR
-                    data->>'publisher' ILIKE $1 OR
-                    data->>'description' ILIKE $1
-                ORDER BY (data->>'createdAt') DESC
-                LIMIT $2 OFFSET $3;
-            `;
-            const { rows } = await db.query(query, [searchTerm, limit, offset]);
-
-            res.json(rows.map(r => r.data));
-
+            const store = await this.getUserStore();
+            await store.deleteSession(req.sessionTokenHash);
+            res.status(204).send();
         } catch (error) {
-            console.error('❌ Erreur searchBooks:', error);
-            res.status(500).json({ error: 'Erreur lors de la recherche de livres' });
+            console.error('❌ Erreur logout:', error);
+            res.status(500).json({ error: 'Erreur lors de la déconnexion' });
         }
     }
 
     /**
-     * Obtenir des statistiques sur la base de données
+     * Utilisateur connecté, avec les portées de la requête (celles de la clé d'API le cas échéant)
      */
-    async getStats(req, res) {
+    getCurrentUser(req, res) {
+        res.json({ user: { ...publicUser(req.user), scopes: req.scopes } });
+    }
+
+    /**
+     * Lister les comptes (administration)
+     */
+    async listUsers(req, res) {
         try {
-            const { rows } = await db.query('SELECT COUNT(*) as total FROM books');
-            const total = parseInt(rows[0].total, 10);
-            
-            // On pourrait ajouter d'autres stats ici (derniers ajouts, etc.)
+            const store = await this.getUserStore();
+            const users = await store.listUsers();
             res.json({
-                totalBooks: total,
-                // On peut mettre une date statique pour la source initiale
-                initialDataSource: 'data/books.json', 
+                users: users.map(user => ({
+                    ...publicUser(user),
+                    trust: trustOf(user, this.trustThreshold),
+                    createdAt: user.createdAt
+                }))
             });
-
         } catch (error) {
-            console.error('❌ Erreur getStats:', error);
-            res.status(500).json({ error: 'Erreur interne du serveur' });
+            console.error('❌ Erreur listUsers:', error);
+            res.status(500).json({ error: 'Erreur lors de la lecture des comptes' });
         }
     }
 
     /**
-     * Upload de couverture
+     * Changer le rôle d'un compte (administration)
      */
-    async uploadCover(req, res) {
-        // Pour l'instant, on se contente de retourner une erreur 501 Not Implemented
-        // car la logique de stockage de fichiers n'est pas implémentée.
-        // La solution serait d'utiliser Vercel Blob Storage ici.
-        return res.status(501).json({ 
-            error: 'La fonctionnalité d\'upload de couverture n\'est pas encore implémentée.',
-            suggestion: 'Utiliser Vercel Blob Storage.'
-        });
-
-        // La logique ci-dessous est obsolète car elle sauve en local
-        /*
+    async setUserRole(req, res) {
         try {
-            const { isbn } = req.params;
-            const { coverData } = req.body;
-
-            const validation = this.validateISBN(isbn);
+            const { role } = req.body || {};
+            const validation = validateRole(role);
             if (!validation.valid) {
                 return res.status(400).json({ error: validation.error });
             }
 
-            if (!this.books[validation.isbn]) {
-                return res.status(404).json({ error: 'Livre non trouvé' });
+            // Éviter qu'un administrateur ne se retire lui-même l'accès à l'administration
+            if (req.params.id === req.user.id && role !== 'admin') {
+                return res.status(400).json({ error: 'Vous ne pouvez pas retirer votre propre rôle d\'administrateur' });
             }
 
-            if (!coverData) {
-                return res.status(400).json({ error: 'Données de couverture requises' });
+            const store = await this.getUserStore();
+            const user = await store.getUser(req.params.id);
+            if (!user) {
+                return res.status(404).json({ error: 'Compte non trouvé' });
             }
 
-            // Mettre à jour la couverture
-            this.books[validation.isbn].imageLinks = {
-                ...(this.books[validation.isbn].imageLinks || {}),
-                thumbnail: coverData
-            };
-            this.books[validation.isbn].updatedAt = new Date().toISOString();
-
-            await this.saveDatabase();
+            const updatedUser = { ...user, role };
+            await store.updateUser(updatedUser);
 
-            res.json({
-                success: true,
-                message: 'Couverture mise à jour avec succès'
-            });
+            console.log(`👤 Rôle de ${user.username}: ${role} (par ${req.user.username})`);
+            res.json({ user: publicUser(updatedUser) });
         } catch (error) {
-            console.error('❌ Erreur uploadCover:', error);
-            res.status(500).json({ error: 'Erreur serveur' });
+            console.error('❌ Erreur setUserRole:', error);
+            res.status(500).json({ error: 'Erreur lors du changement de rôle' });
         }
-        */
     }
 
     /**
-     * Rechercher via l'API Google Books
+     * Fixer le niveau de confiance d'un compte (administration)
+     * `trusted` : modifications appliquées sans modération ; `untrusted` : toujours modérées ;
+     * `auto` : selon le nombre de suggestions acceptées (MODERATION_TRUST_THRESHOLD).
      */
-    async searchGoogleBooks(req, res) {
+    async setUserTrust(req, res) {
         try {
-            const { isbn } = req.params;
-            const validation = this.validateISBN(isbn);
-
+            const { level } = req.body || {};
+            const validation = validateTrustLevel(level);
             if (!validation.valid) {
-                return res.status(400).json({ error: validation.error, source: 'validation' });
-            }
-
-            console.log(`📡 Recherche Google Books pour ISBN: ${validation.isbn}`);
-
-            // Vérifier d'abord si le livre existe déjà dans notre base
-            const existing = await this.findBookByISBN(validation.isbn);
-            if (existing) {
-                console.log(`📚 Livre déjà en base sous ISBN ${existing.foundISBN}`);
-                return res.json({
-                    success: true,
-                    items: [{
-                        volumeInfo: existing.book
-                    }],
-                    source: 'local_database'
-                });
+                return res.status(400).json({ error: validation.error });
             }
 
-            // Appel à l'API Google Books
-            const url = `https://www.googleapis.com/books/v1/volumes?q=isbn:${validation.isbn}`;
-            
-            const response = await fetch(url);
-            
-            if (!response.ok) {
-                throw new Error(`Erreur API Google Books: ${response.status}`);
+            const store = await this.getUserStore();
+            const user = await store.getUser(req.params.id);
+            if (!user) {
+                return res.status(404).json({ error: 'Compte non trouvé' });
             }
-            
-            const data = await response.json();
-
-            if (data.items && data.items.length > 0) {
-                // Sauvegarder automatiquement avec l'ISBN normalisé
-                const bookInfo = data.items[0].volumeInfo;
-                const normalizedISBN = this.normalizeISBN(validation.isbn);
-                
-                const bookToSave = {
-                    ...bookInfo,
-                    isbn: normalizedISBN,
-                    source: 'google_api',
-                    createdAt: new Date().toISOString(),
-                    updatedAt: new Date().toISOString()
-                };
 
-                const query = `
-                    INSERT INTO books (isbn, data) VALUES ($1, $2)
-                    ON CONFLICT (isbn) DO NOTHING;
-                `;
-                await db.query(query, [normalizedISBN, JSON.stringify(bookToSave)]);
+            const updatedUser = { ...user, trustLevel: level };
+            await store.updateUser(updatedUser);
 
-                console.log(`✅ Livre trouvé et sauvegardé via Google API: ${bookInfo.title} (${normalizedISBN})`);
+            console.log(`👤 Confiance de ${user.username}: ${level} (par ${req.user.username})`);
+            res.json({ user: { ...publicUser(updatedUser), trust: trustOf(updatedUser, this.trustThreshold) } });
+        } catch (error) {
+            console.error('❌ Erreur setUserTrust:', error);
+            res.status(500).json({ error: 'Erreur lors du changement de niveau de confiance' });
+        }
+    }
 
-                res.json({
-                    success: true,
-                    items: data.items,
-                    source: 'google_api_server'
-                });
-            } else {
-                res.status(404).json({
-                    success: false,
-                    error: 'Livre non trouvé dans l\'API Google Books'
-                });
-            }
+    /**
+     * Lister les clés d'API (administration)
+     */
+    async listApiKeys(req, res) {
+        try {
+            const store = await this.getUserStore();
+            const apiKeys = await store.listApiKeys();
+            res.json({ keys: apiKeys.map(publicApiKey) });
         } catch (error) {
-            console.error('❌ Erreur searchGoogleBooks:', error);
-            res.status(500).json({ 
-                error: 'Erreur lors de la recherche Google Books',
-                details: error.message 
-            });
+            console.error('❌ Erreur listApiKeys:', error);
+            res.status(500).json({ error: 'Erreur lors de la lecture des clés d\'API' });
         }
     }
 
     /**
-     * Importer des données depuis localStorage
+     * Créer une clé d'API (administration)
+     * Corps : { name, scopes, userId?, rateLimit? } ; la clé appartient à l'administrateur si userId est absent.
+     * La clé elle-même n'est renvoyée qu'une fois, dans cette réponse.
      */
-    async importFromLocalStorage(req, res) {
+    async createApiKey(req, res) {
         try {
-            const { books } = req.body;
+            const { name, scopes, userId, rateLimit = null } = req.body || {};
+            const store = await this.getUserStore();
 
-            if (!books || typeof books !== 'object') {
-                return res.status(400).json({ error: 'Données de livres invalides' });
+            const owner = userId ? await store.getUser(userId) : req.user;
+            if (!owner) {
+                return res.status(404).json({ error: 'Compte non trouvé' });
             }
 
-            let importedCount = 0;
-            let updatedCount = 0;
-
-            const client = await db.connect();
-            try {
-                for (const [isbn, bookData] of Object.entries(books)) {
-                    const validation = this.validateISBN(isbn);
-                    if (!validation.valid) {
-                        console.log(`⚠️ ISBN invalide ignoré: ${isbn}`);
-                        continue;
-                    }
-
-                    const normalizedISBN = this.normalizeISBN(validation.isbn);
-                    
-                    const finalBookData = {
-                        ...bookData,
-                        isbn: normalizedISBN,
-                        createdAt: bookData.createdAt || new Date().toISOString(),
-                        updatedAt: new Date().toISOString()
-                    };
-
-                    const query = `
-                        INSERT INTO books (isbn, data) VALUES ($1, $2)
-                        ON CONFLICT (isbn) DO UPDATE SET data = jsonb_set(
-                            books.data, 
-                            '{updatedAt}', 
-                            to_jsonb($3::text),
-                            true
-                         ) WHERE (books.data->>'updatedAt')::timestamptz < $3::timestamptz
-                        RETURNING xmax;
-                    `;
-                    // xmax=0 si INSERT, >0 si UPDATE
-                    const { rows } = await client.query(query, [normalizedISBN, JSON.stringify(finalBookData), finalBookData.updatedAt]);
-                    
-                    if (rows.length > 0) {
-                        if (rows[0].xmax === 0) {
-                            importedCount++;
-                        } else {
-                            updatedCount++;
-                        }
-                    }
-                }
-            } finally {
-                client.release();
+            const result = await createApiKey(store, { user: owner, name, scopes, rateLimit });
+            if (!result.valid) {
+                return res.status(400).json({ error: result.error });
             }
 
-            const { rows: totalRows } = await db.query('SELECT COUNT(*) as total FROM books');
-
-            res.json({
-                success: true,
-                message: `Synchronisation réussie`,
-                imported: importedCount,
-                updated: updatedCount,
-                total: parseInt(totalRows[0].total, 10)
-            });
+            console.log(`🗝️ Clé d'API « ${result.apiKey.name} » créée pour ${owner.username} (par ${req.user.username})`);
+            res.status(201).json({ ...publicApiKey(result.apiKey), key: result.key });
         } catch (error) {
-            console.error('❌ Erreur importFromLocalStorage:', error);
-            res.status(500).json({ error: 'Erreur lors de l\'import' });
+            console.error('❌ Erreur createApiKey:', error);
+            res.status(500).json({ error: 'Erreur lors de la création de la clé d\'API' });
         }
     }
 
     /**
-     * Exporter les données vers localStorage
+     * Révoquer une clé d'API (administration)
      */
-    async exportToLocalStorage(req, res) {
+    async revokeApiKey(req, res) {
         try {
-            const { rows } = await db.query('SELECT isbn, data FROM books');
-            const books = rows.reduce((acc, row) => {
-                acc[row.isbn] = row.data;
-                return acc;
-            }, {});
+            const store = await this.getUserStore();
+            if (!(await store.revokeApiKey(req.params.id))) {
+                return res.status(404).json({ error: 'Clé d\'API non trouvée ou déjà révoquée' });
+            }
 
-            res.json({
-                success: true,
-                books: books,
-                total: rows.length,
-                timestamp: new Date().toISOString()
-            });
+            console.log(`🗝️ Clé d'API ${req.params.id} révoquée (par ${req.user.username})`);
+            res.status(204).send();
         } catch (error) {
-            console.error('❌ Erreur exportToLocalStorage:', error);
-            res.status(500).json({ error: 'Erreur lors de l\'export' });
+            console.error('❌ Erreur revokeApiKey:', error);
+            res.status(500).json({ error: 'Erreur lors de la révocation de la clé d\'API' });
         }
     }
 
-    errorHandler(error, req, res, next) {
-        console.error('❌ Erreur non gérée:', error);
-        
-        res.status(500).json({
+    /**
+     * Obtenir un livre par ISBN
+     * Le format suit `?format=` ou l'en-tête Accept : la fiche stockée (JSON, par défaut), JSON-LD
+     * schema.org, Dublin Core, MARCXML, BibTeX ou RIS ; tout autre type demandé reçoit 406.
+     */
+    async getBook(req, res) {
+        try {
+            const { isbn } = req.params;
+
+            // La réponse dépend de l'en-tête Accept : les caches doivent le prendre en compte
+            res.vary('Accept');
+            const format = negotiate(req);
+            if (!format) {
+                return res.status(406).json({
+                    error: 'Format non disponible pour ce livre',
+                    formats: supportedTypes()
+                });
+            }
+
+            const validation = this.validateISBN(isbn);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+
+            const result = await this.findBookByISBN(validation.isbn);
+
+            if (!result || !result.book) {
+                res.status(404).json({ error: `Livre avec l'ISBN ${isbn} non trouvé` });
+            } else if (format === 'json') {
+                this.sendBook(res, result.book);
+            } else {
+                const { types, render } = REPRESENTATIONS[format];
+                res.type(types[0]);
+                // L'adresse canonique est la page du livre, comme dans le JSON-LD de cette page
+                res.send(render(result.foundISBN, result.book, {
+                    url: `${req.protocol}://${req.get('host')}/book/${result.foundISBN}`,
+                    baseUrl: `${req.protocol}://${req.get('host')}`
+                }));
+            }
+        } catch (error) {
+            console.error('❌ Erreur getBook:', error);
+            res.status(500).json({ error: 'Erreur interne du serveur' });
+        }
+    }
+
+    /**
+     * Page d'un livre (/book/:isbn) : index.html complété des métadonnées de partage (Open Graph,
+     * Twitter, JSON-LD) et de la fiche stockée. Seule la base est consultée : un livre qu'elle ne
+     * connaît pas reçoit une page 404 où l'application lance la recherche habituelle.
+     */
+    async getBookPage(req, res) {
+        const indexPath = path.join(__dirname, 'public', 'index.html');
+        try {
+            const { isbn } = req.params;
+            const validation = this.validateISBN(isbn);
+            if (!validation.valid) {
+                return res.status(404).type('html').send(renderAppShell(await fs.readFile(indexPath, 'utf8')));
+            }
+
+            const result = await this.findBookByISBN(validation.isbn);
+            const pageISBN = result ? result.foundISBN : this.normalizeISBN(validation.isbn);
+
+            // Une seule adresse par livre : ISBN-10 et formes avec tirets renvoient vers l'ISBN enregistré
+            if (isbn !== pageISBN) {
+                return res.redirect(301, `/book/${encodeURIComponent(pageISBN)}`);
+            }
+
+            const template = await fs.readFile(indexPath, 'utf8');
+            const baseUrl = `${req.protocol}://${req.get('host')}`;
+            const book = result ? result.book : null;
+
+            res.status(book ? 200 : 404).type('html').send(renderBookPage(template, {
+                isbn: pageISBN,
+                book,
+                etag: book ? bookETag(book) : null,
+                url: `${baseUrl}/book/${pageISBN}`,
+                baseUrl
+            }));
+        } catch (error) {
+            console.error('❌ Erreur getBookPage:', error);
+            // L'application reste utilisable : elle relancera la recherche elle-même
+            try {
+                res.type('html').send(renderAppShell(await fs.readFile(indexPath, 'utf8')));
+            } catch (readError) {
+                res.status(500).json({ error: 'Erreur interne du serveur' });
+            }
+        }
+    }
+
+    /**
+     * Notice MARC d'un livre (`?format=marc21|marcxml|unimarc|unimarcxml`, MARC21 par défaut)
+     */
+    async getBookMarc(req, res) {
+        try {
+            const { isbn } = req.params;
+            const format = req.query.format || 'marc21';
+            if (!MARC_FORMATS[format]) {
+                return res.status(400).json({ error: `Format MARC inconnu (${Object.keys(MARC_FORMATS).join(', ')})` });
+            }
+
+            const validation = this.validateISBN(isbn);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+
+            const result = await this.findBookByISBN(validation.isbn);
+            if (!result) {
+                return res.status(404).json({ error: `Livre avec l'ISBN ${isbn} non trouvé` });
+            }
+
+            this.sendMarc(res, [{ isbn: result.foundISBN, book: result.book }], format, result.foundISBN);
+        } catch (error) {
+            console.error('❌ Erreur getBookMarc:', error);
+            res.status(500).json({ error: 'Erreur lors de l\'export MARC' });
+        }
+    }
+
+    /**
+     * Obtenir le produit ONIX 3.0 d'un livre
+     */
+    async getBookOnix(req, res) {
+        try {
+            const { isbn } = req.params;
+            const validation = this.validateISBN(isbn);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+
+            const result = await this.findBookByISBN(validation.isbn);
+            if (!result) {
+                return res.status(404).json({ error: `Livre avec l'ISBN ${isbn} non trouvé` });
+            }
+
+            this.sendOnix(req, res, [{ isbn: result.foundISBN, book: result.book }], result.foundISBN);
+        } catch (error) {
+            console.error('❌ Erreur getBookOnix:', error);
+            res.status(500).json({ error: 'Erreur lors de l\'export ONIX' });
+        }
+    }
+
+    /**
+     * Envoyer un message ONIX en pièce jointe
+     * Les couvertures stockées par le serveur ont des URL relatives : elles sont rendues absolues.
+     * @param {Array<{isbn: string, book: object}>} books
+     */
+    sendOnix(req, res, books, basename) {
+        res.set('Content-Type', 'application/xml; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${basename}.onix.xml"`);
+        res.send(toOnix(books, { sender: this.onixSender, baseUrl: `${req.protocol}://${req.get('host')}` }));
+    }
+
+    /**
+     * Envoyer des notices MARC en pièce jointe
+     * @param {Array<{isbn: string, book: object}>} books
+     */
+    sendMarc(res, books, format, basename) {
+        const { contentType, extension } = MARC_FORMATS[format];
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `attachment; filename="${basename}.${extension}"`);
+        res.send(serializeBooks(books, format));
+    }
+
+    /**
+     * Créer un nouveau livre
+     * Un livre déjà enregistré n'est remplacé qu'avec If-Match (version sur laquelle repose la fiche
+     * envoyée) : sans cet en-tête, la réponse est 409 avec la fiche actuelle ({ error, current } et son ETag).
+     */
+    async createBook(req, res) {
+        try {
+            const result = await this.saveBook(req.body, req.user, req.scopes, { ifMatch: req.get('If-Match') || null });
+
+            if (result.status === 'invalid') {
+                return res.status(400).json({ error: result.error });
+            }
+            if (result.status === 'exists') {
+                res.set('ETag', bookETag(result.current));
+                return res.status(409).json({
+                    error: 'Ce livre existe déjà : modifiez-le (PUT) ou renvoyez-le avec la version lue (If-Match)',
+                    current: result.current
+                });
+            }
+            if (result.status === 'conflict') {
+                return this.sendPreconditionFailed(res, result.current);
+            }
+            if (result.status === 'pending') {
+                return res.status(202).json({ status: 'pending', suggestion: result.suggestion });
+            }
+            if (result.status === 'unchanged') {
+                return res.json(result.book);
+            }
+            this.sendBook(res, result.book, result.status === 'created' ? 201 : 200);
+
+        } catch (error) {
+            console.error('❌ Erreur createBook:', error);
+            res.status(500).json({ error: 'Erreur lors de la création du livre' });
+        }
+    }
+
+    /**
+     * Enregistrer une fiche complète (création ou remplacement) : règles de POST /api/books,
+     * communes aux imports qui fusionnent leurs données (ONIX)
+     * Une fiche existante n'est remplacée que si elle est encore dans la version attendue ; une fiche
+     * qui demande une modération devient une suggestion.
+     * @param {object} [options]
+     * @param {string|null} [options.ifMatch] - En-tête If-Match de la requête
+     * @param {object|null} [options.expected] - Fiche lue avant de préparer les données (null : livre absent)
+     * @returns {Promise<{status: 'created'|'updated'|'pending'|'unchanged'|'invalid'|'exists'|'conflict',
+     *   book?: object, suggestion?: object, current?: object|null, error?: string}>}
+     *   `exists` : le livre existe et aucune version n'a été donnée ; `conflict` : il a changé depuis
+     */
+    async saveBook(bookData, user, scopes, { ifMatch = null, expected } = {}) {
+        if (!bookData || !bookData.isbn) {
+            return { status: 'invalid', error: 'Données du livre ou ISBN manquant' };
+        }
+
+        const validation = this.validateISBN(bookData.isbn);
+        if (!validation.valid) {
+            return { status: 'invalid', error: validation.error };
+        }
+        const normalizedISBN = this.normalizeISBN(validation.isbn);
+        const now = new Date().toISOString();
+        const existingBook = await this.repository.get(normalizedISBN);
+
+        if (existingBook && !ifMatch && expected === undefined) {
+            return { status: 'exists', current: existingBook };
+        }
+        const expectedETag = expected ? bookETag(expected) : null;
+        if ((ifMatch && !ifMatchSatisfied(ifMatch, existingBook))
+            || (expected !== undefined && expectedETag !== (existingBook ? bookETag(existingBook) : null))) {
+            return { status: 'conflict', current: existingBook };
+        }
+
+        // Une fiche remplacée garde son auteur et sa date de création
+        const finalBookData = this.merger.withProvenance(this.withAuthor({
+            ...bookData,
+            isbn: normalizedISBN,
+            source: bookData.source || 'user_created',
+            createdAt: existingBook ? (existingBook.createdAt || now) : now,
+            updatedAt: now
+        }, user, existingBook), bookData.source || 'user_created', now);
+
+        if (needsReview(existingBook, user, scopes, this.trustThreshold)) {
+            const suggestion = await this.recordSuggestion(normalizedISBN, existingBook, finalBookData, user);
+            return suggestion
+                ? { status: 'pending', suggestion }
+                : { status: 'unchanged', book: existingBook };
+        }
+
+        // Écriture conditionnelle : rien n'est écrasé si le livre a changé (ou a été créé) depuis la lecture
+        const savedBook = existingBook
+            ? await this.repository.update(normalizedISBN, finalBookData, existingBook)
+            : (await this.repository.insertIfAbsent(normalizedISBN, finalBookData) ? finalBookData : null);
+        if (!savedBook) {
+            return { status: 'conflict', current: await this.repository.get(normalizedISBN) };
+        }
+        await this.recordRevision(normalizedISBN, existingBook ? 'update' : 'create', existingBook, savedBook, user);
+
+        // Un livre recréé ne doit plus être considéré comme supprimé
+        await this.repository.clearTombstone(normalizedISBN);
+
+        return { status: existingBook ? 'updated' : 'created', book: savedBook };
+    }
+
+    /**
+     * Mettre à jour un livre
+     * Avec If-Match, la modification n'est appliquée que si le livre est encore dans cette version ;
+     * sinon la réponse est 412 avec la version actuelle ({ error, current } et son ETag).
+     */
+    async updateBook(req, res) {
+        try {
+            const { isbn } = req.params;
+            const bookData = req.body;
+
+            const validation = this.validateISBN(isbn);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+            const normalizedISBN = this.normalizeISBN(validation.isbn);
+
+            // 1. Récupérer les données existantes
+            const existingBook = await this.repository.get(normalizedISBN);
+
+            if (!existingBook) {
+                return res.status(404).json({ error: `Livre avec l'ISBN ${isbn} non trouvé` });
+            }
+
+            // 2. Refuser la modification d'une version dépassée (If-Match)
+            if (!this.checkIfMatch(req, res, existingBook)) return;
+
+            // 3. Appliquer la modification en notant la provenance des champs modifiés
+            const now = new Date().toISOString();
+            const updatedData = this.withAuthor({
+                ...this.merger.applyEdit(existingBook, bookData, 'user_edit', now),
+                updatedAt: now
+            }, req.user, existingBook);
+
+            // 4. Fiche d'un fournisseur ou d'un autre contributeur : proposer la modification aux modérateurs
+            if (needsReview(existingBook, req.user, req.scopes, this.trustThreshold)) {
+                return this.suggestEdit(res, normalizedISBN, existingBook, updatedData, req.user);
+            }
+
+            // 5. Mettre à jour dans la base (si elle n'a pas changé depuis la lecture, avec If-Match)
+            //    et garder la version précédente dans l'historique
+            const savedBook = await this.repository.update(normalizedISBN, updatedData, req.get('If-Match') ? existingBook : null);
+            if (!savedBook) {
+                return this.sendPreconditionFailed(res, await this.repository.get(normalizedISBN));
+            }
+            await this.recordRevision(normalizedISBN, 'update', existingBook, savedBook, req.user);
+
+            this.sendBook(res, savedBook);
+
+        } catch (error) {
+            console.error('❌ Erreur updateBook:', error);
+            res.status(500).json({ error: 'Erreur lors de la mise à jour du livre' });
+        }
+    }
+
+    /**
+     * Supprimer un livre (If-Match comme pour la mise à jour)
+     */
+    async deleteBook(req, res) {
+        try {
+            const { isbn } = req.params;
+            const validation = this.validateISBN(isbn);
+             if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+            const normalizedISBN = this.normalizeISBN(validation.isbn);
+
+            const existingBook = await this.repository.get(normalizedISBN);
+            if (existingBook && !this.checkIfMatch(req, res, existingBook)) return;
+
+            const deleted = await this.repository.delete(normalizedISBN, req.get('If-Match') ? existingBook : null);
+            if (!deleted && existingBook) {
+                return this.sendPreconditionFailed(res, await this.repository.get(normalizedISBN));
+            }
+
+            if (deleted) {
+                await this.recordRevision(normalizedISBN, 'delete', existingBook, null, req.user);
+                await this.repository.recordTombstone(normalizedISBN, new Date().toISOString());
+                await this.deleteCovers(normalizedISBN);
+                res.status(204).send(); // No content
+            } else {
+                res.status(404).json({ error: `Livre avec l'ISBN ${isbn} non trouvé` });
+            }
+        } catch (error) {
+            console.error('❌ Erreur deleteBook:', error);
+            res.status(500).json({ error: 'Erreur lors de la suppression du livre' });
+        }
+    }
+
+    /**
+     * Répondre avec un livre et sa version (ETag)
+     */
+    sendBook(res, book, status = 200) {
+        res.set('ETag', bookETag(book));
+        res.status(status).json(book);
+    }
+
+    /**
+     * Répondre 412 avec l'état actuel du livre (et sa version), pour que le client puisse fusionner
+     * @param {object|null} current - Fiche actuelle, ou null si elle a été supprimée entre-temps
+     */
+    sendPreconditionFailed(res, current) {
+        if (current) {
+            res.set('ETag', bookETag(current));
+        }
+        res.status(412).json({
+            error: current
+                ? 'Ce livre a été modifié depuis votre lecture : fusionnez vos changements avec la version actuelle'
+                : 'Ce livre a été supprimé depuis votre lecture',
+            current
+        });
+    }
+
+    /**
+     * Vérifier l'en-tête If-Match (version sur laquelle le client a travaillé)
+     * @returns {boolean} false si la réponse 412 a été envoyée
+     */
+    checkIfMatch(req, res, book) {
+        if (ifMatchSatisfied(req.get('If-Match'), book)) return true;
+
+        this.sendPreconditionFailed(res, book);
+        return false;
+    }
+
+    /**
+     * Enregistrer une modification comme suggestion en attente de modération (réponse 202)
+     * La réponse porte la fiche inchangée (`current` et son ETag) : le client la garde jusqu'à la décision.
+     */
+    async suggestEdit(res, isbn, existingBook, proposedBook, user) {
+        const suggestion = await this.recordSuggestion(isbn, existingBook, proposedBook, user);
+        if (!suggestion) {
+            return res.json(existingBook);
+        }
+        res.status(202).set('ETag', bookETag(existingBook)).json({ status: 'pending', suggestion, current: existingBook });
+    }
+
+    /**
+     * Enregistrer une suggestion en attente de modération
+     * Un contributeur n'a qu'une suggestion en attente par livre : une nouvelle proposition la remplace.
+     * @returns {Promise<object|null>} La suggestion, ou null si la proposition ne change aucun champ
+     */
+    async recordSuggestion(isbn, existingBook, proposedBook, user) {
+        const suggestion = buildSuggestion(isbn, existingBook, proposedBook, user);
+        if (!suggestion) return null;
+
+        const [pending] = await this.repository.listSuggestions({ status: 'pending', isbn, author: user.username });
+        let saved = suggestion;
+        if (pending) {
+            saved = { ...pending, changes: suggestion.changes, updatedAt: suggestion.createdAt };
+            await this.repository.updateSuggestion(saved);
+        } else {
+            await this.repository.createSuggestion(saved);
+        }
+
+        console.log(`📝 Suggestion de ${user.username} pour ${isbn} en attente de modération`);
+        return saved;
+    }
+
+    /**
+     * Lister les suggestions (en attente par défaut, les plus anciennes d'abord)
+     * Les modérateurs voient toutes les suggestions, les contributeurs seulement les leurs.
+     * Chaque suggestion donne la valeur actuelle des champs (`current`) et ceux modifiés depuis (`conflicts`).
+     */
+    async listSuggestions(req, res) {
+        try {
+            const { status = 'pending', isbn } = req.query;
+            if (status !== 'all' && !SUGGESTION_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `Statut inconnu : ${status} (attendu : ${SUGGESTION_STATUSES.join(', ')}, all)` });
+            }
+
+            const filters = { status: status === 'all' ? null : status };
+            if (isbn) {
+                const validation = this.validateISBN(isbn);
+                if (!validation.valid) {
+                    return res.status(400).json({ error: validation.error });
+                }
+                filters.isbn = this.normalizeISBN(validation.isbn);
+            }
+            if (!req.scopes.includes('books:moderate')) {
+                filters.author = req.user.username;
+            }
+
+            const suggestions = await this.repository.listSuggestions(filters);
+            const views = [];
+            for (const suggestion of suggestions) {
+                views.push(reviewView(suggestion, await this.repository.get(suggestion.isbn)));
+            }
+            res.json({ suggestions: views, total: views.length });
+        } catch (error) {
+            console.error('❌ Erreur listSuggestions:', error);
+            res.status(500).json({ error: 'Erreur lors de la lecture des suggestions' });
+        }
+    }
+
+    /**
+     * Obtenir une suggestion (les contributeurs n'ont accès qu'aux leurs)
+     */
+    async getSuggestion(req, res) {
+        try {
+            const suggestion = await this.repository.getSuggestion(req.params.id);
+            if (!suggestion || (!req.scopes.includes('books:moderate') && suggestion.author !== req.user.username)) {
+                return res.status(404).json({ error: 'Suggestion non trouvée' });
+            }
+
+            res.json(reviewView(suggestion, await this.repository.get(suggestion.isbn)));
+        } catch (error) {
+            console.error('❌ Erreur getSuggestion:', error);
+            res.status(500).json({ error: 'Erreur lors de la lecture de la suggestion' });
+        }
+    }
+
+    /**
+     * Lire une suggestion encore en attente, ou répondre 404 / 409
+     */
+    async findPendingSuggestion(req, res) {
+        const suggestion = await this.repository.getSuggestion(req.params.id);
+        if (!suggestion) {
+            res.status(404).json({ error: 'Suggestion non trouvée' });
+            return null;
+        }
+        if (suggestion.status !== 'pending') {
+            res.status(409).json({ error: `Suggestion déjà ${suggestion.status === 'accepted' ? 'acceptée' : 'refusée'} par ${suggestion.reviewedBy}` });
+            return null;
+        }
+        return suggestion;
+    }
+
+    /**
+     * Compter une suggestion acceptée ou refusée dans la confiance de son auteur
+     * @param {'acceptedSuggestions'|'rejectedSuggestions'} counter
+     */
+    async countReview(suggestion, counter) {
+        const store = await this.getUserStore();
+        const author = await store.getUser(suggestion.authorId);
+        if (!author) return; // Compte supprimé depuis
+
+        await store.updateUser({ ...author, [counter]: (author[counter] || 0) + 1 });
+    }
+
+    /**
+     * Accepter une suggestion, telle quelle ou retouchée
+     * Corps : { values?: { champ: valeur }, comment? } ; `values` remplace les valeurs proposées.
+     * La modification est attribuée à l'auteur de la suggestion, le modérateur est noté dans l'historique.
+     */
+    async acceptSuggestion(req, res) {
+        try {
+            const suggestion = await this.findPendingSuggestion(req, res);
+            if (!suggestion) return;
+
+            const { values, comment } = req.body || {};
+            const result = acceptedValues(suggestion, values);
+            if (!result.valid) {
+                return res.status(400).json({ error: result.error });
+            }
+
+            const existingBook = await this.repository.get(suggestion.isbn);
+            if (!existingBook) {
+                return res.status(409).json({ error: 'Le livre a été supprimé depuis la suggestion : refusez-la' });
+            }
+
+            const now = new Date().toISOString();
+            const author = { username: suggestion.author };
+            const updatedData = this.withAuthor({
+                ...this.merger.applyEdit(existingBook, result.values, 'user_edit', now),
+                updatedAt: now
+            }, author, existingBook);
+
+            const savedBook = await this.repository.update(suggestion.isbn, updatedData);
+            await this.recordRevision(suggestion.isbn, 'update', existingBook, savedBook, author, { reviewedBy: req.user.username });
+
+            const reviewed = {
+                ...suggestion,
+                status: 'accepted',
+                updatedAt: now,
+                reviewedBy: req.user.username,
+                reviewedAt: now,
+                comment: comment ? String(comment).slice(0, 500) : null,
+                ...(values && Object.keys(values).length > 0 ? { appliedValues: result.values } : {})
+            };
+            await this.repository.updateSuggestion(reviewed);
+            await this.countReview(suggestion, 'acceptedSuggestions');
+
+            console.log(`✅ Suggestion ${suggestion.id} de ${suggestion.author} acceptée (par ${req.user.username})`);
+            res.json({ suggestion: reviewed, book: savedBook });
+        } catch (error) {
+            console.error('❌ Erreur acceptSuggestion:', error);
+            res.status(500).json({ error: 'Erreur lors de l\'acceptation de la suggestion' });
+        }
+    }
+
+    /**
+     * Refuser une suggestion (corps : { comment? }, le motif est montré à son auteur)
+     */
+    async rejectSuggestion(req, res) {
+        try {
+            const suggestion = await this.findPendingSuggestion(req, res);
+            if (!suggestion) return;
+
+            const { comment } = req.body || {};
+            const now = new Date().toISOString();
+            const reviewed = {
+                ...suggestion,
+                status: 'rejected',
+                updatedAt: now,
+                reviewedBy: req.user.username,
+                reviewedAt: now,
+                comment: comment ? String(comment).slice(0, 500) : null
+            };
+            await this.repository.updateSuggestion(reviewed);
+            await this.countReview(suggestion, 'rejectedSuggestions');
+
+            console.log(`🚫 Suggestion ${suggestion.id} de ${suggestion.author} refusée (par ${req.user.username})`);
+            res.json({ suggestion: reviewed });
+        } catch (error) {
+            console.error('❌ Erreur rejectSuggestion:', error);
+            res.status(500).json({ error: 'Erreur lors du refus de la suggestion' });
+        }
+    }
+
+    /**
+     * Ajouter une révision à l'historique d'un livre (rien si la modification ne change aucun champ)
+     * @param {object|null} user - Auteur de la modification (null pour un enregistrement automatique)
+     */
+    async recordRevision(isbn, action, before, after, user = null, options = {}) {
+        const revision = buildRevision(action, before, after, { ...options, author: user ? user.username : null });
+        if (revision) {
+            await this.repository.appendRevision(isbn, revision);
+        }
+    }
+
+    /**
+     * Historique d'un livre, de la révision la plus récente à la plus ancienne
+     * Chaque révision donne son auteur, sa date et les champs modifiés ({ from, to }).
+     */
+    async getBookHistory(req, res) {
+        try {
+            const { isbn } = req.params;
+            const validation = this.validateISBN(isbn);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+            const normalizedISBN = this.normalizeISBN(validation.isbn);
+
+            const revisions = await this.repository.listRevisions(normalizedISBN);
+            if (revisions.length === 0 && !(await this.repository.get(normalizedISBN))) {
+                return res.status(404).json({ error: `Livre avec l'ISBN ${isbn} non trouvé` });
+            }
+
+            res.json({
+                isbn: normalizedISBN,
+                revisions: revisions.map(publicRevision).reverse()
+            });
+        } catch (error) {
+            console.error('❌ Erreur getBookHistory:', error);
+            res.status(500).json({ error: 'Erreur lors de la lecture de l\'historique' });
+        }
+    }
+
+    /**
+     * Revenir à l'état d'un livre après une révision
+     * La restauration est elle-même une nouvelle révision : l'historique n'est jamais réécrit.
+     * Un livre supprimé depuis est recréé. Comme une modification, elle peut demander une modération (202)
+     * et respecte If-Match (412 avec la version actuelle).
+     */
+    async revertBook(req, res) {
+        try {
+            const { isbn } = req.params;
+            const validation = this.validateISBN(isbn);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+            const normalizedISBN = this.normalizeISBN(validation.isbn);
+
+            const rev = Number(req.params.rev);
+            const revision = Number.isInteger(rev) ? await this.repository.getRevision(normalizedISBN, rev) : null;
+            if (!revision) {
+                return res.status(404).json({ error: `Révision ${req.params.rev} non trouvée pour l'ISBN ${isbn}` });
+            }
+            if (!revision.snapshot) {
+                return res.status(400).json({ error: 'Cette révision est une suppression : choisissez une révision antérieure' });
+            }
+
+            const existingBook = await this.repository.get(normalizedISBN);
+
+            // Refuser la restauration d'une version dépassée (If-Match)
+            if (!this.checkIfMatch(req, res, existingBook)) return;
+
+            const now = new Date().toISOString();
+            const restoredBook = this.withAuthor({
+                ...revision.snapshot,
+                isbn: normalizedISBN,
+                updatedAt: now
+            }, req.user, existingBook || revision.snapshot);
+
+            // Fiche d'un fournisseur ou d'un autre contributeur : la restauration passe par la modération
+            if (needsReview(existingBook, req.user, req.scopes, this.trustThreshold)) {
+                return this.suggestEdit(res, normalizedISBN, existingBook, restoredBook, req.user);
+            }
+
+            // Rien n'est écrasé si le livre a changé (ou a été recréé) depuis la lecture
+            const savedBook = existingBook
+                ? await this.repository.update(normalizedISBN, restoredBook, existingBook)
+                : (await this.repository.insertIfAbsent(normalizedISBN, restoredBook) ? restoredBook : null);
+            if (!savedBook) {
+                return this.sendPreconditionFailed(res, await this.repository.get(normalizedISBN));
+            }
+            await this.recordRevision(normalizedISBN, 'revert', existingBook, savedBook, req.user, { revertedTo: rev });
+            await this.repository.clearTombstone(normalizedISBN);
+
+            console.log(`⏪ ${normalizedISBN} restauré à la révision ${rev} (par ${req.user.username})`);
+            this.sendBook(res, savedBook);
+        } catch (error) {
+            console.error('❌ Erreur revertBook:', error);
+            res.status(500).json({ error: 'Erreur lors de la restauration du livre' });
+        }
+    }
+
+    /**
+     * Rechercher et parcourir les livres (par titre, auteur, etc.)
+     * Recherche plein texte classée par pertinence ; chaque résultat porte son `score`
+     * et des extraits (`highlights`) où les mots trouvés sont entourés de <mark>.
+     * Filtres : language, category, publisher, source (plusieurs valeurs séparées par des virgules),
+     * yearFrom, yearTo, hasCover, hasDescription. La réponse donne le nombre total de résultats,
+     * les facettes (valeurs et nombres de livres) et le curseur de la page suivante.
+     */
+    async searchBooks(req, res) {
+        try {
+            const { q } = req.query;
+            const query = parseCatalogQuery(req.query);
+            if (!query.valid) {
+                return res.status(400).json({ error: query.error });
+            }
+
+            // Sans requête, le stockage renvoie les derniers livres ajoutés
+            const { items, total, facets, nextCursor } = await this.repository.search({
+                q,
+                filters: query.filters,
+                limit: query.limit,
+                offset: query.offset,
+                cursor: query.cursor
+            });
+
+            const queryGroups = q ? analyzeQuery(q) : null;
+            res.json({
+                items: queryGroups
+                    ? items.map(book => ({ ...book, highlights: highlightBook(book, queryGroups) }))
+                    : items,
+                total,
+                limit: query.limit,
+                nextCursor,
+                facets
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur searchBooks:', error);
+            res.status(500).json({ error: 'Erreur lors de la recherche de livres' });
+        }
+    }
+
+    /**
+     * Obtenir des statistiques sur la base de données
+     */
+    async getStats(req, res) {
+        try {
+            const total = await this.repository.count();
+            
+            // On pourrait ajouter d'autres stats ici (derniers ajouts, etc.)
+            res.json({
+                totalBooks: total,
+                // On peut mettre une date statique pour la source initiale
+                initialDataSource: 'data/books.json', 
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur getStats:', error);
+            res.status(500).json({ error: 'Erreur interne du serveur' });
+        }
+    }
+
+    /**
+     * Stockage des couvertures, initialisé à la première utilisation
+     */
+    getCoverStore() {
+        if (!this.coverStoreReady) {
+            this.coverStoreReady = this.coverStore.init()
+                .then(() => this.coverStore)
+                .catch(error => {
+                    this.coverStoreReady = null;
+                    throw error;
+                });
+        }
+        return this.coverStoreReady;
+    }
+
+    /**
+     * Clé d'une taille de couverture dans le stockage
+     */
+    coverKey(isbn, size, version = null) {
+        return version ? `${isbn}/${version}/${size}.jpg` : `${isbn}/${size}.jpg`;
+    }
+
+    /**
+     * Lire l'image envoyée : corps binaire (image/*) ou data URL `coverData` dans du JSON
+     * @returns {Buffer|null}
+     */
+    readCoverUpload(req) {
+        if (Buffer.isBuffer(req.body)) {
+            return req.body;
+        }
+
+        const coverData = req.body && req.body.coverData;
+        const match = typeof coverData === 'string' && /^data:image\/[\w.+-]+;base64,(.+)$/s.exec(coverData);
+        return match ? Buffer.from(match[1], 'base64') : null;
+    }
+
+    /**
+     * Upload de couverture
+     * L'image est validée, déclinée en miniature et grand format, puis enregistrée
+     * dans le stockage des couvertures ; le livre ne garde que les URL.
+     * Sur une fiche soumise à la modération, l'image est rangée sous sa version (`v`) et le changement
+     * devient une suggestion (202, fiche inchangée dans `current`) : la couverture actuelle reste servie.
+     * Avec If-Match, la couverture n'est enregistrée que si le livre est encore dans cette version (sinon 412).
+     */
+    async uploadCover(req, res) {
+        try {
+            const { isbn } = req.params;
+            const validation = this.validateISBN(isbn);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+            const normalizedISBN = this.normalizeISBN(validation.isbn);
+
+            const buffer = this.readCoverUpload(req);
+            if (!buffer) {
+                return res.status(400).json({ error: 'Données de couverture requises (image ou data URL)' });
+            }
+
+            const imageValidation = await validateCover(buffer);
+            if (!imageValidation.valid) {
+                return res.status(400).json({ error: imageValidation.error });
+            }
+
+            const existingBook = await this.repository.get(normalizedISBN);
+            if (!this.checkIfMatch(req, res, existingBook)) return;
+            const review = existingBook && needsReview(existingBook, req.user, req.scopes, this.trustThreshold);
+
+            const { hash, sizes } = await resizeCover(buffer);
+            const store = await this.getCoverStore();
+            for (const [size, body] of Object.entries(sizes)) {
+                await store.put(this.coverKey(normalizedISBN, size, review ? hash : null), body, 'image/jpeg');
+            }
+
+            // Le paramètre `v` change avec l'image : les URL peuvent être mises en cache indéfiniment
+            const imageLinks = Object.fromEntries(Object.keys(sizes).map(size => [
+                size,
+                `/api/books/${normalizedISBN}/cover?size=${size}&v=${hash}`
+            ]));
+
+            // Un livre connu seulement du navigateur recevra les URL à la prochaine synchronisation
+            let book = null;
+            if (existingBook) {
+                const now = new Date().toISOString();
+                const updatedData = this.withAuthor({
+                    ...this.merger.applyEdit(existingBook, {
+                        imageLinks: { ...(existingBook.imageLinks || {}), ...imageLinks },
+                        coverSource: 'user_uploaded'
+                    }, 'user_uploaded', now),
+                    updatedAt: now
+                }, req.user, existingBook);
+
+                if (review) {
+                    const suggestion = await this.recordSuggestion(normalizedISBN, existingBook, updatedData, req.user);
+                    if (suggestion) {
+                        console.log(`🖼️ Couverture proposée aux modérateurs pour ${normalizedISBN} (${buffer.length} octets)`);
+                        return res.status(202).set('ETag', bookETag(existingBook)).json({
+                            status: 'pending',
+                            suggestion,
+                            current: existingBook,
+                            isbn: normalizedISBN,
+                            imageLinks
+                        });
+                    }
+                    // Même image que la couverture actuelle : rien à proposer
+                    book = existingBook;
+                } else {
+                    // Livre modifié entre la lecture et l'écriture : 412 avec la version actuelle
+                    book = await this.repository.update(normalizedISBN, updatedData, existingBook);
+                    if (!book) {
+                        return this.sendPreconditionFailed(res, await this.repository.get(normalizedISBN));
+                    }
+                    await this.recordRevision(normalizedISBN, 'update', existingBook, book, req.user);
+                }
+            }
+
+            console.log(`🖼️ Couverture enregistrée pour ${normalizedISBN} (${buffer.length} octets)`);
+            if (book) {
+                res.set('ETag', bookETag(book));
+            }
+            res.status(201).json({
+                success: true,
+                isbn: normalizedISBN,
+                imageLinks,
+                book
+            });
+        } catch (error) {
+            console.error('❌ Erreur uploadCover:', error);
+            res.status(500).json({ error: 'Erreur lors de l\'enregistrement de la couverture' });
+        }
+    }
+
+    /**
+     * Servir une couverture enregistrée
+     * `size` : thumbnail (défaut) ou large. Les URL versionnées (`v`) sont immuables.
+     */
+    async getCover(req, res) {
+        try {
+            const { isbn } = req.params;
+            const size = req.query.size || 'thumbnail';
+
+            const validation = this.validateISBN(isbn);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+            if (!COVER_SIZES[size]) {
+                return res.status(400).json({ error: `Taille inconnue : ${size} (${Object.keys(COVER_SIZES).join(', ')})` });
+            }
+            const normalizedISBN = this.normalizeISBN(validation.isbn);
+
+            // Couverture passée par la modération : rangée sous sa version
+            const version = /^[0-9a-f]{16}$/.test(req.query.v || '') ? req.query.v : null;
+            const store = await this.getCoverStore();
+            const cover = (version && await store.get(this.coverKey(normalizedISBN, size, version)))
+                || await store.get(this.coverKey(normalizedISBN, size));
+            if (!cover) {
+                return res.status(404).json({ error: `Aucune couverture pour l'ISBN ${isbn}` });
+            }
+
+            const etag = `"${crypto.createHash('sha1').update(cover.body).digest('hex')}"`;
+            res.set({
+                'Content-Type': cover.contentType || 'image/jpeg',
+                'ETag': etag,
+                'Last-Modified': new Date(cover.lastModified).toUTCString(),
+                'Cache-Control': req.query.v
+                    ? 'public, max-age=31536000, immutable'
+                    : 'public, max-age=300, must-revalidate'
+            });
+
+            if (req.fresh) {
+                return res.status(304).end();
+            }
+            res.send(cover.body);
+        } catch (error) {
+            console.error('❌ Erreur getCover:', error);
+            res.status(500).json({ error: 'Erreur lors de la lecture de la couverture' });
+        }
+    }
+
+    /**
+     * Supprimer les couvertures d'un livre (un échec n'empêche pas la suppression du livre)
+     */
+    async deleteCovers(isbn) {
+        try {
+            const store = await this.getCoverStore();
+            await store.deletePrefix(`${isbn}/`);
+        } catch (error) {
+            console.warn(`⚠️ Couvertures de ${isbn} non supprimées:`, error.message);
+        }
+    }
+
+    /**
+     * Servir les données de langue Tesseract embarquées (eng, fra)
+     * Le client les demande sous la forme `<langue>.traineddata.gz`.
+     */
+    serveTrainedData(req, res) {
+        const match = /^(eng|fra)\.traineddata\.gz$/.exec(req.params.file);
+        if (!match) {
+            return res.status(404).json({ error: 'Données de langue non disponibles' });
+        }
+
+        const [, lang] = match;
+        const packageDir = path.dirname(require.resolve(`@tesseract.js-data/${lang}/package.json`));
+        res.sendFile(path.join(packageDir, '4.0.0_best_int', `${lang}.traineddata.gz`), { maxAge: '30d' });
+    }
+
+    /**
+     * Rechercher via l'API Google Books
+     */
+    async searchGoogleBooks(req, res) {
+        try {
+            const { isbn } = req.params;
+            const validation = this.validateISBN(isbn);
+
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error, source: 'validation' });
+            }
+
+            console.log(`📡 Recherche Google Books pour ISBN: ${validation.isbn}`);
+
+            // Vérifier d'abord si le livre existe déjà dans notre base
+            const existing = await this.findBookByISBN(validation.isbn);
+            if (existing) {
+                console.log(`📚 Livre déjà en base sous ISBN ${existing.foundISBN}`);
+                return res.json({
+                    success: true,
+                    items: [{
+                        volumeInfo: existing.book
+                    }],
+                    source: 'local_database'
+                });
+            }
+
+            // Appel à l'API Google Books
+            const data = await this.providers.get('google').fetchVolumes(validation.isbn);
+
+            if (data.items && data.items.length > 0) {
+                // Sauvegarder automatiquement avec l'ISBN normalisé
+                const bookInfo = data.items[0].volumeInfo;
+                const normalizedISBN = this.normalizeISBN(validation.isbn);
+                
+                const bookToSave = {
+                    ...bookInfo,
+                    isbn: normalizedISBN,
+                    source: 'google_api',
+                    createdAt: new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                };
+
+                if (await this.repository.insertIfAbsent(normalizedISBN, bookToSave)) {
+                    await this.recordRevision(normalizedISBN, 'create', null, bookToSave);
+                }
+
+                console.log(`✅ Livre trouvé et sauvegardé via Google API: ${bookInfo.title} (${normalizedISBN})`);
+
+                res.json({
+                    success: true,
+                    items: data.items,
+                    source: 'google_api_server'
+                });
+            } else {
+                res.status(404).json({
+                    success: false,
+                    error: 'Livre non trouvé dans l\'API Google Books'
+                });
+            }
+        } catch (error) {
+            console.error('❌ Erreur searchGoogleBooks:', error);
+            res.status(500).json({ 
+                error: 'Erreur lors de la recherche Google Books',
+                details: error.message 
+            });
+        }
+    }
+
+    /**
+     * Résoudre un ISBN : base locale d'abord, puis tous les fournisseurs dont les réponses
+     * sont fusionnées champ par champ (voir MetadataMerger). Un livre trouvé est enregistré.
+     * @param {string} isbn - ISBN saisi
+     * @param {object} [options]
+     * @param {string[]} [options.providers] - Restreindre à certains fournisseurs
+     * @returns {Promise<object>} Résultat avec `status` : found_cache, found_remote, invalid,
+     *          not_found ou error (tous les fournisseurs ont échoué)
+     */
+    async resolveISBN(isbn, { providers } = {}) {
+        const validation = this.validateISBN(isbn);
+        if (!validation.valid) {
+            return { status: 'invalid', error: validation.error };
+        }
+
+        const existing = await this.findBookByISBN(validation.isbn);
+        if (existing) {
+            console.log(`📚 Livre déjà en base sous ISBN ${existing.foundISBN}`);
+            return { status: 'found_cache', isbn: existing.foundISBN, book: existing.book, source: 'local_database' };
+        }
+
+        const normalizedISBN = this.normalizeISBN(validation.isbn);
+        const { results, attempts } = await this.providers.lookupAll(validation.isbn, { providers });
+
+        if (results.length === 0) {
+            const failed = attempts.length > 0 && attempts.every(attempt => attempt.status === 'error');
+            return { status: failed ? 'error' : 'not_found', isbn: normalizedISBN, attempts };
+        }
+
+        // Chaque champ est pris chez la source la plus fiable et la plus complète
+        const now = new Date().toISOString();
+        const merged = this.merger.mergeAll(results.map(({ provider, book }) => ({
+            source: provider.source,
+            data: book,
+            at: now
+        })));
+
+        // La source principale est celle qui a fourni le titre
+        const primarySource = merged.provenance.title.source;
+        const primary = results.find(({ provider }) => provider.source === primarySource).provider;
+
+        const bookToSave = {
+            ...merged,
+            isbn: normalizedISBN,
+            source: primary.source,
+            createdAt: now,
+            updatedAt: now
+        };
+        if (await this.repository.insertIfAbsent(normalizedISBN, bookToSave)) {
+            await this.recordRevision(normalizedISBN, 'create', null, bookToSave);
+        }
+
+        console.log(`✅ Livre trouvé et sauvegardé via ${results.map(({ provider }) => provider.label).join(', ')}: ${bookToSave.title} (${normalizedISBN})`);
+
+        return {
+            status: 'found_remote',
+            isbn: normalizedISBN,
+            book: bookToSave,
+            source: primary.source,
+            provider: primary.name,
+            attempts
+        };
+    }
+
+    /**
+     * Lire la liste de fournisseurs demandée ("bnf,sudoc" ou tableau)
+     */
+    parseProviderList(value) {
+        if (!value) return undefined;
+        const names = Array.isArray(value) ? value : String(value).split(',');
+        return names.map(name => String(name).trim()).filter(Boolean);
+    }
+
+    /**
+     * Rechercher les métadonnées d'un livre auprès de tous les fournisseurs configurés
+     * `?providers=bnf,sudoc` restreint la recherche à certains fournisseurs.
+     */
+    async lookupMetadata(req, res) {
+        try {
+            const result = await this.resolveISBN(req.params.isbn, {
+                providers: this.parseProviderList(req.query.providers)
+            });
+
+            switch (result.status) {
+                case 'invalid':
+                    return res.status(400).json({ error: result.error, source: 'validation' });
+                case 'found_cache':
+                    return res.json({
+                        success: true,
+                        items: [{ volumeInfo: result.book }],
+                        source: result.source
+                    });
+                case 'found_remote':
+                    return res.json({
+                        success: true,
+                        items: [{ volumeInfo: result.book }],
+                        source: result.source,
+                        provider: result.provider,
+                        attempts: result.attempts
+                    });
+                default:
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Livre non trouvé chez les fournisseurs de métadonnées',
+                        attempts: result.attempts
+                    });
+            }
+        } catch (error) {
+            console.error('❌ Erreur lookupMetadata:', error);
+            res.status(500).json({
+                error: 'Erreur lors de la recherche de métadonnées',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Rechercher un lot d'ISBN (catalogage de cartons de dons...)
+     * Corps : { isbns: [...] | "texte avec un ISBN par ligne", providers?: [...] }
+     * Les ISBN sont résolus en parallèle, avec au plus `BATCH_LOOKUP_CONCURRENCY` recherches simultanées.
+     * Chaque ISBN saisi reçoit un statut ; les doublons ne sont recherchés qu'une fois.
+     */
+    async batchLookup(req, res) {
+        try {
+            const { isbns, providers } = req.body || {};
+            const inputs = (Array.isArray(isbns) ? isbns : String(isbns || '').split(/[\r\n,;\t]+/))
+                .map(value => String(value).trim())
+                .filter(Boolean);
+
+            if (inputs.length === 0) {
+                return res.status(400).json({ error: 'Liste d\'ISBN manquante (isbns)' });
+            }
+            if (inputs.length > this.batchLookupMax) {
+                return res.status(413).json({
+                    error: `Trop d'ISBN dans le lot (${inputs.length}, maximum ${this.batchLookupMax})`
+                });
+            }
+
+            const providerList = this.parseProviderList(providers);
+
+            // Un même livre peut être saisi sous plusieurs formes (ISBN-10, ISBN-13, tirets...)
+            const pending = new Map();
+            const resolve = (input) => {
+                const key = this.validateISBN(input).valid ? this.normalizeISBN(input) : input;
+                if (!pending.has(key)) {
+                    pending.set(key, this.resolveISBN(input, { providers: providerList }).catch(error => {
+                        console.error(`❌ Erreur batchLookup pour ${input}:`, error);
+                        return { status: 'error', error: error.message };
+                    }));
+                }
+                return pending.get(key);
+            };
+
+            const results = await mapWithConcurrency(inputs, this.batchLookupConcurrency, async (input) => ({
+                input,
+                ...(await resolve(input))
+            }));
+
+            const summary = { found_cache: 0, found_remote: 0, invalid: 0, not_found: 0, error: 0 };
+            results.forEach(result => { summary[result.status]++; });
+
+            console.log(`📦 Lot de ${inputs.length} ISBN traité:`, summary);
+
+            res.json({
+                success: true,
+                total: results.length,
+                summary,
+                results
+            });
+        } catch (error) {
+            console.error('❌ Erreur batchLookup:', error);
+            res.status(500).json({
+                error: 'Erreur lors de la recherche par lot',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Importer des données depuis localStorage
+     * Le client envoie ses livres modifiés (`books`) et ses suppressions (`deleted`: { isbn: date }).
+     * Chaque enregistrement est arbitré par sa date de mise à jour : la version la plus récente gagne.
+     * La réponse donne la nouvelle version (ETag) des livres enregistrés, et dans `invalid`
+     * les entrées ignorées (ISBN invalide, fiche qui n'est pas un objet, date illisible).
+     */
+    async importFromLocalStorage(req, res) {
+        try {
+            const { books, deleted = {} } = req.body;
+
+            if (!books || typeof books !== 'object' || !deleted || typeof deleted !== 'object') {
+                return res.status(400).json({ error: 'Données de livres invalides' });
+            }
+
+            let importedCount = 0;
+            let updatedCount = 0;
+            let deletedCount = 0;
+            const rejected = [];
+            const invalid = [];
+            const versions = {};
+
+            for (const [isbn, bookData] of Object.entries(books)) {
+                const validation = this.validateISBN(isbn);
+                if (!validation.valid) {
+                    console.log(`⚠️ ISBN invalide ignoré: ${isbn}`);
+                    invalid.push(isbn);
+                    continue;
+                }
+                if (!bookData || typeof bookData !== 'object' || Array.isArray(bookData)) {
+                    console.log(`⚠️ Fiche invalide ignorée: ${isbn}`);
+                    invalid.push(isbn);
+                    continue;
+                }
+
+                const normalizedISBN = this.normalizeISBN(validation.isbn);
+                
+                // On conserve la date de modification du client pour pouvoir arbitrer les conflits
+                const updatedAt = bookData.updatedAt || bookData.lastUpdated || new Date().toISOString();
+                if (isNaN(Date.parse(updatedAt))) {
+                    console.log(`⚠️ Date de modification invalide ignorée: ${isbn}`);
+                    invalid.push(isbn);
+                    continue;
+                }
+                const existingBook = await this.repository.get(normalizedISBN);
+                const finalBookData = this.withAuthor({
+                    ...bookData,
+                    isbn: normalizedISBN,
+                    createdAt: bookData.createdAt || updatedAt,
+                    updatedAt
+                }, req.user, existingBook);
+
+                // Une suppression plus récente que la modification l'emporte
+                const deletedAt = await this.repository.getTombstone(normalizedISBN);
+                if (deletedAt && new Date(deletedAt) >= new Date(updatedAt)) {
+                    rejected.push(normalizedISBN);
+                    continue;
+                }
+
+                const outcome = await this.repository.upsertIfNewer(normalizedISBN, finalBookData);
+                
+                if (outcome) {
+                    await this.recordRevision(normalizedISBN, outcome === 'inserted' ? 'create' : 'update',
+                        existingBook, finalBookData, req.user);
+                    versions[normalizedISBN] = bookETag(await this.repository.get(normalizedISBN));
+                    if (outcome === 'inserted') {
+                        importedCount++;
+                    } else {
+                        updatedCount++;
+                    }
+                    await this.repository.clearTombstone(normalizedISBN);
+                } else {
+                    // La version du serveur est plus récente : le client la récupérera au prochain export
+                    rejected.push(normalizedISBN);
+                }
+            }
+
+            for (const [isbn, deletedAt] of Object.entries(deleted)) {
+                const validation = this.validateISBN(isbn);
+                if (!validation.valid || isNaN(Date.parse(deletedAt))) {
+                    console.log(`⚠️ Suppression invalide ignorée: ${isbn}`);
+                    invalid.push(isbn);
+                    continue;
+                }
+
+                const normalizedISBN = this.normalizeISBN(validation.isbn);
+
+                // Ne supprimer que si le livre n'a pas été modifié après la suppression
+                const existingBook = await this.repository.get(normalizedISBN);
+                if (await this.repository.deleteIfNotNewer(normalizedISBN, deletedAt)) {
+                    await this.recordRevision(normalizedISBN, 'delete', existingBook, null, req.user);
+                    deletedCount++;
+                }
+
+                await this.repository.recordTombstone(normalizedISBN, deletedAt);
+            }
+
+            const total = await this.repository.count();
+
+            res.json({
+                success: true,
+                message: `Synchronisation réussie`,
+                imported: importedCount,
+                updated: updatedCount,
+                deleted: deletedCount,
+                rejected,
+                invalid,
+                versions,
+                total
+            });
+        } catch (error) {
+            console.error('❌ Erreur importFromLocalStorage:', error);
+            res.status(500).json({ error: 'Erreur lors de l\'import' });
+        }
+    }
+
+    /**
+     * Lire le fichier envoyé et préparer son import (commun au rapport à blanc et à l'import)
+     * Corps : { file, filename?, delimiter?, header?, mapping?, enrich? }
+     * Un tableau passe par la correspondance colonnes -> champs ; un fichier de notices MARC ou un
+     * message ONIX donne directement ses livres (`table` et `mapping` valent alors null). Les produits
+     * ONIX sont fusionnés avec les fiches existantes selon la confiance de leur source (`source`).
+     * @returns {Promise<object|null>} null si la réponse d'erreur a été envoyée
+     */
+    async prepareImport(req, res) {
+        const { file, filename, delimiter, header, mapping, enrich = false } = req.body || {};
+
+        const onix = readOnixFile({ file });
+        if (onix) {
+            if (!onix.valid) {
+                res.status(400).json({ error: onix.error });
+                return null;
+            }
+            if (onix.rows.length > this.importMaxRows) {
+                res.status(413).json({ error: `Trop de produits (${onix.rows.length}, maximum ${this.importMaxRows})` });
+                return null;
+            }
+
+            // Un produit retiré (notification 05) ne crée ni ne modifie de fiche
+            const entries = onix.rows.map(row => (row.notification === '05'
+                ? { ...row, error: 'Produit retiré du catalogue de l\'éditeur (notification 05)' }
+                : row));
+            const rows = await this.planImport(entries, { enrich: Boolean(enrich), source: 'onix_import' });
+            return { format: onix.format, source: 'onix_import', sender: onix.sender, table: null, mapping: null, rows };
+        }
+
+        const marc = readMarcFile({ file });
+        if (marc) {
+            if (!marc.valid) {
+                res.status(400).json({ error: marc.error });
+                return null;
+            }
+            if (marc.rows.length > this.importMaxRows) {
+                res.status(413).json({ error: `Trop de notices (${marc.rows.length}, maximum ${this.importMaxRows})` });
+                return null;
+            }
+
+            const rows = await this.planImport(marc.rows, { enrich: Boolean(enrich) });
+            return { format: marc.format, table: null, mapping: null, rows };
+        }
+
+        const table = readTable({ file, filename, delimiter, header });
+        if (!table.valid) {
+            res.status(400).json({ error: table.error });
+            return null;
+        }
+        if (table.rows.length > this.importMaxRows) {
+            res.status(413).json({ error: `Trop de lignes (${table.rows.length}, maximum ${this.importMaxRows})` });
+            return null;
+        }
+
+        // Sans correspondance fournie, celle devinée d'après les en-têtes
+        const resolved = resolveMapping(mapping || suggestMapping(table), table.headers);
+        if (!resolved.valid) {
+            res.status(400).json({ error: resolved.error, headers: table.headers, mapping: suggestMapping(table) });
+            return null;
+        }
+
+        const entries = table.rows.map(({ line, cells }) => ({ line, ...mapRow(cells, resolved.mapping) }));
+        const rows = await this.planImport(entries, { enrich: Boolean(enrich) });
+        return { format: table.format, table, mapping: resolved.mapping, rows };
+    }
+
+    /**
+     * Classer chaque livre lu : new (absent du catalogue), updated (champs modifiés), unchanged,
+     * invalid (ISBN absent ou invalide, ou `error` donnée par la lecture) ou duplicate (ISBN déjà vu
+     * plus haut dans le fichier)
+     * Les champs vides n'effacent rien. Sans `source`, les valeurs du fichier priment comme une
+     * modification manuelle ; avec `source`, elles sont fusionnées selon la confiance de cette source
+     * (`book` est alors la fiche complète à enregistrer). Avec `enrich`, les nouveaux livres qui n'ont
+     * que l'ISBN seront complétés auprès des fournisseurs.
+     * @param {Array<{line: number, isbn: string|null, book: object, error?: string}>} entries
+     */
+    async planImport(entries, { enrich, source = null }) {
+        const seen = new Map();
+        const now = new Date().toISOString();
+        const rows = [];
+
+        for (const { line, isbn, book, error } of entries) {
+            const title = book.title || null;
+
+            if (error) {
+                rows.push({ line, isbn, status: 'invalid', error, title });
+                continue;
+            }
+            if (!isbn) {
+                rows.push({ line, isbn: null, status: 'invalid', error: 'ISBN manquant', title });
+                continue;
+            }
+
+            const validation = this.validateISBN(isbn);
+            if (!validation.valid) {
+                rows.push({ line, isbn, status: 'invalid', error: validation.error, title });
+                continue;
+            }
+
+            const normalizedISBN = this.normalizeISBN(validation.isbn);
+            if (seen.has(normalizedISBN)) {
+                rows.push({ line, isbn: normalizedISBN, status: 'duplicate', duplicateOf: seen.get(normalizedISBN), title });
+                continue;
+            }
+            seen.set(normalizedISBN, line);
+
+            const found = await this.findBookByISBN(normalizedISBN);
+            if (!found) {
+                const onlyISBN = Object.keys(book).length === 0;
+                rows.push({
+                    line,
+                    isbn: normalizedISBN,
+                    status: 'new',
+                    title,
+                    enrich: enrich && onlyISBN,
+                    book: source ? this.merger.merge(null, book, source, now) : book
+                });
+                continue;
+            }
+
+            const merged = source
+                ? this.merger.merge(found.book, book, source, now)
+                : this.merger.applyEdit(found.book, book, 'user_edit', now);
+            const changes = diffBooks(found.book, merged);
+            rows.push({
+                line,
+                isbn: found.foundISBN,
+                status: Object.keys(changes).length > 0 ? 'updated' : 'unchanged',
+                title: title || found.book.title || null,
+                changes,
+                book: source ? merged : book,
+                existing: found.book
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Rapport d'import : nombre de lignes par statut et détail par ligne
+     */
+    importReport(rows) {
+        const summary = { new: 0, updated: 0, unchanged: 0, invalid: 0, duplicate: 0 };
+        rows.forEach(row => { summary[row.status]++; });
+
+        return {
+            summary,
+            rows: rows.map(({ book, existing, ...row }) => row)
+        };
+    }
+
+    /**
+     * Rapport à blanc d'un import : rien n'est enregistré
+     * La réponse donne aussi les en-têtes, la correspondance utilisée et les premières lignes,
+     * pour vérifier ou corriger la correspondance avant l'import.
+     */
+    async previewImport(req, res) {
+        try {
+            const prepared = await this.prepareImport(req, res);
+            if (!prepared) return;
+
+            const { format, table, mapping, rows } = prepared;
+            res.json({
+                success: true,
+                dryRun: true,
+                format,
+                headers: table ? table.headers : [],
+                hasHeader: table ? table.hasHeader : false,
+                mapping,
+                sample: table ? table.rows.slice(0, 5).map(row => row.cells) : [],
+                ...this.importReport(rows)
+            });
+        } catch (error) {
+            console.error('❌ Erreur previewImport:', error);
+            res.status(500).json({ error: 'Erreur lors de l\'analyse du fichier' });
+        }
+    }
+
+    /**
+     * Importer un tableau : mêmes règles et même rapport que l'analyse à blanc
+     * Les lignes à compléter sont recherchées chez les fournisseurs (au plus `BATCH_LOOKUP_CONCURRENCY`
+     * à la fois) ; un livre introuvable est tout de même ajouté avec son seul ISBN.
+     * Les fiches fusionnées (ONIX) sont enregistrées comme par POST /api/books : celles qui demandent
+     * une modération deviennent des suggestions (`pending` sur la ligne).
+     * Un livre créé ou modifié par quelqu'un d'autre depuis la lecture n'est pas écrasé (`conflict` sur la ligne).
+     */
+    async runImport(req, res) {
+        try {
+            const prepared = await this.prepareImport(req, res);
+            if (!prepared) return;
+
+            const { format, source, rows } = prepared;
+            const counts = { imported: 0, updated: 0, enriched: 0, pending: 0 };
+
+            await mapWithConcurrency(rows, this.batchLookupConcurrency, async (row) => {
+                const now = new Date().toISOString();
+
+                if (source && (row.status === 'updated' || (row.status === 'new' && !row.enrich))) {
+                    // Les données ont été fusionnées avec la fiche lue pour le rapport : elle ne doit pas avoir changé
+                    const result = await this.saveBook({ ...row.book, isbn: row.isbn }, req.user, req.scopes, {
+                        expected: row.existing || null
+                    });
+                    if (result.status === 'conflict') {
+                        row.conflict = true;
+                    } else if (result.status === 'pending') {
+                        row.pending = true;
+                        counts.pending++;
+                    } else if (result.status === 'created') {
+                        counts.imported++;
+                    } else if (result.status === 'updated') {
+                        counts.updated++;
+                    }
+                    return;
+                }
+
+                if (row.status === 'updated') {
+                    const updatedData = this.withAuthor({
+                        ...this.merger.applyEdit(row.existing, row.book, 'user_edit', now),
+                        updatedAt: now
+                    }, req.user, row.existing);
+                    const savedBook = await this.repository.update(row.isbn, updatedData, row.existing);
+                    if (!savedBook) {
+                        row.conflict = true;
+                        return;
+                    }
+                    await this.recordRevision(row.isbn, 'update', row.existing, savedBook, req.user);
+                    counts.updated++;
+                    return;
+                }
+                if (row.status !== 'new') return;
+
+                if (row.enrich) {
+                    const result = await this.resolveISBN(row.isbn).catch(error => {
+                        console.error(`❌ Erreur runImport pour ${row.isbn}:`, error);
+                        return { status: 'error' };
+                    });
+                    row.enrichment = result.status;
+                    if (result.status === 'found_remote') {
+                        row.title = result.book.title || null;
+                        counts.enriched++;
+                        counts.imported++;
+                        return;
+                    }
+                    // Ajouté entre-temps par quelqu'un d'autre
+                    if (result.status === 'found_cache') return;
+                }
+
+                const finalBookData = this.merger.withProvenance(this.withAuthor({
+                    ...row.book,
+                    isbn: row.isbn,
+                    source: 'user_created',
+                    createdAt: now,
+                    updatedAt: now
+                }, req.user), 'user_created', now);
+                if (!await this.repository.insertIfAbsent(row.isbn, finalBookData)) {
+                    row.conflict = true;
+                    return;
+                }
+                await this.recordRevision(row.isbn, 'create', null, finalBookData, req.user);
+                await this.repository.clearTombstone(row.isbn);
+                counts.imported++;
+            });
+
+            console.log(`📥 Import ${format} de ${rows.length} ligne(s) par ${req.user.username}: ${counts.imported} ajouté(s), ${counts.updated} mis à jour, ${counts.pending} en attente de modération`);
+
+            res.json({
+                success: true,
+                dryRun: false,
+                format,
+                ...counts,
+                ...this.importReport(rows),
+                total: await this.repository.count()
+            });
+        } catch (error) {
+            console.error('❌ Erreur runImport:', error);
+            res.status(500).json({ error: 'Erreur lors de l\'import du tableau' });
+        }
+    }
+
+    /**
+     * Lire l'export d'un site de lecture (Goodreads, LibraryThing, Babelio)
+     * Corps : { file, filename?, site? }
+     * Rien n'est enregistré : le navigateur ajoute les livres à sa base locale (puis les synchronise)
+     * et garde pour lui les données de lecture (`personal`). Chaque ligne reçoit un statut :
+     * valid, invalid (ISBN absent ou invalide) ou duplicate (livre déjà vu plus haut dans le fichier).
+     */
+    async readReadingExport(req, res) {
+        try {
+            const { file, filename, site } = req.body || {};
+
+            const parsed = readReadingFile({ file, filename, site });
+            if (!parsed.valid) {
+                return res.status(400).json({ error: parsed.error });
+            }
+            if (parsed.rows.length > this.importMaxRows) {
+                return res.status(413).json({ error: `Trop de livres (${parsed.rows.length}, maximum ${this.importMaxRows})` });
+            }
+
+            const seen = new Map();
+            const rows = parsed.rows.map(row => {
+                const title = row.book.title || null;
+                if (!row.isbn) {
+                    return { ...row, status: 'invalid', error: 'ISBN manquant', title };
+                }
+
+                const validation = this.validateISBN(row.isbn);
+                if (!validation.valid) {
+                    return { ...row, status: 'invalid', error: validation.error, title };
+                }
+
+                const isbn = this.normalizeISBN(validation.isbn);
+                if (seen.has(isbn)) {
+                    return { ...row, isbn, status: 'duplicate', duplicateOf: seen.get(isbn), title };
+                }
+                seen.set(isbn, row.line);
+                return { ...row, isbn, status: 'valid', title };
+            });
+
+            const summary = { valid: 0, invalid: 0, duplicate: 0 };
+            rows.forEach(row => { summary[row.status]++; });
+
+            console.log(`📚 Export ${parsed.label} lu: ${rows.length} livre(s)`, summary);
+
+            res.json({
+                success: true,
+                site: parsed.site,
+                label: parsed.label,
+                summary,
+                rows
+            });
+        } catch (error) {
+            console.error('❌ Erreur readReadingExport:', error);
+            res.status(500).json({ error: 'Erreur lors de la lecture de l\'export' });
+        }
+    }
+
+    /**
+     * Exporter les données vers localStorage
+     * Avec `?since=<date ISO>`, seuls les livres modifiés et supprimés depuis cette date sont renvoyés.
+     * `versions` donne l'ETag de chaque livre, à renvoyer dans If-Match pour le modifier.
+     */
+    async exportToLocalStorage(req, res) {
+        try {
+            const { since } = req.query;
+            if (since && isNaN(Date.parse(since))) {
+                return res.status(400).json({ error: 'Paramètre since invalide' });
+            }
+
+            // L'horodatage est pris avant la lecture pour ne manquer aucune modification concurrente
+            const timestamp = new Date().toISOString();
+            const sinceDate = since || null;
+
+            const { books, deleted } = await this.repository.changesSince(sinceDate);
+            const versions = Object.fromEntries(Object.entries(books).map(([isbn, book]) => [isbn, bookETag(book)]));
+
+            res.json({
+                success: true,
+                books: books,
+                versions,
+                deleted: deleted,
+                total: Object.keys(books).length,
+                since: sinceDate,
+                timestamp
+            });
+        } catch (error) {
+            console.error('❌ Erreur exportToLocalStorage:', error);
+            res.status(500).json({ error: 'Erreur lors de l\'export' });
+        }
+    }
+
+    /**
+     * Exporter des notices MARC
+     * GET : tout le catalogue, ou avec `?since=<date ISO>` les livres modifiés depuis cette date.
+     * POST { isbns, format? } : les livres choisis (une collection) ; ceux absents du catalogue sont omis.
+     */
+    async exportMarc(req, res) {
+        try {
+            const { format = 'marc21' } = { ...req.query, ...(req.body || {}) };
+            if (!MARC_FORMATS[format]) {
+                return res.status(400).json({ error: `Format MARC inconnu (${Object.keys(MARC_FORMATS).join(', ')})` });
+            }
+
+            const books = await this.selectExportBooks(req, res);
+            if (!books) return;
+
+            console.log(`📤 Export ${MARC_FORMATS[format].label} de ${books.length} notice(s)`);
+            this.sendMarc(res, books, format, `catalogue-${new Date().toISOString().slice(0, 10)}`);
+        } catch (error) {
+            console.error('❌ Erreur exportMarc:', error);
+            res.status(500).json({ error: 'Erreur lors de l\'export MARC' });
+        }
+    }
+
+    /**
+     * Exporter un message ONIX 3.0 (mêmes sélections que l'export MARC)
+     */
+    async exportOnix(req, res) {
+        try {
+            const books = await this.selectExportBooks(req, res);
+            if (!books) return;
+
+            console.log(`📤 Export ONIX de ${books.length} produit(s)`);
+            this.sendOnix(req, res, books, `catalogue-${new Date().toISOString().slice(0, 10)}`);
+        } catch (error) {
+            console.error('❌ Erreur exportOnix:', error);
+            res.status(500).json({ error: 'Erreur lors de l\'export ONIX' });
+        }
+    }
+
+    /**
+     * Livres d'un export : les ISBN envoyés (POST { isbns }) ou le catalogue modifié depuis `since` (GET)
+     * @returns {Promise<Array<{isbn: string, book: object}>|null>} null si la réponse d'erreur a été envoyée
+     */
+    async selectExportBooks(req, res) {
+        const { since, isbns } = { ...req.query, ...(req.body || {}) };
+
+        let books;
+        if (req.method === 'POST') {
+            if (!Array.isArray(isbns) || isbns.length === 0) {
+                res.status(400).json({ error: 'Liste d\'ISBN manquante (isbns)' });
+                return null;
+            }
+            if (isbns.length > this.importMaxRows) {
+                res.status(413).json({ error: `Trop de livres (${isbns.length}, maximum ${this.importMaxRows})` });
+                return null;
+            }
+
+            const found = await mapWithConcurrency(isbns, this.batchLookupConcurrency, (isbn) =>
+                (this.validateISBN(isbn).valid ? this.findBookByISBN(isbn) : null));
+            const unique = new Map(found.filter(Boolean).map(result => [result.foundISBN, result.book]));
+            books = [...unique].map(([isbn, book]) => ({ isbn, book }));
+        } else {
+            if (since && isNaN(Date.parse(since))) {
+                res.status(400).json({ error: 'Paramètre since invalide' });
+                return null;
+            }
+            const changes = await this.repository.changesSince(since || null);
+            books = Object.entries(changes.books).map(([isbn, book]) => ({ isbn, book }));
+        }
+
+        if (books.length === 0) {
+            res.status(404).json({ error: 'Aucun livre à exporter' });
+            return null;
+        }
+        return books;
+    }
+
+    errorHandler(error, req, res, next) {
+        console.error('❌ Erreur non gérée:', error);
+        
+        res.status(500).json({
             error: 'Erreur interne du serveur',
             message: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
@@ -708,7 +2496,9 @@ class ISBNServer {
      */
     async stop() {
         try {
-            // Il n'y a plus de sauvegarde de fichier à faire
+            // Attendre la fin des écritures en cours avant de quitter
+            await this.repository.close();
+            await this.userStore.close();
             console.log('✅ Serveur arrêté proprement');
             process.exit(0);
         } catch (error) {
@@ -722,7 +2512,7 @@ const server = new ISBNServer();
 
 // On crée une promesse unique pour l'initialisation.
 // Le serveur ne démarrera pas si la base de données n'est pas accessible.
-const initPromise = setupDatabase().then(() => {
+const initPromise = setupDatabase(server.repository).then(() => {
     console.log('✅ Base de données prête.');
     return server; // On retourne l'instance du serveur une fois prête.
 }).catch(err => {
@@ -744,6 +2534,10 @@ module.exports = async (req, res) => {
     }
 };
 
+// Pour les tests et l'hébergement personnalisé (stockage injecté via le constructeur)
+module.exports.ISBNServer = ISBNServer;
+module.exports.setupDatabase = setupDatabase;
+
 // Pour le développement local traditionnel avec `node server.js`
 if (require.main === module) {
     initPromise.then(s => {
@@ -0,0 +1,216 @@
+/**
+ * Tests des outils ISBN partagés (public/js/isbn.js) et de la table des plages (public/js/isbn-ranges.js)
+ * Lancement : npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ISBNToolkit, isbnToolkit } = require('../public/js/isbn');
+const { ISBN_RANGES } = require('../public/js/isbn-ranges');
+
+test.describe('chiffre de contrôle', () => {
+    test('ISBN-10 : modulo 11, 10 s\'écrit X', () => {
+        assert.equal(isbnToolkit.checkDigit10('030640615'), '2');
+        assert.equal(isbnToolkit.checkDigit10('080442957'), 'X');
+        assert.equal(isbnToolkit.checkDigit10('207036002'), '4');
+    });
+
+    test('ISBN-13 : modulo 10, poids alternés 1 et 3', () => {
+        assert.equal(isbnToolkit.checkDigit13('978030640615'), '7');
+        assert.equal(isbnToolkit.checkDigit13('978207036002'), '4');
+        assert.equal(isbnToolkit.checkDigit13('979109063607'), '1');
+    });
+
+    test('ISBN-10 valides, avec X majuscule ou minuscule, et tirets ignorés', () => {
+        for (const isbn of ['0306406152', '080442957X', '080442957x', '0-8044-2957-X', '2 07 036002 4']) {
+            assert.equal(isbnToolkit.hasValidCheckDigit(isbn), true, isbn);
+            assert.deepEqual(isbnToolkit.validate(isbn), { valid: true, isbn: isbnToolkit.clean(isbn) });
+        }
+    });
+
+    test('ISBN-13 valides en 978 et 979', () => {
+        for (const isbn of ['9780306406157', '978-2-07-036002-4', '9791090636071', '9798886451238']) {
+            assert.equal(isbnToolkit.isValid(isbn), true, isbn);
+        }
+    });
+
+    test('chiffre de contrôle faux : la valeur attendue est indiquée', () => {
+        assert.deepEqual(isbnToolkit.validate('0306406153'), {
+            valid: false,
+            error: 'Chiffre de contrôle ISBN-10 invalide (attendu : 2)'
+        });
+        assert.deepEqual(isbnToolkit.validate('0804429570'), {
+            valid: false,
+            error: 'Chiffre de contrôle ISBN-10 invalide (attendu : X)'
+        });
+        assert.deepEqual(isbnToolkit.validate('9780306406158'), {
+            valid: false,
+            error: 'Chiffre de contrôle ISBN-13 invalide (attendu : 7)'
+        });
+    });
+
+    test('longueur, format et préfixe invalides', () => {
+        assert.equal(isbnToolkit.validate('030640615').valid, false);
+        assert.equal(isbnToolkit.validate('').valid, false);
+        assert.equal(isbnToolkit.validate(null).valid, false);
+        assert.equal(isbnToolkit.validate('X306406152').error, 'Format ISBN-10 invalide');
+        assert.equal(isbnToolkit.validate('978030640615X').error, 'Format ISBN-13 invalide');
+        assert.equal(isbnToolkit.validate('9770306406155').error, 'ISBN-13 doit commencer par 978 ou 979');
+    });
+});
+
+test.describe('conversions entre ISBN-10 et ISBN-13', () => {
+    test('ISBN-10 vers ISBN-13 (le chiffre de contrôle est recalculé)', () => {
+        assert.equal(isbnToolkit.toISBN13('0306406152'), '9780306406157');
+        assert.equal(isbnToolkit.toISBN13('080442957X'), '9780804429573');
+        assert.equal(isbnToolkit.toISBN13('2-07-036002-4'), '9782070360024');
+    });
+
+    test('ISBN-13 en 978 vers ISBN-10 (X possible)', () => {
+        assert.equal(isbnToolkit.toISBN10('9780306406157'), '0306406152');
+        assert.equal(isbnToolkit.toISBN10('9780804429573'), '080442957X');
+    });
+
+    test('aller-retour', () => {
+        for (const isbn of ['0306406152', '080442957X', '2070360024']) {
+            assert.equal(isbnToolkit.toISBN10(isbnToolkit.toISBN13(isbn)), isbn);
+        }
+    });
+
+    test('les ISBN-13 en 979 n\'ont pas d\'équivalent ISBN-10', () => {
+        assert.equal(isbnToolkit.toISBN10('9791090636071'), null);
+        assert.equal(isbnToolkit.toISBN10('9798886451238'), null);
+    });
+
+    test('formes inconvertibles', () => {
+        assert.equal(isbnToolkit.toISBN13('12345'), null);
+        assert.equal(isbnToolkit.toISBN10('12345'), null);
+        assert.equal(isbnToolkit.normalize('12-345'), '12345');
+    });
+
+    test('normalisation en ISBN-13', () => {
+        assert.equal(isbnToolkit.normalize('0-306-40615-2'), '9780306406157');
+        assert.equal(isbnToolkit.normalize('979-10-90636-07-1'), '9791090636071');
+    });
+});
+
+test.describe('variantes', () => {
+    test('un ISBN-13 en 978 donne son ISBN-10 complet, chiffre de contrôle compris', () => {
+        assert.deepEqual(isbnToolkit.getVariants('9780306406157'), ['9780306406157', '0306406152']);
+        assert.deepEqual(isbnToolkit.getVariants('9780804429573'), ['9780804429573', '080442957X']);
+    });
+
+    test('un ISBN-10 donne son ISBN-13', () => {
+        assert.deepEqual(isbnToolkit.getVariants('0-306-40615-2'), ['0306406152', '9780306406157']);
+    });
+
+    test('un ISBN-13 en 979 n\'a qu\'une forme', () => {
+        assert.deepEqual(isbnToolkit.getVariants('9791090636071'), ['9791090636071']);
+    });
+
+    test('aucune variante à 9 chiffres (ancien ISBN-10 sans chiffre de contrôle)', () => {
+        for (const isbn of ['9780306406157', '9782070360024', '9780804429573', '0306406152', '080442957X']) {
+            for (const variant of isbnToolkit.getVariants(isbn)) {
+                assert.ok(variant.length === 10 || variant.length === 13, `${isbn} -> ${variant}`);
+                assert.equal(isbnToolkit.isValid(variant), true, `${isbn} -> ${variant}`);
+            }
+        }
+    });
+});
+
+test.describe('découpage et tirets', () => {
+    test('groupes 978 de longueurs différentes', () => {
+        assert.equal(isbnToolkit.hyphenate('9780306406157'), '978-0-306-40615-7');
+        assert.equal(isbnToolkit.hyphenate('9782070360024'), '978-2-07-036002-4');
+    });
+
+    test('la longueur de l\'ISBN est conservée', () => {
+        assert.equal(isbnToolkit.hyphenate('080442957X'), '0-8044-2957-X');
+        assert.equal(isbnToolkit.hyphenate('2070360024'), '2-07-036002-4');
+    });
+
+    test('979-10 (France) : code éditeur de 2 à 6 chiffres', () => {
+        assert.equal(isbnToolkit.hyphenate('9791000123455'), '979-10-00-12345-5');
+        assert.equal(isbnToolkit.hyphenate('9791090636071'), '979-10-90636-07-1');
+        const parsed = isbnToolkit.parse('9791090636071');
+        assert.equal(parsed.group, '10');
+        assert.equal(parsed.groupName, 'France');
+        assert.equal(parsed.registrant, '90636');
+        assert.equal(parsed.publication, '07');
+        assert.equal(parsed.isbn10, null);
+        assert.equal(parsed.isbn10h, null);
+    });
+
+    test('979-8 (États-Unis) : groupe d\'un chiffre', () => {
+        assert.equal(isbnToolkit.hyphenate('9798220123456'), '979-8-220-12345-6');
+        assert.equal(isbnToolkit.hyphenate('9798886451238'), '979-8-88645-123-8');
+        assert.equal(isbnToolkit.parse('9798886451238').groupName, 'United States');
+    });
+
+    test('segments d\'un ISBN 978', () => {
+        assert.deepEqual(isbnToolkit.parse('0-306-40615-2'), {
+            source: '0306406152',
+            prefix: '978',
+            group: '0',
+            groupName: 'English language',
+            registrant: '306',
+            publication: '40615',
+            isbn13: '9780306406157',
+            isbn13h: '978-0-306-40615-7',
+            isbn10: '0306406152',
+            isbn10h: '0-306-40615-2'
+        });
+    });
+
+    test('ISBN invalide ou plage non attribuée : pas de découpage, ISBN renvoyé nettoyé', () => {
+        assert.equal(isbnToolkit.parse('9780306406158'), null);
+        // 979-0 : musique imprimée (ISMN), absent de la table
+        const ismn = '979000000000' + isbnToolkit.checkDigit13('979000000000');
+        assert.equal(isbnToolkit.parse(ismn), null);
+        assert.equal(isbnToolkit.hyphenate(ismn), ismn);
+        // 978-611 (Thaïlande) : aucune plage attribuée
+        const thai = '978611000000' + isbnToolkit.checkDigit13('978611000000');
+        assert.equal(isbnToolkit.parse(thai), null);
+    });
+
+    test('une table vide ne découpe rien', () => {
+        const toolkit = new ISBNToolkit();
+        assert.equal(toolkit.isValid('9780306406157'), true);
+        assert.equal(toolkit.hyphenate('9780306406157'), '9780306406157');
+    });
+});
+
+test.describe('table des plages', () => {
+    const entries = Object.entries(ISBN_RANGES);
+
+    test('clés "préfixe-groupe" en 978 ou 979', () => {
+        assert.ok(entries.length > 0);
+        for (const [key, group] of entries) {
+            assert.match(key, /^97[89]-\d{1,5}$/);
+            assert.equal(typeof group.name, 'string');
+            assert.ok(Array.isArray(group.ranges), key);
+        }
+    });
+
+    test('aucun groupe n\'est le début d\'un autre (même préfixe)', () => {
+        const keys = Object.keys(ISBN_RANGES);
+        for (const key of keys) {
+            for (const other of keys) {
+                if (other !== key) assert.ok(!other.startsWith(key), `${key} / ${other}`);
+            }
+        }
+    });
+
+    test('bornes de même longueur, ordonnées, et place laissée au numéro de publication', () => {
+        for (const [key, { ranges }] of entries) {
+            const group = key.split('-')[1];
+            for (const range of ranges) {
+                assert.match(range, /^\d+-\d+$/, `${key} ${range}`);
+                const [start, end] = range.split('-');
+                assert.equal(start.length, end.length, `${key} ${range}`);
+                assert.ok(start <= end, `${key} ${range}`);
+                assert.ok(group.length + start.length <= 8, `${key} ${range}`);
+            }
+        }
+    });
+});